@@ -1,17 +1,50 @@
 #!/usr/bin/env node
 
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
 const readline = require('readline');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
+const { ClawPostClient, isFullListing } = require('./lib/client');
+const { ClawPostError, exitCodeFor } = require('./lib/errors');
+const { neverSent } = require('./lib/retry');
+const { FORMATS, toCsv, toJson, toTable, toYaml } = require('./lib/output');
+const { parseArgs, readContent } = require('./lib/args');
+const { crossPost, isMultiPlatform, parsePlatforms } = require('./lib/crosspost');
+const { LIMITS, contentLength, validateContent } = require('./lib/validate');
+const { publishThread, splitThread } = require('./lib/thread');
+const { alreadyImported, defaultResultsPath, loadRows, prepareRows, readResults, runImport } = require('./lib/import');
+const { readConfig } = require('./lib/config');
+const { defaultTimeZone, describeTime, parseFutureTime, resolveTimeZone } = require('./lib/time');
+const { bucketEngagement, formatSlot, nextFreeSlot, renderHeatmap, topSlots } = require('./lib/engagement');
+const {
+  cachedRemote, createLocalDraft, deleteLocalPost, forgetPost, getCachedPost, isLocalId, listCachedPosts, rememberPosts, syncPosts, updateLocalPost
+} = require('./lib/cache');
+const { runTui } = require('./lib/tui');
+const {
+  approvalRequired, approvalsFile, checkApproval, checkDirect, contentChanged, listReviews, recordGoLive, reviewLog, reviewOf, reviewPost, submitPost
+} = require('./lib/approvals');
+const {
+  activeProfileName, getProfile, hasProfile, listProfiles, profileKey, profilesFile, removeProfile, saveProfile, useProfile
+} = require('./lib/profiles');
+const { editText } = require('./lib/editor');
+const { diffStats, diffWords } = require('./lib/diff');
+const { parseTweetRef, referencePrompt, resolveReference, tweetUrl } = require('./lib/reference');
+const { ACTIONS: AUDIT_ACTIONS, auditFile, findUndoable, readLog, recordRequest, undoEntry, undoProblem } = require('./lib/audit');
+const {
+  applyVoice, finishContent, generationRequest, listTemplates, listVoices, loadTemplate, loadTemplateAndVoice, parseVars, renderTemplate,
+  templateVariables, templatesDir, voicesDir
+} = require('./lib/templates');
+const { DEFAULT_INTERVAL, desktopNotify, postWebhook, retryFailed, runHook, watchPosts } = require('./lib/watch');
+const { SCOPES: TOKEN_SCOPES, createToken, listTokens, removeToken, tokensFile } = require('./lib/tokens');
+const { DEFAULT_PORT: DEFAULT_BRIDGE_PORT, ROUTES, createBridge } = require('./lib/serve');
+const { serveMcp } = require('./lib/mcp');
+const { MOVING_WINDOW, analyzeHistory, filterHistory, historyPosts, number, percent, toHtml } = require('./lib/analytics');
 
 // Environment variables
-const API_KEY = process.env.CLAW_API_KEY;
-const API_URL = process.env.CLAW_API_URL || 'https://clawpost.dev';
-const BASE_URL = `${API_URL}/api/claw/v1`;
+const DEFAULT_API_URL = 'https://clawpost.dev';
+
+// Replaced in main() when a profile applies; see lib/profiles.js for the order
+const credentials = { apiKey: process.env.CLAW_API_KEY, apiUrl: process.env.CLAW_API_URL || DEFAULT_API_URL, profile: null };
 
 // Colors for console output
 const colors = {
@@ -21,9 +54,18 @@ const colors = {
   cyan: '\x1b[36m',
   yellow: '\x1b[33m',
   reset: '\x1b[0m',
-  bold: '\x1b[1m'
+  bold: '\x1b[1m',
+  strike: '\x1b[9m',
+  dim: '\x1b[2m'
 };
 
+// Output settings, filled from --json / --output / --quiet in main()
+const output = { format: 'text', quiet: false };
+
+function isMachineOutput() {
+  return output.quiet || output.format !== 'text';
+}
+
 function log(message, color = 'reset') {
   console.log(`${colors[color]}${message}${colors.reset}`);
 }
@@ -40,426 +82,3005 @@ function logInfo(message) {
   log(`ℹ️  ${message}`, 'blue');
 }
 
+// Warnings go to stderr in machine-readable modes so stdout stays parseable
 function logWarning(message) {
+  if (isMachineOutput()) {
+    console.error(`⚠️  ${message}`);
+    return;
+  }
   log(`⚠️  ${message}`, 'yellow');
 }
 
+function printSetupGuide() {
+  logError('No API key found!');
+  console.log('\n🚀 Let\'s get you set up with ClawPost:');
+  console.log('');
+  console.log('1. 📝 Sign up: https://clawpost.dev');
+  console.log('2. 🔗 Connect your LinkedIn and/or Twitter accounts');
+  console.log('3. 💳 Add credits for AI generation (if needed)');
+  console.log('4. 🔑 Go to Settings → API Keys → Generate New Key');
+  console.log('5. 📋 Save the key in a profile:');
+  console.log(`   ${colors.yellow}node cli.js setup${colors.reset}`);
+  console.log(`   or set it for this shell: ${colors.yellow}export CLAW_API_KEY="claw_your_key_here"${colors.reset}`);
+  console.log('');
+  console.log('6. 🧪 Test your setup:');
+  console.log(`   ${colors.cyan}node cli.js status${colors.reset}`);
+  console.log('');
+}
+
+// Built per call so that a key set by the setup wizard is picked up
+function getClient() {
+  return new ClawPostClient({
+    apiKey: credentials.apiKey,
+    baseUrl: credentials.apiUrl,
+    onRetry: ({ attempt, retries, delay, error }) => {
+      logWarning(`${error.message} — retrying in ${(delay / 1000).toFixed(1)}s (${attempt}/${retries})`);
+    },
+    // The audit log must never be the reason a command fails
+    onResponse: request => {
+      try {
+        recordRequest(request, { profile: credentials.profile });
+      } catch (error) {
+        logWarning(`Could not write the audit log: ${error.message}`);
+      }
+    }
+  });
+}
+
+// Kept for scripts that used the old export; prefer ClawPostClient
 async function makeRequest(endpoint, method = 'GET', data = null) {
-  const API_KEY = process.env.CLAW_API_KEY;
-  if (!API_KEY) {
-    logError('No API key found!');
-    console.log('\n🚀 Let\'s get you set up with ClawPost:');
-    console.log('');
-    console.log('1. 📝 Sign up: https://clawpost.dev');
-    console.log('2. 🔗 Connect your LinkedIn and/or Twitter accounts');
-    console.log('3. 💳 Add credits for AI generation (if needed)');
-    console.log('4. 🔑 Go to Settings → API Keys → Generate New Key');
-    console.log('5. 📋 Copy the key and set it:');
-    console.log(`   ${colors.yellow}export CLAW_API_KEY="claw_your_key_here"${colors.reset}`);
-    console.log('');
-    console.log('6. 🧪 Test your setup:');
-    console.log(`   ${colors.cyan}node cli.js status${colors.reset}`);
-    console.log('');
-    throw new Error('Setup required. Follow the steps above.');
+  return getClient().request(endpoint, method, data);
+}
+
+function fail(error) {
+  const code = error.code || 'UNKNOWN_ERROR';
+  if (isMachineOutput()) {
+    const payload = { code, status: error.status === undefined ? null : error.status };
+    if (error.details !== undefined) payload.details = error.details;
+    console.error(JSON.stringify({ success: false, message: error.message, error: payload }));
+  } else if (code === 'MISSING_API_KEY') {
+    printSetupGuide();
+    logError('Setup required. Follow the steps above.');
+  } else {
+    logError(error.message);
   }
+  process.exit(exitCodeFor(code));
+}
 
-  let curlCmd = `curl -s -X ${method} "${BASE_URL}${endpoint}" \\
-    -H "Authorization: Bearer ${API_KEY}"`;
+function usage(message) {
+  fail(new ClawPostError(message, { code: 'USAGE_ERROR' }));
+}
 
-  if (data) {
-    // Properly escape JSON data for shell
-    const jsonData = JSON.stringify(data).replace(/'/g, "'\"'\"'");
-    curlCmd += ` \\
-    -H "Content-Type: application/json" \\
-    -d '${jsonData}'`;
+/**
+ * Prints a command result in the selected output format.
+ * `text` renders the human view; `rows` flattens data for table/csv;
+ * `ids` picks what --quiet prints.
+ */
+function present(response, { text, rows, columns, ids }) {
+  const { data } = response;
+  if (output.quiet) {
+    const values = ids ? ids(data) : [];
+    if (values.length > 0) console.log(values.join('\n'));
+    return;
+  }
+  switch (output.format) {
+    case 'json':
+      console.log(toJson(data));
+      break;
+    case 'yaml':
+      console.log(toYaml(data));
+      break;
+    case 'csv':
+      console.log(toCsv(rows ? rows(data) : [data], columns));
+      break;
+    case 'table':
+      console.log(toTable(rows ? rows(data) : [data], columns));
+      break;
+    default:
+      text(data);
   }
+}
 
-  try {
-    const { stdout, stderr } = await execAsync(curlCmd);
-    
-    if (stderr) {
-      throw new Error(`Curl error: ${stderr}`);
-    }
+const POST_COLUMNS = ['id', 'platform', 'status', 'postType', 'scheduledAt', 'publishedAt', 'content', 'reference'];
 
-    const response = JSON.parse(stdout);
-    
-    if (!response.success) {
-      throw new Error(`API Error: ${response.message} (${response.error?.code})`);
-    }
+function postRow(post) {
+  return {
+    id: post.id,
+    platform: post.platform,
+    status: post.status,
+    postType: post.postType,
+    scheduledAt: post.scheduledAt,
+    publishedAt: post.publishedAt,
+    content: post.content,
+    reference: post.reference?.tweetId ? tweetUrl(post.reference) : undefined
+  };
+}
 
-    return response;
-  } catch (error) {
-    if (error.message.includes('JSON')) {
-      throw new Error('Invalid response from API. Check your API_URL and internet connection.');
-    }
-    throw error;
+const REFERENCE_LABELS = { reply: 'reply to', quote: 'quote of', remix: 'remix of' };
+
+// "reply to @author" for a post that references an X post
+function describeReference(post) {
+  const { author, tweetId } = post.reference;
+  return `${REFERENCE_LABELS[post.postType] || post.postType} ${author ? `@${author}` : `tweet ${tweetId}`}`;
+}
+
+function lengthLabel(content, platform) {
+  const length = contentLength(content, platform);
+  if (platform === 'twitter') return `${length}/${LIMITS.twitter} weighted chars`;
+  return `${length}/${LIMITS[platform] || '-'} chars`;
+}
+
+/**
+ * Resolves a --at value ("tomorrow 9am", "+2h", ISO 8601...) to UTC in the
+ * --tz zone (or the default one). Times in the past are rejected here.
+ */
+function resolveAt(at, tz) {
+  const { date, timeZone } = parseFutureTime(at, { timeZone: tz });
+  return { scheduledAt: date.toISOString(), timeZone };
+}
+
+/**
+ * Validates content locally before any API call. Warnings are printed;
+ * errors abort with VALIDATION_ERROR. `ignore` lists error codes to skip
+ * (cross-posting shortens over-long text itself).
+ */
+function assertValidContent(content, platforms, { ignore = [] } = {}) {
+  const problems = [];
+  [].concat(platforms).forEach(platform => {
+    const result = validateContent(content, platform);
+    result.warnings.forEach(warning => logWarning(`${platform}: ${warning.message}`));
+    result.errors
+      .filter(error => !ignore.includes(error.code))
+      .forEach(error => problems.push({ platform, ...error }));
+  });
+
+  if (problems.length > 0) {
+    const lines = problems.map(problem => `   • ${problem.platform}: ${problem.message}`);
+    throw new ClawPostError(`Content failed validation:\n${lines.join('\n')}`, {
+      code: 'VALIDATION_ERROR',
+      details: problems
+    });
   }
 }
 
 async function status() {
   try {
-    const response = await makeRequest('/status');
-    logSuccess(response.message);
-    
-    const { user, platforms, credits } = response.data;
-    console.log('\n📊 Account Info:');
-    console.log(`   User: ${user.name} (${user.email})`);
-    console.log(`   LinkedIn: ${platforms.linkedin ? '✅ Connected' : '❌ Not connected'}`);
-    console.log(`   Twitter: ${platforms.twitter ? '✅ Connected' : '❌ Not connected'}`);
-    console.log(`   Credits: ${credits.balance}`);
-    console.log(`   Custom AI Key: ${credits.hasCustomAIKey ? 'Yes' : 'No'}`);
+    const response = await getClient().call('status');
+    present(response, {
+      rows: ({ user, platforms, credits }) => [{
+        user: user.name,
+        email: user.email,
+        linkedin: platforms.linkedin,
+        twitter: platforms.twitter,
+        credits: credits.balance,
+        customAIKey: credits.hasCustomAIKey
+      }],
+      text: ({ user, platforms, credits }) => {
+        logSuccess(response.message);
+
+        console.log('\n📊 Account Info:');
+        if (credentials.profile) console.log(`   Profile: ${credentials.profile}`);
+        console.log(`   User: ${user.name} (${user.email})`);
+        console.log(`   LinkedIn: ${platforms.linkedin ? '✅ Connected' : '❌ Not connected'}`);
+        console.log(`   Twitter: ${platforms.twitter ? '✅ Connected' : '❌ Not connected'}`);
+        console.log(`   Credits: ${credits.balance}`);
+        console.log(`   Custom AI Key: ${credits.hasCustomAIKey ? 'Yes' : 'No'}`);
+      }
+    });
   } catch (error) {
-    logError(error.message);
-    process.exit(1);
+    fail(error);
   }
 }
 
-async function listPosts(options = {}) {
+// Drafts are kept locally only when the API was never reached. After a
+// timeout or a dropped connection the server may have saved the draft, and a
+// local copy would be pushed again by sync.
+function isOfflineError(error) {
+  return neverSent(error) && error.status === null;
+}
+
+async function listPosts({ cached, ...options } = {}) {
   try {
-    const params = new URLSearchParams();
-    if (options.status) params.append('status', options.status);
-    if (options.platform) params.append('platform', options.platform);
-    if (options.limit) params.append('limit', options.limit);
-    
-    const endpoint = `/posts${params.toString() ? '?' + params.toString() : ''}`;
-    const response = await makeRequest(endpoint);
-    
-    logSuccess(response.message);
-    
-    if (response.data.posts.length === 0) {
-      logInfo('No posts found.');
-      return;
+    let response;
+    if (cached) {
+      const data = listCachedPosts(options);
+      const fetched = data.fetchedAt ? `fetched ${new Date(data.fetchedAt).toLocaleString()}` : 'nothing fetched yet';
+      response = { message: `Found ${data.posts.length} cached posts (${fetched}, ${data.pending} pending sync)`, data };
+    } else {
+      response = await getClient().call('listPosts', options);
+      const filtered = options.status || options.platform;
+      rememberPosts(response.data.posts, { complete: !filtered && isFullListing(response.data) });
     }
+    present(response, {
+      rows: data => data.posts.map(postRow),
+      columns: POST_COLUMNS,
+      ids: data => data.posts.map(post => post.id),
+      text: data => {
+        logSuccess(response.message);
+
+        if (data.posts.length === 0) {
+          logInfo('No posts found.');
+          return;
+        }
 
-    console.log('\n📝 Posts:');
-    response.data.posts.forEach(post => {
-      const statusEmoji = {
-        draft: '📄',
-        published: '✅',
-        scheduled: '⏰',
-        failed: '❌'
-      };
-      console.log(`   ${statusEmoji[post.status]} ${post.platform.toUpperCase()} - ${post.content.substring(0, 60)}...`);
-      console.log(`      ID: ${post.id} | Status: ${post.status} | Actions: ${post.availableActions.join(', ')}`);
+        console.log('\n📝 Posts:');
+        data.posts.forEach(post => {
+          const statusEmoji = {
+            draft: '📄',
+            published: '✅',
+            scheduled: '⏰',
+            failed: '❌'
+          };
+          console.log(`   ${statusEmoji[post.status]} ${post.platform.toUpperCase()} - ${post.content.substring(0, 60)}...`);
+          const pending = post.pending ? ` | Pending: ${post.pending}${post.conflict ? ` ⚠️  conflict (${post.conflict.reason})` : ''}` : '';
+          console.log(`      ID: ${post.id} | Status: ${post.status} | Actions: ${(post.availableActions || []).join(', ')}${pending}`);
+          if (post.reference) {
+            const text = post.reference.text ? `: ${post.reference.text.substring(0, 50)}${post.reference.text.length > 50 ? '...' : ''}` : '';
+            console.log(`      ↪ ${describeReference(post)}${text}`);
+          }
+        });
+      }
     });
   } catch (error) {
-    logError(error.message);
-    process.exit(1);
+    fail(error);
   }
 }
 
-async function createDraft(content, platform = 'linkedin') {
+function presentLocalDrafts(posts) {
+  present({ message: `Draft${posts.length === 1 ? '' : 's'} saved locally`, data: posts.length === 1 ? posts[0] : { posts } }, {
+    rows: () => posts.map(postRow),
+    columns: POST_COLUMNS,
+    ids: () => posts.map(post => post.id),
+    text: () => {
+      logSuccess(`Draft${posts.length === 1 ? '' : 's'} saved locally`);
+      posts.forEach(post => console.log(`   Local ID: ${post.id} (${post.platform})`));
+      logInfo('Run "node cli.js sync" when online to upload.');
+    }
+  });
+}
+
+async function saveOfflineDrafts(content, platform = 'linkedin') {
   try {
-    const response = await makeRequest('/drafts', 'POST', { content, platform });
-    logSuccess(response.message);
-    console.log(`   Post ID: ${response.data.id}`);
-    console.log(`   Platform: ${response.data.platform}`);
-    console.log(`   Actions: ${response.data.availableActions.join(', ')}`);
+    const platforms = parsePlatforms(platform);
+    assertValidContent(content, platforms);
+    presentLocalDrafts(platforms.map(target => createLocalDraft({ content, platform: target })));
   } catch (error) {
-    logError(error.message);
-    process.exit(1);
+    fail(error);
   }
 }
 
-async function publishPost(postId) {
+async function createDraft(content, platform = 'linkedin') {
   try {
-    const response = await makeRequest(`/posts/${postId}/publish`, 'POST');
-    logSuccess(response.message);
-    
-    if (response.data) {
-      console.log(`   Platform: ${response.data.platform}`);
-      console.log(`   Published: ${new Date(response.data.publishedAt).toLocaleString()}`);
+    assertValidContent(content, platform);
+    let response;
+    try {
+      response = await getClient().call('createDraft', { content, platform });
+    } catch (error) {
+      if (!isOfflineError(error)) throw error;
+      logWarning(`${error.message} — keeping the draft locally instead`);
+      return presentLocalDrafts([createLocalDraft({ content, platform })]);
     }
+    rememberPosts([response.data]);
+    present(response, {
+      rows: post => [postRow(post)],
+      columns: POST_COLUMNS,
+      ids: post => [post.id],
+      text: post => {
+        logSuccess(response.message);
+        console.log(`   Post ID: ${post.id}`);
+        console.log(`   Platform: ${post.platform}`);
+        console.log(`   Actions: ${post.availableActions.join(', ')}`);
+      }
+    });
   } catch (error) {
-    logError(error.message);
-    process.exit(1);
+    fail(error);
   }
 }
 
-async function directPublish(content, platform = 'linkedin') {
-  try {
-    const response = await makeRequest('/publish', 'POST', { content, platform });
-    logSuccess(response.message);
-    
-    if (response.data) {
-      console.log(`   Platform: ${response.data.platform}`);
-      console.log(`   Published: ${new Date(response.data.publishedAt).toLocaleString()}`);
+function presentPublished(response) {
+  present(response, {
+    rows: post => (post ? [postRow(post)] : []),
+    columns: POST_COLUMNS,
+    ids: post => (post?.id ? [post.id] : []),
+    text: post => {
+      logSuccess(response.message);
+
+      if (post) {
+        console.log(`   Platform: ${post.platform}`);
+        console.log(`   Published: ${new Date(post.publishedAt).toLocaleString()}`);
+      }
     }
+  });
+}
+
+// When approval is required, fetches the draft and checks its review
+async function assertApproved(client, postId, { action, force }) {
+  if (!approvalRequired()) return;
+  checkApproval(await client.getPost(postId), { action, force });
+}
+
+function warnForced(force) {
+  if (force && approvalRequired()) logWarning(`Approval overridden with --force; recorded in ${approvalsFile()}`);
+}
+
+async function publishPost(postId, { force } = {}) {
+  try {
+    const client = getClient();
+    await assertApproved(client, postId, { action: 'publish', force });
+    warnForced(force);
+    presentPublished(await client.call('publishPost', { id: postId }));
+    recordGoLive(postId, 'publish');
   } catch (error) {
-    logError(error.message);
-    process.exit(1);
+    fail(error);
   }
 }
 
-async function schedulePost(postId, scheduledAt) {
+async function directPublish(content, platform = 'linkedin', { force } = {}) {
   try {
-    const response = await makeRequest(`/posts/${postId}/schedule`, 'POST', { scheduledAt });
-    logSuccess(response.message);
-    
-    if (response.data) {
-      console.log(`   Platform: ${response.data.platform}`);
-      console.log(`   Scheduled for: ${new Date(response.data.scheduledAt).toLocaleString()}`);
-    }
+    assertValidContent(content, platform);
+    checkDirect('publish', { force });
+    warnForced(force);
+    presentPublished(await getClient().call('publish', { content, platform }));
   } catch (error) {
-    logError(error.message);
-    process.exit(1);
+    fail(error);
   }
 }
 
-async function generateContent(prompt, platform = 'linkedin', tone = null) {
+async function schedulePost(postId, at, { tz, auto, period, force } = {}) {
   try {
-    const data = { prompt, platform };
-    if (tone) data.tone = tone;
-    
-    const response = await makeRequest('/ai/generate', 'POST', data);
-    logSuccess(response.message);
-    
-    console.log('\n📝 Generated Content:');
-    console.log('─'.repeat(60));
-    console.log(response.data.content);
-    console.log('─'.repeat(60));
-    console.log(`Platform: ${response.data.platform} | Length: ${response.data.content.length} chars`);
-    
-    if (response.data.warnings?.length > 0) {
-      console.log('\n⚠️  Warnings:');
-      response.data.warnings.forEach(warning => console.log(`   • ${warning}`));
+    if (auto && at) return usage('Pass either a time or --auto, not both');
+    if (!auto && !at) return usage(`Time is required: node cli.js ${commandUsage('schedule')} (or --auto)`);
+
+    // A bad time fails here, before any API call
+    const given = auto ? null : resolveAt(at, tz);
+    const client = getClient();
+    await assertApproved(client, postId, { action: 'schedule', force });
+    warnForced(force);
+    const picked = auto ? await pickAutoTime(client, postId, { tz, period }) : null;
+    if (picked && picked.platform !== 'twitter') {
+      logWarning(`The time was picked from your X engagement history; the API has no engagement data for ${picked.platform}.`);
+    }
+    if (picked && !picked.checkedAll) {
+      logWarning(`The API did not confirm that it listed every scheduled ${picked.platform} post, so the time may clash with one it left out.`);
     }
+    const { scheduledAt, timeZone } = picked
+      ? { scheduledAt: picked.date.toISOString(), timeZone: picked.timeZone }
+      : given;
+    const response = await client.call('schedulePost', { id: postId, scheduledAt });
+    recordGoLive(postId, 'schedule');
+    present(response, {
+      rows: post => (post ? [postRow(post)] : []),
+      columns: POST_COLUMNS,
+      ids: post => (post?.id ? [post.id] : []),
+      text: post => {
+        logSuccess(response.message);
+
+        if (post) {
+          console.log(`   Platform: ${post.platform}`);
+          console.log(`   Scheduled for: ${describeTime(new Date(post.scheduledAt || scheduledAt), timeZone)}`);
+        }
+        if (picked) {
+          console.log(`   Picked ${formatSlot(picked.slot)}: avg ${picked.slot.average.toFixed(1)} engagements over ${picked.slot.posts} X post${picked.slot.posts === 1 ? '' : 's'}, no clash with scheduled ${picked.platform} posts`);
+        }
+      }
+    });
   } catch (error) {
-    logError(error.message);
-    process.exit(1);
+    fail(error);
   }
 }
 
-function prompt(question) {
-  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-  return new Promise((resolve) => {
-    rl.question(question, (answer) => {
-      rl.close();
-      resolve(answer.trim());
+const BEST_TIMES_PERIOD = '90d';
+const AUTO_SLOT_COUNT = 5;
+
+// Scores weekday/hour slots from up to 100 tweets of X history
+async function loadEngagement(client, { period = BEST_TIMES_PERIOD, type = 'posts', timeZone }) {
+  const history = await client.xHistory({ type, period, limit: 100 });
+  return bucketEngagement(history.posts || [], timeZone);
+}
+
+/**
+ * For schedule --auto: the next top-engagement slot that is at least an hour
+ * away from the post's platform's scheduled posts. Slots come from X history,
+ * the only engagement data the API has, whatever the post's platform.
+ * @returns {{date: Date, slot: object, timeZone: string, platform: string, checkedAll: boolean}}
+ */
+async function pickAutoTime(client, postId, { tz, period }) {
+  const timeZone = tz ? resolveTimeZone(tz) : defaultTimeZone();
+  const post = await client.getPost(postId);
+  const { grid } = await loadEngagement(client, { period, timeZone });
+  const slots = topSlots(grid, AUTO_SLOT_COUNT);
+  if (slots.length === 0) {
+    throw new ClawPostError(`No X history in the last ${period || BEST_TIMES_PERIOD} to pick a time from. Pass a time instead of --auto`, {
+      code: 'VALIDATION_ERROR'
     });
-  });
+  }
+
+  const scheduled = await client.listAllPosts({ status: 'scheduled', platform: post.platform });
+  const busy = scheduled.posts
+    .filter(other => other.id !== postId && other.scheduledAt)
+    .map(other => new Date(other.scheduledAt));
+  const next = nextFreeSlot(slots, { timeZone, busy });
+  if (!next) {
+    throw new ClawPostError('Every top slot in the next two weeks clashes with a scheduled post. Pass a time instead of --auto', {
+      code: 'CONFLICT'
+    });
+  }
+  return { ...next, timeZone, platform: post.platform, checkedAll: scheduled.complete };
 }
 
-function saveApiKeyToConfig(apiKey) {
-  const configPath = path.join(os.homedir(), '.openclaw', 'openclaw.json');
-  if (!fs.existsSync(configPath)) {
-    return { saved: false, reason: `openclaw.json not found at ${configPath}` };
+const BEST_TIMES_COLUMNS = ['rank', 'slot', 'weekday', 'hour', 'posts', 'average', 'score', 'impressions'];
+
+async function bestTimes({ period = BEST_TIMES_PERIOD, type, limit, tz } = {}) {
+  try {
+    const timeZone = tz ? resolveTimeZone(tz) : defaultTimeZone();
+    const { grid, posts, average } = await loadEngagement(getClient(), { period, type, timeZone });
+    const top = topSlots(grid, Number(limit) || AUTO_SLOT_COUNT).map((cell, i) => ({
+      rank: i + 1,
+      slot: formatSlot(cell),
+      weekday: cell.weekday,
+      hour: cell.hour,
+      posts: cell.posts,
+      average: Number(cell.average.toFixed(2)),
+      score: Number(cell.score.toFixed(2)),
+      impressions: Math.round(cell.impressions / cell.posts)
+    }));
+
+    present({ data: { timeZone, period, posts, average: Number(average.toFixed(2)), top, grid } }, {
+      rows: data => data.top,
+      columns: BEST_TIMES_COLUMNS,
+      ids: data => data.top.map(slot => slot.slot),
+      text: data => {
+        if (data.posts === 0) {
+          logInfo(`No X history in period ${period}.`);
+          return;
+        }
+        console.log(`\n🕒 Engagement by weekday and hour (${timeZone}, ${data.posts} posts, period ${period}):\n`);
+        renderHeatmap(grid).forEach(line => console.log(`   ${line}`));
+        console.log('\n   · no posts   ░ ▒ ▓ █ low → high average engagement');
+
+        console.log('\n🏆 Top slots:');
+        data.top.forEach(slot => {
+          console.log(`   ${slot.rank}. ${slot.slot} — avg ${slot.average} engagements, ${slot.impressions} impressions (${slot.posts} post${slot.posts === 1 ? '' : 's'})`);
+        });
+        if (data.posts < 20) logWarning(`Only ${data.posts} posts in this period; treat the ranking as a rough guide.`);
+      }
+    });
+  } catch (error) {
+    fail(error);
   }
+}
+
+/**
+ * `style` holds a loaded template, its --var values and a voice profile;
+ * see generationRequest in lib/templates.js.
+ */
+async function generateContent(prompt, platform = 'linkedin', tone = null, style = {}) {
   try {
-    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-    if (!config.env) config.env = {};
-    config.env.CLAW_API_KEY = apiKey;
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 2) + '\n');
-    return { saved: true, configPath };
-  } catch (err) {
-    return { saved: false, reason: err.message };
+    const request = generationRequest({ prompt, platform, tone, ...style });
+    const response = await getClient().call('generate', { prompt: request.prompt, platform, tone: request.tone });
+    response.data.content = finishContent(response.data.content, request);
+    present(response, {
+      rows: data => [{ platform: data.platform, length: contentLength(data.content, data.platform), content: data.content }],
+      // There is no ID to print, so --quiet prints just the generated text
+      ids: data => [data.content],
+      text: data => {
+        logSuccess(response.message);
+
+        console.log('\n📝 Generated Content:');
+        console.log('─'.repeat(60));
+        console.log(data.content);
+        console.log('─'.repeat(60));
+        console.log(`Platform: ${data.platform} | Length: ${lengthLabel(data.content, data.platform)}`);
+
+        if (data.warnings?.length > 0) {
+          console.log('\n⚠️  Warnings:');
+          data.warnings.forEach(warning => console.log(`   • ${warning}`));
+        }
+      }
+    });
+  } catch (error) {
+    fail(error);
   }
 }
 
-async function setupWizard() {
-  console.log(`${colors.bold}🚀 ClawPost Setup Wizard${colors.reset}`);
-  console.log('='.repeat(40));
-  console.log('');
+function printReference(post) {
+  console.log(`\n   ↪ ${describeReference(post)} (${tweetUrl(post.reference)}):`);
+  if (post.reference.text) console.log(post.reference.text.replace(/^/gm, '     │ '));
+}
 
-  // Show current state if a key is already configured
-  if (API_KEY) {
-    logSuccess('An API key is already configured.');
-    try {
-      const res = await makeRequest('/status');
-      const { user, platforms, credits } = res.data;
-      console.log(`   Logged in as: ${user.name} (${user.email})`);
-      console.log(`   LinkedIn: ${platforms.linkedin ? '✅' : '❌'}  Twitter: ${platforms.twitter ? '✅' : '❌'}  Credits: ${credits.balance}`);
-    } catch (_) {
-      logWarning('Could not verify existing key against the API.');
-    }
-    console.log('');
-    const reconfigure = await prompt('Do you want to set a different API key? (y/N): ');
-    if (reconfigure.toLowerCase() !== 'y') {
-      logInfo('Setup cancelled. Your existing configuration is unchanged.');
-      return;
+function printPostDetails(post) {
+  console.log(`   ID: ${post.id}`);
+  console.log(`   Platform: ${post.platform}`);
+  console.log(`   Status: ${post.status}`);
+  if (post.postType && post.postType !== 'original') console.log(`   Type: ${post.postType}`);
+  if (post.scheduledAt) console.log(`   Scheduled for: ${describeTime(new Date(post.scheduledAt))}`);
+  if (post.publishedAt) console.log(`   Published: ${new Date(post.publishedAt).toLocaleString()}`);
+  if (post.availableActions) console.log(`   Actions: ${post.availableActions.join(', ') || 'none'}`);
+}
+
+async function showPost(postId, { cached } = {}) {
+  try {
+    let response;
+    if (cached || isLocalId(postId)) {
+      response = { message: 'Post found in local cache', data: getCachedPost(postId) };
+    } else {
+      response = await getClient().call('getPost', { id: postId });
+      rememberPosts([response.data]);
     }
-    console.log('');
+    present(response, {
+      rows: post => [postRow(post)],
+      columns: POST_COLUMNS,
+      ids: post => [post.id],
+      text: post => {
+        logSuccess(response.message);
+        printPostDetails(post);
+        if (post.pending) console.log(`   Pending: ${post.pending} (not synced yet)`);
+        if (post.conflict) logWarning(`Conflict: ${post.conflict.reason}. Resolve with "sync --prefer local" or "sync --prefer remote"`);
+
+        const review = reviewOf(post.id);
+        if (review) {
+          console.log(`   Review: ${describeReview(review)}${contentChanged(post, review) ? ' ⚠️  content changed since' : ''}`);
+          reviewLog(post.id).forEach(event => {
+            console.log(`     ${new Date(event.at).toLocaleString()}  ${event.action} by ${event.by}${event.comment ? ` — ${event.comment}` : ''}`);
+          });
+        }
+
+        if (post.reference) printReference(post);
+
+        console.log('\n📝 Content:');
+        console.log('─'.repeat(60));
+        console.log(post.content);
+        console.log('─'.repeat(60));
+      }
+    });
+  } catch (error) {
+    fail(error);
   }
+}
 
-  // Instructions
-  logInfo('Step 1: Create your account (if you haven\'t already)');
-  console.log('   Visit: https://clawpost.dev  →  Sign up');
-  console.log('');
-  logInfo('Step 2: Connect social platforms');
-  console.log('   Dashboard → Connect LinkedIn / Connect X (Twitter)');
-  console.log('');
-  logInfo('Step 3: Generate an API key');
-  console.log('   Dashboard → Settings → API Keys → Generate New Key');
-  console.log(`   The key starts with ${colors.cyan}claw_${colors.reset}`);
-  console.log('');
+function notADraft(post) {
+  return new ClawPostError(`Post ${post.id} is ${post.status}; only drafts can be changed`, { code: 'CONFLICT', status: 409 });
+}
 
-  // Prompt for the key
-  const inputKey = await prompt(`Paste your API key here: `);
-  if (!inputKey) {
-    logError('No API key entered. Setup aborted.');
-    process.exit(1);
+/**
+ * Opens a draft in $EDITOR and returns the new content, or null when it was
+ * saved unchanged. Content that fails validation can be fixed in the editor.
+ */
+async function editInEditor(postId, { offline } = {}) {
+  if (isMachineOutput() || !process.stdin.isTTY) {
+    throw new ClawPostError(`Content is required outside a terminal: node cli.js edit ${postId} "<content>" or --file <path>`, { code: 'USAGE_ERROR' });
   }
-  if (!inputKey.startsWith('claw_')) {
-    logWarning('Key does not start with "claw_" — double-check you copied the full key.');
+
+  let post;
+  if (offline || isLocalId(postId)) {
+    post = getCachedPost(postId);
+  } else {
+    post = await getClient().getPost(postId);
+    rememberPosts([post]);
   }
-  console.log('');
+  if (!post.availableActions?.includes('update')) throw notADraft(post);
 
-  // Validate against the API
-  logInfo('Validating key...');
-  let validationOk = false;
-  try {
-    // Temporarily override so makeRequest uses the new key
-    process.env.CLAW_API_KEY = inputKey;
-    const res = await makeRequest('/status');
-    const { user, platforms, credits } = res.data;
-    logSuccess(`Key is valid! Logged in as ${user.name} (${user.email})`);
-    console.log(`   LinkedIn: ${platforms.linkedin ? '✅ Connected' : '❌ Not connected'}`);
-    console.log(`   Twitter:  ${platforms.twitter  ? '✅ Connected' : '❌ Not connected'}`);
-    console.log(`   Credits:  ${credits.balance}`);
-    validationOk = true;
-  } catch (err) {
-    logError(`Key validation failed: ${err.message}`);
-    logWarning('The key was NOT saved. Please check it and try again.');
-    process.exit(1);
+  let content = post.content;
+  for (;;) {
+    content = editText(content, { name: postId });
+    if (content === post.content) return null;
+    try {
+      assertValidContent(content, post.platform);
+      return content;
+    } catch (error) {
+      if (error.code !== 'VALIDATION_ERROR') throw error;
+      logError(error.message);
+      const answer = await prompt('Open the editor again to fix it? (Y/n): ');
+      if (answer.toLowerCase() === 'n') throw error;
+    }
   }
+}
 
-  if (!validationOk) return;
-  console.log('');
+async function updatePost(postId, content, { offline } = {}) {
+  try {
+    if (content === undefined) {
+      content = await editInEditor(postId, { offline });
+      if (content === null) {
+        logInfo('No changes; draft not updated.');
+        return;
+      }
+    }
 
-  // Save to openclaw config
-  const { saved, configPath, reason } = saveApiKeyToConfig(inputKey);
-  if (saved) {
-    logSuccess(`API key saved to ${configPath}`);
-    logInfo('Restart the openclaw daemon for the change to take effect.');
-  } else {
-    logWarning(`Could not save to openclaw config: ${reason}`);
-    logInfo('Add the key manually to your shell profile:');
-    console.log(`   ${colors.yellow}export CLAW_API_KEY="${inputKey}"${colors.reset}`);
+    let response;
+    if (offline || isLocalId(postId)) {
+      response = { message: 'Draft updated locally', data: updateLocalPost(postId, { content }) };
+    } else {
+      try {
+        response = await getClient().call('updatePost', { id: postId, content });
+        rememberPosts([response.data]);
+      } catch (error) {
+        if (!isOfflineError(error)) throw error;
+        logWarning(`${error.message} — keeping the edit locally instead`);
+        response = { message: 'Draft updated locally', data: updateLocalPost(postId, { content }) };
+      }
+    }
+    present(response, {
+      rows: post => [postRow(post)],
+      columns: POST_COLUMNS,
+      ids: post => [post.id],
+      text: post => {
+        logSuccess(response.message);
+        printPostDetails(post);
+        if (post.pending) logInfo('Run "node cli.js sync" when online to upload.');
+      }
+    });
+  } catch (error) {
+    fail(error);
   }
+}
 
-  console.log('');
-  logSuccess('Setup complete! You can now use:');
-  console.log('   • node cli.js generate "your prompt" [platform] [tone]');
-  console.log('   • node cli.js draft "your content" [platform]');
-  console.log('   • node cli.js post "your content" [platform]');
-  console.log('   • node cli.js schedule post_id datetime');
-  console.log('');
+async function deletePost(postId, { offline } = {}) {
+  try {
+    let response;
+    if (offline || isLocalId(postId)) {
+      deleteLocalPost(postId);
+      response = { message: isLocalId(postId) ? 'Local draft deleted' : 'Draft marked for deletion on the next sync' };
+    } else {
+      const client = getClient();
+      // The audit log keeps the deleted content from the cache, so that "undo" can recreate it
+      if (!cachedRemote(postId)) rememberPosts([await client.getPost(postId)]);
+      response = await client.call('deletePost', { id: postId });
+      forgetPost(postId);
+    }
+    present(response, {
+      rows: () => [{ id: postId, deleted: true }],
+      ids: () => [postId],
+      text: () => logSuccess(response.message)
+    });
+  } catch (error) {
+    fail(error);
+  }
 }
 
-function showHelp() {
-  console.log(`
-${colors.bold}Social Media Publisher CLI${colors.reset}
+async function refineContent(content, instructions, platform = 'linkedin', { voice } = {}) {
+  try {
+    const { voice: profile } = loadTemplateAndVoice(null, voice);
+    const response = await getClient().call('refine', { content, instructions: applyVoice(instructions, profile), platform });
+    present(response, {
+      rows: data => [{ platform: data.platform, length: contentLength(data.content, data.platform), content: data.content }],
+      ids: data => [data.content],
+      text: data => {
+        logSuccess(response.message);
 
-${colors.blue}Quick Setup:${colors.reset}
-  ${colors.green}setup${colors.reset} / ${colors.green}login${colors.reset} / ${colors.green}apikey${colors.reset}         Interactive setup — prompts for API key, validates, and saves it
+        console.log('\n📝 Refined Content:');
+        console.log('─'.repeat(60));
+        console.log(data.content);
+        console.log('─'.repeat(60));
+        console.log(`Platform: ${data.platform} | Length: ${lengthLabel(data.content, data.platform)}`);
 
-${colors.blue}Commands:${colors.reset}
-  ${colors.green}status${colors.reset}                           Check API key and account info
-  ${colors.green}list [status] [platform] [limit]${colors.reset}  List posts (e.g., list draft linkedin 5)
-  ${colors.green}draft <content> [platform]${colors.reset}        Create draft (platform: linkedin|twitter)
-  ${colors.green}publish <post-id>${colors.reset}                Publish existing draft
-  ${colors.green}post <content> [platform]${colors.reset}        Publish immediately without draft
-  ${colors.green}schedule <post-id> <datetime>${colors.reset}     Schedule existing draft
-  ${colors.green}generate <prompt> [platform] [tone]${colors.reset} Generate content with AI
+        if (data.warnings?.length > 0) {
+          console.log('\n⚠️  Warnings:');
+          data.warnings.forEach(warning => console.log(`   • ${warning}`));
+        }
+      }
+    });
+  } catch (error) {
+    fail(error);
+  }
+}
 
-${colors.blue}Examples:${colors.reset}
-  node cli.js status
-  node cli.js list draft linkedin 10
-  node cli.js draft "Hello world!" linkedin
-  node cli.js publish post_12345
-  node cli.js post "Direct publish!" twitter
-  node cli.js schedule post_12345 "2026-02-20T10:00:00Z"
-  node cli.js generate "Write about code reviews" linkedin professional
+// Lets "refine <post-id> <instructions>" be told apart from refining text
+const POST_ID_PATTERN = /^(post|local)_[\w-]+$/;
 
-${colors.blue}Platforms:${colors.reset} linkedin, twitter
-${colors.blue}Post Statuses:${colors.reset} draft, published, scheduled, failed
-${colors.blue}Tones:${colors.reset} professional, casual, technical, marketing
-`);
+function formatDiff(parts) {
+  return parts.map(part => {
+    if (part.type === 'added') return `${colors.green}${colors.bold}${part.text}${colors.reset}`;
+    if (part.type === 'removed') return `${colors.red}${colors.strike}${part.text}${colors.reset}`;
+    return part.text;
+  }).join('');
 }
 
-async function main() {
-  const args = process.argv.slice(2);
-  const command = args[0];
-
-  try {
-    switch (command) {
-      case 'setup':
-      case 'login':
-      case 'apikey':
-        await setupWizard();
-        break;
-
-      case 'status':
-        await status();
-        break;
-
-      case 'list':
-        const listOptions = {};
-        if (args[1]) listOptions.status = args[1];
-        if (args[2]) listOptions.platform = args[2];
-        if (args[3]) listOptions.limit = args[3];
-        await listPosts(listOptions);
-        break;
-
-      case 'draft':
-        if (!args[1]) {
-          logError('Content is required: node cli.js draft "Your content here" [platform]');
-          process.exit(1);
-        }
-        await createDraft(args[1], args[2] || 'linkedin');
-        break;
+function printRefineDiff(original, refined, platform) {
+  const parts = diffWords(original, refined.content);
+  const { added, removed } = diffStats(parts);
+  console.log(`\n📝 Changes (${colors.green}+${added}${colors.reset} / ${colors.red}-${removed}${colors.reset} words):`);
+  console.log('─'.repeat(60));
+  console.log(formatDiff(parts));
+  console.log('─'.repeat(60));
+  console.log(`Platform: ${platform} | Length: ${lengthLabel(refined.content, platform)}`);
 
-      case 'publish':
-        if (!args[1]) {
-          logError('Post ID is required: node cli.js publish post_12345');
-          process.exit(1);
-        }
-        await publishPost(args[1]);
-        break;
+  if (refined.warnings?.length > 0) {
+    console.log('\n⚠️  Warnings:');
+    refined.warnings.forEach(warning => console.log(`   • ${warning}`));
+  }
+  validateContent(refined.content, platform).errors.forEach(error => logWarning(`${error.message}; fix it before accepting`));
+}
 
-      case 'post':
-        if (!args[1]) {
-          logError('Content is required: node cli.js post "Your content here" [platform]');
-          process.exit(1);
-        }
-        await directPublish(args[1], args[2] || 'linkedin');
-        break;
+/**
+ * Refines a draft with AI and shows a word diff against the original. In a
+ * terminal the result can be accepted, rejected or refined further; elsewhere
+ * it is only saved with --yes.
+ */
+async function refinePost(postId, instructions, { yes, voice } = {}) {
+  try {
+    const client = getClient();
+    const { voice: profile } = loadTemplateAndVoice(null, voice);
+    let post;
+    if (isLocalId(postId)) {
+      post = getCachedPost(postId);
+    } else {
+      post = await client.getPost(postId);
+      rememberPosts([post]);
+    }
+    if (!post.availableActions?.includes('update')) throw notADraft(post);
 
-      case 'schedule':
-        if (!args[1] || !args[2]) {
-          logError('Post ID and datetime are required: node cli.js schedule post_12345 "2026-02-20T10:00:00Z"');
-          process.exit(1);
-        }
-        await schedulePost(args[1], args[2]);
-        break;
+    const interactive = !yes && !isMachineOutput() && process.stdin.isTTY;
+    let refined;
+    let request = instructions;
+    for (;;) {
+      refined = await client.refine({ content: refined?.content ?? post.content, instructions: applyVoice(request, profile), platform: post.platform });
+      if (!interactive) break;
 
-      case 'generate':
-        if (!args[1]) {
-          logError('Prompt is required: node cli.js generate "Write about AI trends" [platform] [tone]');
-          process.exit(1);
-        }
-        await generateContent(args[1], args[2] || 'linkedin', args[3]);
-        break;
-
-      case 'help':
-      case '--help':
-      case '-h':
-        showHelp();
-        break;
-        
-      default:
-        if (!API_KEY) {
-          console.log(`${colors.red}❌ No API key found!${colors.reset}`);
-          console.log(`${colors.blue}👉 Run setup wizard: ${colors.green}node cli.js setup${colors.reset}`);
-          console.log(`${colors.blue}👉 Or get help: ${colors.green}node cli.js help${colors.reset}`);
-        } else {
-          showHelp();
-        }
-        break;
+      printRefineDiff(post.content, refined, post.platform);
+      const answer = (await prompt('\n[a]ccept, [r]eject or [i]terate with more instructions? ')).toLowerCase();
+      if (answer === 'i' || answer === 'iterate') {
+        request = await prompt('More instructions: ');
+        if (request) continue;
+      }
+      if (answer !== 'a' && answer !== 'accept') {
+        logInfo('Refinement rejected; draft left unchanged.');
+        return;
+      }
+      break;
+    }
+
+    const save = interactive || yes;
+    let saved = null;
+    if (save) {
+      assertValidContent(refined.content, post.platform);
+      if (isLocalId(postId)) {
+        saved = updateLocalPost(postId, { content: refined.content });
+      } else {
+        saved = await client.updatePost(postId, { content: refined.content });
+        rememberPosts([saved]);
+      }
     }
+
+    const response = {
+      message: save ? 'Draft updated with the refined content' : 'Refined content not saved; pass --yes to save it',
+      data: {
+        id: postId,
+        platform: post.platform,
+        original: post.content,
+        content: refined.content,
+        diff: diffWords(post.content, refined.content),
+        warnings: refined.warnings || [],
+        saved: Boolean(saved)
+      }
+    };
+    present(response, {
+      rows: data => [{ id: data.id, platform: data.platform, saved: data.saved, length: contentLength(data.content, data.platform), content: data.content }],
+      ids: data => [data.id],
+      text: data => {
+        if (!interactive) printRefineDiff(data.original, refined, data.platform);
+        if (save) logSuccess(response.message);
+        else logInfo(response.message);
+      }
+    });
   } catch (error) {
-    logError(`Unexpected error: ${error.message}`);
-    process.exit(1);
+    fail(error);
+  }
+}
+
+async function scheduleNew(content, at, platform = 'linkedin', tz, { force } = {}) {
+  try {
+    const { scheduledAt, timeZone } = resolveAt(at, tz);
+    assertValidContent(content, platform);
+    checkDirect('schedule', { force });
+    warnForced(force);
+    const response = await getClient().call('schedule', { content, platform, scheduledAt });
+    present(response, {
+      rows: post => [postRow(post)],
+      columns: POST_COLUMNS,
+      ids: post => [post.id],
+      text: post => {
+        logSuccess(response.message);
+        console.log(`   Post ID: ${post.id}`);
+        console.log(`   Platform: ${post.platform}`);
+        console.log(`   Scheduled for: ${describeTime(new Date(post.scheduledAt || scheduledAt), timeZone)}`);
+      }
+    });
+  } catch (error) {
+    fail(error);
+  }
+}
+
+const REFERENCE_ENDPOINTS = { draft: 'createDraft', publish: 'publish', schedule: 'schedule' };
+
+/**
+ * Replies to, quotes or remixes an X post. Saves a draft unless --publish
+ * or --at is given; with --generate the text is written by AI with the
+ * referenced tweet as context.
+ */
+async function referenceCommand(postType, tweet, content, {
+  generate, prompt: guidance, tone, voice, refText, author, publish, at, tz, yes, force
+} = {}) {
+  try {
+    if (publish && at) return usage('Pass either --publish or --at, not both');
+    if (content && generate) return usage('Pass either the text or --generate, not both');
+    if (!content && !generate) return usage(`Text is required: node cli.js ${commandUsage(postType)} (or --generate)`);
+    if (guidance && !generate) return usage('--prompt only applies with --generate');
+
+    const action = at ? 'schedule' : publish ? 'publish' : 'draft';
+    const when = at ? resolveAt(at, tz) : {};
+    const client = getClient();
+    let reference = { ...parseTweetRef(tweet), text: refText || null };
+    if (author) reference.author = author.replace(/^@/, '');
+
+    if (generate) {
+      reference = await resolveReference(client, reference);
+      if (!reference.text) {
+        return usage(`Tweet ${reference.tweetId} is not in your X history; pass its text with --ref-text so the AI knows what it says`);
+      }
+      const { voice: profile } = loadTemplateAndVoice(null, voice);
+      const request = generationRequest({ prompt: referencePrompt(postType, reference, guidance), platform: 'twitter', tone, voice: profile });
+      const generated = await client.call('generate', { prompt: request.prompt, platform: 'twitter', tone: request.tone });
+      content = finishContent(generated.data.content, request);
+    }
+
+    assertValidContent(content, 'twitter');
+    if (action !== 'draft') {
+      checkDirect(action, { force });
+      warnForced(force);
+    }
+
+    // AI text goes live only after someone has read it
+    if (generate && action !== 'draft' && !yes) {
+      if (isMachineOutput() || !process.stdin.isTTY) {
+        return usage(`Pass --yes to ${action} AI-written text without reviewing it, or leave out --${publish ? 'publish' : 'at'} to save a draft`);
+      }
+      console.log('\n📝 Generated Content:');
+      console.log('─'.repeat(60));
+      console.log(content);
+      console.log('─'.repeat(60));
+      const answer = await prompt(`${capitalize(action)} this ${postType}? (y/N): `);
+      if (answer.toLowerCase() !== 'y') {
+        logInfo('Nothing posted. Leave out --publish/--at to keep it as a draft.');
+        return undefined;
+      }
+    }
+
+    const params = { content, platform: 'twitter', postType, reference: { tweetId: reference.tweetId } };
+    if (reference.text) params.reference.text = reference.text;
+    if (reference.author) params.reference.author = reference.author;
+    if (when.scheduledAt) params.scheduledAt = when.scheduledAt;
+    const response = await client.call(REFERENCE_ENDPOINTS[action], params);
+    if (action === 'draft') rememberPosts([response.data]);
+
+    present(response, {
+      rows: post => [postRow(post)],
+      columns: POST_COLUMNS,
+      ids: post => [post.id],
+      text: post => {
+        logSuccess(response.message);
+        printPostDetails(post);
+        if (action === 'schedule' && !post.scheduledAt) console.log(`   Scheduled for: ${describeTime(new Date(when.scheduledAt), when.timeZone)}`);
+        printReference({ ...post, postType, reference: post.reference || params.reference });
+        console.log('\n📝 Content:');
+        console.log('─'.repeat(60));
+        console.log(post.content);
+        console.log('─'.repeat(60));
+      }
+    });
+  } catch (error) {
+    fail(error);
+  }
+}
+
+// /platforms returns a list of connections; tolerate a {platform: bool} map too
+function platformRows(data) {
+  const list = data.platforms || data;
+  if (Array.isArray(list)) return list;
+  return Object.entries(list).map(([platform, connected]) => ({ platform, connected }));
+}
+
+async function listPlatforms() {
+  try {
+    const response = await getClient().call('platforms');
+    present(response, {
+      rows: platformRows,
+      ids: data => platformRows(data).filter(p => p.connected !== false).map(p => p.platform),
+      text: data => {
+        logSuccess(response.message);
+        console.log('\n🔗 Platforms:');
+        platformRows(data).forEach(entry => {
+          const account = entry.username ? `@${entry.username}` : entry.name;
+          const label = entry.connected === false ? '❌ Not connected' : '✅ Connected';
+          console.log(`   ${entry.platform}: ${label}${account ? ` (${account})` : ''}`);
+        });
+      }
+    });
+  } catch (error) {
+    fail(error);
+  }
+}
+
+async function showCredits() {
+  try {
+    const response = await getClient().call('credits');
+    present(response, {
+      ids: data => [String(data.balance)],
+      text: data => {
+        logSuccess(response.message);
+        console.log(`   Credits: ${data.balance}`);
+        console.log(`   Custom AI Key: ${data.hasCustomAIKey ? 'Yes' : 'No'}`);
+      }
+    });
+  } catch (error) {
+    fail(error);
+  }
+}
+
+const HISTORY_COLUMNS = ['id', 'createdAt', 'type', 'likes', 'retweets', 'replies', 'impressions', 'text'];
+
+function historyRow(tweet) {
+  const metrics = tweet.metrics || {};
+  return {
+    id: tweet.id,
+    createdAt: tweet.createdAt,
+    type: tweet.type,
+    likes: metrics.likes,
+    retweets: metrics.retweets,
+    replies: metrics.replies,
+    impressions: metrics.impressions,
+    text: tweet.text
+  };
+}
+
+async function showHistory(options = {}) {
+  try {
+    const response = await getClient().call('xHistory', options);
+    present(response, {
+      rows: data => data.posts.map(historyRow),
+      columns: HISTORY_COLUMNS,
+      ids: data => data.posts.map(tweet => tweet.id),
+      text: data => {
+        logSuccess(response.message);
+        const { summary = {}, posts } = data;
+
+        console.log('\n📈 Summary:');
+        console.log(`   Posts: ${summary.totalPosts ?? '-'} | Replies: ${summary.totalReplies ?? '-'}`);
+        console.log(`   Likes: ${summary.totalLikes ?? '-'} | Retweets: ${summary.totalRetweets ?? '-'} | Impressions: ${summary.totalImpressions ?? '-'}`);
+
+        if (posts.length === 0) {
+          logInfo('No posts found.');
+          return;
+        }
+
+        console.log('\n🐦 Posts:');
+        posts.forEach(tweet => {
+          const metrics = tweet.metrics || {};
+          console.log(`   ${new Date(tweet.createdAt).toLocaleString()} - ${tweet.text.substring(0, 60)}...`);
+          console.log(`      ❤️ ${metrics.likes ?? 0}  🔁 ${metrics.retweets ?? 0}  💬 ${metrics.replies ?? 0}  👁️ ${metrics.impressions ?? 0} | ID: ${tweet.id}`);
+        });
+      }
+    });
+  } catch (error) {
+    fail(error);
+  }
+}
+
+const ANALYTICS_COLUMNS = ['id', 'createdAt', 'type', 'length', 'hashtags', 'likes', 'retweets', 'replies', 'impressions', 'engagements', 'rate', 'movingAverage', 'text'];
+const SPARK = '▁▂▃▄▅▆▇█';
+
+function sparkline(values) {
+  const present = values.filter(value => value !== null);
+  const max = Math.max(...present);
+  const min = Math.min(...present);
+  return values.map(value => {
+    if (value === null) return ' ';
+    return SPARK[max === min ? 0 : Math.round(((value - min) / (max - min)) * (SPARK.length - 1))];
+  }).join('');
+}
+
+function statsRow(label, stats) {
+  return {
+    [label.name]: label.value,
+    posts: stats.posts,
+    rate: percent(stats.averageRate),
+    engagements: number(stats.averageEngagements, 1),
+    impressions: number(stats.averageImpressions)
+  };
+}
+
+function printAnalytics(report, source) {
+  const { overview } = report;
+  const performer = post => ({
+    date: post.createdAt?.slice(0, 10),
+    type: post.type,
+    rate: percent(post.rate),
+    engagements: post.engagements,
+    impressions: post.impressions,
+    text: post.text.replace(/\s+/g, ' ').slice(0, 50)
+  });
+
+  console.log(`\n📊 X analytics — ${source}`);
+  console.log(`   Posts: ${overview.posts} (${overview.originals} original, ${overview.replies} replies)` +
+    (overview.from ? ` from ${overview.from.slice(0, 10)} to ${overview.to.slice(0, 10)}` : ''));
+  console.log(`   Engagements: ${overview.engagements} | Impressions: ${overview.impressions} | Rate: ${percent(overview.engagementRate)} (avg per post ${percent(overview.averageRate)})`);
+  if (overview.posts === 0) return;
+
+  console.log(`\n📈 Engagement rate, moving average over ${MOVING_WINDOW} posts (oldest → newest):`);
+  console.log(`   ${sparkline(report.posts.map(post => post.movingAverage))}`);
+
+  console.log('\n🏆 Top posts:');
+  console.log(toTable(report.top.map(performer)).replace(/^/gm, '   '));
+  console.log('\n🔻 Bottom posts:');
+  console.log(toTable(report.bottom.map(performer)).replace(/^/gm, '   '));
+
+  console.log('\n💬 Originals vs replies:');
+  console.log(toTable(report.types.map(row => statsRow({ name: 'type', value: row.type }, row))).replace(/^/gm, '   '));
+
+  const r = report.length.correlation;
+  console.log(`\n📏 Length (weighted chars)${r === null ? '' : ` — correlation with rate r = ${r.toFixed(2)}`}:`);
+  console.log(toTable(report.length.bands.map(row => statsRow({ name: 'length', value: row.band }, row))).replace(/^/gm, '   '));
+
+  const { withHashtags, withoutHashtags, tags } = report.hashtags;
+  console.log('\n#️⃣  Hashtags:');
+  console.log(`   With hashtags ${percent(withHashtags.averageRate)} (${withHashtags.posts} posts) · without ${percent(withoutHashtags.averageRate)} (${withoutHashtags.posts} posts)`);
+  if (tags.length > 0) {
+    console.log(toTable(tags.map(row => ({
+      ...statsRow({ name: 'tag', value: row.tag }, row),
+      lift: row.lift === null ? '–' : `${row.lift >= 0 ? '+' : ''}${(row.lift * 100).toFixed(0)}%`
+    }))).replace(/^/gm, '   '));
+  }
+}
+
+async function analyticsCommand({ period, type, fromFile, html }) {
+  try {
+    let tweets;
+    let source;
+    if (fromFile) {
+      let dump;
+      try {
+        dump = JSON.parse(fs.readFileSync(fromFile, 'utf8'));
+      } catch (err) {
+        throw new ClawPostError(`Could not read history from ${fromFile}: ${err.message}`, { code: 'VALIDATION_ERROR' });
+      }
+      // Dumps hold whatever was saved, so filter them the way the API would
+      tweets = filterHistory(historyPosts(dump), { type, period });
+      source = `${fromFile}${period ? `, period ${period}` : ''}${type ? `, ${type}` : ''}`;
+    } else {
+      const history = await getClient().xHistory({ type, period: period || '30d', limit: 100 });
+      tweets = history.posts || [];
+      source = `period ${period || '30d'}${type ? `, ${type}` : ''}`;
+    }
+
+    const report = analyzeHistory(tweets);
+    if (html) {
+      fs.writeFileSync(html, toHtml(report, { title: 'X analytics', subtitle: `${source} · generated ${new Date().toLocaleString()}` }));
+    }
+
+    present({ data: report }, {
+      rows: data => data.posts,
+      columns: ANALYTICS_COLUMNS,
+      ids: data => data.posts.map(post => post.id),
+      text: data => {
+        printAnalytics(data, source);
+        if (html) logSuccess(`HTML report written to ${html}`);
+      }
+    });
+  } catch (error) {
+    fail(error);
+  }
+}
+
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+// Like prompt(), but the answer is shown as "*" (used for keys and passphrases)
+function promptSecret(question) {
+  const input = process.stdin;
+  if (!input.isTTY) return prompt(question);
+
+  return new Promise((resolve) => {
+    let answer = '';
+    const onData = (chunk) => {
+      for (const char of String(chunk)) {
+        if (char === '\r' || char === '\n') {
+          input.removeListener('data', onData);
+          input.setRawMode(false);
+          input.pause();
+          process.stdout.write('\n');
+          resolve(answer.trim());
+          return;
+        }
+        if (char === '\u0003') {
+          input.setRawMode(false);
+          process.stdout.write('\n');
+          process.exit(130);
+        }
+        if (char === '\u007f' || char === '\b') {
+          if (answer) process.stdout.write('\b \b');
+          answer = answer.slice(0, -1);
+        } else if (char >= ' ') {
+          answer += char;
+          process.stdout.write('*');
+        }
+      }
+    };
+
+    process.stdout.write(question);
+    input.setRawMode(true);
+    input.resume();
+    input.on('data', onData);
+  });
+}
+
+/**
+ * Picks the credentials for this run (see lib/profiles.js). An encrypted
+ * profile is only unlocked when `unlock` is set, with CLAW_PASSPHRASE or a
+ * passphrase prompt.
+ */
+async function loadCredentials(profileName, { unlock = true } = {}) {
+  const name = activeProfileName(profileName);
+  if (!name) return;
+
+  const profile = getProfile(name);
+  credentials.profile = name;
+  credentials.apiUrl = profile.apiUrl || process.env.CLAW_API_URL || DEFAULT_API_URL;
+  credentials.apiKey = null;
+  if (profile.encrypted && !unlock) return;
+
+  let passphrase;
+  if (profile.encrypted) {
+    passphrase = process.env.CLAW_PASSPHRASE;
+    if (!passphrase && process.stdin.isTTY && !isMachineOutput()) {
+      passphrase = await promptSecret(`🔐 Passphrase for profile "${name}": `);
+    }
+  }
+  credentials.apiKey = profileKey(profile, passphrase);
+}
+
+// Opt-in: OpenClaw reads CLAW_API_KEY from its own config, in plain text
+function saveApiKeyToConfig(apiKey) {
+  const configPath = path.join(os.homedir(), '.openclaw', 'openclaw.json');
+  try {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    if (!config.env) config.env = {};
+    config.env.CLAW_API_KEY = apiKey;
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2) + '\n', { mode: 0o600 });
+    fs.chmodSync(configPath, 0o600);
+    return { saved: true, configPath };
+  } catch (err) {
+    return { saved: false, reason: err.message };
+  }
+}
+
+function openclawConfigExists() {
+  return fs.existsSync(path.join(os.homedir(), '.openclaw', 'openclaw.json'));
+}
+
+async function askPassphrase() {
+  const passphrase = await promptSecret('Passphrase: ');
+  if (!passphrase) return null;
+  const again = await promptSecret('Repeat the passphrase: ');
+  if (again !== passphrase) {
+    logError('Passphrases do not match. Setup aborted; nothing was saved.');
+    process.exit(1);
+  }
+  return passphrase;
+}
+
+async function setupWizard({ profile: requestedName, 'api-url': requestedUrl } = {}) {
+  console.log(`${colors.bold}🚀 ClawPost Setup Wizard${colors.reset}`);
+  console.log('='.repeat(40));
+  console.log('');
+
+  // Show current state if a key is already configured
+  const profiles = listProfiles();
+  if (credentials.apiKey) {
+    logSuccess(`An API key is already configured${credentials.profile ? ` (profile "${credentials.profile}")` : ' (CLAW_API_KEY)'}.`);
+    try {
+      const { user, platforms, credits } = await getClient().status();
+      console.log(`   Logged in as: ${user.name} (${user.email})`);
+      console.log(`   LinkedIn: ${platforms.linkedin ? '✅' : '❌'}  Twitter: ${platforms.twitter ? '✅' : '❌'}  Credits: ${credits.balance}`);
+    } catch (_) {
+      logWarning('Could not verify existing key against the API.');
+    }
+    console.log('');
+  }
+  if (profiles.length > 0) {
+    logInfo(`Saved profiles: ${profiles.map(profile => (profile.current ? `${profile.name} (current)` : profile.name)).join(', ')}`);
+    console.log('');
+  }
+
+  // Which profile to write; existing ones are only replaced when confirmed
+  let name = requestedName;
+  if (!name) {
+    const suggested = profiles.length === 0 ? 'default' : '';
+    const answer = await prompt(suggested ? `Profile name [${suggested}]: ` : 'Name for a new profile (Enter to cancel): ');
+    name = answer || suggested;
+    if (!name) {
+      logInfo('Setup cancelled. Your existing configuration is unchanged.');
+      return;
+    }
+  }
+  if (hasProfile(name)) {
+    const replace = await prompt(`Profile "${name}" already exists. Replace its key? (y/N): `);
+    if (replace.toLowerCase() !== 'y') {
+      logInfo('Setup cancelled. Your existing configuration is unchanged.');
+      return;
+    }
+  }
+  console.log('');
+
+  // Instructions
+  logInfo('Step 1: Create your account (if you haven\'t already)');
+  console.log('   Visit: https://clawpost.dev  →  Sign up');
+  console.log('');
+  logInfo('Step 2: Connect social platforms');
+  console.log('   Dashboard → Connect LinkedIn / Connect X (Twitter)');
+  console.log('');
+  logInfo('Step 3: Generate an API key');
+  console.log('   Dashboard → Settings → API Keys → Generate New Key');
+  console.log(`   The key starts with ${colors.cyan}claw_${colors.reset}`);
+  console.log('');
+
+  // Prompt for the key without echoing it
+  const inputKey = await promptSecret('Paste your API key here: ');
+  if (!inputKey) {
+    logError('No API key entered. Setup aborted.');
+    process.exit(1);
+  }
+  if (!inputKey.startsWith('claw_')) {
+    logWarning('Key does not start with "claw_" — double-check you copied the full key.');
+  }
+  console.log('');
+
+  // Validate against the API
+  const apiUrl = requestedUrl || process.env.CLAW_API_URL || null;
+  logInfo(`Validating key${apiUrl ? ` against ${apiUrl}` : ''}...`);
+  try {
+    // Temporarily override so the client uses the new key
+    credentials.apiKey = inputKey;
+    credentials.apiUrl = apiUrl || DEFAULT_API_URL;
+    const { user, platforms, credits } = await getClient().status();
+    logSuccess(`Key is valid! Logged in as ${user.name} (${user.email})`);
+    console.log(`   LinkedIn: ${platforms.linkedin ? '✅ Connected' : '❌ Not connected'}`);
+    console.log(`   Twitter:  ${platforms.twitter  ? '✅ Connected' : '❌ Not connected'}`);
+    console.log(`   Credits:  ${credits.balance}`);
+  } catch (err) {
+    logError(`Key validation failed: ${err.message}`);
+    logWarning('The key was NOT saved. Please check it and try again.');
+    process.exit(1);
+  }
+  console.log('');
+
+  // Save to the profile store
+  let passphrase = null;
+  const encrypt = await prompt('Encrypt the key with a passphrase? You will need it for every command. (y/N): ');
+  if (encrypt.toLowerCase() === 'y') {
+    passphrase = await askPassphrase();
+    if (!passphrase) logWarning('Empty passphrase; the key is stored unencrypted.');
+  }
+  let makeCurrent = profiles.length === 0;
+  if (!makeCurrent && !profiles.find(profile => profile.name === name)?.current) {
+    makeCurrent = (await prompt(`Switch to "${name}" now? (y/N): `)).toLowerCase() === 'y';
+  }
+  const saved = saveProfile(name, { apiKey: inputKey, apiUrl, passphrase }, { makeCurrent });
+  logSuccess(`API key saved to profile "${name}" in ${saved.file} (readable only by you${saved.encrypted ? ', encrypted' : ''})`);
+  if (saved.current) logInfo(`"${name}" is the current profile.`);
+  else logInfo(`Use it with --profile ${name}, or switch with "node cli.js profile use ${name}".`);
+  if (saved.encrypted) logInfo('Set CLAW_PASSPHRASE to unlock it without a prompt, e.g. in scripts.');
+  if (process.env.CLAW_API_KEY) {
+    logWarning('CLAW_API_KEY is set in this shell and is used instead of the current profile; unset it or pass --profile.');
+  }
+
+  // OpenClaw only reads its own config, so offer to put the key there too
+  if (openclawConfigExists()) {
+    const openclaw = await prompt('Also save the key to ~/.openclaw/openclaw.json for the OpenClaw skill? It is stored there unencrypted. (y/N): ');
+    if (openclaw.toLowerCase() === 'y') {
+      const { saved: written, configPath, reason } = saveApiKeyToConfig(inputKey);
+      if (written) {
+        logSuccess(`API key saved to ${configPath}`);
+        logInfo('Restart the openclaw daemon for the change to take effect.');
+      } else {
+        logWarning(`Could not save to openclaw config: ${reason}`);
+      }
+    }
+  }
+
+  console.log('');
+  logSuccess('Setup complete! You can now use:');
+  console.log('   • node cli.js generate "your prompt" [platform] [tone]');
+  console.log('   • node cli.js draft "your content" [platform]');
+  console.log('   • node cli.js post "your content" [platform]');
+  console.log('   • node cli.js schedule post_id time');
+  console.log('');
+}
+
+const PROFILE_ACTIONS = ['list', 'use', 'remove'];
+
+async function profileCommand(action = 'list', name, { yes } = {}) {
+  try {
+    if (!PROFILE_ACTIONS.includes(action)) {
+      return usage(`Unknown profile action "${action}". Expected one of: ${PROFILE_ACTIONS.join(', ')} (add profiles with "node cli.js setup --profile <name>")`);
+    }
+
+    if (action === 'list') {
+      const profiles = listProfiles();
+      const response = { message: `${profiles.length} profiles`, data: { profiles, active: credentials.profile } };
+      return present(response, {
+        rows: data => data.profiles,
+        columns: ['name', 'current', 'encrypted', 'apiUrl', 'key', 'createdAt'],
+        ids: data => data.profiles.map(profile => profile.name),
+        text: data => {
+          if (data.profiles.length === 0) {
+            logInfo('No profiles yet. Add one with "node cli.js setup".');
+            return;
+          }
+          logSuccess(`Profiles (${profilesFile()}):`);
+          data.profiles.forEach(profile => {
+            const marker = profile.current ? `${colors.green}*${colors.reset}` : ' ';
+            const details = [profile.key, profile.apiUrl, profile.encrypted ? '🔐 encrypted' : null].filter(Boolean).join('  ');
+            console.log(` ${marker} ${colors.bold}${profile.name}${colors.reset}  ${details}`);
+          });
+          if (process.env.CLAW_API_KEY && !data.active) logWarning('CLAW_API_KEY is set and overrides the current profile.');
+        }
+      });
+    }
+
+    if (!name) return usage(`Profile name is required: node cli.js profile ${action} <name>`);
+
+    if (action === 'use') {
+      useProfile(name);
+      const response = { message: `Now using profile "${name}"`, data: { name } };
+      return present(response, {
+        ids: data => [data.name],
+        text: () => {
+          logSuccess(response.message);
+          if (process.env.CLAW_API_KEY) logWarning('CLAW_API_KEY is set in this shell and still takes precedence; unset it to use the profile.');
+        }
+      });
+    }
+
+    getProfile(name);
+    if (!yes) {
+      if (isMachineOutput() || !process.stdin.isTTY) return usage('Pass --yes to remove a profile without the confirmation prompt');
+      const answer = await prompt(`Remove profile "${name}" and its stored key? (y/N): `);
+      if (answer.toLowerCase() !== 'y') {
+        logInfo('Profile kept.');
+        return undefined;
+      }
+    }
+    const result = removeProfile(name);
+    const response = { message: `Profile "${name}" removed`, data: result };
+    return present(response, {
+      ids: data => [data.name],
+      text: data => {
+        logSuccess(response.message);
+        if (data.wasCurrent) logInfo('No profile is current now; pick one with "node cli.js profile use <name>".');
+      }
+    });
+  } catch (error) {
+    return fail(error);
+  }
+}
+
+function checkContent(content, platform = 'all') {
+  try {
+    const results = parsePlatforms(platform).map(target => validateContent(content, target));
+    const valid = results.every(result => result.valid);
+    const response = { message: valid ? 'Content is valid' : 'Content failed validation', data: { valid, results } };
+
+    present(response, {
+      rows: data => data.results.map(result => ({
+        platform: result.platform,
+        valid: result.valid,
+        length: result.length,
+        limit: result.limit,
+        hashtags: result.stats.hashtags,
+        mentions: result.stats.mentions,
+        urls: result.stats.urls,
+        errors: result.errors.map(error => error.message),
+        warnings: result.warnings.map(warning => warning.message)
+      })),
+      ids: data => data.results.filter(result => !result.valid).map(result => result.platform),
+      text: data => {
+        if (valid) logSuccess(response.message);
+        else logError(response.message);
+
+        data.results.forEach(result => {
+          console.log(`\n${result.valid ? '✅' : '❌'} ${result.platform.toUpperCase()} — ${lengthLabel(content, result.platform)}`);
+          console.log(`   Hashtags: ${result.stats.hashtags} | Mentions: ${result.stats.mentions} | URLs: ${result.stats.urls}`);
+          result.errors.forEach(error => console.log(`   ${colors.red}✗ ${error.message}${colors.reset}`));
+          result.warnings.forEach(warning => console.log(`   ${colors.yellow}⚠ ${warning.message}${colors.reset}`));
+        });
+      }
+    });
+    if (!valid) process.exit(exitCodeFor('VALIDATION_ERROR'));
+  } catch (error) {
+    fail(error);
+  }
+}
+
+// A relative --at resolves differently on every run, so a retry must pin the time
+function resumeFlags(at, scheduledAt) {
+  return at && at !== scheduledAt ? `--resume --at ${scheduledAt}` : '--resume';
+}
+
+const CROSS_POST_VERBS = {
+  draft: 'Draft created',
+  publish: 'Published',
+  schedule: 'Scheduled'
+};
+
+// Exits with the first failure's code when some platforms did not succeed
+function exitOnPartialFailure(results) {
+  const failed = results.find(result => !result.success);
+  if (failed) process.exit(exitCodeFor(failed.error.code));
+}
+
+// Text shortened by AI is shown before it is posted, and goes live only once someone has read it
+async function confirmShortened(action, shortened, yes) {
+  const live = action !== 'draft';
+  if (live && !yes && (isMachineOutput() || !process.stdin.isTTY)) {
+    throw new ClawPostError(`Pass --yes to ${action} text shortened by AI without reviewing it`, { code: 'USAGE_ERROR' });
+  }
+  if (isMachineOutput()) return true;
+
+  shortened.forEach(item => {
+    console.log(`\n✂️  Shortened for ${item.platform} with AI refine (${lengthLabel(item.content, item.platform)}):`);
+    console.log('─'.repeat(60));
+    console.log(item.content);
+    console.log('─'.repeat(60));
+  });
+  if (!live || yes) return true;
+  const answer = await prompt(`${capitalize(action)} on every platform with this text? (y/N): `);
+  return answer.toLowerCase() === 'y';
+}
+
+async function crossPostCommand(action, { content, platform, at, tz, force, resume, yes }) {
+  try {
+    const platforms = parsePlatforms(platform);
+    const when = at ? resolveAt(at, tz) : {};
+    assertValidContent(content, platforms, { ignore: ['TOO_LONG'] });
+    if (action !== 'draft') {
+      checkDirect(action, { force });
+      warnForced(force);
+    }
+    const { key, results, declined } = await crossPost(getClient(), {
+      action,
+      content,
+      platforms,
+      scheduledAt: when.scheduledAt,
+      resume,
+      confirm: shortened => confirmShortened(action, shortened, yes)
+    });
+    if (declined) {
+      logInfo('Nothing posted.');
+      return;
+    }
+    const succeeded = results.filter(result => result.success).length;
+    const response = {
+      message: `${succeeded}/${results.length} platforms succeeded`,
+      data: { key, results }
+    };
+
+    present(response, {
+      rows: data => data.results.map(result => ({
+        platform: result.platform,
+        success: result.success,
+        skipped: Boolean(result.skipped),
+        adapted: Boolean(result.adapted),
+        id: result.post?.id,
+        error: result.error?.message
+      })),
+      ids: data => data.results.filter(result => result.post?.id).map(result => result.post.id),
+      text: data => {
+        if (succeeded === results.length) logSuccess(response.message);
+        else logWarning(response.message);
+        if (when.scheduledAt) console.log(`   Scheduled for: ${describeTime(new Date(when.scheduledAt), when.timeZone)}`);
+
+        data.results.forEach(result => {
+          const name = result.platform.toUpperCase();
+          if (result.skipped) {
+            logInfo(`${name}: already done on an earlier run (${result.post?.id}) — skipped`);
+          } else if (result.success) {
+            logSuccess(`${name}: ${CROSS_POST_VERBS[action]} (${result.post?.id})`);
+          } else {
+            logError(`${name}: ${result.error.message}`);
+          }
+        });
+
+        if (succeeded < results.length) {
+          logInfo(`Run the same command again with ${resumeFlags(at, when.scheduledAt)} to retry only the failed platforms.`);
+        }
+      }
+    });
+    exitOnPartialFailure(results);
+  } catch (error) {
+    fail(error);
+  }
+}
+
+async function generateForPlatforms(promptText, platform, tone = null, style = {}) {
+  try {
+    const client = getClient();
+    const results = [];
+    const requests = parsePlatforms(platform).map(target => [target, generationRequest({ prompt: promptText, platform: target, tone, ...style })]);
+    for (const [target, request] of requests) {
+      try {
+        const data = await client.generate({ prompt: request.prompt, platform: target, tone: request.tone });
+        results.push({ platform: target, success: true, content: finishContent(data.content, request), warnings: data.warnings });
+      } catch (error) {
+        results.push({ platform: target, success: false, error: { code: error.code, message: error.message } });
+      }
+    }
+
+    const response = { message: 'Content generated', data: { results } };
+    present(response, {
+      rows: data => data.results.map(result => ({
+        platform: result.platform,
+        success: result.success,
+        length: result.content && contentLength(result.content, result.platform),
+        content: result.content,
+        error: result.error?.message
+      })),
+      ids: data => data.results.filter(result => result.success).map(result => result.content),
+      text: data => {
+        data.results.forEach(result => {
+          if (!result.success) {
+            logError(`${result.platform.toUpperCase()}: ${result.error.message}`);
+            return;
+          }
+          logSuccess(`${result.platform.toUpperCase()} (${lengthLabel(result.content, result.platform)})`);
+          console.log('─'.repeat(60));
+          console.log(result.content);
+          console.log('─'.repeat(60));
+          (result.warnings || []).forEach(warning => console.log(`   ⚠️  ${warning}`));
+        });
+      }
+    });
+    exitOnPartialFailure(results);
+  } catch (error) {
+    fail(error);
+  }
+}
+
+/**
+ * Entry point for "generate": loads the template and voice, then generates
+ * for one platform or several.
+ */
+function generateCommand({ prompt: text, platform, tone, template, var: vars, voice }) {
+  let style;
+  try {
+    if (!text && !template) return usage('Prompt is required: node cli.js generate <prompt> (or --template <name>)');
+    style = { ...loadTemplateAndVoice(template, voice), vars: parseVars(vars) };
+    if (style.template) {
+      const used = templateVariables(style.template);
+      Object.keys(style.vars).filter(name => !used.includes(name)).forEach(name => {
+        logWarning(`Template "${template}" does not use {{${name}}}`);
+      });
+    }
+  } catch (error) {
+    return fail(error);
+  }
+
+  const target = platform || style.template?.platform || 'linkedin';
+  return isMultiPlatform(target)
+    ? generateForPlatforms(text, target, tone, style)
+    : generateContent(text, target, tone, style);
+}
+
+const TEMPLATE_ACTIONS = ['list', 'show', 'render'];
+
+function listTemplatesCommand() {
+  const templates = listTemplates();
+  const voices = listVoices();
+  const response = { message: `${templates.length} templates, ${voices.length} voice profiles`, data: { templates, voices } };
+  present(response, {
+    rows: data => data.templates.map(template => ({
+      name: template.name,
+      description: template.description || template.error,
+      platforms: Object.keys(template.platforms || {}).join(','),
+      variables: template.error ? '' : templateVariables(template).join(','),
+      voice: template.voice
+    })),
+    ids: data => data.templates.map(template => template.name),
+    text: data => {
+      if (data.templates.length === 0) {
+        logInfo(`No templates yet. Add <name>.json files to ${templatesDir()} (see README).`);
+      } else {
+        logSuccess(`Templates (${templatesDir()}):`);
+        data.templates.forEach(template => {
+          if (template.error) return logError(`${template.name}: ${template.error}`);
+          const variables = templateVariables(template).map(name => `{{${name}}}`).join(' ');
+          console.log(`   ${colors.bold}${template.name}${colors.reset}${template.description ? ` — ${template.description}` : ''}${variables ? `  ${colors.cyan}${variables}${colors.reset}` : ''}`);
+          return undefined;
+        });
+      }
+      if (data.voices.length > 0) {
+        logSuccess(`Voice profiles (${voicesDir()}):`);
+        data.voices.forEach(voice => {
+          if (voice.error) logError(`${voice.name}: ${voice.error}`);
+          else console.log(`   ${colors.bold}${voice.name}${colors.reset}${voice.description ? ` — ${voice.description}` : ''}`);
+        });
+      }
+    }
+  });
+}
+
+function showTemplate(template) {
+  const response = { message: `Template ${template.name}`, data: { ...template, variableNames: templateVariables(template) } };
+  present(response, {
+    rows: data => [{ name: data.name, description: data.description, variables: data.variableNames.join(','), voice: data.voice, file: data.file }],
+    ids: data => [data.name],
+    text: data => {
+      logSuccess(`${response.message}${data.description ? ` — ${data.description}` : ''}`);
+      console.log(`   File: ${data.file}`);
+      if (data.variableNames.length > 0) {
+        const defaults = data.variables || {};
+        console.log(`   Variables: ${data.variableNames.map(name => (defaults[name] != null ? `${name} (default: ${defaults[name]})` : name)).join(', ')}`);
+      }
+      if (data.platform) console.log(`   Default platform: ${data.platform}`);
+      if (data.tone) console.log(`   Tone: ${data.tone}`);
+      if (data.voice) console.log(`   Voice: ${data.voice}`);
+      if (data.hashtags?.length > 0) console.log(`   Hashtags: ${data.hashtags.join(' ')}`);
+      if (data.signOff) console.log(`   Sign-off: ${data.signOff}`);
+      [['Prompt', data.prompt], ['Content', data.content]].filter(([, text]) => text).forEach(([label, text]) => {
+        console.log(`\n📝 ${label}:`);
+        console.log('─'.repeat(60));
+        console.log(text);
+        console.log('─'.repeat(60));
+      });
+      Object.entries(data.platforms || {}).forEach(([platform, variant]) => {
+        console.log(`\n   ${platform} overrides: ${Object.keys(variant).join(', ')}`);
+      });
+    }
+  });
+}
+
+function renderTemplateCommand(template, { platform, vars, voice }) {
+  const results = parsePlatforms(platform || template.platform || 'linkedin').map(target => {
+    const rendered = renderTemplate(template, { platform: target, vars });
+    // Show the prompt exactly as "generate --template" would send it
+    if (rendered.prompt) {
+      const request = generationRequest({ platform: target, template, vars, voice });
+      rendered.prompt = request.prompt;
+      rendered.tone = request.tone;
+    }
+    return rendered;
+  });
+  const response = { message: `Rendered template ${template.name}`, data: { results } };
+  present(response, {
+    rows: data => data.results.map(result => ({
+      platform: result.platform,
+      length: result.content ? contentLength(result.content, result.platform) : null,
+      content: result.content,
+      prompt: result.prompt
+    })),
+    // Fixed content can be piped into "draft -"; otherwise print the prompt
+    ids: data => data.results.map(result => result.content || result.prompt),
+    text: data => {
+      logSuccess(response.message);
+      data.results.forEach(result => {
+        if (result.content) {
+          console.log(`\n📝 ${result.platform} content (${lengthLabel(result.content, result.platform)}):`);
+          console.log('─'.repeat(60));
+          console.log(result.content);
+          console.log('─'.repeat(60));
+        }
+        if (result.prompt) {
+          console.log(`\n🤖 ${result.platform} prompt${result.tone ? ` (tone: ${result.tone})` : ''}:`);
+          console.log('─'.repeat(60));
+          console.log(result.prompt);
+          console.log('─'.repeat(60));
+          const extras = [result.signOff, result.hashtags.join(' ')].filter(Boolean);
+          if (extras.length > 0) console.log(`Appended after generation: ${extras.join(' | ')}`);
+        }
+      });
+    }
+  });
+}
+
+async function templateCommand(action = 'list', name, { platform, var: vars, voice } = {}) {
+  try {
+    if (!TEMPLATE_ACTIONS.includes(action)) {
+      return usage(`Unknown template action "${action}". Expected one of: ${TEMPLATE_ACTIONS.join(', ')}`);
+    }
+    if (action === 'list') return listTemplatesCommand();
+    if (!name) return usage(`Template name is required: node cli.js template ${action} <name>`);
+
+    if (action === 'show') return showTemplate(loadTemplate(name));
+    const style = loadTemplateAndVoice(name, voice);
+    return renderTemplateCommand(style.template, { platform, vars: parseVars(vars), voice: style.voice });
+  } catch (error) {
+    return fail(error);
+  }
+}
+
+async function threadCommand(content, { number, dryRun, yes, force, resume }) {
+  try {
+    assertValidContent(content, 'twitter', { ignore: ['TOO_LONG'] });
+    const chunks = splitThread(content, { numbering: Boolean(number) });
+
+    if (!isMachineOutput()) {
+      console.log(`\n🧵 Thread preview (${chunks.length} tweet${chunks.length === 1 ? '' : 's'}):`);
+      chunks.forEach((chunk, i) => {
+        console.log(`\n${colors.cyan}── ${i + 1}/${chunks.length} · ${lengthLabel(chunk, 'twitter')}${colors.reset}`);
+        console.log(chunk);
+      });
+      console.log('');
+    }
+
+    if (dryRun) {
+      if (isMachineOutput()) {
+        present({ data: { tweets: chunks } }, {
+          rows: data => data.tweets.map((tweet, i) => ({ index: i + 1, length: contentLength(tweet, 'twitter'), content: tweet })),
+          ids: () => []
+        });
+      }
+      return;
+    }
+
+    checkDirect('publish', { force });
+    warnForced(force);
+    if (!yes) {
+      if (isMachineOutput() || !process.stdin.isTTY) {
+        return usage('Pass --yes to publish a thread without the confirmation prompt');
+      }
+      const answer = await prompt(`Publish these ${chunks.length} tweets? (y/N): `);
+      if (answer.toLowerCase() !== 'y') {
+        logInfo('Thread not sent.');
+        return;
+      }
+    }
+
+    const { key, complete, results } = await publishThread(getClient(), chunks, {
+      resume,
+      onProgress: result => {
+        if (isMachineOutput()) return;
+        const label = `Tweet ${result.index + 1}/${chunks.length}`;
+        if (result.skipped) logInfo(`${label}: already sent on an earlier run (${result.post?.id}) — skipped`);
+        else if (result.success) logSuccess(`${label}: published (${result.post?.id})`);
+        else logError(`${label}: ${result.error.message}`);
+      }
+    });
+
+    const response = { data: { key, complete, tweets: results } };
+    present(response, {
+      rows: data => data.tweets.map(result => ({
+        index: result.index + 1,
+        success: result.success,
+        skipped: Boolean(result.skipped),
+        id: result.post?.id,
+        tweetId: result.tweetId,
+        error: result.error?.message
+      })),
+      ids: data => data.tweets.filter(result => result.post?.id).map(result => result.post.id),
+      text: () => {
+        if (complete) logSuccess(`Thread published (${chunks.length} tweets)`);
+        else logInfo('Run the same command again with --resume to continue from the failed tweet.');
+      }
+    });
+    if (!complete) exitOnPartialFailure(results);
+  } catch (error) {
+    fail(error);
+  }
+}
+
+const SYNC_PREFERENCES = ['local', 'remote'];
+
+async function syncCommand({ prefer } = {}) {
+  try {
+    if (prefer && !SYNC_PREFERENCES.includes(prefer)) {
+      return usage(`Invalid --prefer "${prefer}". Expected one of: ${SYNC_PREFERENCES.join(', ')}`);
+    }
+    const result = await syncPosts(getClient(), { prefer });
+    const { pushed, conflicts, failed, pulled } = result;
+    const response = {
+      message: `${pushed.length} pushed, ${conflicts.length} conflicts, ${failed.length} failed, ${pulled} posts pulled`,
+      data: result
+    };
+
+    present(response, {
+      rows: data => [
+        ...data.pushed.map(item => ({ id: item.id, localId: item.localId, action: item.action, reason: item.reason })),
+        ...data.conflicts.map(item => ({ id: item.id, action: 'conflict', reason: item.reason })),
+        ...data.failed.map(item => ({ id: item.id, action: `${item.action} failed`, reason: item.error.message }))
+      ],
+      ids: data => data.pushed.map(item => item.id),
+      text: data => {
+        if (conflicts.length === 0 && failed.length === 0) logSuccess(response.message);
+        else logWarning(response.message);
+        data.pushed.forEach(item => {
+          if (item.action === 'create') logSuccess(`${item.localId} → ${item.id}: draft created`);
+          else if (item.action === 'update') logSuccess(`${item.id}: edit pushed`);
+          else if (item.action === 'delete') logSuccess(`${item.id}: deleted`);
+          else logInfo(`${item.id}: local change dropped (${item.reason})`);
+        });
+        data.conflicts.forEach(item => logWarning(`${item.id}: conflict — ${item.reason}; your local change was not pushed`));
+        data.failed.forEach(item => logError(`${item.id}: ${item.error.message}`));
+        if (conflicts.length > 0) {
+          logInfo('Keep your version with "sync --prefer local" or the server\'s with "sync --prefer remote".');
+        }
+      }
+    });
+
+    if (failed.length > 0) process.exit(exitCodeFor(failed[0].error.code));
+    if (conflicts.length > 0) process.exit(exitCodeFor('CONFLICT'));
+  } catch (error) {
+    fail(error);
+  }
+}
+
+/**
+ * Full-screen browser for posts; see lib/tui.js.
+ */
+async function interactiveCommand() {
+  try {
+    if (isMachineOutput() || !process.stdin.isTTY || !process.stdout.isTTY) {
+      return usage('The interactive UI needs a terminal; use "list" and "show" for scripted output');
+    }
+    await runTui(getClient());
+  } catch (error) {
+    fail(error);
+  }
+}
+
+function describeReview(review) {
+  const when = at => new Date(at).toLocaleString();
+  if (review.state === 'pending') return `pending review (submitted by ${review.submittedBy}, ${when(review.submittedAt)})`;
+  if (!review.reviewedBy) return review.state;
+  const comment = review.reviewComment ? ` — "${review.reviewComment}"` : '';
+  return `${review.state} (${review.state === 'rejected' ? 'rejected' : 'approved'} by ${review.reviewedBy}, ${when(review.reviewedAt)})${comment}`;
+}
+
+async function submitCommand(postId, comment) {
+  try {
+    const post = await getClient().getPost(postId);
+    const review = submitPost(post, { comment });
+    const response = { message: `Post ${postId} submitted for review`, data: review };
+    present(response, {
+      ids: data => [data.id],
+      text: () => {
+        logSuccess(response.message);
+        console.log(`   Platform: ${post.platform}`);
+        if (comment) console.log(`   Note: ${comment}`);
+        logInfo(`A reviewer can now run "node cli.js approve ${postId}" or "node cli.js reject ${postId} <comment>".`);
+        if (!approvalRequired()) logInfo('Approval is not enforced yet; set "requireApproval": true in ~/.clawpost/config.json to gate publishing.');
+      }
+    });
+  } catch (error) {
+    fail(error);
+  }
+}
+
+async function reviewCommand(decision, postId, comment, { force } = {}) {
+  try {
+    const post = await getClient().getPost(postId);
+    const review = reviewPost(post, decision, { comment, force });
+    const response = { message: `Post ${postId} ${review.state}`, data: review };
+    present(response, {
+      ids: data => [data.id],
+      text: data => {
+        if (decision === 'approve') logSuccess(response.message);
+        else logWarning(response.message);
+        console.log(`   Reviewer: ${data.reviewedBy}`);
+        if (comment) console.log(`   Comment: ${comment}`);
+        if (decision === 'approve') logInfo(`Publish with "node cli.js publish ${postId}" or schedule it with "node cli.js schedule ${postId} <time>".`);
+        else logInfo(`Edit the draft, then run "node cli.js submit ${postId}" again.`);
+      }
+    });
+  } catch (error) {
+    fail(error);
+  }
+}
+
+const REVIEW_COLUMNS = ['id', 'platform', 'state', 'submittedBy', 'submittedAt', 'comment', 'changed', 'content'];
+
+/**
+ * Drafts waiting for review, with their current content from the API.
+ */
+async function pendingCommand() {
+  try {
+    const client = getClient();
+    const reviews = [];
+    for (const review of listReviews({ state: 'pending' })) {
+      let post = null;
+      try {
+        post = await client.getPost(review.id);
+      } catch (error) {
+        if (error.code !== 'NOT_FOUND') throw error;
+      }
+      reviews.push({ ...review, post, changed: post ? contentChanged(post, review) : null });
+    }
+
+    const response = { message: `${reviews.length} post${reviews.length === 1 ? '' : 's'} waiting for review`, data: { reviews } };
+    present(response, {
+      rows: data => data.reviews.map(review => ({ ...review, content: review.post?.content, post: undefined })),
+      columns: REVIEW_COLUMNS,
+      ids: data => data.reviews.map(review => review.id),
+      text: data => {
+        logSuccess(response.message);
+        if (data.reviews.length === 0) return;
+
+        console.log('\n📝 Pending review:');
+        data.reviews.forEach(review => {
+          if (!review.post) {
+            console.log(`   ❌ ${review.id} no longer exists on the server`);
+            return;
+          }
+          console.log(`   📄 ${review.platform.toUpperCase()} - ${review.post.content.substring(0, 60)}...`);
+          const note = review.comment ? ` | Note: ${review.comment}` : '';
+          const changed = review.changed ? ' ⚠️  changed since submitted' : '';
+          console.log(`      ID: ${review.id} | By: ${review.submittedBy} | ${new Date(review.submittedAt).toLocaleString()}${note}${changed}`);
+        });
+      }
+    });
+  } catch (error) {
+    fail(error);
+  }
+}
+
+const LOG_COLUMNS = ['id', 'at', 'profile', 'action', 'method', 'endpoint', 'postId', 'ok', 'code', 'message', 'undoneBy'];
+const LOG_ACTIONS = [...new Set(Object.values(AUDIT_ACTIONS)), 'undo'];
+
+function describeEntry(entry) {
+  if (entry.action === 'undo') return `undo of ${entry.undoes}`;
+  return `${entry.method} ${entry.endpoint}${entry.undo ? ` (by undo ${entry.undo})` : ''}`;
+}
+
+/**
+ * Changes made through the CLI, newest first, from the local audit log.
+ */
+async function logCommand(postId, { action, since, limit } = {}) {
+  try {
+    if (action && !LOG_ACTIONS.includes(action)) {
+      return usage(`Invalid --action "${action}". Expected one of: ${LOG_ACTIONS.join(', ')}`);
+    }
+    const entries = readLog({ postId, action, since, limit: Number(limit) || 20 });
+    const response = { message: `${entries.length} logged change${entries.length === 1 ? '' : 's'}`, data: { entries, file: auditFile() } };
+
+    present(response, {
+      rows: data => data.entries,
+      columns: LOG_COLUMNS,
+      ids: data => data.entries.map(entry => entry.id),
+      text: data => {
+        if (data.entries.length === 0) {
+          logInfo(`Nothing logged yet${postId || action || since ? ' that matches' : ''} (${data.file}).`);
+          return;
+        }
+        logSuccess(`${response.message} (${data.file}):`);
+        data.entries.forEach(entry => {
+          const mark = entry.ok ? `${colors.green}✓${colors.reset}` : `${colors.red}✗${colors.reset}`;
+          const profile = entry.profile ? ` [${entry.profile}]` : '';
+          console.log(`\n ${mark} ${colors.bold}${entry.id}${colors.reset}  ${new Date(entry.at).toLocaleString()}${profile}  ${describeEntry(entry)}`);
+          const details = [entry.postId && `Post: ${entry.postId}`, entry.message, entry.code && `(${entry.code})`].filter(Boolean);
+          if (details.length > 0) console.log(`   ${details.join(' | ')}`);
+          if (entry.result?.publishedAt) console.log(`   Published: ${new Date(entry.result.publishedAt).toLocaleString()}`);
+          if (entry.result?.scheduledAt) console.log(`   Scheduled for: ${new Date(entry.result.scheduledAt).toLocaleString()}`);
+          if (entry.undoneBy) console.log(`   ${colors.dim}↩ undone by ${entry.undoneBy}${colors.reset}`);
+          else if (!undoProblem(entry)) console.log(`   ${colors.dim}↩ node cli.js undo ${entry.id}${colors.reset}`);
+        });
+      }
+    });
+  } catch (error) {
+    fail(error);
+  }
+}
+
+/**
+ * Recreates a deleted draft or turns a scheduled post back into a draft,
+ * from an audit log entry (the latest one that can be undone by default).
+ */
+async function undoCommand(entryId, { yes } = {}) {
+  try {
+    const entry = findUndoable(entryId);
+    const plan = entry.name === 'deletePost'
+      ? `Recreate the draft ${entry.postId} deleted ${new Date(entry.at).toLocaleString()} (it gets a new ID)`
+      : `Unschedule ${entry.postId || entry.result?.id}: copy it to a new draft and delete the scheduled post`;
+
+    if (!yes) {
+      if (isMachineOutput() || !process.stdin.isTTY) return usage('Pass --yes to undo without the confirmation prompt');
+      if (entry.snapshot) console.log(`\n${entry.snapshot.content}\n`);
+      const answer = await prompt(`${plan}? (y/N): `);
+      if (answer.toLowerCase() !== 'y') {
+        logInfo('Nothing changed.');
+        return undefined;
+      }
+    }
+
+    const { undo, draft, removed } = await undoEntry(getClient(), entry, { profile: credentials.profile });
+    rememberPosts([draft]);
+    if (removed) forgetPost(removed);
+    const response = { message: undo.message, data: { entry: entry.id, undo: undo.id, draft, removed } };
+    present(response, {
+      rows: data => [postRow(data.draft)],
+      columns: POST_COLUMNS,
+      ids: data => [data.draft.id],
+      text: () => {
+        logSuccess(response.message);
+        console.log(`   Platform: ${draft.platform}`);
+        console.log(`   Logged as: ${undo.id}`);
+      }
+    });
+  } catch (error) {
+    fail(error);
+  }
+}
+
+const WATCH_LABELS = {
+  published: { icon: '✅', text: 'published', color: 'green' },
+  failed: { icon: '❌', text: 'failed', color: 'red' },
+  deleted: { icon: '🗑️ ', text: 'was deleted', color: 'yellow' },
+  scheduled: { icon: '⏰', text: 'is scheduled again', color: 'blue' },
+  draft: { icon: '📝', text: 'is a draft again', color: 'yellow' }
+};
+
+function describeEvent(event) {
+  const label = WATCH_LABELS[event.type] || { text: `is now ${event.type}` };
+  const reason = event.type === 'failed' && event.post.error?.message ? `: ${event.post.error.message}` : '';
+  return `${event.post.id} (${event.post.platform || 'unknown platform'}) ${label.text}${reason}`;
+}
+
+/**
+ * Delivers one watch event to the terminal and every configured target. A
+ * target that fails is reported and does not stop the others.
+ */
+async function deliverEvent(event, { notify, hook, webhook }) {
+  const label = WATCH_LABELS[event.type] || { icon: 'ℹ️ ', color: 'reset' };
+  if (output.quiet) console.log(event.post.id);
+  else if (isMachineOutput()) console.log(JSON.stringify(event));
+  else {
+    log(`${label.icon} [${new Date(event.at).toLocaleTimeString()}] ${describeEvent(event)}`, label.color);
+    if (event.post.content) console.log(`   ${event.post.content.substring(0, 80)}${event.post.content.length > 80 ? '...' : ''}`);
+    if (event.type === 'failed') logInfo(`Bring it back with "node cli.js retry-failed ${event.post.id}" (add --publish to post it again).`);
+  }
+
+  if (notify) await desktopNotify(`ClawPost: post ${event.type}`, describeEvent(event));
+  if (hook) {
+    try {
+      await runHook(hook, event);
+    } catch (error) {
+      logWarning(`Hook failed for ${event.post.id}: ${error.message}`);
+    }
+  }
+  if (webhook) {
+    try {
+      await postWebhook(webhook, event);
+    } catch (error) {
+      logWarning(`Webhook failed for ${event.post.id}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Polls scheduled and failed posts and reports when they are published, fail
+ * or disappear. Settings not given as options come from the "watch" key of
+ * ~/.clawpost/config.json.
+ */
+async function watchCommand({ interval, once, notify, hook, webhook } = {}) {
+  try {
+    const config = readConfig().watch || {};
+    const settings = { interval: interval ?? config.interval, notify: notify ?? config.notify, hook: hook ?? config.hook, webhook: webhook ?? config.webhook };
+    const seconds = settings.interval === undefined ? DEFAULT_INTERVAL / 1000 : Number(settings.interval);
+    if (!Number.isInteger(seconds) || seconds < 10) {
+      return usage(`Invalid --interval "${settings.interval}". Give a whole number of seconds, at least 10`);
+    }
+    if (settings.webhook && !/^https?:\/\//i.test(settings.webhook)) {
+      return usage(`Invalid --webhook "${settings.webhook}". Expected an http(s) URL`);
+    }
+
+    const client = getClient();
+    if (!isMachineOutput()) {
+      const targets = [settings.notify && 'desktop', settings.hook && 'hook', settings.webhook && 'webhook'].filter(Boolean);
+      logInfo(once
+        ? 'Checking scheduled and failed posts once...'
+        : `Watching scheduled and failed posts every ${seconds}s${targets.length > 0 ? `, notifying ${targets.join(', ')}` : ''} (Ctrl-C to stop)`);
+    }
+    process.once('SIGINT', () => {
+      if (!isMachineOutput()) logInfo('Stopped watching.');
+      process.exit(0);
+    });
+
+    await watchPosts(client, {
+      profile: credentials.profile,
+      interval: seconds * 1000,
+      once: Boolean(once),
+      onEvent: event => deliverEvent(event, settings),
+      onPoll: (state, events) => {
+        if (isMachineOutput() || !once) return;
+        const counts = Object.values(state.posts).reduce((total, post) => ({ ...total, [post.status]: (total[post.status] || 0) + 1 }), {});
+        logSuccess(`${counts.scheduled || 0} scheduled, ${counts.failed || 0} failed, ${events.length} change${events.length === 1 ? '' : 's'} since the last check`);
+      },
+      onError: (error, delay) => logWarning(`${error.message}; checking again in ${Math.round(delay / 1000)}s`)
+    });
+  } catch (error) {
+    fail(error);
+  }
+}
+
+const RETRY_COLUMNS = ['id', 'action', 'newId', 'status', 'deleted', 'error'];
+
+/**
+ * Brings failed posts back as drafts, or publishes them again with --publish.
+ * Without an ID every failed post is retried.
+ */
+async function retryFailedCommand(postId, { publish, yes, force } = {}) {
+  try {
+    const client = getClient();
+    const posts = postId ? [await client.getPost(postId)] : (await client.listPosts({ status: 'failed', limit: 100 })).posts;
+    if (postId && posts[0].status !== 'failed') {
+      throw new ClawPostError(`Post ${postId} is ${posts[0].status}, not failed`, { code: 'CONFLICT', status: 409 });
+    }
+    if (posts.length === 0) {
+      const response = { message: 'No failed posts', data: { retried: [], failed: [] } };
+      present(response, { rows: () => [], columns: RETRY_COLUMNS, ids: () => [], text: () => logSuccess(response.message) });
+      return;
+    }
+
+    if (!yes) {
+      if (isMachineOutput() || !process.stdin.isTTY) return usage('Pass --yes to retry failed posts without the confirmation prompt');
+      posts.forEach(post => {
+        console.log(`\n❌ ${post.id} (${post.platform})${post.error?.message ? ` — ${post.error.message}` : ''}`);
+        console.log(`   ${post.content.substring(0, 80)}${post.content.length > 80 ? '...' : ''}`);
+      });
+      const which = posts.length === 1 ? 'this post' : `these ${posts.length} posts`;
+      const answer = await prompt(`\n${publish ? `Publish ${which} again now` : `Turn ${which} back into draft${posts.length === 1 ? '' : 's'}`}? (y/N): `);
+      if (answer.toLowerCase() !== 'y') {
+        logInfo('Nothing changed.');
+        return undefined;
+      }
+    }
+
+    const retried = [];
+    const failed = [];
+    for (const post of posts) {
+      try {
+        if (publish) checkApproval(post, { action: 'publish', force });
+        const result = await retryFailed(client, post, { publish });
+        if (publish) recordGoLive(post.id, 'publish');
+        if (result.deleted) forgetPost(post.id);
+        if (result.post?.id) rememberPosts([result.post]);
+        retried.push(result);
+      } catch (error) {
+        failed.push({ id: post.id, error });
+      }
+    }
+    if (publish) warnForced(force);
+
+    const response = { message: `${retried.length} of ${posts.length} failed post${posts.length === 1 ? '' : 's'} ${publish ? 'published again' : 'back as drafts'}`, data: { retried, failed } };
+    present(response, {
+      rows: data => [
+        ...data.retried.map(item => ({ id: item.id, action: item.action, newId: item.post.id, status: item.post.status, deleted: item.deleted })),
+        ...data.failed.map(item => ({ id: item.id, action: 'failed', error: item.error.message }))
+      ],
+      columns: RETRY_COLUMNS,
+      ids: data => data.retried.map(item => item.post.id),
+      text: data => {
+        if (failed.length === 0) logSuccess(response.message);
+        else logWarning(response.message);
+        data.retried.forEach(item => {
+          if (item.action === 'republish') logSuccess(`${item.id}: published`);
+          else logSuccess(`${item.id} → ${item.post.id}: ${item.action === 'draft' ? 'draft created' : 'published'}${item.deleted ? ', failed post deleted' : ''}`);
+        });
+        data.failed.forEach(item => logError(`${item.id}: ${item.error.message}`));
+      }
+    });
+
+    if (failed.length > 0) process.exit(exitCodeFor(failed[0].error.code));
+  } catch (error) {
+    fail(error);
+  }
+}
+
+const TOKEN_ACTIONS = ['list', 'add', 'remove'];
+
+/**
+ * Access tokens for the serve bridge; see lib/tokens.js.
+ */
+async function tokenCommand(action = 'list', name, { scope, yes } = {}) {
+  try {
+    if (!TOKEN_ACTIONS.includes(action)) {
+      return usage(`Unknown token action "${action}". Expected one of: ${TOKEN_ACTIONS.join(', ')}`);
+    }
+
+    if (action === 'list') {
+      const tokens = listTokens();
+      const response = { message: `${tokens.length} tokens`, data: { tokens } };
+      return present(response, {
+        rows: data => data.tokens.map(token => ({ ...token, scopes: token.scopes.join(',') })),
+        columns: ['name', 'scopes', 'hint', 'createdAt'],
+        ids: data => data.tokens.map(token => token.name),
+        text: data => {
+          if (data.tokens.length === 0) {
+            logInfo('No tokens yet. Add one with "node cli.js token add <name> --scope draft".');
+            return;
+          }
+          logSuccess(`Bridge tokens (${tokensFile()}):`);
+          data.tokens.forEach(token => {
+            console.log(`   ${colors.bold}${token.name}${colors.reset}  ${token.hint}  ${token.scopes.join(', ')}  ${colors.dim}${new Date(token.createdAt).toLocaleString()}${colors.reset}`);
+          });
+        }
+      });
+    }
+
+    if (!name) return usage(`Token name is required: node cli.js token ${action} <name>`);
+
+    if (action === 'add') {
+      if (!scope) return usage(`--scope is required: a comma-separated list of ${Object.keys(TOKEN_SCOPES).join(', ')}, or all`);
+      const created = createToken(name, scope);
+      const response = { message: `Token "${name}" created`, data: created };
+      return present(response, {
+        rows: data => [{ ...data, scopes: data.scopes.join(',') }],
+        columns: ['name', 'token', 'scopes', 'createdAt'],
+        ids: data => [data.token],
+        text: data => {
+          logSuccess(`${response.message} with scopes: ${data.scopes.join(', ')}`);
+          console.log(`\n   ${colors.bold}${data.token}${colors.reset}\n`);
+          logWarning('This is the only time the token is shown; store it where the tool that uses it can read it.');
+          logInfo('Send it as "Authorization: Bearer <token>" to "node cli.js serve".');
+        }
+      });
+    }
+
+    if (!yes) {
+      if (isMachineOutput() || !process.stdin.isTTY) return usage('Pass --yes to remove a token without the confirmation prompt');
+      const answer = await prompt(`Revoke token "${name}"? Tools using it will be refused. (y/N): `);
+      if (answer.toLowerCase() !== 'y') {
+        logInfo('Token kept.');
+        return undefined;
+      }
+    }
+    const response = { message: `Token "${name}" revoked`, data: removeToken(name) };
+    return present(response, { ids: data => [data.name], text: () => logSuccess(response.message) });
+  } catch (error) {
+    return fail(error);
+  }
+}
+
+/**
+ * Runs the local HTTP bridge until interrupted; see lib/serve.js.
+ */
+async function serveCommand({ port, host } = {}) {
+  try {
+    const settings = readConfig().serve || {};
+    const listenPort = Number(port ?? settings.port ?? DEFAULT_BRIDGE_PORT);
+    const listenHost = host || settings.host || '127.0.0.1';
+    if (!Number.isInteger(listenPort) || listenPort < 1 || listenPort > 65535) return usage(`Invalid --port "${port}"`);
+    if (listTokens().length === 0) {
+      return usage('No bridge tokens yet. Create one first: node cli.js token add <name> --scope draft');
+    }
+
+    const secret = process.env.CLAW_WEBHOOK_SECRET || settings.github?.secret || null;
+    const server = createBridge(getClient(), {
+      settings,
+      secret,
+      onRequest: entry => {
+        if (isMachineOutput()) {
+          console.log(JSON.stringify({ at: new Date().toISOString(), ...entry }));
+          return;
+        }
+        const color = entry.status < 300 ? 'green' : entry.status < 500 ? 'yellow' : 'red';
+        const who = entry.token ? ` ${entry.token}` : '';
+        log(`[${new Date().toLocaleTimeString()}] ${entry.method} ${entry.path} ${entry.status}${who} ${entry.ms}ms${entry.code ? ` ${entry.code}` : ''}`, color);
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(listenPort, listenHost, resolve);
+    });
+    process.once('SIGINT', () => {
+      if (!isMachineOutput()) logInfo('Stopping the bridge.');
+      server.close(() => process.exit(0));
+      // Keep-alive connections would hold close() open
+      setTimeout(() => process.exit(0), 2000).unref();
+    });
+
+    if (!isMachineOutput()) {
+      logSuccess(`ClawPost bridge listening on http://${listenHost}:${listenPort} (Ctrl-C to stop)`);
+      ROUTES.forEach(route => console.log(`   ${route.method.padEnd(4)} ${route.path.padEnd(18)} ${colors.dim}${route.scope}${colors.reset}`));
+      if (!['127.0.0.1', 'localhost', '::1'].includes(listenHost)) {
+        logWarning(`Listening on ${listenHost}, not only this machine; put it behind TLS before exposing it.`);
+      }
+      if (secret) logInfo('GitHub webhooks may authenticate with X-Hub-Signature-256.');
+    }
+  } catch (error) {
+    if (error.code === 'EADDRINUSE') return fail(new ClawPostError(`Port ${error.port} is already in use; pick another with --port`, { code: 'USAGE_ERROR' }));
+    fail(error);
+  }
+}
+
+/**
+ * Runs a Model Context Protocol server on stdin/stdout; see lib/mcp.js.
+ */
+async function mcpCommand() {
+  try {
+    // stdout carries the protocol, so warnings (retries, audit log) must go to stderr
+    output.format = 'json';
+    await serveMcp(getClient());
+  } catch (error) {
+    fail(error);
+  }
+}
+
+const IMPORT_COLUMNS = ['source', 'platform', 'scheduledAt', 'status', 'id', 'error'];
+
+async function importCommand(source, { platform, tz, results: resultsOption, direct, dryRun, skipInvalid, force }) {
+  try {
+    const timeZone = tz ? resolveTimeZone(tz) : defaultTimeZone();
+    const entries = prepareRows(loadRows(source), { platform: platform || 'linkedin', timeZone });
+    const resultsPath = resultsOption ? path.resolve(resultsOption) : defaultResultsPath(source);
+    const previous = readResults(resultsPath);
+    const invalid = entries.filter(entry => entry.errors.length > 0 && !alreadyImported(previous.get(entry.key)));
+
+    if (entries.length === 0) {
+      throw new ClawPostError(`No posts found in ${source}`, { code: 'VALIDATION_ERROR' });
+    }
+
+    if (dryRun) {
+      const plan = entries.map(entry => {
+        let action = entry.scheduledAt ? 'schedule' : 'draft';
+        if (alreadyImported(previous.get(entry.key))) action = 'skip';
+        else if (entry.errors.length > 0) action = 'invalid';
+        return {
+          source: entry.source,
+          platform: entry.platform,
+          scheduledAt: entry.scheduledAt,
+          action,
+          generate: Boolean(entry.prompt && !entry.content),
+          length: entry.content ? contentLength(entry.content, entry.platform) : null,
+          errors: entry.errors,
+          warnings: entry.warnings
+        };
+      });
+
+      present({ data: { resultsPath, rows: plan } }, {
+        rows: data => data.rows.map(row => ({ ...row, errors: row.errors.join('; '), warnings: row.warnings.join('; ') })),
+        ids: () => [],
+        text: data => {
+          console.log(`\n📋 Import plan for ${source} (${data.rows.length} post${data.rows.length === 1 ? '' : 's'}):\n`);
+          data.rows.forEach(row => {
+            const target = `${row.source} → ${row.platform.toUpperCase()}`;
+            if (row.action === 'invalid') {
+              logError(`${target}: ${row.errors.join('; ')}`);
+            } else {
+              const when = row.scheduledAt ? describeTime(new Date(row.scheduledAt), timeZone) : 'draft only';
+              const label = `${target}, ${when}, ${row.generate ? 'AI-generated from prompt' : `${row.length} chars`}`;
+              if (row.action === 'skip') logInfo(`${label} — already imported, will skip`);
+              else logSuccess(label);
+            }
+            row.warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+          });
+          console.log(`\nResults file: ${data.resultsPath}`);
+        }
+      });
+      if (invalid.length > 0) process.exit(exitCodeFor('VALIDATION_ERROR'));
+      return;
+    }
+
+    if (invalid.length > 0 && !skipInvalid) {
+      const problems = invalid.map(entry => `${entry.source} (${entry.platform}): ${entry.errors.join('; ')}`);
+      throw new ClawPostError(
+        `${invalid.length} of ${entries.length} rows are invalid — nothing was imported:\n  ${problems.join('\n  ')}\n` +
+        'Fix them, or pass --skip-invalid to import the valid rows only.',
+        { code: 'VALIDATION_ERROR', details: invalid.map(({ source: row, platform: name, errors }) => ({ source: row, platform: name, errors })) }
+      );
+    }
+
+    // Rows without a time only become drafts, which can be reviewed later
+    if (entries.some(entry => entry.scheduledAt && entry.errors.length === 0 && !alreadyImported(previous.get(entry.key)))) {
+      checkDirect('schedule', { force });
+      warnForced(force);
+    }
+
+    const records = await runImport(getClient(), entries, {
+      resultsPath,
+      direct,
+      onRow: record => {
+        if (isMachineOutput()) return;
+        const label = `${record.source} → ${record.platform?.toUpperCase()}`;
+        if (record.status === 'imported') logSuccess(`${label}: ${record.scheduledAt ? 'scheduled' : 'draft created'} (${record.postId})`);
+        else if (record.status === 'skipped') logInfo(`${label}: already imported (${record.postId}) — skipped`);
+        else if (record.status === 'invalid') logWarning(`${label}: skipped invalid row — ${record.error.message}`);
+        else if (record.status === 'drafted') logError(`${label}: draft ${record.postId} created but not scheduled — ${record.error.message}`);
+        else logError(`${label}: ${record.error.message}`);
+      }
+    });
+
+    const failed = records.filter(record => record.status === 'failed' || record.status === 'drafted');
+    const imported = records.filter(record => record.status === 'imported').length;
+    const skipped = records.filter(record => record.status === 'skipped').length;
+    const response = {
+      message: `${imported} imported, ${skipped} skipped, ${failed.length} failed`,
+      data: { resultsPath, rows: records }
+    };
+
+    present(response, {
+      rows: data => data.rows.map(record => ({
+        source: record.source,
+        platform: record.platform,
+        scheduledAt: record.scheduledAt,
+        status: record.status,
+        id: record.postId,
+        error: record.error?.message
+      })),
+      columns: IMPORT_COLUMNS,
+      ids: data => data.rows.filter(record => record.postId).map(record => record.postId),
+      text: data => {
+        console.log('');
+        if (failed.length === 0) logSuccess(response.message);
+        else logWarning(response.message);
+        console.log(`Results written to ${data.resultsPath}`);
+        if (failed.length > 0) logInfo('Run the same command again to retry only the rows that failed.');
+      }
+    });
+    if (failed.length > 0) process.exit(exitCodeFor(failed[0].error.code));
+  } catch (error) {
+    fail(error);
+  }
+}
+
+// Options understood by the parser; each command lists the ones it accepts
+const OPTIONS = {
+  platform: { alias: 'p', value: '<name>', description: 'linkedin, twitter, a comma-separated list or all' },
+  tone: { value: '<tone>', description: 'professional, casual, technical or marketing' },
+  status: { value: '<status>', description: 'draft, published, scheduled or failed' },
+  limit: { alias: 'n', value: '<n>', description: 'Maximum number of results' },
+  at: { value: '<time>', description: 'When to publish: ISO 8601, "tomorrow 9am", "+2h", "next monday 08:30 Europe/London"' },
+  tz: { value: '<zone>', description: 'Time zone for --at and display, e.g. Europe/London (default: CLAW_TZ or config)' },
+  file: { alias: 'f', value: '<path>', description: 'Read the text from a file ("-" for stdin)' },
+  instructions: { value: '<text>', description: 'How the AI should change the content' },
+  type: { value: '<type>', description: 'posts, replies or all' },
+  period: { value: '<period>', description: '7d, 30d, 90d or all' },
+  number: { boolean: true, description: 'Append 1/n numbering to each tweet' },
+  'dry-run': { boolean: true, description: 'Only show what would be sent' },
+  yes: { alias: 'y', boolean: true, description: 'Skip the confirmation prompt' },
+  resume: { boolean: true, description: 'Continue an earlier cross-post or thread that did not finish' },
+  results: { value: '<path>', description: 'Where to write import results (default: <input>.results.json)' },
+  direct: { boolean: true, description: 'Create scheduled posts with /schedule instead of draft + schedule' },
+  'from-file': { value: '<path>', description: 'Read X history from a saved JSON dump instead of the API' },
+  html: { value: '<path>', description: 'Also write a self-contained HTML report with charts' },
+  cached: { boolean: true, description: 'Read from the local cache without calling the API' },
+  offline: { boolean: true, description: 'Save the change locally; upload it later with sync' },
+  prefer: { value: '<side>', description: 'Resolve sync conflicts: local or remote' },
+  auto: { boolean: true, description: 'Pick the next high-engagement slot from X history' },
+  template: { value: '<name>', description: 'Generate from a template in ~/.clawpost/templates' },
+  var: { value: '<name=value>', multiple: true, description: 'Set a template variable (repeatable)' },
+  voice: { value: '<name>', description: 'Voice profile from ~/.clawpost/voices to write in' },
+  action: { value: '<action>', description: `Only log entries of one kind: ${LOG_ACTIONS.join(', ')}` },
+  since: { value: '<when>', description: 'Only log entries since then: 30m, 12h, 7d or a date' },
+  generate: { boolean: true, description: 'Write the text with AI, using the referenced tweet as context' },
+  prompt: { value: '<text>', description: 'What the AI should say (with --generate)' },
+  'ref-text': { value: '<text>', description: 'Text of the referenced tweet (default: looked up in your X history)' },
+  author: { value: '<handle>', description: 'Author of the referenced tweet, when the URL does not name them' },
+  publish: { boolean: true, description: 'Publish now instead of saving a draft' },
+  interval: { value: '<seconds>', description: 'Seconds between checks (default: 60, at least 10)' },
+  once: { boolean: true, description: 'Check once and exit' },
+  notify: { boolean: true, description: 'Also show desktop notifications (osascript or notify-send)' },
+  hook: { value: '<command>', description: 'Run a shell command for each event, with the event as JSON on stdin' },
+  webhook: { value: '<url>', description: 'POST each event as JSON to a URL' },
+  port: { value: '<port>', description: 'Port for the bridge to listen on (default: 4747)' },
+  host: { value: '<address>', description: 'Address to listen on (default: 127.0.0.1)' },
+  scope: { value: '<scopes>', description: 'Comma-separated token scopes: read, draft, publish, schedule, generate, webhook or all' },
+  'skip-invalid': { boolean: true, description: 'Import the valid rows even when others fail validation' },
+  force: { boolean: true, description: 'Go ahead without an approved review (the override is logged)' },
+  comment: { value: '<text>', description: 'Note for the reviewer, or the review comment' },
+  'api-url': { value: '<url>', description: 'API base URL to store with the profile (setup only)' },
+  profile: { value: '<name>', description: 'Account profile to use (default: CLAW_PROFILE, CLAW_API_KEY, then the current profile)' },
+  json: { boolean: true, description: 'Print the raw API data as JSON' },
+  output: { alias: 'o', value: '<format>', description: 'text (default), json, table, csv or yaml' },
+  quiet: { alias: 'q', boolean: true, description: 'Print only post IDs' },
+  help: { alias: 'h', boolean: true, description: 'Show help for a command' }
+};
+
+const OUTPUT_OPTIONS = ['json', 'output', 'quiet'];
+// Accepted by every command
+const GLOBAL_OPTIONS = [...OUTPUT_OPTIONS, 'profile'];
+
+// Shared by reply, quote and remix
+const REFERENCE_OPTIONS = ['file', 'generate', 'prompt', 'tone', 'voice', 'ref-text', 'author', 'publish', 'at', 'tz', 'yes', 'force'];
+
+/**
+ * CLI commands. `args` are the positional slots in order; a slot is skipped
+ * when its value came from a flag of the same name, so `draft --file post.md
+ * twitter` and `draft "text" twitter` both work. `input` names the slot that
+ * may come from --file or "-" (stdin). `notes` is extra text for the
+ * command's --help.
+ */
+const COMMANDS = {
+  status: {
+    summary: 'Check API key and account info',
+    run: () => status()
+  },
+  list: {
+    summary: 'List posts',
+    args: ['status', 'platform', 'limit'],
+    options: ['status', 'platform', 'limit', 'cached'],
+    examples: ['list draft linkedin 10', 'list --limit 5', 'list --platform twitter --status scheduled', 'list --cached'],
+    run: ({ status: postStatus, platform, limit, cached }) => listPosts({ status: postStatus, platform, limit, cached })
+  },
+  draft: {
+    summary: 'Create a draft',
+    args: ['content', 'platform'],
+    required: ['content'],
+    input: 'content',
+    options: ['platform', 'file', 'offline', 'resume'],
+    examples: ['draft "Hello world!" linkedin', 'draft --file post.md --platform linkedin,twitter', 'draft - < post.md', 'draft "Written on the train" --offline'],
+    run: values => {
+      if (values.offline) return saveOfflineDrafts(values.content, values.platform || 'linkedin');
+      return isMultiPlatform(values.platform)
+        ? crossPostCommand('draft', values)
+        : createDraft(values.content, values.platform || 'linkedin');
+    }
+  },
+  publish: {
+    summary: 'Publish an existing draft',
+    args: ['id'],
+    required: ['id'],
+    options: ['force'],
+    examples: ['publish post_12345', 'publish post_12345 --force'],
+    run: ({ id, force }) => publishPost(id, { force })
+  },
+  post: {
+    summary: 'Publish immediately without a draft',
+    args: ['content', 'platform'],
+    required: ['content'],
+    input: 'content',
+    options: ['platform', 'file', 'force', 'resume', 'yes'],
+    examples: ['post "Direct publish!" twitter', 'post --file announcement.md --platform all', 'post --file announcement.md --platform all --resume'],
+    run: values => (isMultiPlatform(values.platform)
+      ? crossPostCommand('publish', values)
+      : directPublish(values.content, values.platform || 'linkedin', values))
+  },
+  schedule: {
+    summary: 'Schedule an existing draft',
+    args: ['id', 'at'],
+    required: ['id'],
+    options: ['at', 'tz', 'auto', 'period', 'force'],
+    examples: ['schedule post_12345 "2026-02-20T10:00:00Z"', 'schedule post_12345 "tomorrow 9am" --tz America/New_York', 'schedule post_12345 --at "next monday 08:30 Europe/London"', 'schedule post_12345 +2h', 'schedule post_12345 --auto'],
+    run: ({ id, at, ...options }) => schedulePost(id, at, options)
+  },
+  generate: {
+    summary: 'Generate content with AI',
+    args: ['prompt', 'platform', 'tone'],
+    input: 'prompt',
+    options: ['platform', 'tone', 'file', 'template', 'var', 'voice'],
+    examples: ['generate "Write about code reviews" linkedin professional', 'generate "AI trends" --tone casual --platform all', 'generate --template release --var version=2.1', 'generate "Our new office" --voice acme'],
+    run: values => generateCommand(values)
+  },
+  template: {
+    summary: 'List, show or render post templates and voice profiles',
+    local: true,
+    args: ['action', 'name'],
+    options: ['platform', 'var', 'voice'],
+    examples: ['template list', 'template show release', 'template render release --var version=2.1 --platform all', 'template render hiring --var role="Backend engineer" -q | node cli.js draft -'],
+    run: ({ action, name, ...options }) => templateCommand(action, name, options)
+  },
+  show: {
+    summary: 'Show a single post in full',
+    args: ['id'],
+    required: ['id'],
+    options: ['cached'],
+    examples: ['show post_12345', 'show post_12345 --cached'],
+    run: ({ id, cached }) => showPost(id, { cached })
+  },
+  edit: {
+    summary: 'Update a draft\'s content (opens $EDITOR when no content is given)',
+    args: ['id', 'content'],
+    required: ['id'],
+    input: 'content',
+    options: ['file', 'offline'],
+    examples: ['edit post_12345', 'edit post_12345 "Updated content"', 'edit post_12345 --file post.md', 'edit post_12345 "Fixed typo" --offline'],
+    run: ({ id, content, offline }) => updatePost(id, content, { offline })
+  },
+  delete: {
+    summary: 'Delete a draft',
+    args: ['id'],
+    required: ['id'],
+    options: ['offline'],
+    examples: ['delete post_12345', 'delete local_3f9a1c2b7d4e'],
+    run: ({ id, offline }) => deletePost(id, { offline })
+  },
+  refine: {
+    summary: 'Improve a draft or some text with AI; a draft gets a diff to accept, reject or iterate on',
+    args: ['content', 'instructions', 'platform'],
+    required: ['content', 'instructions'],
+    input: 'content',
+    options: ['instructions', 'platform', 'file', 'yes', 'voice'],
+    examples: ['refine post_12345 "Make it punchier"', 'refine post_12345 "Shorter" --yes', 'refine "Draft text..." "Make it punchier" twitter', 'refine --file post.md --instructions "Shorter"'],
+    run: ({ content, instructions, platform, yes, voice }) => (POST_ID_PATTERN.test(content)
+      ? refinePost(content, instructions, { yes, voice })
+      : refineContent(content, instructions, platform || 'linkedin', { voice }))
+  },
+  'schedule-new': {
+    summary: 'Schedule a new post without a draft step',
+    args: ['content', 'at', 'platform'],
+    required: ['content', 'at'],
+    input: 'content',
+    options: ['at', 'tz', 'platform', 'file', 'force', 'resume', 'yes'],
+    examples: ['schedule-new "Launch day!" "2026-02-20T10:00:00Z" linkedin', 'schedule-new --file post.md --at "friday 14:00" --tz Europe/Berlin --platform all'],
+    run: values => (isMultiPlatform(values.platform)
+      ? crossPostCommand('schedule', values)
+      : scheduleNew(values.content, values.at, values.platform || 'linkedin', values.tz, values))
+  },
+  reply: {
+    summary: 'Reply to an X post: saved as a draft, or published with --publish or scheduled with --at',
+    args: ['tweet', 'content'],
+    required: ['tweet'],
+    input: 'content',
+    options: REFERENCE_OPTIONS,
+    examples: ['reply https://x.com/jack/status/20 "Where it all started"', 'reply 1234567890 --generate --prompt "agree, add our benchmark" --publish'],
+    run: values => referenceCommand('reply', values.tweet, values.content, { ...values, refText: values['ref-text'] })
+  },
+  quote: {
+    summary: 'Quote an X post with your own commentary (draft, --publish or --at)',
+    args: ['tweet', 'content'],
+    required: ['tweet'],
+    input: 'content',
+    options: REFERENCE_OPTIONS,
+    examples: ['quote https://x.com/user/status/1234567890 "This is the key point"', 'quote 1234567890 --generate --tone casual --at "tomorrow 9am"'],
+    run: values => referenceCommand('quote', values.tweet, values.content, { ...values, refText: values['ref-text'] })
+  },
+  remix: {
+    summary: 'Write an original post inspired by an X post (draft, --publish or --at)',
+    args: ['tweet', 'content'],
+    required: ['tweet'],
+    input: 'content',
+    options: REFERENCE_OPTIONS,
+    examples: ['remix https://x.com/user/status/1234567890 --generate --voice brand', 'remix 1234567890 --file take.md --ref-text "The original text"'],
+    run: values => referenceCommand('remix', values.tweet, values.content, { ...values, refText: values['ref-text'] })
+  },
+  thread: {
+    summary: 'Split long content into an X thread and publish it',
+    args: ['content'],
+    required: ['content'],
+    input: 'content',
+    notes: 'Each reply needs the tweet ID of the tweet before it. It comes from the publish response, or else from your X history, ' +
+      'matched by text. If the ID does not show up there within about 12 seconds, the thread stops after that tweet; ' +
+      'run the same command again with --resume to continue. Threads cannot be scheduled, since a scheduled tweet has no ID yet.',
+    options: ['number', 'dry-run', 'yes', 'file', 'force', 'resume'],
+    examples: ['thread --file article.md --number --dry-run', 'thread --file article.md --yes', 'thread --file article.md --yes --resume'],
+    run: values => threadCommand(values.content, { ...values, dryRun: values['dry-run'] })
+  },
+  import: {
+    summary: 'Bulk-create and schedule posts from a CSV, JSON or Markdown content calendar',
+    args: ['path'],
+    required: ['path'],
+    options: ['platform', 'tz', 'results', 'direct', 'dry-run', 'skip-invalid', 'force'],
+    examples: ['import calendar.csv --dry-run', 'import calendar.csv', 'import posts/ --platform twitter --direct', 'import calendar.json --results imported.json'],
+    run: values => importCommand(values.path, { ...values, dryRun: values['dry-run'], skipInvalid: values['skip-invalid'] })
+  },
+  check: {
+    summary: 'Validate content locally without calling the API',
+    local: true,
+    args: ['content', 'platform'],
+    required: ['content'],
+    input: 'content',
+    options: ['platform', 'file'],
+    examples: ['check "Hello world! https://example.com" twitter', 'check --file post.md'],
+    run: ({ content, platform }) => checkContent(content, platform || 'all')
+  },
+  platforms: {
+    summary: 'List connected platforms',
+    run: () => listPlatforms()
+  },
+  credits: {
+    summary: 'Show credit balance',
+    run: () => showCredits()
+  },
+  history: {
+    summary: 'X post history with metrics',
+    args: ['type', 'period', 'limit'],
+    options: ['type', 'period', 'limit'],
+    examples: ['history posts 30d 10', 'history --period 7d'],
+    run: ({ type, period, limit }) => showHistory({ type, period, limit })
+  },
+  submit: {
+    summary: 'Submit a draft for review before it can be published or scheduled',
+    args: ['id', 'comment'],
+    required: ['id'],
+    options: ['comment'],
+    examples: ['submit post_12345', 'submit post_12345 "Launch copy, please check the numbers"'],
+    run: ({ id, comment }) => submitCommand(id, comment)
+  },
+  approve: {
+    summary: 'Approve a submitted draft',
+    args: ['id', 'comment'],
+    required: ['id'],
+    options: ['comment', 'force'],
+    examples: ['approve post_12345', 'approve post_12345 "Looks good"'],
+    run: ({ id, comment, force }) => reviewCommand('approve', id, comment, { force })
+  },
+  reject: {
+    summary: 'Reject a submitted draft with a comment',
+    args: ['id', 'comment'],
+    required: ['id', 'comment'],
+    options: ['comment'],
+    examples: ['reject post_12345 "Typo in the first line"'],
+    run: ({ id, comment }) => reviewCommand('reject', id, comment)
+  },
+  pending: {
+    summary: 'List drafts waiting for review',
+    examples: ['pending', 'pending -o table'],
+    run: () => pendingCommand()
+  },
+  log: {
+    summary: 'Show the local audit log of changes made through the CLI',
+    local: true,
+    args: ['id'],
+    options: ['action', 'since', 'limit'],
+    examples: ['log', 'log post_12345', 'log --action delete --since 7d', 'log --limit 100 -o csv > audit.csv'],
+    run: ({ id, action, since, limit }) => logCommand(id, { action, since, limit })
+  },
+  undo: {
+    summary: 'Recreate a deleted draft or unschedule a post back to a draft, from the audit log',
+    args: ['entry'],
+    options: ['yes'],
+    examples: ['undo', 'undo 3f9a1c2e', 'undo 3f9a1c2e --yes'],
+    run: ({ entry, yes }) => undoCommand(entry, { yes })
+  },
+  watch: {
+    summary: 'Watch scheduled and failed posts and report when they are published, fail or disappear',
+    options: ['interval', 'once', 'notify', 'hook', 'webhook'],
+    examples: ['watch', 'watch --interval 30 --notify', 'watch --hook \'./on-event.sh\'', 'watch --webhook https://hooks.example.com/clawpost -o json'],
+    run: values => watchCommand(values)
+  },
+  'retry-failed': {
+    summary: 'Bring failed posts back as drafts, or publish them again with --publish',
+    args: ['id'],
+    options: ['publish', 'yes', 'force'],
+    examples: ['retry-failed', 'retry-failed post_12345', 'retry-failed --publish --yes'],
+    run: ({ id, publish, yes, force }) => retryFailedCommand(id, { publish, yes, force })
+  },
+  serve: {
+    summary: 'Run a local HTTP bridge so other tools can draft, publish and schedule with scoped tokens',
+    options: ['port', 'host'],
+    examples: ['serve', 'serve --port 8080', 'serve -o json >> bridge.log'],
+    run: values => serveCommand(values)
+  },
+  token: {
+    summary: 'List, add or revoke access tokens for the serve bridge',
+    local: true,
+    args: ['action', 'name'],
+    options: ['scope', 'yes'],
+    examples: ['token list', 'token add ci-release --scope draft', 'token add slack-bot --scope draft,schedule,generate', 'token remove ci-release --yes'],
+    run: ({ action, name, scope, yes }) => tokenCommand(action, name, { scope, yes })
+  },
+  mcp: {
+    summary: 'Run an MCP server on stdio so agents can call ClawPost as typed tools',
+    examples: ['mcp', 'mcp --profile acme'],
+    run: () => mcpCommand()
+  },
+  profile: {
+    summary: 'List, switch or remove account profiles (add them with setup --profile <name>)',
+    local: true,
+    args: ['action', 'name'],
+    options: ['yes'],
+    examples: ['profile list', 'profile use acme', 'profile remove old-client --yes', 'list --profile acme'],
+    run: ({ action, name, yes }) => profileCommand(action, name, { yes })
+  },
+  interactive: {
+    summary: 'Full-screen UI: browse posts by status and platform, preview, publish, schedule, edit and delete',
+    examples: ['interactive', 'ui'],
+    run: () => interactiveCommand()
+  },
+  sync: {
+    summary: 'Upload offline drafts and edits, then refresh the local cache',
+    options: ['prefer'],
+    examples: ['sync', 'sync --prefer local'],
+    run: values => syncCommand(values)
+  },
+  analytics: {
+    summary: 'Engagement report over X history: trends, top posts, hashtags, length, replies',
+    args: ['period'],
+    options: ['period', 'type', 'from-file', 'html'],
+    examples: ['analytics 30d', 'analytics --period 90d --html report.html', 'analytics -o csv > posts.csv', 'analytics --from-file history.json --type posts'],
+    run: values => analyticsCommand({ ...values, fromFile: values['from-file'] })
+  },
+  'best-times': {
+    summary: 'Heatmap of X engagement by weekday and hour, with the top slots',
+    args: ['period'],
+    options: ['period', 'type', 'limit', 'tz'],
+    examples: ['best-times', 'best-times 30d --tz Europe/London', 'best-times --limit 10 -o table'],
+    run: values => bestTimes(values)
+  }
+};
+
+const SETUP_ALIASES = ['setup', 'login', 'apikey'];
+const COMMAND_ALIASES = { ui: 'interactive' };
+
+// Display names for slots whose option name is terse
+const SLOT_LABELS = { id: 'post-id', at: 'time', tweet: 'tweet-id|url' };
+
+function slotLabel(slot) {
+  return SLOT_LABELS[slot] || slot;
+}
+
+function commandUsage(name) {
+  const command = COMMANDS[name];
+  const slots = (command.args || []).map(slot => (
+    (command.required || []).includes(slot) ? `<${slotLabel(slot)}>` : `[${slotLabel(slot)}]`
+  ));
+  return [name, ...slots].join(' ');
+}
+
+function showCommandHelp(name) {
+  const command = COMMANDS[name];
+  const optionLines = [...(command.options || []), ...GLOBAL_OPTIONS].map(option => {
+    const def = OPTIONS[option];
+    const flag = `${def.alias ? `-${def.alias}, ` : ''}--${option}${def.value ? ` ${def.value}` : ''}`;
+    return `  ${colors.green}${flag.padEnd(28)}${colors.reset} ${def.description}`;
+  });
+
+  console.log(`
+${colors.bold}node cli.js ${commandUsage(name)}${colors.reset}
+
+${command.summary}.${command.input ? ` Pass "-" as the ${command.input} to read it from stdin.` : ''}
+${command.notes ? `\n${command.notes}\n` : ''}
+${colors.blue}Options:${colors.reset}
+${optionLines.join('\n')}
+${command.examples ? `
+${colors.blue}Examples:${colors.reset}
+${command.examples.map(example => `  node cli.js ${example}`).join('\n')}
+` : ''}`);
+}
+
+// `print` is console.error when the help follows a usage error
+function showHelp(print = console.log) {
+  const commandLines = Object.keys(COMMANDS).map(name => (
+    `  ${colors.green}${commandUsage(name).padEnd(46)}${colors.reset} ${COMMANDS[name].summary}`
+  ));
+
+  print(`
+${colors.bold}Social Media Publisher CLI${colors.reset}
+
+${colors.blue}Quick Setup:${colors.reset}
+  ${colors.green}setup${colors.reset} / ${colors.green}login${colors.reset} / ${colors.green}apikey${colors.reset}         Interactive setup — prompts for API key, validates, and saves it to a profile
+  ${colors.green}setup --profile acme${colors.reset}              Add another account as profile "acme" (--api-url for a different server)
+
+${colors.blue}Commands:${colors.reset}
+${commandLines.join('\n')}
+
+  Run ${colors.green}node cli.js <command> --help${colors.reset} for a command's options and examples.
+
+${colors.blue}Common Options:${colors.reset}
+  ${colors.green}--platform, --tone, --status, --limit, --at${colors.reset}  Named alternatives to positional arguments
+  ${colors.green}--file, -f <path>${colors.reset}                 Read post content from a file; "-" reads stdin
+  ${colors.green}--json${colors.reset}                            Print the raw API data as JSON
+  ${colors.green}--output, -o <format>${colors.reset}             text (default), json, table, csv or yaml
+  ${colors.green}--quiet, -q${colors.reset}                       Print only post IDs (generated text for generate)
+  ${colors.green}--profile <name>${colors.reset}                  Use a saved account profile (see "profile list")
+  Errors are written to stderr as JSON in machine-readable modes; the exit code reflects the error code.
+
+${colors.blue}Examples:${colors.reset}
+  node cli.js status
+  node cli.js list draft linkedin 10
+  node cli.js list --limit 5
+  node cli.js draft "Hello world!" linkedin
+  node cli.js draft --file post.md --platform linkedin
+  node cli.js publish post_12345
+  node cli.js post "Direct publish!" twitter
+  node cli.js schedule post_12345 "2026-02-20T10:00:00Z"
+  node cli.js generate "Write about code reviews" --tone professional
+  node cli.js list draft --json | jq '.posts[].id'
+  node cli.js refine "Draft text..." "Make it punchier" twitter
+  node cli.js history posts 30d 10
+  node cli.js post --file launch.md --platform linkedin,twitter
+  node cli.js check --file launch.md
+  node cli.js thread --file article.md --number --dry-run
+  node cli.js import calendar.csv --dry-run
+
+${colors.blue}Platforms:${colors.reset} linkedin, twitter (draft, post, schedule-new and generate also take a comma-separated list or all)
+${colors.blue}Post Statuses:${colors.reset} draft, published, scheduled, failed
+${colors.blue}Tones:${colors.reset} professional, casual, technical, marketing
+`);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Maps positionals and flags onto a command's named slots, reading the
+ * input slot from --file or stdin when asked to.
+ */
+async function resolveCommandArgs(name, positionals, options) {
+  const command = COMMANDS[name];
+  const allowed = command.options || [];
+  Object.keys(options).forEach(option => {
+    if (!allowed.includes(option) && !GLOBAL_OPTIONS.includes(option) && option !== 'help') {
+      throw new ClawPostError(`Option --${option} is not supported by "${name}"`, { code: 'USAGE_ERROR' });
+    }
+  });
+
+  const values = {};
+  allowed.forEach(option => {
+    if (options[option] !== undefined && option !== 'file') values[option] = options[option];
+  });
+  if (command.input && options.file) values[command.input] = await readContent(options.file);
+
+  const remaining = [...positionals];
+  (command.args || []).forEach(slot => {
+    if (values[slot] === undefined && remaining.length > 0) values[slot] = remaining.shift();
+  });
+  if (remaining.length > 0) {
+    throw new ClawPostError(`Unexpected argument "${remaining[0]}". Usage: node cli.js ${commandUsage(name)}`, { code: 'USAGE_ERROR' });
+  }
+
+  if (command.input && values[command.input] === '-') values[command.input] = await readContent('-');
+
+  const missing = (command.required || []).filter(slot => !values[slot]);
+  if (missing.length > 0) {
+    const names = missing.map(slot => (slot === 'id' ? 'post ID' : slotLabel(slot)));
+    throw new ClawPostError(`${capitalize(names.join(' and '))} ${missing.length > 1 ? 'are' : 'is'} required: node cli.js ${commandUsage(name)}`, { code: 'USAGE_ERROR' });
+  }
+
+  return values;
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs(process.argv.slice(2), OPTIONS);
+  } catch (error) {
+    return fail(error);
+  }
+
+  const { positionals, options } = parsed;
+  const command = COMMAND_ALIASES[positionals[0]] || positionals[0];
+
+  if (options.json) output.format = 'json';
+  if (options.output) {
+    if (!FORMATS.includes(options.output)) {
+      return usage(`Unknown output format "${options.output}". Expected one of: ${FORMATS.join(', ')}`);
+    }
+    output.format = options.output;
+  }
+  if (options.quiet) output.quiet = true;
+
+  try {
+    // Commands that never call the API do not need an encrypted key unlocked;
+    // setup --profile names the profile to write, not the one to use
+    const setup = SETUP_ALIASES.includes(command);
+    const local = setup || !COMMANDS[command] || COMMANDS[command].local || options.help;
+    await loadCredentials(setup ? undefined : options.profile, { unlock: !local });
+  } catch (error) {
+    return fail(error);
+  }
+
+  try {
+    if (SETUP_ALIASES.includes(command)) {
+      await setupWizard(options);
+    } else if (COMMANDS[command]) {
+      if (options.help) return showCommandHelp(command);
+      const values = await resolveCommandArgs(command, positionals.slice(1), options);
+      await COMMANDS[command].run(values);
+    } else if (command === 'help') {
+      if (COMMANDS[positionals[1]]) showCommandHelp(positionals[1]);
+      else showHelp();
+    } else if (command) {
+      showHelp(console.error);
+      usage(`Unknown command "${positionals[0]}"`);
+    } else if (options.help) {
+      showHelp();
+    } else if (!credentials.apiKey && !credentials.profile) {
+      console.log(`${colors.red}❌ No API key found!${colors.reset}`);
+      console.log(`${colors.blue}👉 Run setup wizard: ${colors.green}node cli.js setup${colors.reset}`);
+      console.log(`${colors.blue}👉 Or get help: ${colors.green}node cli.js help${colors.reset}`);
+    } else {
+      showHelp();
+    }
+  } catch (error) {
+    if (isMachineOutput() || error.code === 'USAGE_ERROR') fail(error);
+    logError(`Unexpected error: ${error.message}`);
+    process.exit(exitCodeFor(error.code));
   }
 }
 
@@ -468,6 +3089,8 @@ if (require.main === module) {
 }
 
 module.exports = {
+  ClawPostClient,
+  ClawPostError,
   makeRequest,
   status,
   listPosts,
@@ -475,5 +3098,34 @@ module.exports = {
   publishPost,
   directPublish,
   schedulePost,
-  generateContent
+  generateContent,
+  generateCommand,
+  templateCommand,
+  profileCommand,
+  submitCommand,
+  reviewCommand,
+  pendingCommand,
+  logCommand,
+  undoCommand,
+  watchCommand,
+  retryFailedCommand,
+  serveCommand,
+  tokenCommand,
+  mcpCommand,
+  checkContent,
+  threadCommand,
+  importCommand,
+  bestTimes,
+  syncCommand,
+  interactiveCommand,
+  analyticsCommand,
+  showPost,
+  updatePost,
+  deletePost,
+  refineContent,
+  refinePost,
+  scheduleNew,
+  listPlatforms,
+  showCredits,
+  showHistory
 };
\ No newline at end of file
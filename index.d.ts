@@ -0,0 +1,214 @@
+// Type definitions for the ClawPost programmatic client (index.js)
+
+export type Platform = 'linkedin' | 'twitter';
+export type PostStatus = 'draft' | 'published' | 'scheduled' | 'failed';
+export type PostType = 'original' | 'quote' | 'reply' | 'remix';
+export type Tone = 'professional' | 'casual' | 'technical' | 'marketing';
+export type PostAction = 'publish' | 'schedule' | 'update' | 'delete';
+
+export type ApiErrorCode =
+  | 'UNAUTHORIZED'
+  | 'NOT_FOUND'
+  | 'VALIDATION_ERROR'
+  | 'CONFLICT'
+  | 'PLATFORM_NOT_CONNECTED'
+  | 'INSUFFICIENT_CREDITS'
+  | 'NO_AI_KEY'
+  | 'RATE_LIMITED'
+  | 'INTERNAL_ERROR';
+
+export type ClientErrorCode =
+  | 'MISSING_API_KEY'
+  | 'FORBIDDEN'
+  | 'NETWORK_ERROR'
+  | 'TIMEOUT'
+  | 'INVALID_RESPONSE'
+  | 'PROXY_ERROR'
+  | 'UNKNOWN_ERROR';
+
+export interface ApiResponse<T> {
+  success: boolean;
+  message: string;
+  data: T;
+  error?: { code: ApiErrorCode; details?: string };
+}
+
+export declare class ClawPostError extends Error {
+  name: 'ClawPostError';
+  code: ApiErrorCode | ClientErrorCode | string;
+  /** HTTP status, or null when no response was received */
+  status: number | null;
+  details?: unknown;
+  response?: ApiResponse<unknown>;
+  headers?: Record<string, string | string[] | undefined>;
+  cause?: unknown;
+}
+
+export interface Reference {
+  tweetId: string;
+  text: string;
+  author: string;
+}
+
+export interface Post {
+  id: string;
+  content: string;
+  platform: Platform;
+  status: PostStatus;
+  postType: PostType;
+  reference?: Reference;
+  availableActions: PostAction[];
+  createdAt?: string;
+  updatedAt?: string;
+  publishedAt?: string;
+  scheduledAt?: string;
+  [key: string]: unknown;
+}
+
+export interface StatusData {
+  user: { name: string; email: string };
+  platforms: Record<Platform, boolean>;
+  credits: CreditsData;
+}
+
+export interface CreditsData {
+  balance: number;
+  hasCustomAIKey: boolean;
+  [key: string]: unknown;
+}
+
+export interface PostList {
+  posts: Post[];
+  [key: string]: unknown;
+}
+
+export interface GeneratedContent {
+  content: string;
+  platform: Platform;
+  warnings?: string[];
+  [key: string]: unknown;
+}
+
+export interface TweetMetrics {
+  likes: number;
+  retweets: number;
+  replies: number;
+  impressions: number;
+  [key: string]: number;
+}
+
+export interface HistoryPost {
+  id: string;
+  text: string;
+  createdAt: string;
+  metrics: TweetMetrics;
+  media?: unknown[];
+  [key: string]: unknown;
+}
+
+export interface XHistory {
+  summary: {
+    totalPosts: number;
+    totalReplies: number;
+    totalLikes: number;
+    totalRetweets: number;
+    totalRepliesReceived: number;
+    totalImpressions: number;
+    topPost?: HistoryPost;
+  };
+  posts: HistoryPost[];
+}
+
+export interface ContentParams {
+  content: string;
+  platform?: Platform;
+  /** A quote, reply or remix needs a reference to the X post */
+  postType?: PostType;
+  reference?: Reference;
+  [key: string]: unknown;
+}
+
+export interface ClientOptions {
+  /** Defaults to CLAW_API_KEY */
+  apiKey?: string;
+  /** Defaults to CLAW_API_URL or https://clawpost.dev */
+  baseUrl?: string;
+  /** Per-request timeout in milliseconds */
+  timeout?: number;
+  /** Proxy URL; null disables, undefined reads HTTPS_PROXY / NO_PROXY */
+  proxy?: string | null;
+  /** Retry attempts for RATE_LIMITED, INTERNAL_ERROR and network failures */
+  retries?: number;
+  /** Extra headers sent with every request */
+  headers?: Record<string, string>;
+  onRetry?: (info: { attempt: number; retries: number; delay: number; error: ClawPostError }) => void;
+  /** Called after each request with the response envelope or the error */
+  onResponse?: (info: {
+    endpoint: string;
+    method: string;
+    data: Record<string, unknown> | null;
+    response?: ApiResponse<unknown>;
+    error?: ClawPostError;
+  }) => void;
+}
+
+export interface RequestOptions {
+  headers?: Record<string, string>;
+  timeout?: number;
+  retries?: number;
+}
+
+export interface EndpointParam {
+  in: 'path' | 'query' | 'body';
+  type: 'string' | 'integer' | 'array' | 'object';
+  /** Element type of an array */
+  items?: string;
+  required?: boolean;
+  enum?: string[];
+  format?: string;
+  minimum?: number;
+  maximum?: number;
+  description?: string;
+}
+
+export interface EndpointDefinition {
+  method: 'GET' | 'POST' | 'PUT' | 'DELETE';
+  path: string;
+  description: string;
+  params?: Record<string, EndpointParam>;
+}
+
+export declare const ENDPOINTS: Record<string, EndpointDefinition>;
+export declare const PLATFORMS: Platform[];
+export declare const POST_STATUSES: PostStatus[];
+export declare const POST_TYPES: PostType[];
+export declare const TONES: Tone[];
+export declare const DEFAULT_BASE_URL: string;
+
+export declare class ClawPostClient {
+  constructor(options?: ClientOptions);
+
+  apiKey: string | undefined;
+  baseUrl: string;
+
+  request<T = unknown>(endpoint: string, method?: string, data?: object | null, options?: RequestOptions): Promise<ApiResponse<T>>;
+  call<T = unknown>(name: string, params?: Record<string, unknown>, options?: RequestOptions): Promise<ApiResponse<T>>;
+
+  status(): Promise<StatusData>;
+  platforms(): Promise<unknown>;
+  credits(): Promise<CreditsData>;
+  listPosts(filters?: { status?: PostStatus; platform?: Platform; limit?: number }): Promise<PostList>;
+  /** Raises the limit until every matching post is listed; `complete` is true only when the API's `total` confirms it */
+  listAllPosts(filters?: { status?: PostStatus; platform?: Platform }): Promise<{ posts: Post[]; complete: boolean }>;
+  getPost(id: string): Promise<Post>;
+  createDraft(params: ContentParams): Promise<Post>;
+  updatePost(id: string, fields: { content?: string; [key: string]: unknown }): Promise<Post>;
+  deletePost(id: string): Promise<unknown>;
+  publishPost(id: string): Promise<Post>;
+  publish(params: ContentParams): Promise<Post>;
+  schedulePost(id: string, scheduledAt: string): Promise<Post>;
+  schedule(params: ContentParams & { scheduledAt: string }): Promise<Post>;
+  generate(params: { prompt: string; platform?: Platform; tone?: Tone; [key: string]: unknown }): Promise<GeneratedContent>;
+  refine(params: { content: string; instructions: string; platform?: Platform }): Promise<GeneratedContent>;
+  xHistory(filters?: { type?: 'posts' | 'replies' | 'all'; limit?: number; period?: '7d' | '30d' | '90d' | 'all' }): Promise<XHistory>;
+}
@@ -0,0 +1,18 @@
+/**
+ * Programmatic entry point. The CLI lives in cli.js.
+ */
+
+const { ClawPostClient, DEFAULT_BASE_URL } = require('./lib/client');
+const { ClawPostError } = require('./lib/errors');
+const { ENDPOINTS, PLATFORMS, POST_STATUSES, POST_TYPES, TONES } = require('./lib/endpoints');
+
+module.exports = {
+  ClawPostClient,
+  ClawPostError,
+  DEFAULT_BASE_URL,
+  ENDPOINTS,
+  PLATFORMS,
+  POST_STATUSES,
+  POST_TYPES,
+  TONES
+};
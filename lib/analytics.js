@@ -0,0 +1,313 @@
+/**
+ * Analytics over X post history (/history/x data or a saved dump of it).
+ *
+ * Engagement is likes + retweets + replies; the engagement rate is that
+ * divided by impressions (null when a post has no impressions). The report
+ * covers a moving average of the rate, top and bottom posts, hashtag and
+ * length correlations, and originals against replies. `toHtml` renders it as
+ * a single HTML file with inline SVG charts.
+ */
+
+const { ClawPostError } = require('./errors');
+const { engagementsOf, metricsOf } = require('./engagement');
+const { findHashtags, weightedLength } = require('./validate');
+
+const MOVING_WINDOW = 7;
+const PERFORMER_COUNT = 5;
+const MIN_TAG_POSTS = 2;
+const TAG_COUNT = 10;
+const LENGTH_BANDS = [[0, 70], [71, 140], [141, 210], [211, 280], [281, Infinity]];
+const PERIOD_DAYS = { '7d': 7, '30d': 30, '90d': 90 };
+
+function mean(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length > 0 ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+}
+
+// Pearson correlation; null with fewer than three points or no variance
+function correlation(xs, ys) {
+  if (xs.length < 3) return null;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let covariance = 0;
+  let vx = 0;
+  let vy = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - mx) * (ys[i] - my);
+    vx += (x - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  });
+  return vx === 0 || vy === 0 ? null : covariance / Math.sqrt(vx * vy);
+}
+
+/**
+ * Extracts the posts array from /history/x data, a full API response or a
+ * plain array of tweets.
+ */
+function historyPosts(dump) {
+  const data = dump && dump.data && !Array.isArray(dump) ? dump.data : dump;
+  const posts = Array.isArray(data) ? data : data?.posts;
+  if (!Array.isArray(posts)) {
+    throw new ClawPostError('History must be /history/x data ({"posts": [...]}), a full API response or an array of tweets', {
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  return posts;
+}
+
+/**
+ * Applies the type and period filters the API would, for offline dumps.
+ */
+function filterHistory(posts, { type = 'all', period = 'all', now = Date.now() } = {}) {
+  const since = PERIOD_DAYS[period] ? now - PERIOD_DAYS[period] * 24 * 60 * 60 * 1000 : null;
+  return posts.filter(tweet => {
+    if (type === 'posts' && tweet.type === 'reply') return false;
+    if (type === 'replies' && tweet.type !== 'reply') return false;
+    return since === null || Date.parse(tweet.createdAt) >= since;
+  });
+}
+
+function postStats(tweet) {
+  const metrics = metricsOf(tweet);
+  const text = tweet.text || '';
+  const engagements = engagementsOf(tweet);
+  return {
+    id: tweet.id,
+    createdAt: tweet.createdAt,
+    type: tweet.type === 'reply' ? 'reply' : 'original',
+    length: weightedLength(text),
+    hashtags: [...new Set(findHashtags(text))],
+    ...metrics,
+    engagements,
+    rate: metrics.impressions > 0 ? engagements / metrics.impressions : null,
+    text
+  };
+}
+
+function groupStats(posts) {
+  return {
+    posts: posts.length,
+    averageEngagements: mean(posts.map(post => post.engagements)),
+    averageImpressions: mean(posts.map(post => post.impressions)),
+    averageRate: mean(posts.map(post => post.rate))
+  };
+}
+
+/**
+ * Builds the analytics report.
+ *
+ * @param {object[]} tweets - posts from /history/x
+ * @param {object} [options]
+ * @param {number} [options.window=7] - posts in the trailing moving average
+ * @returns {object} {overview, posts, top, bottom, hashtags, length, types}
+ */
+function analyzeHistory(tweets, { window = MOVING_WINDOW } = {}) {
+  const posts = tweets.map(postStats).sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+  posts.forEach((post, i) => {
+    post.movingAverage = mean(posts.slice(Math.max(0, i - window + 1), i + 1).map(other => other.rate));
+  });
+
+  const totals = posts.reduce((sum, post) => ({
+    engagements: sum.engagements + post.engagements,
+    impressions: sum.impressions + post.impressions
+  }), { engagements: 0, impressions: 0 });
+
+  // Rank by rate when impressions are known, by raw engagements otherwise
+  const byRate = posts.some(post => post.rate !== null);
+  const ranked = posts
+    .filter(post => !byRate || post.rate !== null)
+    .sort((a, b) => (byRate ? b.rate - a.rate : b.engagements - a.engagements));
+
+  const tags = new Map();
+  posts.forEach(post => post.hashtags.forEach(tag => {
+    if (!tags.has(tag)) tags.set(tag, []);
+    tags.get(tag).push(post);
+  }));
+  const overallRate = mean(posts.map(post => post.rate));
+  const hashtagRows = [...tags.entries()]
+    .filter(([, tagged]) => tagged.length >= MIN_TAG_POSTS)
+    .map(([tag, tagged]) => {
+      const stats = groupStats(tagged);
+      const lift = overallRate && stats.averageRate !== null ? stats.averageRate / overallRate - 1 : null;
+      return { tag: `#${tag}`, ...stats, lift };
+    })
+    .sort((a, b) => (b.averageRate ?? -1) - (a.averageRate ?? -1))
+    .slice(0, TAG_COUNT);
+
+  const rated = posts.filter(post => post.rate !== null);
+
+  return {
+    overview: {
+      posts: posts.length,
+      originals: posts.filter(post => post.type === 'original').length,
+      replies: posts.filter(post => post.type === 'reply').length,
+      engagements: totals.engagements,
+      impressions: totals.impressions,
+      engagementRate: totals.impressions > 0 ? totals.engagements / totals.impressions : null,
+      averageRate: overallRate,
+      from: posts[0]?.createdAt || null,
+      to: posts[posts.length - 1]?.createdAt || null
+    },
+    posts,
+    top: ranked.slice(0, PERFORMER_COUNT),
+    bottom: ranked.slice(-PERFORMER_COUNT).reverse(),
+    hashtags: {
+      withHashtags: groupStats(posts.filter(post => post.hashtags.length > 0)),
+      withoutHashtags: groupStats(posts.filter(post => post.hashtags.length === 0)),
+      tags: hashtagRows
+    },
+    length: {
+      correlation: correlation(rated.map(post => post.length), rated.map(post => post.rate)),
+      bands: LENGTH_BANDS.map(([min, max]) => ({
+        band: max === Infinity ? `${min}+` : `${min}-${max}`,
+        ...groupStats(posts.filter(post => post.length >= min && post.length <= max))
+      })).filter(band => band.posts > 0)
+    },
+    types: ['original', 'reply'].map(type => ({ type, ...groupStats(posts.filter(post => post.type === type)) }))
+  };
+}
+
+// ── HTML ────────────────────────────────────────────────────────────────────
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  }[char]));
+}
+
+function percent(rate) {
+  return rate === null || rate === undefined ? '–' : `${(rate * 100).toFixed(2)}%`;
+}
+
+function number(value, digits = 0) {
+  return value === null || value === undefined ? '–' : Number(value).toFixed(digits);
+}
+
+const CHART = { width: 720, height: 220, pad: 36 };
+
+function lineChart(posts) {
+  const points = posts.map((post, i) => ({ i, rate: post.rate, average: post.movingAverage }));
+  const max = Math.max(0, ...points.map(p => Math.max(p.rate ?? 0, p.average ?? 0))) || 1;
+  const x = i => CHART.pad + (posts.length > 1 ? i / (posts.length - 1) : 0.5) * (CHART.width - CHART.pad * 2);
+  const y = value => CHART.height - CHART.pad - (value / max) * (CHART.height - CHART.pad * 2);
+
+  const dots = points.filter(p => p.rate !== null)
+    .map(p => `<circle cx="${x(p.i).toFixed(1)}" cy="${y(p.rate).toFixed(1)}" r="3" class="dot"><title>${percent(p.rate)}</title></circle>`);
+  const line = points.filter(p => p.average !== null).map(p => `${x(p.i).toFixed(1)},${y(p.average).toFixed(1)}`).join(' ');
+
+  return `<svg viewBox="0 0 ${CHART.width} ${CHART.height}" role="img" aria-label="Engagement rate per post">
+  <line x1="${CHART.pad}" y1="${CHART.height - CHART.pad}" x2="${CHART.width - CHART.pad}" y2="${CHART.height - CHART.pad}" class="axis"/>
+  <text x="4" y="${CHART.pad}" class="label">${percent(max)}</text>
+  <text x="4" y="${CHART.height - CHART.pad}" class="label">0%</text>
+  ${dots.join('\n  ')}
+  <polyline points="${line}" class="line"/>
+</svg>`;
+}
+
+function barChart(bars, format) {
+  const max = Math.max(0, ...bars.map(bar => bar.value ?? 0)) || 1;
+  const rowHeight = 28;
+  const labelWidth = 140;
+  const width = CHART.width - labelWidth - 80;
+  const rows = bars.map((bar, i) => {
+    const barWidth = ((bar.value ?? 0) / max) * width;
+    const top = i * rowHeight;
+    return `<text x="0" y="${top + 18}" class="label">${escapeHtml(bar.label)}</text>
+  <rect x="${labelWidth}" y="${top + 4}" width="${barWidth.toFixed(1)}" height="${rowHeight - 10}" class="bar"/>
+  <text x="${(labelWidth + barWidth + 6).toFixed(1)}" y="${top + 18}" class="label">${escapeHtml(format(bar.value))}</text>`;
+  });
+  return `<svg viewBox="0 0 ${CHART.width} ${bars.length * rowHeight}" role="img">
+  ${rows.join('\n  ')}
+</svg>`;
+}
+
+function htmlTable(rows, columns) {
+  const head = columns.map(([label]) => `<th>${escapeHtml(label)}</th>`).join('');
+  const body = rows.map(row => `<tr>${columns.map(([, cell]) => `<td>${escapeHtml(cell(row))}</td>`).join('')}</tr>`).join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+const POST_TABLE = [
+  ['Date', post => post.createdAt?.slice(0, 10)],
+  ['Type', post => post.type],
+  ['Rate', post => percent(post.rate)],
+  ['Engagements', post => post.engagements],
+  ['Impressions', post => post.impressions],
+  ['Text', post => (post.text.length > 90 ? `${post.text.slice(0, 89)}…` : post.text)]
+];
+
+/**
+ * Renders the report as a self-contained HTML page.
+ *
+ * @param {object} report - from analyzeHistory
+ * @param {object} [options]
+ * @param {string} [options.title]
+ * @param {string} [options.subtitle]
+ * @returns {string}
+ */
+function toHtml(report, { title = 'X analytics', subtitle = '' } = {}) {
+  const { overview } = report;
+  const cards = [
+    ['Posts', `${overview.posts} (${overview.replies} replies)`],
+    ['Engagements', overview.engagements],
+    ['Impressions', overview.impressions],
+    ['Engagement rate', percent(overview.engagementRate)],
+    ['Length ↔ rate', report.length.correlation === null ? '–' : `r = ${report.length.correlation.toFixed(2)}`]
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font: 14px/1.5 -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem auto; max-width: 760px; color: #1f2328; }
+  h1 { margin-bottom: 0; } .subtitle { color: #656d76; margin-top: 0.25rem; }
+  .cards { display: flex; flex-wrap: wrap; gap: 0.75rem; } .card { border: 1px solid #d0d7de; border-radius: 6px; padding: 0.5rem 0.75rem; }
+  .card b { display: block; font-size: 1.2rem; }
+  table { border-collapse: collapse; width: 100%; margin: 0.5rem 0 1.5rem; } th, td { border-bottom: 1px solid #d0d7de; padding: 4px 6px; text-align: left; }
+  svg { width: 100%; height: auto; margin: 0.5rem 0 1.5rem; } .axis { stroke: #8c959f; } .label { font-size: 11px; fill: #656d76; }
+  .dot { fill: #54aeff; } .line { fill: none; stroke: #0969da; stroke-width: 2; } .bar { fill: #54aeff; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="subtitle">${escapeHtml(subtitle)}</p>
+<div class="cards">${cards.map(([label, value]) => `<div class="card">${escapeHtml(label)}<b>${escapeHtml(value)}</b></div>`).join('')}</div>
+
+<h2>Engagement rate</h2>
+<p>Dots are single posts; the line is the moving average over the last ${MOVING_WINDOW} posts.</p>
+${lineChart(report.posts)}
+
+<h2>Top posts</h2>
+${htmlTable(report.top, POST_TABLE)}
+
+<h2>Bottom posts</h2>
+${htmlTable(report.bottom, POST_TABLE)}
+
+<h2>Originals vs replies</h2>
+${barChart(report.types.map(row => ({ label: `${row.type} (${row.posts})`, value: row.averageRate })), percent)}
+
+<h2>Length</h2>
+${barChart(report.length.bands.map(row => ({ label: `${row.band} chars (${row.posts})`, value: row.averageRate })), percent)}
+
+<h2>Hashtags</h2>
+<p>With hashtags: ${percent(report.hashtags.withHashtags.averageRate)} over ${report.hashtags.withHashtags.posts} posts · without: ${percent(report.hashtags.withoutHashtags.averageRate)} over ${report.hashtags.withoutHashtags.posts} posts</p>
+${report.hashtags.tags.length > 0
+    ? barChart(report.hashtags.tags.map(row => ({ label: `${row.tag} (${row.posts})`, value: row.averageRate })), percent)
+    : `<p>No hashtag was used in ${MIN_TAG_POSTS} or more posts.</p>`}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  MOVING_WINDOW,
+  analyzeHistory,
+  correlation,
+  filterHistory,
+  historyPosts,
+  number,
+  percent,
+  toHtml
+};
@@ -0,0 +1,115 @@
+/**
+ * ClawPost API envelope handling on top of the raw transport.
+ *
+ * Every API response has the shape {success, message, data, error}. A
+ * successful envelope is returned as-is; anything else becomes a
+ * ClawPostError carrying the HTTP status and the API error code.
+ *
+ * Calls are throttled client-side and retried per lib/retry.js.
+ */
+
+const { request, DEFAULT_TIMEOUT } = require('./http');
+const { ClawPostError, TRANSPORT_CODES, codeFromStatus } = require('./errors');
+const { throttle, withRetry } = require('./retry');
+
+const API_PATH = '/api/claw/v1';
+
+function resolveTimeout(timeout) {
+  if (timeout) return timeout;
+  const fromEnv = parseInt(process.env.CLAW_TIMEOUT, 10);
+  return fromEnv > 0 ? fromEnv : DEFAULT_TIMEOUT;
+}
+
+function parseEnvelope(res) {
+  try {
+    return JSON.parse(res.body);
+  } catch (_) {
+    // A gateway or crash page in front of the API: a server error like any other, so it is retried
+    if (res.status >= 500) {
+      throw new ClawPostError(`API Error: HTTP ${res.status} without a JSON body (INTERNAL_ERROR)`, {
+        code: codeFromStatus(res.status),
+        status: res.status,
+        headers: res.headers
+      });
+    }
+    throw new ClawPostError('Invalid response from API. Check your API_URL and internet connection.', {
+      code: TRANSPORT_CODES.INVALID_RESPONSE,
+      status: res.status
+    });
+  }
+}
+
+/**
+ * Sends a request to a ClawPost endpoint and unwraps the response envelope.
+ *
+ * @param {object} options
+ * @param {string} options.baseUrl - API root, e.g. https://clawpost.dev
+ * @param {string} options.apiKey
+ * @param {string} options.endpoint - path below /api/claw/v1, e.g. /posts?status=draft
+ * @param {string} [options.method='GET']
+ * @param {object} [options.data] - JSON body
+ * @param {object} [options.headers] - extra request headers
+ * @param {number} [options.timeout]
+ * @param {string|null} [options.proxy]
+ * @param {number} [options.retries] - defaults to CLAW_MAX_RETRIES (3)
+ * @param {Function} [options.onRetry] - called with {attempt, retries, delay, error} before each retry
+ * @returns {Promise<{success: boolean, message: string, data: any, error?: object}>}
+ */
+async function apiRequest({
+  baseUrl,
+  apiKey,
+  endpoint,
+  method = 'GET',
+  data = null,
+  headers = {},
+  timeout,
+  proxy,
+  retries,
+  onRetry
+}) {
+  const requestHeaders = {
+    Authorization: `Bearer ${apiKey}`,
+    Accept: 'application/json',
+    ...headers
+  };
+
+  let body;
+  if (data) {
+    body = JSON.stringify(data);
+    requestHeaders['Content-Type'] = 'application/json';
+  }
+
+  const url = `${baseUrl.replace(/\/+$/, '')}${API_PATH}${endpoint}`;
+
+  return withRetry(async () => {
+    await throttle(apiKey, endpoint, method);
+
+    const res = await request(url, {
+      method,
+      headers: requestHeaders,
+      body,
+      timeout: resolveTimeout(timeout),
+      proxy
+    });
+
+    const response = parseEnvelope(res);
+
+    if (!response.success || res.status >= 400) {
+      const code = response.error?.code || codeFromStatus(res.status);
+      throw new ClawPostError(`API Error: ${response.message} (${code})`, {
+        code,
+        status: res.status,
+        details: response.error?.details,
+        response,
+        headers: res.headers
+      });
+    }
+
+    return response;
+  }, { method, retries, onRetry });
+}
+
+module.exports = {
+  API_PATH,
+  apiRequest
+};
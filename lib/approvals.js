@@ -0,0 +1,226 @@
+/**
+ * Client-side review of drafts before they go live, kept in
+ * ~/.clawpost/approvals.json.
+ *
+ * A draft is submitted, then approved or rejected with a comment. An
+ * approval covers the content as submitted: a draft edited afterwards has to
+ * be submitted again. Every step, including --force overrides, is appended
+ * to `log` with who did it and when.
+ *
+ * The workflow is opt-in: publish and schedule are only gated when
+ * `requireApproval` is true in ~/.clawpost/config.json or
+ * CLAW_REQUIRE_APPROVAL=1.
+ */
+
+const os = require('os');
+const { ClawPostError } = require('./errors');
+const { hashOf, readConfig, readJsonFile, statePath, writeJsonFile } = require('./config');
+
+const REVIEW_STATES = ['pending', 'approved', 'rejected', 'published', 'scheduled'];
+
+function approvalsFile() {
+  return statePath('approvals.json');
+}
+
+function loadStore() {
+  return readJsonFile(approvalsFile(), { posts: {}, log: [] });
+}
+
+function saveStore(store) {
+  writeJsonFile(approvalsFile(), store);
+}
+
+function approvalRequired() {
+  const env = process.env.CLAW_REQUIRE_APPROVAL;
+  if (env !== undefined && env !== '') return ['1', 'true', 'yes'].includes(env.toLowerCase());
+  return readConfig().requireApproval === true;
+}
+
+// Who is acting; CLAW_USER names a reviewer on shared machines
+function currentUser() {
+  if (process.env.CLAW_USER) return process.env.CLAW_USER;
+  try {
+    return os.userInfo().username;
+  } catch (_) {
+    return 'unknown';
+  }
+}
+
+function contentHash(post) {
+  return hashOf(post.content, post.platform).slice(0, 16);
+}
+
+function conflict(message) {
+  return new ClawPostError(message, { code: 'CONFLICT', status: 409 });
+}
+
+function record(store, postId, action, { by = currentUser(), comment, post } = {}) {
+  const event = { postId, action, by, at: new Date().toISOString() };
+  if (comment) event.comment = comment;
+  if (post) event.contentHash = contentHash(post);
+  store.log.push(event);
+  return event;
+}
+
+// True when the draft is no longer what was submitted or approved
+function contentChanged(post, review) {
+  return contentHash(post) !== review.contentHash;
+}
+
+function reviewOf(postId) {
+  const entry = loadStore().posts[postId];
+  return entry ? { id: postId, ...entry } : null;
+}
+
+/**
+ * Reviews in one state (all when unset), oldest submission first.
+ */
+function listReviews({ state } = {}) {
+  return Object.entries(loadStore().posts)
+    .map(([id, entry]) => ({ id, ...entry }))
+    .filter(review => !state || review.state === state)
+    .sort((a, b) => String(a.submittedAt).localeCompare(String(b.submittedAt)));
+}
+
+/**
+ * Events for one post, or every event, oldest first.
+ */
+function reviewLog(postId) {
+  const { log } = loadStore();
+  return postId ? log.filter(event => event.postId === postId) : log;
+}
+
+/**
+ * Puts a draft up for review. A rejected draft can be submitted again.
+ * @param {object} post - the draft as returned by GET /posts/:id
+ */
+function submitPost(post, { comment } = {}) {
+  if (post.status !== 'draft') throw conflict(`Post ${post.id} is ${post.status}; only drafts can be submitted for review`);
+  const store = loadStore();
+  const event = record(store, post.id, 'submit', { comment, post });
+  store.posts[post.id] = {
+    state: 'pending',
+    platform: post.platform,
+    contentHash: event.contentHash,
+    submittedBy: event.by,
+    submittedAt: event.at,
+    comment: comment || null
+  };
+  saveStore(store);
+  return { id: post.id, ...store.posts[post.id] };
+}
+
+/**
+ * Approves or rejects a pending draft. The content must be what was
+ * submitted; approving your own submission needs `force`.
+ *
+ * @param {object} post - the draft as it is now
+ * @param {'approve'|'reject'} decision
+ * @param {object} [options]
+ * @param {string} [options.comment] - required to reject
+ * @param {boolean} [options.force]
+ */
+function reviewPost(post, decision, { comment, force = false } = {}) {
+  const store = loadStore();
+  const entry = store.posts[post.id];
+  if (!entry) throw conflict(`Post ${post.id} has not been submitted for review. Run "node cli.js submit ${post.id}" first`);
+  if (entry.state !== 'pending') throw conflict(`Post ${post.id} is already ${entry.state}`);
+  if (contentChanged(post, entry)) {
+    throw conflict(`Post ${post.id} changed after it was submitted; submit it again before reviewing`);
+  }
+  if (decision === 'reject' && !comment) {
+    throw new ClawPostError('A comment is required to reject a post, so the author knows what to change', { code: 'USAGE_ERROR' });
+  }
+
+  const by = currentUser();
+  if (decision === 'approve' && by === entry.submittedBy && !force) {
+    throw conflict(`You submitted ${post.id}; another reviewer has to approve it (or pass --force)`);
+  }
+
+  const event = record(store, post.id, decision, { by, comment, post });
+  Object.assign(entry, {
+    state: decision === 'approve' ? 'approved' : 'rejected',
+    reviewedBy: by,
+    reviewedAt: event.at,
+    reviewComment: comment || null
+  });
+  saveStore(store);
+  return { id: post.id, ...entry };
+}
+
+/**
+ * Why a draft may not go live yet, or null when it is approved as it is now.
+ */
+function approvalProblem(post) {
+  const entry = loadStore().posts[post.id];
+  if (!entry) return `Post ${post.id} has not been approved (submit it with "node cli.js submit ${post.id}")`;
+  if (entry.state === 'pending') return `Post ${post.id} is waiting for review (submitted by ${entry.submittedBy})`;
+  if (entry.state === 'rejected') return `Post ${post.id} was rejected by ${entry.reviewedBy}: ${entry.reviewComment}`;
+  if (contentChanged(post, entry)) return `Post ${post.id} changed after it was approved; submit it again`;
+  return null;
+}
+
+/**
+ * Gate before publishing or scheduling a draft. Does nothing unless approval
+ * is required; with `force` the override is logged instead of refused.
+ *
+ * @param {object} post
+ * @param {object} options
+ * @param {'publish'|'schedule'} options.action
+ * @param {boolean} [options.force]
+ */
+function checkApproval(post, { action, force = false }) {
+  if (!approvalRequired()) return;
+  const problem = approvalProblem(post);
+  if (!problem) return;
+  if (!force) throw conflict(`${problem}. Approval is required to ${action}; pass --force to override`);
+
+  const store = loadStore();
+  record(store, post.id, `force-${action}`, { comment: problem, post });
+  saveStore(store);
+}
+
+/**
+ * Gate for commands that publish or schedule without a draft (post,
+ * schedule-new, thread, import), which cannot be reviewed.
+ */
+function checkDirect(action, { force = false } = {}) {
+  if (!approvalRequired()) return;
+  if (!force) {
+    throw conflict(`Approval is required before posts go live. Create a draft and submit it for review, or pass --force to ${action} anyway`);
+  }
+  const store = loadStore();
+  record(store, null, `force-${action}`);
+  saveStore(store);
+}
+
+/**
+ * Marks a reviewed draft as published or scheduled.
+ * @param {string} postId
+ * @param {'publish'|'schedule'} action
+ */
+function recordGoLive(postId, action) {
+  const store = loadStore();
+  const entry = store.posts[postId];
+  if (!entry) return;
+  entry.state = action === 'publish' ? 'published' : 'scheduled';
+  record(store, postId, action);
+  saveStore(store);
+}
+
+module.exports = {
+  REVIEW_STATES,
+  approvalProblem,
+  approvalRequired,
+  approvalsFile,
+  checkApproval,
+  checkDirect,
+  contentChanged,
+  currentUser,
+  listReviews,
+  recordGoLive,
+  reviewLog,
+  reviewOf,
+  reviewPost,
+  submitPost
+};
@@ -0,0 +1,112 @@
+/**
+ * Command-line option parsing and content input helpers.
+ *
+ * Options are declared as { name: { alias, boolean, multiple } }. Supports
+ * `--name value`, `--name=value`, `-a value`, boolean flags, repeated flags
+ * (`multiple`) and `--` to end option parsing. A lone `-` is a positional
+ * (it means "read stdin").
+ */
+
+const fs = require('fs');
+const { ClawPostError } = require('./errors');
+
+function usageError(message) {
+  return new ClawPostError(message, { code: 'USAGE_ERROR' });
+}
+
+/**
+ * @param {string[]} argv
+ * @param {object} definitions - option name → {alias?, boolean?, multiple?}
+ * @returns {{positionals: string[], options: object}}
+ */
+function parseArgs(argv, definitions) {
+  const aliases = {};
+  Object.entries(definitions).forEach(([name, def]) => {
+    if (def.alias) aliases[def.alias] = name;
+  });
+
+  const positionals = [];
+  const options = {};
+
+  const assign = (name, value) => {
+    if (definitions[name].multiple) options[name] = (options[name] || []).concat(value);
+    else options[name] = value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg === '-' || !arg.startsWith('-')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    let name;
+    let inlineValue;
+    if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+      if (eq !== -1) inlineValue = arg.slice(eq + 1);
+    } else {
+      name = aliases[arg.slice(1)];
+      if (!name) throw usageError(`Unknown option: ${arg}`);
+    }
+
+    const def = definitions[name];
+    if (!def) throw usageError(`Unknown option: --${name}`);
+
+    if (def.boolean) {
+      if (inlineValue !== undefined) throw usageError(`Option --${name} does not take a value`);
+      options[name] = true;
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined) throw usageError(`Option --${name} requires a value`);
+    assign(name, value);
+  }
+
+  return { positionals, options };
+}
+
+function readStdin(stream = process.stdin) {
+  return new Promise((resolve, reject) => {
+    if (stream.isTTY) {
+      reject(usageError('Expected content on stdin, but stdin is a terminal'));
+      return;
+    }
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Reads post content from a file path, or stdin when the source is "-".
+ * A single trailing newline (as editors add) is dropped.
+ */
+async function readContent(source) {
+  let text;
+  if (source === '-') {
+    text = await readStdin();
+  } else {
+    try {
+      text = fs.readFileSync(source, 'utf8');
+    } catch (err) {
+      throw usageError(`Could not read ${source}: ${err.message}`);
+    }
+  }
+  return text.replace(/\r?\n$/, '');
+}
+
+module.exports = {
+  parseArgs,
+  readContent,
+  readStdin,
+  usageError
+};
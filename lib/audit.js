@@ -0,0 +1,245 @@
+/**
+ * Local audit log of every API call that changes something, appended to
+ * ~/.clawpost/audit.jsonl (one JSON object per line, mode 0600).
+ *
+ * Each entry has an `id`, the time, the profile in use, the method and
+ * endpoint, a hash of the payload and the outcome: the response data on
+ * success, the error code and message otherwise. A delete also keeps the
+ * post as last fetched (`snapshot`) so that it can be recreated.
+ *
+ * Undo is possible for two kinds of entry: a deleted draft is created again
+ * from its snapshot, and a scheduled post is turned back into a draft. The
+ * API cannot unschedule, so that draft is a new post with the same content
+ * and the scheduled one is deleted.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ClawPostError } = require('./errors');
+const { hashOf, statePath } = require('./config');
+const { matchEndpoint } = require('./endpoints');
+const { cachedRemote } = require('./cache');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'DELETE'];
+// Endpoint names and the actions they are logged and filtered as
+const ACTIONS = {
+  createDraft: 'create',
+  updatePost: 'update',
+  deletePost: 'delete',
+  publishPost: 'publish',
+  publish: 'publish',
+  schedulePost: 'schedule',
+  schedule: 'schedule',
+  generate: 'generate',
+  refine: 'refine'
+};
+const UNDOABLE = ['deletePost', 'schedulePost', 'schedule'];
+const SINCE_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// ID of the undo in progress; the calls it makes are tagged with it
+let currentUndo = null;
+
+function auditFile() {
+  return statePath('audit.jsonl');
+}
+
+function append(entry) {
+  const file = auditFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.appendFileSync(file, JSON.stringify(entry) + '\n', { mode: 0o600 });
+  return entry;
+}
+
+function readEntries() {
+  let text;
+  try {
+    text = fs.readFileSync(auditFile(), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  // A line cut short by a crash is skipped rather than failing the whole log
+  return text.split('\n').filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch (_) {
+      return [];
+    }
+  });
+}
+
+function newId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * Logs one request made through ClawPostClient; GET requests are ignored.
+ * Meant as the client's `onResponse` hook.
+ *
+ * @param {object} request - {endpoint, method, data} and `response` or `error`
+ * @param {object} [options]
+ * @param {string|null} [options.profile] - account profile the call was made with
+ * @returns {object|null} the entry written
+ */
+function recordRequest({ endpoint, method, data, response, error }, { profile = null } = {}) {
+  if (!MUTATING_METHODS.includes(method)) return null;
+
+  const matched = matchEndpoint(method, endpoint);
+  const name = matched?.name || null;
+  const result = response?.data ?? null;
+  const entry = {
+    id: newId(),
+    at: new Date().toISOString(),
+    profile,
+    method,
+    endpoint,
+    action: ACTIONS[name] || null,
+    name,
+    postId: matched?.params.id || result?.id || null,
+    payloadHash: data ? hashOf(data).slice(0, 16) : null,
+    ok: !error
+  };
+  if (currentUndo) entry.undo = currentUndo;
+
+  if (error) {
+    Object.assign(entry, { status: error.status ?? null, code: error.code || null, message: error.message });
+  } else {
+    Object.assign(entry, { message: response.message || null, result });
+  }
+
+  if (name === 'deletePost') {
+    const post = cachedRemote(entry.postId);
+    entry.snapshot = post ? { content: post.content, platform: post.platform, status: post.status } : null;
+  }
+  return append(entry);
+}
+
+// "30m", "12h", "7d" or anything Date.parse understands
+function parseSince(value) {
+  const relative = String(value).trim().match(/^(\d+)([mhd])$/);
+  const time = relative ? Date.now() - Number(relative[1]) * SINCE_UNITS[relative[2]] : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new ClawPostError(`Invalid --since "${value}". Use e.g. 30m, 12h, 7d or a date`, { code: 'USAGE_ERROR' });
+  }
+  return time;
+}
+
+/**
+ * Logged calls, newest first. Each entry gains `undoneBy` once it was undone.
+ *
+ * @param {object} [filters]
+ * @param {string} [filters.postId] - calls on this post, including undos that created it
+ * @param {string} [filters.action] - create, update, delete, publish, schedule, generate, refine or undo
+ * @param {string} [filters.since] - see parseSince
+ * @param {string} [filters.profile]
+ * @param {number} [filters.limit]
+ */
+function readLog({ postId, action, since, profile, limit } = {}) {
+  const entries = readEntries();
+  const undone = new Map(entries.filter(entry => entry.undoes).map(entry => [entry.undoes, entry.id]));
+  const after = since ? parseSince(since) : null;
+
+  const matching = entries
+    .map(entry => (undone.has(entry.id) ? { ...entry, undoneBy: undone.get(entry.id) } : entry))
+    .filter(entry => !postId || entry.postId === postId || entry.result?.id === postId)
+    .filter(entry => !action || entry.action === action)
+    .filter(entry => !profile || entry.profile === profile)
+    .filter(entry => after === null || Date.parse(entry.at) >= after)
+    .reverse();
+  return limit ? matching.slice(0, limit) : matching;
+}
+
+// Why an entry cannot be undone, or null
+function undoProblem(entry) {
+  if (entry.undoneBy) return `Entry ${entry.id} was already undone (${entry.undoneBy})`;
+  if (entry.undo) return `Entry ${entry.id} was made by undo ${entry.undo}; it cannot be undone itself`;
+  if (!UNDOABLE.includes(entry.name)) {
+    return `Entry ${entry.id} (${entry.action || entry.method}) cannot be undone; only deletes of drafts and schedules can`;
+  }
+  if (!entry.ok) return `Entry ${entry.id} failed, so there is nothing to undo`;
+  if (entry.name === 'deletePost' && !entry.snapshot) {
+    return `Entry ${entry.id} has no copy of the deleted post (it was not fetched before the delete)`;
+  }
+  return null;
+}
+
+/**
+ * The entry to undo: the one with `id`, or the most recent one that can be
+ * undone. Throws when there is none or it cannot be undone.
+ */
+function findUndoable(id) {
+  const entries = readLog();
+  if (!id) {
+    const entry = entries.find(candidate => !undoProblem(candidate));
+    if (!entry) throw new ClawPostError('Nothing in the audit log can be undone', { code: 'NOT_FOUND', status: 404 });
+    return entry;
+  }
+
+  const entry = entries.find(candidate => candidate.id === id);
+  if (!entry) throw new ClawPostError(`No audit entry "${id}". See "node cli.js log"`, { code: 'NOT_FOUND', status: 404 });
+  const problem = undoProblem(entry);
+  if (problem) throw new ClawPostError(problem, { code: 'CONFLICT', status: 409 });
+  return entry;
+}
+
+/**
+ * Reverts a logged delete or schedule and records the undo.
+ *
+ * @param {ClawPostClient} client
+ * @param {object} entry - from findUndoable
+ * @param {object} [options]
+ * @param {string|null} [options.profile]
+ * @returns {Promise<{undo: object, draft: object, removed: string|null}>}
+ */
+async function undoEntry(client, entry, { profile = null } = {}) {
+  if ((entry.profile || null) !== profile) {
+    const flag = entry.profile ? `--profile ${entry.profile}` : 'CLAW_API_KEY and no profile';
+    throw new ClawPostError(`Entry ${entry.id} was made with another account; undo it with ${flag}`, { code: 'CONFLICT', status: 409 });
+  }
+  const id = newId();
+  let draft;
+  let removed = null;
+
+  currentUndo = id;
+  try {
+    if (entry.name === 'deletePost') {
+      const { content, platform } = entry.snapshot;
+      draft = await client.createDraft({ content, platform });
+    } else {
+      const postId = entry.postId || entry.result?.id;
+      const post = await client.getPost(postId);
+      if (post.status !== 'scheduled') {
+        throw new ClawPostError(`Post ${postId} is ${post.status} now, so it can no longer be unscheduled`, { code: 'CONFLICT', status: 409 });
+      }
+      // Draft first, so the content survives if the delete fails
+      draft = await client.createDraft({ content: post.content, platform: post.platform });
+      await client.deletePost(postId);
+      removed = postId;
+    }
+  } finally {
+    currentUndo = null;
+  }
+
+  const undo = append({
+    id,
+    at: new Date().toISOString(),
+    profile,
+    action: 'undo',
+    undoes: entry.id,
+    postId: draft.id,
+    ok: true,
+    message: removed ? `Unscheduled ${removed} as draft ${draft.id}` : `Recreated deleted ${entry.postId} as draft ${draft.id}`
+  });
+  return { undo, draft, removed };
+}
+
+module.exports = {
+  ACTIONS,
+  auditFile,
+  findUndoable,
+  readLog,
+  recordRequest,
+  undoEntry,
+  undoProblem
+};
@@ -0,0 +1,304 @@
+/**
+ * Local mirror of posts in ~/.clawpost/posts.json, with offline drafts.
+ *
+ * Each entry keeps the last post seen from the server (`remote`), a hash of
+ * its content at that time (`base`) and, for offline work, the local fields
+ * and a pending action (create, update or delete). `syncPosts` pushes
+ * pending actions and pulls remote posts. A draft that changed on the server
+ * since `base` and also has a pending local change is a conflict: it is
+ * left unpushed and reported with the CONFLICT code. A create that failed
+ * after it may have reached the server is marked `sentAt`; the next sync
+ * looks for a draft with the same content before creating it again.
+ */
+
+const crypto = require('crypto');
+const { ClawPostError } = require('./errors');
+const { hashOf, readJsonFile, statePath, writeJsonFile } = require('./config');
+const { neverSent } = require('./retry');
+
+const LOCAL_PREFIX = 'local_';
+
+function cacheFile() {
+  return statePath('posts.json');
+}
+
+function loadCache() {
+  return readJsonFile(cacheFile(), { fetchedAt: null, syncedAt: null, posts: {} });
+}
+
+function saveCache(cache) {
+  writeJsonFile(cacheFile(), cache);
+}
+
+function isLocalId(id) {
+  return typeof id === 'string' && id.startsWith(LOCAL_PREFIX);
+}
+
+function contentHash(post) {
+  return hashOf(post.content, post.platform).slice(0, 16);
+}
+
+// The post as the user currently sees it: remote fields overlaid with local edits
+function viewOf(id, entry) {
+  const post = { ...entry.remote, ...entry.local, id };
+  if (entry.pending) post.pending = entry.pending;
+  if (entry.conflict) post.conflict = entry.conflict;
+  return post;
+}
+
+function notCached(id) {
+  return new ClawPostError(`Post ${id} is not in the local cache. Run "list" or "show ${id}" while online first`, {
+    code: 'NOT_FOUND',
+    status: 404
+  });
+}
+
+// Updates snapshots in place; entries with pending changes keep their base
+function mergeRemote(cache, posts, { complete = false } = {}) {
+  const seen = new Set();
+  cache.fetchedAt = new Date().toISOString();
+  posts.forEach(post => {
+    seen.add(post.id);
+    const entry = cache.posts[post.id];
+    if (entry?.pending) {
+      entry.remote = post;
+      return;
+    }
+    cache.posts[post.id] = { remote: post, base: contentHash(post) };
+  });
+
+  // A full listing tells us which posts were deleted on the server
+  if (complete) {
+    Object.keys(cache.posts).forEach(id => {
+      if (!seen.has(id) && !isLocalId(id) && !cache.posts[id].pending) delete cache.posts[id];
+    });
+  }
+}
+
+/**
+ * Records posts fetched from the API.
+ * @param {object[]} posts
+ * @param {object} [options]
+ * @param {boolean} [options.complete=false] - `posts` is every post on the server
+ */
+function rememberPosts(posts, options) {
+  const cache = loadCache();
+  mergeRemote(cache, posts, options);
+  saveCache(cache);
+}
+
+function forgetPost(id) {
+  const cache = loadCache();
+  delete cache.posts[id];
+  saveCache(cache);
+}
+
+// The post as last fetched from the server, ignoring local edits; null when never fetched
+function cachedRemote(id) {
+  return loadCache().posts[id]?.remote || null;
+}
+
+function getCachedPost(id) {
+  const entry = loadCache().posts[id];
+  if (!entry || entry.pending === 'delete') throw notCached(id);
+  return viewOf(id, entry);
+}
+
+/**
+ * Cached posts, newest first, filtered like GET /posts.
+ */
+function listCachedPosts({ status, platform, limit } = {}) {
+  const cache = loadCache();
+  const posts = Object.entries(cache.posts)
+    .filter(([, entry]) => entry.pending !== 'delete')
+    .map(([id, entry]) => viewOf(id, entry))
+    .filter(post => (!status || post.status === status) && (!platform || post.platform === platform))
+    .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+  return {
+    posts: limit ? posts.slice(0, Number(limit)) : posts,
+    total: posts.length,
+    pending: posts.filter(post => post.pending).length,
+    fetchedAt: cache.fetchedAt || null,
+    syncedAt: cache.syncedAt || null
+  };
+}
+
+/**
+ * Saves a draft locally; it gets a local_ ID until the next sync.
+ */
+function createLocalDraft({ content, platform }) {
+  const cache = loadCache();
+  const id = `${LOCAL_PREFIX}${crypto.randomBytes(6).toString('hex')}`;
+  cache.posts[id] = {
+    local: {
+      content,
+      platform,
+      status: 'draft',
+      postType: 'original',
+      createdAt: new Date().toISOString(),
+      availableActions: ['update', 'delete']
+    },
+    pending: 'create'
+  };
+  saveCache(cache);
+  return viewOf(id, cache.posts[id]);
+}
+
+function updateLocalPost(id, fields) {
+  const cache = loadCache();
+  const entry = cache.posts[id];
+  if (!entry || entry.pending === 'delete') throw notCached(id);
+  const status = entry.local?.status || entry.remote?.status;
+  if (status !== 'draft') {
+    throw new ClawPostError(`Post ${id} is ${status}; only drafts can be edited`, { code: 'CONFLICT', status: 409 });
+  }
+  entry.local = { ...entry.local, ...fields, updatedAt: new Date().toISOString() };
+  if (!entry.pending) entry.pending = 'update';
+  saveCache(cache);
+  return viewOf(id, entry);
+}
+
+function deleteLocalPost(id) {
+  const cache = loadCache();
+  const entry = cache.posts[id];
+  if (!entry || entry.pending === 'delete') throw notCached(id);
+  // A draft that never reached the server just disappears
+  if (entry.pending === 'create') delete cache.posts[id];
+  else entry.pending = 'delete';
+  saveCache(cache);
+}
+
+function describeError(error) {
+  return { code: error.code || 'UNKNOWN_ERROR', message: error.message, status: error.status ?? null };
+}
+
+// A draft an earlier, failed create may have made after all
+async function findCreated(client, { content, platform }) {
+  const { posts, complete } = await client.listAllPosts({ status: 'draft', platform });
+  return { post: posts.find(post => post.content === content) || null, complete };
+}
+
+async function pushCreate(client, cache, id, entry, prefer) {
+  let post = null;
+  if (entry.sentAt) {
+    const found = await findCreated(client, entry.local);
+    post = found.post;
+    if (!post && !found.complete && prefer !== 'local') {
+      entry.conflict = { reason: 'an earlier create may have reached the server', detectedAt: new Date().toISOString() };
+      return { id, action: 'conflict', reason: entry.conflict.reason };
+    }
+  }
+
+  if (!post) {
+    // Saved first, so a create that times out is checked for on the next sync
+    entry.sentAt = new Date().toISOString();
+    saveCache(cache);
+    try {
+      post = (await client.call('createDraft', { content: entry.local.content, platform: entry.local.platform })).data;
+    } catch (error) {
+      if (neverSent(error) || (error.status && error.status < 500)) delete entry.sentAt;
+      throw error;
+    }
+  }
+
+  delete cache.posts[id];
+  cache.posts[post.id] = { remote: post, base: contentHash(post) };
+  return { id: post.id, localId: id, action: 'create' };
+}
+
+async function pushEntry(client, cache, id, entry, prefer) {
+  if (entry.pending === 'create') return pushCreate(client, cache, id, entry, prefer);
+
+  let remote = null;
+  try {
+    remote = (await client.call('getPost', { id })).data;
+  } catch (error) {
+    if (error.code !== 'NOT_FOUND') throw error;
+  }
+
+  if (!remote) {
+    if (entry.pending === 'delete' || prefer === 'remote') {
+      delete cache.posts[id];
+      return { id, action: 'drop', reason: 'deleted on the server' };
+    }
+    entry.conflict = { reason: 'deleted on the server', detectedAt: new Date().toISOString() };
+    return { id, action: 'conflict', reason: entry.conflict.reason };
+  }
+
+  const changed = contentHash(remote) !== entry.base || remote.status !== 'draft';
+  if (changed && prefer === 'remote') {
+    cache.posts[id] = { remote, base: contentHash(remote) };
+    return { id, action: 'discard', reason: 'kept the server version' };
+  }
+  if (changed && prefer !== 'local') {
+    entry.remote = remote;
+    entry.conflict = {
+      reason: remote.status !== 'draft' ? `${remote.status} on the server` : 'changed on the server',
+      remoteContent: remote.content,
+      detectedAt: new Date().toISOString()
+    };
+    return { id, action: 'conflict', reason: entry.conflict.reason };
+  }
+
+  if (entry.pending === 'delete') {
+    await client.call('deletePost', { id });
+    delete cache.posts[id];
+    return { id, action: 'delete' };
+  }
+
+  const post = (await client.call('updatePost', { id, content: entry.local.content })).data || { ...remote, ...entry.local };
+  cache.posts[id] = { remote: post, base: contentHash(post) };
+  return { id, action: 'update' };
+}
+
+/**
+ * Pushes pending local changes, then pulls every post from the server.
+ *
+ * @param {ClawPostClient} client
+ * @param {object} [options]
+ * @param {'local'|'remote'} [options.prefer] - how to resolve conflicts; unset leaves them flagged
+ * @returns {Promise<{pushed: object[], conflicts: object[], failed: object[], pulled: number}>}
+ */
+async function syncPosts(client, { prefer } = {}) {
+  const cache = loadCache();
+  const pushed = [];
+  const conflicts = [];
+  const failed = [];
+
+  for (const [id, entry] of Object.entries(cache.posts)) {
+    if (!entry.pending) continue;
+    try {
+      const result = await pushEntry(client, cache, id, entry, prefer);
+      if (result.action === 'conflict') conflicts.push(result);
+      else pushed.push(result);
+    } catch (error) {
+      failed.push({ id, action: entry.pending, error: describeError(error) });
+    }
+    saveCache(cache);
+  }
+
+  // Resolved entries drop their conflict marker
+  Object.values(cache.posts).forEach(entry => {
+    if (!entry.pending) delete entry.conflict;
+  });
+
+  const { posts, complete } = await client.listAllPosts();
+  mergeRemote(cache, posts, { complete });
+  cache.syncedAt = new Date().toISOString();
+  saveCache(cache);
+
+  return { pushed, conflicts, failed, pulled: posts.length };
+}
+
+module.exports = {
+  cachedRemote,
+  createLocalDraft,
+  deleteLocalPost,
+  forgetPost,
+  getCachedPost,
+  isLocalId,
+  listCachedPosts,
+  rememberPosts,
+  syncPosts,
+  updateLocalPost
+};
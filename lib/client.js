@@ -0,0 +1,186 @@
+/**
+ * Programmatic ClawPost client.
+ *
+ * Methods resolve with the response `data` and reject with ClawPostError;
+ * nothing is printed and the process is never exited. Use `call()` when the
+ * full {success, message, data} envelope is needed.
+ *
+ *   const { ClawPostClient } = require('social-media-publisher');
+ *   const client = new ClawPostClient({ apiKey: process.env.CLAW_API_KEY });
+ *   const { posts } = await client.listPosts({ status: 'draft' });
+ */
+
+const { apiRequest } = require('./api');
+const { buildRequest } = require('./endpoints');
+const { ClawPostError } = require('./errors');
+
+const DEFAULT_BASE_URL = 'https://clawpost.dev';
+// First and largest limit listAllPosts asks for
+const LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 1600;
+
+/**
+ * Whether a listPosts response holds every matching post. Only a `total`
+ * says so: without one, a short list may still have been cut off by the
+ * server, so it counts as incomplete.
+ * @param {{posts: object[], total?: number}} data
+ * @returns {boolean}
+ */
+function isFullListing({ posts = [], total }) {
+  return typeof total === 'number' && posts.length >= total;
+}
+
+class ClawPostClient {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.apiKey] - defaults to CLAW_API_KEY
+   * @param {string} [options.baseUrl] - defaults to CLAW_API_URL or https://clawpost.dev
+   * @param {number} [options.timeout] - per-request timeout in ms
+   * @param {string|null} [options.proxy] - proxy URL; null disables, undefined reads HTTPS_PROXY/NO_PROXY
+   * @param {number} [options.retries] - retry attempts for retryable failures
+   * @param {object} [options.headers] - extra headers sent with every request
+   * @param {Function} [options.onRetry] - called before each retry with {attempt, retries, delay, error}
+   * @param {Function} [options.onResponse] - called after each request with {endpoint, method, data} and
+   *   the `response` envelope or the `error`
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || process.env.CLAW_API_KEY;
+    this.baseUrl = options.baseUrl || process.env.CLAW_API_URL || DEFAULT_BASE_URL;
+    this.timeout = options.timeout;
+    this.proxy = options.proxy;
+    this.retries = options.retries;
+    this.headers = options.headers || {};
+    this.onRetry = options.onRetry;
+    this.onResponse = options.onResponse;
+  }
+
+  /**
+   * Low-level request against a path below /api/claw/v1.
+   * @returns {Promise<object>} the full response envelope
+   */
+  async request(endpoint, method = 'GET', data = null, options = {}) {
+    if (!this.apiKey) {
+      throw new ClawPostError('No API key configured. Set CLAW_API_KEY or pass apiKey.', {
+        code: 'MISSING_API_KEY'
+      });
+    }
+
+    const request = apiRequest({
+      baseUrl: this.baseUrl,
+      apiKey: this.apiKey,
+      endpoint,
+      method,
+      data,
+      headers: { ...this.headers, ...options.headers },
+      timeout: options.timeout || this.timeout,
+      proxy: this.proxy,
+      retries: options.retries !== undefined ? options.retries : this.retries,
+      onRetry: this.onRetry
+    });
+    if (!this.onResponse) return request;
+
+    let response;
+    try {
+      response = await request;
+    } catch (error) {
+      this.onResponse({ endpoint, method, data, error });
+      throw error;
+    }
+    this.onResponse({ endpoint, method, data, response });
+    return response;
+  }
+
+  /**
+   * Calls a named endpoint from lib/endpoints.js.
+   * @returns {Promise<object>} the full response envelope
+   */
+  async call(name, params = {}, options = {}) {
+    const { method, endpoint, data } = buildRequest(name, params);
+    return this.request(endpoint, method, data, options);
+  }
+
+  async status() {
+    return (await this.call('status')).data;
+  }
+
+  async platforms() {
+    return (await this.call('platforms')).data;
+  }
+
+  async credits() {
+    return (await this.call('credits')).data;
+  }
+
+  async listPosts(filters = {}) {
+    return (await this.call('listPosts', filters)).data;
+  }
+
+  /**
+   * Every post matching `filters`. The API has no paging, so the limit is
+   * doubled until fewer posts come back than were asked for. `complete`
+   * follows isFullListing, so it is false when the API sends no `total` or
+   * MAX_LIST_LIMIT was reached first.
+   * @returns {Promise<{posts: object[], complete: boolean}>}
+   */
+  async listAllPosts(filters = {}) {
+    let limit = LIST_LIMIT;
+    for (;;) {
+      const data = await this.listPosts({ ...filters, limit });
+      const posts = data.posts || [];
+      if (isFullListing(data) || posts.length < limit || limit >= MAX_LIST_LIMIT) {
+        return { posts, complete: isFullListing(data) };
+      }
+      limit *= 2;
+    }
+  }
+
+  async getPost(id) {
+    return (await this.call('getPost', { id })).data;
+  }
+
+  async createDraft(params) {
+    return (await this.call('createDraft', params)).data;
+  }
+
+  async updatePost(id, fields) {
+    return (await this.call('updatePost', { ...fields, id })).data;
+  }
+
+  async deletePost(id) {
+    return (await this.call('deletePost', { id })).data;
+  }
+
+  async publishPost(id) {
+    return (await this.call('publishPost', { id })).data;
+  }
+
+  async publish(params) {
+    return (await this.call('publish', params)).data;
+  }
+
+  async schedulePost(id, scheduledAt) {
+    return (await this.call('schedulePost', { id, scheduledAt })).data;
+  }
+
+  async schedule(params) {
+    return (await this.call('schedule', params)).data;
+  }
+
+  async generate(params) {
+    return (await this.call('generate', params)).data;
+  }
+
+  async refine(params) {
+    return (await this.call('refine', params)).data;
+  }
+
+  async xHistory(filters = {}) {
+    return (await this.call('xHistory', filters)).data;
+  }
+}
+
+module.exports = {
+  ClawPostClient,
+  DEFAULT_BASE_URL,
+  isFullListing
+};
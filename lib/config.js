@@ -0,0 +1,62 @@
+/**
+ * Local state under ~/.clawpost (override with CLAWPOST_HOME).
+ * Files are JSON, written atomically and readable only by the user.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function homeDir() {
+  return process.env.CLAWPOST_HOME || path.join(os.homedir(), '.clawpost');
+}
+
+function statePath(...segments) {
+  return path.join(homeDir(), ...segments);
+}
+
+function readJsonFile(file, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw new Error(`Could not read ${file}: ${err.message}`);
+  }
+}
+
+function writeJsonFile(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+// Removes a state file; a missing one is fine
+function removeJsonFile(file) {
+  try {
+    fs.unlinkSync(file);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+}
+
+// User settings from ~/.clawpost/config.json, e.g. {"timezone": "Europe/London"}
+function readConfig() {
+  return readJsonFile(statePath('config.json'), {}) || {};
+}
+
+// Stable hash used to key state files by their inputs
+function hashOf(...parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+module.exports = {
+  hashOf,
+  homeDir,
+  readConfig,
+  readJsonFile,
+  removeJsonFile,
+  statePath,
+  writeJsonFile
+};
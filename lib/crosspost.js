@@ -0,0 +1,170 @@
+/**
+ * Cross-posting one piece of content to several platforms.
+ *
+ * Content is adapted per platform (too-long text is shortened for X via
+ * /ai/refine, then checked again) before anything is posted. Progress is
+ * recorded in ~/.clawpost/crosspost/<key>.json, keyed by action, content,
+ * platforms and time, until every platform has succeeded. While a record
+ * exists the same cross-post only runs again with `resume`, which retries
+ * just the platforms that failed.
+ */
+
+const { PLATFORMS } = require('./endpoints');
+const { ClawPostError } = require('./errors');
+const { hashOf, readJsonFile, removeJsonFile, statePath, writeJsonFile } = require('./config');
+const { LIMITS, contentLength, validateContent } = require('./validate');
+
+const SHORTEN_INSTRUCTIONS = 'Shorten this to fit a single X (Twitter) post of at most 280 characters. ' +
+  'Keep the key message, links and hashtags where possible.';
+
+/**
+ * Parses a --platform value: a single platform, a comma-separated list or "all".
+ * @returns {string[]}
+ */
+function parsePlatforms(value) {
+  if (!value) return [];
+  const names = value === 'all' ? PLATFORMS : value.split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = names.filter(name => !PLATFORMS.includes(name));
+  if (unknown.length > 0) {
+    throw new ClawPostError(`Invalid platform "${unknown[0]}". Expected one of: ${PLATFORMS.join(', ')} or all`, {
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  return [...new Set(names)];
+}
+
+function isMultiPlatform(value) {
+  return value === 'all' || (typeof value === 'string' && value.includes(','));
+}
+
+async function adaptContent(client, content, platform) {
+  if (contentLength(content, platform) <= LIMITS[platform]) return { content, adapted: false };
+
+  const refined = await client.refine({ content, instructions: SHORTEN_INSTRUCTIONS, platform });
+  const check = validateContent(refined.content, platform);
+  if (!check.valid) {
+    throw new ClawPostError(`The text shortened for ${platform} is still not valid: ${check.errors.map(error => error.message).join('; ')}`, {
+      code: 'VALIDATION_ERROR',
+      details: check.errors
+    });
+  }
+  return { content: refined.content, adapted: true };
+}
+
+function statePathFor(key) {
+  return statePath('crosspost', `${key}.json`);
+}
+
+const ACTIONS = {
+  draft: (client, params) => client.call('createDraft', params),
+  publish: (client, params) => client.call('publish', params),
+  schedule: (client, params) => client.call('schedule', params)
+};
+
+function describeError(error) {
+  return { code: error.code || 'UNKNOWN_ERROR', message: error.message, status: error.status ?? null };
+}
+
+function unfinished(key, file, state) {
+  const done = Object.keys(state.platforms).filter(platform => state.platforms[platform].success);
+  const progress = done.length > 0 ? `${done.join(', ')} already done` : 'nothing posted yet';
+  return new ClawPostError(`An earlier run of this cross-post did not finish (${progress}). ` +
+    `Pass --resume to retry only the platforms that are not done, or delete ${file} to start over`, {
+    code: 'CONFLICT',
+    details: { key, file, platforms: state.platforms }
+  });
+}
+
+/**
+ * Runs a draft/publish/schedule action on each platform.
+ *
+ * @param {ClawPostClient} client
+ * @param {object} options
+ * @param {'draft'|'publish'|'schedule'} options.action
+ * @param {string} options.content
+ * @param {string[]} options.platforms
+ * @param {string} [options.scheduledAt] - required for schedule
+ * @param {boolean} [options.adapt=true] - shorten content for platforms it does not fit
+ * @param {boolean} [options.resume=false] - continue an earlier run of the same cross-post; without it
+ *   an unfinished record is a CONFLICT
+ * @param {Function} [options.confirm] - awaited with [{platform, content}] for text shortened on this run,
+ *   before anything is posted; nothing is posted when it resolves false
+ * @returns {Promise<{key: string, results: object[], declined?: boolean}>} one result per platform:
+ *   {platform, success, skipped?, adapted?, content, message?, post?, error?}
+ */
+async function crossPost(client, { action, content, platforms, scheduledAt, adapt = true, resume = false, confirm }) {
+  const key = hashOf(action, content, [...platforms].sort(), scheduledAt || null).slice(0, 16);
+  const file = statePathFor(key);
+  const saved = readJsonFile(file, null);
+  if (saved && !resume) throw unfinished(key, file, saved);
+  const state = saved || { action, scheduledAt, startedAt: new Date().toISOString(), platforms: {} };
+
+  // Every platform's text is settled before the first one is posted
+  const prepared = {};
+  for (const platform of platforms) {
+    const previous = state.platforms[platform];
+    if (previous?.success) continue;
+    // Reuse text adapted on an earlier run so a retry posts the same words
+    if (previous?.content) {
+      prepared[platform] = { content: previous.content, adapted: previous.adapted, confirmed: true };
+      continue;
+    }
+    try {
+      prepared[platform] = adapt ? await adaptContent(client, content, platform) : { content, adapted: false };
+    } catch (error) {
+      prepared[platform] = { error };
+    }
+  }
+
+  const shortened = Object.entries(prepared)
+    .filter(([, item]) => item.adapted && !item.confirmed)
+    .map(([platform, item]) => ({ platform, content: item.content }));
+  if (shortened.length > 0 && confirm && !(await confirm(shortened))) {
+    return { key, results: [], declined: true };
+  }
+
+  const results = [];
+  for (const platform of platforms) {
+    const previous = state.platforms[platform];
+    if (previous?.success) {
+      results.push({ ...previous, platform, skipped: true });
+      continue;
+    }
+
+    const adapted = prepared[platform];
+    let result;
+    try {
+      if (adapted.error) throw adapted.error;
+      const params = { content: adapted.content, platform };
+      if (scheduledAt) params.scheduledAt = scheduledAt;
+
+      const response = await ACTIONS[action](client, params);
+      result = {
+        platform,
+        success: true,
+        adapted: adapted.adapted,
+        content: adapted.content,
+        message: response.message,
+        post: response.data,
+        completedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      result = { platform, success: false, adapted: adapted.adapted, content: adapted.content, error: describeError(error) };
+    }
+
+    state.platforms[platform] = result;
+    writeJsonFile(file, state);
+    results.push(result);
+  }
+
+  // A finished cross-post leaves nothing behind, so posting the same text later starts afresh
+  if (results.every(result => result.success)) removeJsonFile(file);
+  return { key, results };
+}
+
+module.exports = {
+  adaptContent,
+  crossPost,
+  isMultiPlatform,
+  parsePlatforms
+};
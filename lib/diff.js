@@ -0,0 +1,71 @@
+/**
+ * Word-level diff between two texts, used to show what an AI refine changed.
+ */
+
+// Words and the whitespace between them; joining the tokens restores the text
+function tokenize(text) {
+  return String(text || '').split(/(\s+)/).filter(Boolean);
+}
+
+/**
+ * Longest-common-subsequence diff over words. Adjacent parts of the same type
+ * are merged, so the result alternates between unchanged and changed runs.
+ *
+ * @param {string} before
+ * @param {string} after
+ * @returns {{type: 'same'|'added'|'removed', text: string}[]}
+ */
+function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // common[i][j] is the LCS length of a[i..] and b[j..]
+  const common = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (common[i + 1][j] >= common[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return parts;
+}
+
+/**
+ * Words added and removed in a diff; whitespace changes are not counted.
+ * @returns {{added: number, removed: number}}
+ */
+function diffStats(parts) {
+  const words = text => text.split(/\s+/).filter(Boolean).length;
+  return parts.reduce((stats, part) => {
+    if (part.type !== 'same') stats[part.type] += words(part.text);
+    return stats;
+  }, { added: 0, removed: 0 });
+}
+
+module.exports = {
+  diffStats,
+  diffWords
+};
@@ -0,0 +1,49 @@
+/**
+ * Editing text in the user's editor ($VISUAL, then $EDITOR, then vi).
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ClawPostError } = require('./errors');
+
+function editorCommand() {
+  return process.env.VISUAL || process.env.EDITOR || (process.platform === 'win32' ? 'notepad' : 'vi');
+}
+
+/**
+ * Opens `text` in the editor and resolves with the saved text (one trailing
+ * newline removed). The editor runs through the shell, so values such as
+ * "code --wait" work. Throws USAGE_ERROR when the editor fails.
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.name='post'] - temp file name, shown by most editors
+ * @returns {string}
+ */
+function editText(text, { name = 'post' } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clawpost-'));
+  const file = path.join(dir, `${name.replace(/[^\w.-]/g, '_')}.md`);
+  fs.writeFileSync(file, text.endsWith('\n') ? text : `${text}\n`, { mode: 0o600 });
+
+  try {
+    const editor = editorCommand();
+    const result = spawnSync(`${editor} "${file}"`, { stdio: 'inherit', shell: true });
+    if (result.error) {
+      throw new ClawPostError(`Could not start editor "${editor}": ${result.error.message}`, { code: 'USAGE_ERROR' });
+    }
+    if (result.status !== 0) {
+      throw new ClawPostError(`Editor "${editor}" exited with status ${result.status}; changes discarded`, { code: 'USAGE_ERROR' });
+    }
+    return fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+  } finally {
+    fs.unlinkSync(file);
+    fs.rmdirSync(dir);
+  }
+}
+
+module.exports = {
+  editText,
+  editorCommand
+};
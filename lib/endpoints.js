@@ -0,0 +1,228 @@
+/**
+ * Declarative table of the ClawPost API endpoints documented in SKILL.md.
+ *
+ * Each entry names the HTTP method, the path (":id" segments are filled from
+ * params) and the parameters with their location, type and constraints. The
+ * client builds requests from this table so there is one place to describe
+ * the API surface.
+ */
+
+const { ClawPostError } = require('./errors');
+
+const PLATFORMS = ['linkedin', 'twitter'];
+const POST_STATUSES = ['draft', 'published', 'scheduled', 'failed'];
+const POST_TYPES = ['original', 'quote', 'reply', 'remix'];
+const TONES = ['professional', 'casual', 'technical', 'marketing'];
+const HISTORY_TYPES = ['posts', 'replies', 'all'];
+const HISTORY_PERIODS = ['7d', '30d', '90d', 'all'];
+
+const postId = { in: 'path', type: 'string', required: true, description: 'Post ID, e.g. post_12345' };
+const content = { in: 'body', type: 'string', required: true, description: 'Post text' };
+const platform = { in: 'body', type: 'string', enum: PLATFORMS, description: 'Target platform' };
+const scheduledAt = { in: 'body', type: 'string', format: 'date-time', required: true, description: 'ISO 8601 publish time' };
+const postType = { in: 'body', type: 'string', enum: POST_TYPES, description: 'original, or a quote, reply or remix of an X post' };
+const reference = { in: 'body', type: 'object', description: 'The X post replied to, quoted or remixed: {tweetId, text, author}' };
+
+const ENDPOINTS = {
+  status: {
+    method: 'GET',
+    path: '/status',
+    description: 'Verify the API key and show the user, connected platforms and credits'
+  },
+  platforms: {
+    method: 'GET',
+    path: '/platforms',
+    description: 'List connected social platforms'
+  },
+  credits: {
+    method: 'GET',
+    path: '/credits',
+    description: 'Show the credit balance'
+  },
+  listPosts: {
+    method: 'GET',
+    path: '/posts',
+    description: 'List posts, optionally filtered by status and platform',
+    params: {
+      status: { in: 'query', type: 'string', enum: POST_STATUSES, description: 'Post status' },
+      platform: { in: 'query', type: 'string', enum: PLATFORMS, description: 'Platform' },
+      limit: { in: 'query', type: 'integer', minimum: 1, description: 'Maximum number of posts' }
+    }
+  },
+  getPost: {
+    method: 'GET',
+    path: '/posts/:id',
+    description: 'Get a single post',
+    params: { id: postId }
+  },
+  createDraft: {
+    method: 'POST',
+    path: '/drafts',
+    description: 'Create a draft',
+    params: { content, platform, postType, reference }
+  },
+  updatePost: {
+    method: 'PUT',
+    path: '/posts/:id',
+    description: 'Update a draft',
+    params: {
+      id: postId,
+      content: { ...content, required: false }
+    }
+  },
+  deletePost: {
+    method: 'DELETE',
+    path: '/posts/:id',
+    description: 'Delete a draft',
+    params: { id: postId }
+  },
+  publishPost: {
+    method: 'POST',
+    path: '/posts/:id/publish',
+    description: 'Publish an existing draft',
+    params: { id: postId }
+  },
+  publish: {
+    method: 'POST',
+    path: '/publish',
+    description: 'Publish immediately without a draft step',
+    params: { content, platform, postType, reference }
+  },
+  schedulePost: {
+    method: 'POST',
+    path: '/posts/:id/schedule',
+    description: 'Schedule an existing draft',
+    params: { id: postId, scheduledAt }
+  },
+  schedule: {
+    method: 'POST',
+    path: '/schedule',
+    description: 'Schedule a new post without a draft step',
+    params: { content, platform, scheduledAt, postType, reference }
+  },
+  generate: {
+    method: 'POST',
+    path: '/ai/generate',
+    description: 'Generate a post with AI',
+    params: {
+      prompt: { in: 'body', type: 'string', required: true, description: 'What the post should be about' },
+      platform,
+      tone: { in: 'body', type: 'string', enum: TONES, description: 'Writing tone' }
+    }
+  },
+  refine: {
+    method: 'POST',
+    path: '/ai/refine',
+    description: 'Improve existing content with instructions',
+    params: {
+      content,
+      instructions: { in: 'body', type: 'string', required: true, description: 'How to change the content' },
+      platform
+    }
+  },
+  xHistory: {
+    method: 'GET',
+    path: '/history/x',
+    description: 'X (Twitter) post history with per-post metrics and a summary',
+    params: {
+      type: { in: 'query', type: 'string', enum: HISTORY_TYPES, description: 'Which tweets to include' },
+      limit: { in: 'query', type: 'integer', minimum: 1, maximum: 100, description: 'Maximum results' },
+      period: { in: 'query', type: 'string', enum: HISTORY_PERIODS, description: 'Time window' }
+    }
+  }
+};
+
+function validationError(message) {
+  return new ClawPostError(message, { code: 'VALIDATION_ERROR' });
+}
+
+function checkParam(name, spec, value) {
+  if (spec.enum && !spec.enum.includes(value)) {
+    throw validationError(`Invalid ${name} "${value}". Expected one of: ${spec.enum.join(', ')}`);
+  }
+  if (spec.type === 'integer') {
+    const number = Number(value);
+    if (!Number.isInteger(number)) throw validationError(`${name} must be an integer`);
+    if (spec.minimum !== undefined && number < spec.minimum) throw validationError(`${name} must be at least ${spec.minimum}`);
+    if (spec.maximum !== undefined && number > spec.maximum) throw validationError(`${name} must be at most ${spec.maximum}`);
+  }
+}
+
+/**
+ * Turns an endpoint name and its params into {method, endpoint, data}.
+ * A param the endpoint does not declare is rejected rather than sent, so a
+ * misspelt option fails here instead of being ignored by the API.
+ *
+ * @param {string} name - key of ENDPOINTS
+ * @param {object} [params]
+ */
+function buildRequest(name, params = {}) {
+  const definition = ENDPOINTS[name];
+  if (!definition) throw new Error(`Unknown endpoint: ${name}`);
+
+  const specs = definition.params || {};
+  const unknown = Object.keys(params).filter(key => !specs[key] && params[key] !== undefined && params[key] !== null);
+  if (unknown.length > 0) {
+    const expected = Object.keys(specs).join(', ') || 'none';
+    throw validationError(`Unknown parameter "${unknown[0]}" for ${name}. Expected: ${expected}`);
+  }
+
+  const query = new URLSearchParams();
+  let data = null;
+  let path = definition.path;
+
+  Object.entries(specs).forEach(([key, spec]) => {
+    const value = params[key];
+    if (value === undefined || value === null || value === '') {
+      if (spec.required) throw validationError(`${key} is required`);
+      return;
+    }
+    checkParam(key, spec, value);
+    if (spec.in === 'path') path = path.replace(`:${key}`, encodeURIComponent(value));
+    else if (spec.in === 'query') query.append(key, value);
+    else data = { ...data, [key]: value };
+  });
+
+  const search = query.toString();
+  return {
+    method: definition.method,
+    endpoint: search ? `${path}?${search}` : path,
+    data
+  };
+}
+
+/**
+ * The endpoint a request was built for, e.g. ('DELETE', '/posts/post_1') is
+ * {name: 'deletePost', params: {id: 'post_1'}}. Query parameters are ignored.
+ * @returns {{name: string, params: object}|null}
+ */
+function matchEndpoint(method, endpoint) {
+  const path = String(endpoint).split('?')[0];
+  for (const [name, definition] of Object.entries(ENDPOINTS)) {
+    if (definition.method !== method) continue;
+    const keys = [];
+    const pattern = definition.path.replace(/:(\w+)/g, (match, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    });
+    const match = path.match(new RegExp(`^${pattern}$`));
+    if (match) {
+      const params = {};
+      keys.forEach((key, index) => { params[key] = decodeURIComponent(match[index + 1]); });
+      return { name, params };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  ENDPOINTS,
+  HISTORY_PERIODS,
+  HISTORY_TYPES,
+  PLATFORMS,
+  POST_STATUSES,
+  POST_TYPES,
+  TONES,
+  buildRequest,
+  matchEndpoint
+};
@@ -0,0 +1,137 @@
+/**
+ * When to post: engagement from /history/x bucketed by weekday and hour.
+ *
+ * A tweet's engagement is likes + retweets + replies. Each weekday/hour slot
+ * is scored by its average engagement, shrunk toward the overall average by
+ * PRIOR_WEIGHT posts so that one lucky tweet does not make a slot "best".
+ */
+
+const { zoneParts, zonedTime } = require('./time');
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Rows of the heatmap, Monday first
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+const SHADES = [' ', '░', '▒', '▓', '█'];
+
+const PRIOR_WEIGHT = 2;
+const SEARCH_DAYS = 14;
+// Scheduled posts closer than this to a slot on the same platform clash with it
+const CLASH_WINDOW_MS = 60 * 60 * 1000;
+
+function metricsOf(tweet) {
+  const metrics = tweet.metrics || {};
+  return {
+    likes: metrics.likes || 0,
+    retweets: metrics.retweets || 0,
+    replies: metrics.replies || 0,
+    impressions: metrics.impressions || 0
+  };
+}
+
+function engagementsOf(tweet) {
+  const { likes, retweets, replies } = metricsOf(tweet);
+  return likes + retweets + replies;
+}
+
+/**
+ * Buckets tweets into a 7×24 grid (grid[weekday][hour], Sunday = 0) in a zone.
+ *
+ * @param {object[]} tweets - posts from /history/x
+ * @param {string} timeZone
+ * @returns {{grid: object[][], posts: number, average: number}} each cell is
+ *   {weekday, hour, posts, engagements, impressions, average, score}
+ */
+function bucketEngagement(tweets, timeZone) {
+  const grid = WEEKDAY_NAMES.map((_, weekday) => Array.from({ length: 24 }, (__, hour) => ({
+    weekday, hour, posts: 0, engagements: 0, impressions: 0, average: 0, score: 0
+  })));
+
+  const dated = tweets.filter(tweet => !Number.isNaN(Date.parse(tweet.createdAt)));
+  dated.forEach(tweet => {
+    const { weekday, hour } = zoneParts(new Date(tweet.createdAt), timeZone);
+    const cell = grid[weekday][hour];
+    cell.posts += 1;
+    cell.engagements += engagementsOf(tweet);
+    cell.impressions += metricsOf(tweet).impressions;
+  });
+
+  const total = dated.reduce((sum, tweet) => sum + engagementsOf(tweet), 0);
+  const average = dated.length > 0 ? total / dated.length : 0;
+  grid.flat().forEach(cell => {
+    if (cell.posts === 0) return;
+    cell.average = cell.engagements / cell.posts;
+    cell.score = (cell.engagements + average * PRIOR_WEIGHT) / (cell.posts + PRIOR_WEIGHT);
+  });
+
+  return { grid, posts: dated.length, average };
+}
+
+/**
+ * The highest-scoring slots that have at least one post.
+ */
+function topSlots(grid, count = 5) {
+  return grid.flat()
+    .filter(cell => cell.posts > 0)
+    .sort((a, b) => b.score - a.score || b.posts - a.posts)
+    .slice(0, count);
+}
+
+function formatSlot({ weekday, hour }) {
+  return `${WEEKDAY_NAMES[weekday]} ${String(hour).padStart(2, '0')}:00`;
+}
+
+/**
+ * Text heatmap, one row per weekday (Monday first) and one column per hour.
+ * @returns {string[]} lines
+ */
+function renderHeatmap(grid) {
+  const max = Math.max(0, ...grid.flat().map(cell => cell.score));
+  const header = `     ${Array.from({ length: 24 }, (_, hour) => (hour % 3 === 0 ? String(hour).padEnd(3) : '')).join('')}`;
+  const rows = WEEK_ORDER.map(weekday => {
+    const cells = grid[weekday].map(cell => {
+      if (cell.posts === 0 || max === 0) return '·';
+      return SHADES[Math.max(1, Math.round((cell.score / max) * (SHADES.length - 1)))];
+    });
+    return `${WEEKDAY_NAMES[weekday]}  ${cells.join('')}`;
+  });
+  return [header, ...rows];
+}
+
+/**
+ * The earliest upcoming occurrence of one of `slots` that is at least
+ * CLASH_WINDOW_MS away from every time in `busy`.
+ *
+ * @param {object[]} slots - from topSlots
+ * @param {object} options
+ * @param {string} options.timeZone
+ * @param {Date[]} [options.busy] - times of already scheduled posts
+ * @param {number} [options.now]
+ * @returns {{date: Date, slot: object}|null}
+ */
+function nextFreeSlot(slots, { timeZone, busy = [], now = Date.now() }) {
+  const today = zoneParts(new Date(now), timeZone);
+  const candidates = [];
+
+  for (let offset = 0; offset < SEARCH_DAYS; offset++) {
+    const day = zoneParts(zonedTime({ year: today.year, month: today.month, day: today.day + offset, hour: 12 }, timeZone), timeZone);
+    slots.filter(slot => slot.weekday === day.weekday).forEach(slot => {
+      const date = zonedTime({ year: day.year, month: day.month, day: day.day, hour: slot.hour }, timeZone);
+      if (date.getTime() > now) candidates.push({ date, slot });
+    });
+  }
+
+  candidates.sort((a, b) => a.date - b.date);
+  return candidates.find(({ date }) => busy.every(taken => Math.abs(taken - date) >= CLASH_WINDOW_MS)) || null;
+}
+
+module.exports = {
+  CLASH_WINDOW_MS,
+  WEEKDAY_NAMES,
+  bucketEngagement,
+  engagementsOf,
+  formatSlot,
+  metricsOf,
+  nextFreeSlot,
+  renderHeatmap,
+  topSlots
+};
@@ -0,0 +1,74 @@
+/**
+ * Error types shared by the HTTP layer, the client and the CLI.
+ *
+ * `code` is one of the ClawPost API error codes documented in SKILL.md
+ * (UNAUTHORIZED, RATE_LIMITED, CONFLICT, ...) or one of the client-side
+ * transport codes below. `status` is the HTTP status, or null when the
+ * request never got a response.
+ */
+
+// Client-side codes, used when the failure did not come from the API itself
+const TRANSPORT_CODES = {
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  TIMEOUT: 'TIMEOUT',
+  INVALID_RESPONSE: 'INVALID_RESPONSE',
+  PROXY_ERROR: 'PROXY_ERROR'
+};
+
+class ClawPostError extends Error {
+  constructor(message, { code, status = null, details, response, headers, cause } = {}) {
+    super(message);
+    this.name = 'ClawPostError';
+    this.code = code || 'UNKNOWN_ERROR';
+    this.status = status;
+    if (details !== undefined) this.details = details;
+    if (response !== undefined) this.response = response;
+    if (headers !== undefined) this.headers = headers;
+    if (cause !== undefined) this.cause = cause;
+  }
+}
+
+// Fallback when the API answered with an error status but no error.code
+function codeFromStatus(status) {
+  if (status === 401) return 'UNAUTHORIZED';
+  if (status === 403) return 'FORBIDDEN';
+  if (status === 404) return 'NOT_FOUND';
+  if (status === 409) return 'CONFLICT';
+  if (status === 429) return 'RATE_LIMITED';
+  if (status === 400 || status === 422) return 'VALIDATION_ERROR';
+  if (status >= 500) return 'INTERNAL_ERROR';
+  return 'UNKNOWN_ERROR';
+}
+
+// Process exit codes for the CLI, so scripts can branch on the failure kind
+const EXIT_CODES = {
+  UNKNOWN_ERROR: 1,
+  USAGE_ERROR: 2,
+  UNAUTHORIZED: 3,
+  MISSING_API_KEY: 3,
+  FORBIDDEN: 13,
+  NOT_FOUND: 4,
+  VALIDATION_ERROR: 5,
+  CONFLICT: 6,
+  PLATFORM_NOT_CONNECTED: 7,
+  INSUFFICIENT_CREDITS: 8,
+  NO_AI_KEY: 9,
+  RATE_LIMITED: 10,
+  INTERNAL_ERROR: 11,
+  NETWORK_ERROR: 12,
+  TIMEOUT: 12,
+  PROXY_ERROR: 12,
+  INVALID_RESPONSE: 12
+};
+
+function exitCodeFor(code) {
+  return EXIT_CODES[code] || EXIT_CODES.UNKNOWN_ERROR;
+}
+
+module.exports = {
+  ClawPostError,
+  EXIT_CODES,
+  TRANSPORT_CODES,
+  codeFromStatus,
+  exitCodeFor
+};
@@ -0,0 +1,192 @@
+/**
+ * Minimal HTTP(S) transport built on Node's http/https modules.
+ *
+ * Supports request timeouts and HTTP proxies via HTTPS_PROXY / HTTP_PROXY
+ * (https targets are tunnelled with CONNECT), honouring NO_PROXY.
+ */
+
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const { URL } = require('url');
+const { ClawPostError, TRANSPORT_CODES } = require('./errors');
+
+const DEFAULT_TIMEOUT = 30000;
+
+function getEnv(name) {
+  return process.env[name] || process.env[name.toLowerCase()] || '';
+}
+
+function defaultPort(protocol) {
+  return protocol === 'https:' ? 443 : 80;
+}
+
+// NO_PROXY is a comma/space separated list of hosts, domain suffixes
+// (".example.com" or "example.com"), optional ":port" suffixes, or "*".
+function shouldBypassProxy(target, noProxy = getEnv('NO_PROXY')) {
+  if (!noProxy) return false;
+  const hostname = target.hostname.toLowerCase();
+  const port = String(target.port || defaultPort(target.protocol));
+
+  return noProxy.split(/[\s,]+/).filter(Boolean).some(entry => {
+    if (entry === '*') return true;
+    let [host, entryPort] = entry.toLowerCase().split(':');
+    if (entryPort && entryPort !== port) return false;
+    host = host.replace(/^\*?\./, '');
+    return hostname === host || hostname.endsWith(`.${host}`);
+  });
+}
+
+function getProxyForUrl(url) {
+  const target = typeof url === 'string' ? new URL(url) : url;
+  if (shouldBypassProxy(target)) return null;
+  const proxy = target.protocol === 'https:' ? getEnv('HTTPS_PROXY') : getEnv('HTTP_PROXY');
+  if (!proxy) return null;
+  return new URL(proxy.includes('://') ? proxy : `http://${proxy}`);
+}
+
+function proxyAuthHeader(proxy) {
+  if (!proxy.username) return {};
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return { 'Proxy-Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` };
+}
+
+function timeoutError(url, timeout) {
+  return new ClawPostError(`Request to ${url.host} timed out after ${timeout}ms`, {
+    code: TRANSPORT_CODES.TIMEOUT
+  });
+}
+
+// Opens a CONNECT tunnel through the proxy and resolves with the raw socket
+function openTunnel(proxy, target, timeout) {
+  const transport = proxy.protocol === 'https:' ? https : http;
+  const authority = `${target.hostname}:${target.port || defaultPort(target.protocol)}`;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request({
+      hostname: proxy.hostname,
+      port: proxy.port || defaultPort(proxy.protocol),
+      method: 'CONNECT',
+      path: authority,
+      headers: { Host: authority, ...proxyAuthHeader(proxy) }
+    });
+
+    req.setTimeout(timeout, () => req.destroy(timeoutError(proxy, timeout)));
+    req.on('connect', (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        reject(new ClawPostError(`Proxy refused tunnel to ${authority} (HTTP ${res.statusCode})`, {
+          code: TRANSPORT_CODES.PROXY_ERROR,
+          status: res.statusCode
+        }));
+        return;
+      }
+      resolve(socket);
+    });
+    req.on('error', err => reject(err instanceof ClawPostError ? err : new ClawPostError(
+      `Could not connect to proxy ${proxy.host}: ${err.message}`,
+      { code: TRANSPORT_CODES.PROXY_ERROR, cause: err }
+    )));
+    req.end();
+  });
+}
+
+/**
+ * Performs a single HTTP request.
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {string} [options.method='GET']
+ * @param {object} [options.headers]
+ * @param {string|Buffer} [options.body]
+ * @param {number} [options.timeout] - milliseconds for the whole request, from connecting
+ *   (through any proxy tunnel) to the last byte of the response
+ * @param {string|null} [options.proxy] - proxy URL; null disables, undefined reads the environment
+ * @returns {Promise<{status: number, headers: object, body: string}>}
+ */
+async function request(url, options = {}) {
+  const target = new URL(url);
+  const method = (options.method || 'GET').toUpperCase();
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const deadline = Date.now() + timeout;
+  const headers = { ...options.headers };
+  const body = options.body;
+
+  if (body !== undefined && body !== null) {
+    headers['Content-Length'] = Buffer.byteLength(body);
+  }
+
+  let proxy = null;
+  if (options.proxy === undefined) {
+    proxy = getProxyForUrl(target);
+  } else if (options.proxy) {
+    proxy = new URL(options.proxy);
+  }
+
+  const isHttps = target.protocol === 'https:';
+  const requestOptions = {
+    method,
+    headers,
+    hostname: target.hostname,
+    port: target.port || defaultPort(target.protocol),
+    path: `${target.pathname}${target.search}`
+  };
+
+  let transport = isHttps ? https : http;
+
+  if (proxy && isHttps) {
+    const socket = await openTunnel(proxy, target, timeout);
+    requestOptions.agent = false;
+    requestOptions.createConnection = () => tls.connect({ socket, servername: target.hostname });
+  } else if (proxy) {
+    // Plain HTTP goes through the proxy with an absolute request URI
+    transport = proxy.protocol === 'https:' ? https : http;
+    requestOptions.hostname = proxy.hostname;
+    requestOptions.port = proxy.port || defaultPort(proxy.protocol);
+    requestOptions.path = target.href;
+    Object.assign(headers, { Host: target.host }, proxyAuthHeader(proxy));
+  }
+
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const settle = (fn, value) => {
+      clearTimeout(timer);
+      fn(value);
+    };
+
+    const req = transport.request(requestOptions, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => settle(resolve, {
+        status: res.statusCode,
+        headers: res.headers,
+        body: Buffer.concat(chunks).toString('utf8')
+      }));
+      res.on('error', err => settle(reject, err));
+    });
+
+    // An idle-socket timeout would let a slowly trickling response run forever
+    timer = setTimeout(() => {
+      const error = timeoutError(target, timeout);
+      req.destroy(error);
+      reject(error);
+    }, Math.max(0, deadline - Date.now()));
+    req.on('error', err => {
+      if (err instanceof ClawPostError) return settle(reject, err);
+      settle(reject, new ClawPostError(`Network error contacting ${target.host}: ${err.message}`, {
+        code: TRANSPORT_CODES.NETWORK_ERROR,
+        cause: err
+      }));
+    });
+
+    if (body !== undefined && body !== null) req.write(body);
+    req.end();
+  });
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT,
+  request,
+  getProxyForUrl,
+  shouldBypassProxy
+};
@@ -0,0 +1,354 @@
+/**
+ * Bulk import of a content calendar from CSV, JSON or a directory of
+ * Markdown files with front-matter.
+ *
+ * Every row becomes a draft, then is scheduled if it has a time (or goes
+ * straight to /schedule with `direct`). Rows are keyed by platform, text and
+ * the time as written in the source, so "tomorrow 9:00" keeps its key from
+ * one run to the next; the results file records what was imported so a rerun
+ * of the same calendar skips finished rows and only retries the rest.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ClawPostError } = require('./errors');
+const { hashOf, readJsonFile, writeJsonFile } = require('./config');
+const { parsePlatforms } = require('./crosspost');
+const { parseTime } = require('./time');
+const { TONES } = require('./endpoints');
+const { validateContent } = require('./validate');
+
+// Accepted column / front-matter names, normalised to lower-case alphanumerics
+const FIELD_ALIASES = {
+  content: 'content',
+  text: 'content',
+  body: 'content',
+  post: 'content',
+  prompt: 'prompt',
+  platform: 'platform',
+  platforms: 'platform',
+  scheduledat: 'scheduledAt',
+  scheduled: 'scheduledAt',
+  schedule: 'scheduledAt',
+  publishat: 'scheduledAt',
+  date: 'scheduledAt',
+  tone: 'tone'
+};
+
+function importError(message) {
+  return new ClawPostError(message, { code: 'VALIDATION_ERROR' });
+}
+
+// ── Parsers ─────────────────────────────────────────────────────────────────
+
+/**
+ * RFC 4180 CSV: quoted fields may contain commas, quotes ("") and newlines.
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw importError('Unterminated quoted field in CSV');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Splits `---` front-matter (flat `key: value` lines) from a Markdown body.
+ * @returns {{attributes: object, body: string}}
+ */
+function parseFrontMatter(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { attributes: {}, body: text.trim() };
+
+  const attributes = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const pair = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+    if (!pair) return;
+    attributes[pair[1]] = pair[2].replace(/^(["'])(.*)\1$/, '$2');
+  });
+  return { attributes, body: text.slice(match[0].length).trim() };
+}
+
+function normaliseFields(record) {
+  const fields = {};
+  Object.entries(record).forEach(([key, value]) => {
+    const name = FIELD_ALIASES[key.toLowerCase().replace(/[^a-z0-9]/g, '')];
+    if (name && value !== undefined && value !== null && String(value).trim() !== '') {
+      fields[name] = typeof value === 'string' ? value.trim() : value;
+    }
+  });
+  return fields;
+}
+
+/**
+ * Reads rows from a .csv/.json file or a directory of .md files.
+ * @returns {{source: string, fields: object}[]} `source` locates the row for messages
+ */
+function loadRows(input) {
+  let stats;
+  try {
+    stats = fs.statSync(input);
+  } catch (err) {
+    throw importError(`Could not read ${input}: ${err.message}`);
+  }
+
+  if (stats.isDirectory()) {
+    return fs.readdirSync(input)
+      .filter(name => /\.(md|markdown)$/i.test(name))
+      .sort()
+      .map(name => {
+        const { attributes, body } = parseFrontMatter(fs.readFileSync(path.join(input, name), 'utf8'));
+        // With a prompt in the front-matter the body is extra context for it
+        const fields = normaliseFields(attributes);
+        if (fields.prompt) fields.prompt = body ? `${fields.prompt}\n\n${body}` : fields.prompt;
+        else if (body) fields.content = body;
+        return { source: name, fields };
+      });
+  }
+
+  const text = fs.readFileSync(input, 'utf8');
+  const ext = path.extname(input).toLowerCase();
+
+  if (ext === '.json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      throw importError(`${input} is not valid JSON: ${err.message}`);
+    }
+    const records = Array.isArray(parsed) ? parsed : parsed.posts;
+    if (!Array.isArray(records)) throw importError(`${input} must contain an array of posts (or {"posts": [...]})`);
+    return records.map((record, i) => ({ source: `#${i + 1}`, fields: normaliseFields(record) }));
+  }
+
+  if (ext === '.csv') {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    return rows.map((cells, i) => {
+      const record = {};
+      header.forEach((name, column) => { record[name] = cells[column]; });
+      return { source: `row ${i + 2}`, fields: normaliseFields(record) };
+    });
+  }
+
+  throw importError(`Unsupported import format "${ext || input}". Use .csv, .json or a directory of .md files`);
+}
+
+// ── Preparation ─────────────────────────────────────────────────────────────
+
+/**
+ * Expands multi-platform rows and validates each one.
+ *
+ * @param {{source: string, fields: object}[]} rows
+ * @param {object} [options]
+ * @param {string} [options.platform='linkedin'] - default when a row has none
+ * @param {string} [options.timeZone] - zone for row times without an offset (see lib/time.js)
+ * @param {number} [options.now]
+ * @returns {object[]} entries with {key, source, platform, content, prompt, tone, scheduledAt, errors, warnings}
+ */
+function prepareRows(rows, { platform: defaultPlatform = 'linkedin', timeZone, now = Date.now() } = {}) {
+  const entries = [];
+
+  rows.forEach(({ source, fields }) => {
+    let platforms;
+    try {
+      platforms = parsePlatforms(fields.platform || defaultPlatform);
+    } catch (err) {
+      entries.push({
+        source,
+        platform: fields.platform,
+        content: fields.content,
+        prompt: fields.prompt,
+        tone: fields.tone,
+        scheduledAt: null,
+        errors: [err.message],
+        warnings: []
+      });
+      return;
+    }
+
+    platforms.forEach(platform => {
+      const errors = [];
+      const warnings = [];
+      let scheduledAt = null;
+
+      if (!fields.content && !fields.prompt) errors.push('Row has neither content nor prompt');
+      if (fields.content) {
+        const result = validateContent(fields.content, platform);
+        result.errors.forEach(error => errors.push(error.message));
+        result.warnings.forEach(warning => warnings.push(warning.message));
+      }
+      if (fields.tone && !TONES.includes(fields.tone)) {
+        errors.push(`Invalid tone "${fields.tone}". Expected one of: ${TONES.join(', ')}`);
+      }
+      if (fields.scheduledAt) {
+        try {
+          scheduledAt = parseTime(fields.scheduledAt, { timeZone, now }).date.toISOString();
+          if (Date.parse(scheduledAt) <= now) errors.push(`Scheduled time ${fields.scheduledAt} is in the past`);
+        } catch (err) {
+          errors.push(err.message);
+        }
+      }
+
+      entries.push({
+        key: hashOf(platform, fields.content || null, fields.prompt || null, fields.tone || null, fields.scheduledAt || null).slice(0, 16),
+        source,
+        platform,
+        content: fields.content,
+        prompt: fields.prompt,
+        tone: fields.tone,
+        scheduledAt,
+        errors,
+        warnings
+      });
+    });
+  });
+
+  return entries;
+}
+
+// ── Import ──────────────────────────────────────────────────────────────────
+
+function defaultResultsPath(input) {
+  const resolved = path.resolve(input);
+  try {
+    if (fs.statSync(resolved).isDirectory()) return path.join(resolved, 'clawpost-import.results.json');
+  } catch (_) {
+    // fall through to the file form
+  }
+  return `${resolved}.results.json`;
+}
+
+function describeError(error) {
+  return { code: error.code || 'UNKNOWN_ERROR', message: error.message };
+}
+
+/**
+ * Records of an earlier run, by row key.
+ * @returns {Map<string, object>}
+ */
+function readResults(resultsPath) {
+  return new Map(readJsonFile(resultsPath, { rows: [] }).rows.map(record => [record.key, record]));
+}
+
+/**
+ * True when an earlier run finished the row. Such a row is skipped before it
+ * is validated again, since its time may have passed since it was scheduled.
+ */
+function alreadyImported(record) {
+  return record?.status === 'imported' || record?.status === 'skipped';
+}
+
+/**
+ * Creates (and schedules) posts for valid entries, skipping ones the results
+ * file already marks as done. The results file is rewritten after every row.
+ *
+ * @param {ClawPostClient} client
+ * @param {object[]} entries - from prepareRows
+ * @param {object} options
+ * @param {string} options.resultsPath
+ * @param {boolean} [options.direct=false] - use /schedule instead of draft + schedule
+ * @param {(record: object) => void} [options.onRow]
+ * @returns {Promise<object[]>} one record per entry: {key, source, platform, status, postId?, scheduledAt?, error?}
+ *   where status is imported, drafted, skipped, invalid or failed
+ */
+async function runImport(client, entries, { resultsPath, direct = false, onRow }) {
+  const done = readResults(resultsPath);
+  const records = [];
+
+  const save = () => {
+    const merged = new Map(done);
+    records.forEach(record => merged.set(record.key || record.source, record));
+    writeJsonFile(resultsPath, { updatedAt: new Date().toISOString(), rows: [...merged.values()] });
+  };
+
+  for (const entry of entries) {
+    const before = entry.key && done.get(entry.key);
+    let record = { key: entry.key, source: entry.source, platform: entry.platform, scheduledAt: entry.scheduledAt };
+
+    if (alreadyImported(before)) {
+      record = { ...before, status: 'skipped' };
+    } else if (entry.errors.length > 0) {
+      record = { ...record, status: 'invalid', error: { code: 'VALIDATION_ERROR', message: entry.errors.join('; ') } };
+    } else {
+      let postId = before?.postId;
+      try {
+        let content = before?.content || entry.content;
+        if (!content) {
+          content = (await client.generate({ prompt: entry.prompt, platform: entry.platform, tone: entry.tone })).content;
+          // Checked like literal content; left out of the record so a rerun generates it again
+          const { errors } = validateContent(content, entry.platform);
+          if (errors.length > 0) throw importError(`Generated content: ${errors.map(error => error.message).join('; ')}`);
+        }
+        record.content = content;
+
+        if (direct && entry.scheduledAt && !postId) {
+          const post = (await client.call('schedule', { content, platform: entry.platform, scheduledAt: entry.scheduledAt })).data;
+          postId = post.id;
+        } else {
+          if (!postId) {
+            postId = (await client.call('createDraft', { content, platform: entry.platform })).data.id;
+            record.postId = postId;
+          }
+          if (entry.scheduledAt) {
+            await client.call('schedulePost', { id: postId, scheduledAt: entry.scheduledAt });
+          }
+        }
+        record = { ...record, status: 'imported', postId };
+      } catch (error) {
+        // A draft that exists but failed to schedule is resumed on the next run
+        record = { ...record, status: postId ? 'drafted' : 'failed', postId, error: describeError(error) };
+      }
+    }
+
+    records.push(record);
+    save();
+    if (onRow) onRow(record);
+  }
+
+  return records;
+}
+
+module.exports = {
+  alreadyImported,
+  defaultResultsPath,
+  loadRows,
+  parseCsv,
+  parseFrontMatter,
+  prepareRows,
+  readResults,
+  runImport
+};
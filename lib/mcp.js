@@ -0,0 +1,236 @@
+/**
+ * Model Context Protocol server over stdio (node cli.js mcp), so agents can
+ * call ClawPost as typed tools instead of building curl commands.
+ *
+ * Messages are JSON-RPC 2.0, one per line. Each tool wraps one or two
+ * endpoints from lib/endpoints.js, and its input schema is built from their
+ * params, so the tools change when the table does. Failed calls come back as
+ * tool results with `isError` and the API's error envelope, using the error
+ * codes documented in SKILL.md.
+ */
+
+const readline = require('readline');
+const { ClawPostError } = require('./errors');
+const { ENDPOINTS } = require('./endpoints');
+const { validateContent } = require('./validate');
+const { checkApproval, checkDirect, recordGoLive } = require('./approvals');
+const { parseFutureTime } = require('./time');
+const { rememberPosts } = require('./cache');
+const { version } = require('../package.json');
+
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const JSON_TYPES = { string: 'string', integer: 'integer', array: 'array', object: 'object' };
+// Client-side codes and the SKILL.md code an agent should act on instead
+const SKILL_CODES = {
+  MISSING_API_KEY: 'UNAUTHORIZED',
+  USAGE_ERROR: 'VALIDATION_ERROR',
+  NETWORK_ERROR: 'INTERNAL_ERROR',
+  TIMEOUT: 'INTERNAL_ERROR',
+  PROXY_ERROR: 'INTERNAL_ERROR',
+  INVALID_RESPONSE: 'INTERNAL_ERROR',
+  UNKNOWN_ERROR: 'INTERNAL_ERROR'
+};
+const RPC_ERRORS = { PARSE: -32700, INVALID_REQUEST: -32600, METHOD_NOT_FOUND: -32601, INVALID_PARAMS: -32602 };
+
+/**
+ * Tools and the endpoints behind them. A tool with two endpoints uses the
+ * first when `id` is given (an existing draft) and the second otherwise.
+ */
+const TOOLS = {
+  status: { endpoints: ['status'] },
+  list_posts: { endpoints: ['listPosts'] },
+  create_draft: { endpoints: ['createDraft'] },
+  update_post: { endpoints: ['updatePost'] },
+  publish: {
+    endpoints: ['publishPost', 'publish'],
+    description: 'Publish now: an existing draft by id, or new content without a draft step'
+  },
+  schedule: {
+    endpoints: ['schedulePost', 'schedule'],
+    description: 'Schedule for later: an existing draft by id, or new content without a draft step'
+  },
+  generate: { endpoints: ['generate'] },
+  refine: { endpoints: ['refine'] },
+  x_history: { endpoints: ['xHistory'] }
+};
+
+function propertySchema(spec) {
+  const schema = { type: JSON_TYPES[spec.type], description: spec.description };
+  if (spec.enum) schema.enum = spec.enum;
+  if (spec.format) schema.format = spec.format;
+  if (spec.minimum !== undefined) schema.minimum = spec.minimum;
+  if (spec.maximum !== undefined) schema.maximum = spec.maximum;
+  if (spec.items) schema.items = { type: JSON_TYPES[spec.items] };
+  return schema;
+}
+
+/**
+ * JSON schema for a tool's arguments: the params of its endpoints, required
+ * when every endpoint requires them.
+ */
+function inputSchema(endpointNames) {
+  const properties = {};
+  const specsOf = name => Object.entries(ENDPOINTS[name].params || {});
+  endpointNames.forEach(name => specsOf(name).forEach(([key, spec]) => {
+    if (!properties[key]) properties[key] = propertySchema(spec);
+  }));
+  const required = Object.keys(properties)
+    .filter(key => endpointNames.every(name => specsOf(name).some(([param, spec]) => param === key && spec.required)));
+
+  const schema = { type: 'object', properties, additionalProperties: false };
+  if (required.length > 0) schema.required = required;
+  return schema;
+}
+
+/**
+ * The tools/list result.
+ * @returns {{name: string, description: string, inputSchema: object, annotations: object}[]}
+ */
+function listTools() {
+  return Object.entries(TOOLS).map(([name, tool]) => {
+    const readOnly = tool.endpoints.every(endpoint => ENDPOINTS[endpoint].method === 'GET');
+    return {
+      name,
+      description: tool.description || ENDPOINTS[tool.endpoints[0]].description,
+      inputSchema: inputSchema(tool.endpoints),
+      annotations: { readOnlyHint: readOnly, destructiveHint: false, openWorldHint: !readOnly }
+    };
+  });
+}
+
+function validationError(message, details) {
+  return new ClawPostError(message, { code: 'VALIDATION_ERROR', details });
+}
+
+function checkContent(content, platform = 'linkedin') {
+  if (typeof content !== 'string') return;
+  const result = validateContent(content, platform);
+  if (!result.valid) {
+    throw validationError(`Content is not valid for ${platform}: ${result.errors.map(error => error.message).join('; ')}`, result.errors);
+  }
+}
+
+// Runs one tool with the same local checks the CLI makes before the API call
+async function callTool(client, name, args) {
+  const tool = TOOLS[name];
+  const schema = inputSchema(tool.endpoints);
+  const unknown = Object.keys(args).filter(key => !schema.properties[key]);
+  if (unknown.length > 0) {
+    throw validationError(`Unknown argument "${unknown[0]}" for ${name}. Expected: ${Object.keys(schema.properties).join(', ') || 'none'}`);
+  }
+
+  const endpoint = tool.endpoints.length > 1 && !args.id ? tool.endpoints[1] : tool.endpoints[0];
+  const params = { ...args };
+  if (params.scheduledAt) {
+    try {
+      params.scheduledAt = parseFutureTime(params.scheduledAt).date.toISOString();
+    } catch (error) {
+      throw validationError(error.message);
+    }
+  }
+
+  if (endpoint === 'publishPost' || endpoint === 'schedulePost') {
+    checkApproval(await client.getPost(params.id), { action: name });
+  } else if (endpoint === 'publish' || endpoint === 'schedule') {
+    checkDirect(name);
+  }
+  if (['createDraft', 'publish', 'schedule'].includes(endpoint)) checkContent(params.content, params.platform);
+
+  const response = await client.call(endpoint, params);
+  if (endpoint === 'createDraft') rememberPosts([response.data]);
+  if (endpoint === 'publishPost' || endpoint === 'schedulePost') recordGoLive(params.id, name);
+  return response;
+}
+
+function toolResult(envelope, isError = false) {
+  return { content: [{ type: 'text', text: JSON.stringify(envelope, null, 2) }], structuredContent: envelope, isError };
+}
+
+function errorEnvelope(error) {
+  const known = error instanceof ClawPostError;
+  const code = known ? SKILL_CODES[error.code] || error.code : 'INTERNAL_ERROR';
+  const payload = { code };
+  if (known && code !== error.code) payload.clientCode = error.code;
+  if (known && error.details !== undefined) payload.details = error.details;
+  return { success: false, message: error.message, error: payload };
+}
+
+function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id: id ?? null, error: { code, message } };
+}
+
+/**
+ * Answers one JSON-RPC message; resolves null for notifications.
+ */
+async function handleMessage(client, message) {
+  if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+    return rpcError(message?.id, RPC_ERRORS.INVALID_REQUEST, 'Expected a JSON-RPC 2.0 request');
+  }
+  const { id, method, params = {} } = message;
+  const isNotification = id === undefined;
+  const reply = result => (isNotification ? null : { jsonrpc: '2.0', id, result });
+
+  if (method.startsWith('notifications/')) return null;
+  if (method === 'initialize') {
+    const requested = params.protocolVersion;
+    return reply({
+      protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+      capabilities: { tools: {} },
+      serverInfo: { name: 'clawpost', version },
+      instructions: 'Publish to LinkedIn and X (Twitter) through ClawPost. Relay the "message" of each result to the user.'
+    });
+  }
+  if (method === 'ping') return reply({});
+  if (method === 'tools/list') return reply({ tools: listTools() });
+  if (method === 'tools/call') {
+    if (!TOOLS[params.name]) return rpcError(id, RPC_ERRORS.INVALID_PARAMS, `Unknown tool "${params.name}". Expected one of: ${Object.keys(TOOLS).join(', ')}`);
+    try {
+      const response = await callTool(client, params.name, params.arguments || {});
+      return reply(toolResult({ success: true, message: response.message, data: response.data }));
+    } catch (error) {
+      return reply(toolResult(errorEnvelope(error), true));
+    }
+  }
+  return isNotification ? null : rpcError(id, RPC_ERRORS.METHOD_NOT_FOUND, `Method "${method}" is not supported`);
+}
+
+/**
+ * Serves MCP over a pair of streams until the input ends. Requests are
+ * answered in order.
+ *
+ * @param {ClawPostClient} client
+ * @param {object} [options]
+ * @param {stream.Readable} [options.input=process.stdin]
+ * @param {stream.Writable} [options.output=process.stdout] - carries only protocol messages
+ * @returns {Promise<void>}
+ */
+async function serveMcp(client, { input = process.stdin, output = process.stdout } = {}) {
+  const send = message => output.write(JSON.stringify(message) + '\n');
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      send(rpcError(null, RPC_ERRORS.PARSE, `Parse error: ${error.message}`));
+      continue;
+    }
+    if (Array.isArray(message)) {
+      const replies = (await Promise.all(message.map(item => handleMessage(client, item)))).filter(Boolean);
+      if (replies.length > 0) send(replies);
+    } else {
+      const reply = await handleMessage(client, message);
+      if (reply) send(reply);
+    }
+  }
+}
+
+module.exports = {
+  TOOLS,
+  handleMessage,
+  inputSchema,
+  listTools,
+  serveMcp
+};
@@ -0,0 +1,114 @@
+/**
+ * Machine-readable renderers for CLI output: JSON, YAML, CSV and plain tables.
+ * Dependency-free; the YAML writer only covers what API data needs
+ * (objects, arrays, strings, numbers, booleans, null).
+ */
+
+const FORMATS = ['text', 'json', 'table', 'csv', 'yaml'];
+
+function toJson(value) {
+  return JSON.stringify(value, null, 2);
+}
+
+// ── YAML ────────────────────────────────────────────────────────────────────
+
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  const text = String(value);
+  // Quote anything a YAML parser could read as another type or structure
+  if (text === '' || /^[\s-?:,[\]{}#&*!|>'"%@`]|[:#]\s|\s$|\n/.test(text) ||
+      /^(true|false|null|yes|no|on|off|~)$/i.test(text) || !Number.isNaN(Number(text))) {
+    return JSON.stringify(text);
+  }
+  return text;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toYamlLines(value, indent) {
+  const pad = ' '.repeat(indent);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [`${pad}[]`];
+    return value.flatMap(item => {
+      if ((isPlainObject(item) && Object.keys(item).length) || (Array.isArray(item) && item.length)) {
+        const [first, ...rest] = toYamlLines(item, indent + 2);
+        return [`${pad}- ${first.trimStart()}`, ...rest];
+      }
+      return [`${pad}- ${toYamlLines(item, 0)[0]}`];
+    });
+  }
+
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+    if (entries.length === 0) return [`${pad}{}`];
+    return entries.flatMap(([key, v]) => {
+      const nested = (isPlainObject(v) && Object.keys(v).length) || (Array.isArray(v) && v.length);
+      if (nested) return [`${pad}${yamlScalar(key)}:`, ...toYamlLines(v, indent + 2)];
+      return [`${pad}${yamlScalar(key)}: ${toYamlLines(v, 0)[0]}`];
+    });
+  }
+
+  return [`${pad}${yamlScalar(value)}`];
+}
+
+function toYaml(value) {
+  return toYamlLines(value, 0).join('\n');
+}
+
+// ── Tabular ─────────────────────────────────────────────────────────────────
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(cellText).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function columnsFor(rows, columns) {
+  if (columns) return columns;
+  const keys = [];
+  rows.forEach(row => Object.keys(row).forEach(key => {
+    if (!keys.includes(key)) keys.push(key);
+  }));
+  return keys;
+}
+
+function csvField(value) {
+  const text = cellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  const keys = columnsFor(rows, columns);
+  const lines = [keys.map(csvField).join(',')];
+  rows.forEach(row => lines.push(keys.map(key => csvField(row[key])).join(',')));
+  return lines.join('\n');
+}
+
+function toTable(rows, columns, { maxWidth = 80 } = {}) {
+  const keys = columnsFor(rows, columns);
+  const cells = rows.map(row => keys.map(key => {
+    const text = cellText(row[key]).replace(/\s+/g, ' ');
+    return text.length > maxWidth ? `${text.slice(0, maxWidth - 1)}…` : text;
+  }));
+  const widths = keys.map((key, i) => Math.max(key.length, ...cells.map(row => row[i].length)));
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [
+    line(keys.map(key => key.toUpperCase())),
+    line(widths.map(width => '─'.repeat(width))),
+    ...cells.map(line)
+  ].join('\n');
+}
+
+module.exports = {
+  FORMATS,
+  toCsv,
+  toJson,
+  toTable,
+  toYaml
+};
@@ -0,0 +1,195 @@
+/**
+ * Named account profiles in ~/.clawpost/profiles.json.
+ *
+ * Each profile has an API key and an optional API URL. The file is written
+ * with mode 0600; a key can also be encrypted with a passphrase (scrypt +
+ * AES-256-GCM), in which case only `keyHint` is readable without it.
+ *
+ * Which credentials a command uses: an explicit profile (--profile or
+ * CLAW_PROFILE), else CLAW_API_KEY / CLAW_API_URL, else the current profile.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { ClawPostError } = require('./errors');
+const { readJsonFile, statePath, writeJsonFile } = require('./config');
+
+const NAME_PATTERN = /^[\w-]+$/;
+const CIPHER = 'aes-256-gcm';
+const SCRYPT = { N: 16384, r: 8, p: 1 };
+
+function profilesFile() {
+  return statePath('profiles.json');
+}
+
+function loadStore() {
+  const file = profilesFile();
+  const store = readJsonFile(file, { current: null, profiles: {} });
+  // Tighten a copied or hand-edited file back to owner-only
+  if (process.platform !== 'win32' && fs.existsSync(file) && (fs.statSync(file).mode & 0o077) !== 0) {
+    fs.chmodSync(file, 0o600);
+  }
+  return store;
+}
+
+function saveStore(store) {
+  writeJsonFile(profilesFile(), store);
+}
+
+function checkName(name) {
+  if (!NAME_PATTERN.test(name || '')) {
+    throw new ClawPostError(`Invalid profile name "${name}". Use letters, digits, "-" and "_"`, { code: 'USAGE_ERROR' });
+  }
+}
+
+function notFound(name) {
+  return new ClawPostError(`No profile "${name}". See "node cli.js profile list"`, { code: 'NOT_FOUND', status: 404 });
+}
+
+// "claw_…a1b2": enough to tell keys apart, not enough to use one
+function maskKey(key) {
+  if (!key) return null;
+  return key.length > 12 ? `${key.slice(0, 5)}…${key.slice(-4)}` : '…';
+}
+
+function encryptKey(apiKey, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, crypto.scryptSync(passphrase, salt, 32, SCRYPT), iv);
+  const data = Buffer.concat([cipher.update(apiKey, 'utf8'), cipher.final()]);
+  return {
+    kdf: 'scrypt',
+    cipher: CIPHER,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decryptKey(name, encrypted, passphrase) {
+  try {
+    const key = crypto.scryptSync(passphrase, Buffer.from(encrypted.salt, 'base64'), 32, SCRYPT);
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (_) {
+    throw new ClawPostError(`Wrong passphrase for profile "${name}"`, { code: 'UNAUTHORIZED' });
+  }
+}
+
+/**
+ * Profiles for display: keys are masked and never decrypted.
+ * @returns {{name: string, apiUrl: string|null, encrypted: boolean, current: boolean, key: string|null}[]}
+ */
+function listProfiles() {
+  const store = loadStore();
+  return Object.entries(store.profiles).sort(([a], [b]) => a.localeCompare(b)).map(([name, profile]) => ({
+    name,
+    apiUrl: profile.apiUrl || null,
+    encrypted: Boolean(profile.encrypted),
+    current: store.current === name,
+    key: profile.keyHint || maskKey(profile.apiKey),
+    createdAt: profile.createdAt || null
+  }));
+}
+
+function getProfile(name) {
+  checkName(name);
+  const profile = loadStore().profiles[name];
+  if (!profile) throw notFound(name);
+  return { ...profile, name, encrypted: profile.encrypted || null };
+}
+
+function hasProfile(name) {
+  return Boolean(loadStore().profiles[name]);
+}
+
+/**
+ * The profile a command should use, or null to use CLAW_API_KEY.
+ * @param {string} [explicit] - from --profile
+ */
+function activeProfileName(explicit, env = process.env) {
+  const name = explicit || env.CLAW_PROFILE;
+  if (name) {
+    if (!hasProfile(name)) throw notFound(name);
+    return name;
+  }
+  if (env.CLAW_API_KEY) return null;
+  const { current, profiles } = loadStore();
+  return current && profiles[current] ? current : null;
+}
+
+/**
+ * The plain API key of a profile; `passphrase` is needed when it is encrypted.
+ */
+function profileKey(profile, passphrase) {
+  if (!profile.encrypted) return profile.apiKey;
+  if (!passphrase) {
+    throw new ClawPostError(`Profile "${profile.name}" is encrypted; set CLAW_PASSPHRASE or run in a terminal`, { code: 'USAGE_ERROR' });
+  }
+  return decryptKey(profile.name, profile.encrypted, passphrase);
+}
+
+/**
+ * Adds or replaces a profile. The first profile saved becomes current.
+ *
+ * @param {string} name
+ * @param {object} fields
+ * @param {string} fields.apiKey
+ * @param {string} [fields.apiUrl]
+ * @param {string} [fields.passphrase] - encrypt the key with it
+ * @param {object} [options]
+ * @param {boolean} [options.makeCurrent=false]
+ */
+function saveProfile(name, { apiKey, apiUrl, passphrase }, { makeCurrent = false } = {}) {
+  checkName(name);
+  const store = loadStore();
+  const profile = { apiUrl: apiUrl || null, createdAt: store.profiles[name]?.createdAt || new Date().toISOString() };
+  if (passphrase) {
+    profile.encrypted = encryptKey(apiKey, passphrase);
+    profile.keyHint = maskKey(apiKey);
+  } else {
+    profile.apiKey = apiKey;
+  }
+  store.profiles[name] = profile;
+  if (makeCurrent || !store.current || !store.profiles[store.current]) store.current = name;
+  saveStore(store);
+  return { name, current: store.current === name, encrypted: Boolean(passphrase), file: profilesFile() };
+}
+
+function useProfile(name) {
+  checkName(name);
+  const store = loadStore();
+  if (!store.profiles[name]) throw notFound(name);
+  store.current = name;
+  saveStore(store);
+}
+
+/**
+ * Deletes a profile. When it was current, no profile is current afterwards.
+ * @returns {{name: string, wasCurrent: boolean}}
+ */
+function removeProfile(name) {
+  checkName(name);
+  const store = loadStore();
+  if (!store.profiles[name]) throw notFound(name);
+  delete store.profiles[name];
+  const wasCurrent = store.current === name;
+  if (wasCurrent) store.current = null;
+  saveStore(store);
+  return { name, wasCurrent };
+}
+
+module.exports = {
+  activeProfileName,
+  getProfile,
+  hasProfile,
+  listProfiles,
+  maskKey,
+  profileKey,
+  profilesFile,
+  removeProfile,
+  saveProfile,
+  useProfile
+};
@@ -0,0 +1,73 @@
+/**
+ * Replies, quotes and remixes of X posts.
+ *
+ * A referenced tweet is given as an ID or a URL (x.com, twitter.com, with or
+ * without the author). Its text is needed to write a post with AI; when it is
+ * not given it is looked up in the user's own X history, which only covers
+ * their own tweets.
+ */
+
+const { ClawPostError } = require('./errors');
+
+const REFERENCE_TYPES = ['reply', 'quote', 'remix'];
+const TWEET_URL = /^(?:https?:\/\/)?(?:www\.|mobile\.)?(?:x|twitter)\.com\/(?:i\/web|([A-Za-z0-9_]{1,15}))\/status(?:es)?\/(\d+)/i;
+
+// What the AI is asked to write for each kind of post
+const PROMPTS = {
+  reply: 'Write a reply to this tweet. Respond to its point directly, add something of value and keep it conversational.',
+  quote: 'Write a quote tweet commenting on this tweet. The quoted tweet is shown below it, so do not repeat it; add your own take.',
+  remix: 'Write an original tweet inspired by this one. Make the same kind of point in your own words; do not quote or mention it.'
+};
+
+/**
+ * Parses a tweet ID or URL.
+ * @param {string} value
+ * @returns {{tweetId: string, author: string|null}}
+ */
+function parseTweetRef(value) {
+  const text = String(value || '').trim();
+  if (/^\d+$/.test(text)) return { tweetId: text, author: null };
+  const match = text.match(TWEET_URL);
+  if (!match) {
+    throw new ClawPostError(`"${value}" is not a tweet ID or URL (e.g. https://x.com/user/status/1234567890)`, { code: 'USAGE_ERROR' });
+  }
+  return { tweetId: match[2], author: match[1] || null };
+}
+
+function tweetUrl({ tweetId, author }) {
+  return `https://x.com/${author || 'i/web'}/status/${tweetId}`;
+}
+
+/**
+ * Fills in the text of a referenced tweet from X history when it was not
+ * given. Leaves `text` null when the tweet is not there.
+ *
+ * @param {ClawPostClient} client
+ * @param {{tweetId: string, author: string|null, text?: string}} reference
+ */
+async function resolveReference(client, reference) {
+  if (reference.text) return reference;
+  const history = await client.xHistory({ type: 'all', period: 'all', limit: 100 });
+  const tweet = (history.posts || []).find(item => String(item.id) === reference.tweetId);
+  return { ...reference, text: tweet?.text || null, author: reference.author || tweet?.author || null };
+}
+
+/**
+ * The /ai/generate prompt for a reply, quote or remix.
+ * @param {'reply'|'quote'|'remix'} postType
+ * @param {{text: string, author: string|null}} reference
+ * @param {string} [guidance] - what the user wants to say
+ */
+function referencePrompt(postType, reference, guidance) {
+  const lines = [PROMPTS[postType], '', `Tweet${reference.author ? ` by @${reference.author}` : ''}:`, `"${reference.text}"`];
+  if (guidance) lines.push('', `Also: ${guidance}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  REFERENCE_TYPES,
+  parseTweetRef,
+  referencePrompt,
+  resolveReference,
+  tweetUrl
+};
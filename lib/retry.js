@@ -0,0 +1,191 @@
+/**
+ * Retry policy and client-side rate limiting for API calls.
+ *
+ * Failed calls are retried with exponential backoff and full jitter, unless
+ * the server says exactly when to come back (Retry-After / rate-limit reset
+ * headers). A POST may already have published or spent credits when it
+ * failed, so it is only retried when the API rejected it for rate limiting or
+ * the connection never reached the API, unless its endpoint opts in.
+ */
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BASE_DELAY = 500;
+const DEFAULT_MAX_DELAY = 30000;
+
+// Documented API limits (SKILL.md): 60/min general, 10/min publish
+const GENERAL_PER_MINUTE = 60;
+const PUBLISH_PER_MINUTE = 10;
+
+const RETRYABLE_CODES = ['RATE_LIMITED', 'INTERNAL_ERROR', 'NETWORK_ERROR', 'TIMEOUT'];
+
+// Socket errors raised before any bytes reached the server
+const NOT_SENT_ERRNOS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Reads how long the server wants us to wait, in milliseconds.
+ * Understands Retry-After (seconds or HTTP date) and the common
+ * RateLimit-Reset / X-RateLimit-Reset headers (delta seconds or epoch seconds).
+ *
+ * @param {object} [headers]
+ * @param {number} [now]
+ * @returns {number|null}
+ */
+function parseRetryAfter(headers, now = Date.now()) {
+  if (!headers) return null;
+
+  const retryAfter = headers['retry-after'];
+  if (retryAfter) {
+    if (/^\d+(\.\d+)?$/.test(retryAfter.trim())) return Math.ceil(parseFloat(retryAfter) * 1000);
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - now);
+  }
+
+  const reset = headers['ratelimit-reset'] || headers['x-ratelimit-reset'];
+  if (reset && /^\d+(\.\d+)?$/.test(reset.trim())) {
+    const value = parseFloat(reset);
+    // Values this large are epoch timestamps rather than deltas
+    if (value > 1e9) return Math.max(0, Math.ceil(value * 1000 - now));
+    return Math.ceil(value * 1000);
+  }
+
+  return null;
+}
+
+function backoffDelay(attempt, { baseDelay = DEFAULT_BASE_DELAY, maxDelay = DEFAULT_MAX_DELAY } = {}) {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * True when the request provably never reached the API: the connection to
+ * it, or the proxy tunnel in front of it, could not be opened.
+ */
+function neverSent(error) {
+  if (error.code === 'PROXY_ERROR') return true;
+  return error.code === 'NETWORK_ERROR' && NOT_SENT_ERRNOS.includes(error.cause?.code);
+}
+
+function isRetryable(error, { method = 'GET' } = {}) {
+  if (error.code === 'RATE_LIMITED') return true;
+  // A proxy that refused the tunnel answered on purpose and will again
+  if (neverSent(error)) return error.code !== 'PROXY_ERROR' || error.status === null;
+  if (method.toUpperCase() === 'POST') return false;
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * Runs `fn` until it succeeds, the error is not retryable, or retries run out.
+ *
+ * @param {(attempt: number) => Promise<any>} fn
+ * @param {object} [options]
+ * @param {number} [options.retries] - extra attempts after the first (CLAW_MAX_RETRIES)
+ * @param {number} [options.baseDelay] - backoff base in ms (CLAW_RETRY_BASE_MS)
+ * @param {number} [options.maxDelay]
+ * @param {string} [options.method]
+ * @param {(info: {attempt: number, retries: number, delay: number, error: Error}) => void} [options.onRetry]
+ */
+async function withRetry(fn, options = {}) {
+  const retries = options.retries !== undefined ? options.retries : envInt('CLAW_MAX_RETRIES', DEFAULT_RETRIES);
+  const baseDelay = options.baseDelay || envInt('CLAW_RETRY_BASE_MS', DEFAULT_BASE_DELAY);
+  const maxDelay = options.maxDelay || DEFAULT_MAX_DELAY;
+  const wait = options.sleep || sleep;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error, options)) throw error;
+
+      const serverDelay = parseRetryAfter(error.headers);
+      const delay = serverDelay !== null
+        ? Math.min(serverDelay, maxDelay)
+        : backoffDelay(attempt, { baseDelay, maxDelay });
+
+      if (options.onRetry) options.onRetry({ attempt: attempt + 1, retries, delay, error });
+      await wait(delay);
+    }
+  }
+}
+
+/**
+ * Classic token bucket: holds up to `capacity` tokens, refilled continuously
+ * at `perMinute` tokens per minute. `take()` resolves once a token is free.
+ */
+class TokenBucket {
+  constructor({ capacity, perMinute, now = Date.now }) {
+    this.capacity = capacity;
+    this.refillPerMs = perMinute / 60000;
+    this.tokens = capacity;
+    this.now = now;
+    this.updatedAt = now();
+  }
+
+  refill() {
+    const current = this.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (current - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = current;
+  }
+
+  // Milliseconds until a token is available (0 if one is available now)
+  waitTime() {
+    this.refill();
+    if (this.tokens >= 1) return 0;
+    return Math.ceil((1 - this.tokens) / this.refillPerMs);
+  }
+
+  async take() {
+    let delay = this.waitTime();
+    while (delay > 0) {
+      await sleep(delay);
+      delay = this.waitTime();
+    }
+    this.tokens -= 1;
+  }
+}
+
+// Buckets are per API key so that several clients in one process share limits
+const buckets = new Map();
+
+function bucketsFor(apiKey) {
+  if (!buckets.has(apiKey)) {
+    const general = envInt('CLAW_RATE_LIMIT', GENERAL_PER_MINUTE);
+    const publish = envInt('CLAW_PUBLISH_RATE_LIMIT', PUBLISH_PER_MINUTE);
+    buckets.set(apiKey, {
+      general: general > 0 ? new TokenBucket({ capacity: general, perMinute: general }) : null,
+      publish: publish > 0 ? new TokenBucket({ capacity: publish, perMinute: publish }) : null
+    });
+  }
+  return buckets.get(apiKey);
+}
+
+function isPublishEndpoint(endpoint) {
+  const pathname = endpoint.split('?')[0];
+  return pathname === '/publish' || /^\/posts\/[^/]+\/publish$/.test(pathname);
+}
+
+// Waits for the client-side rate limit before an API call goes out
+async function throttle(apiKey, endpoint, method = 'GET') {
+  const { general, publish } = bucketsFor(apiKey);
+  if (publish && method.toUpperCase() === 'POST' && isPublishEndpoint(endpoint)) await publish.take();
+  if (general) await general.take();
+}
+
+module.exports = {
+  DEFAULT_RETRIES,
+  TokenBucket,
+  backoffDelay,
+  isRetryable,
+  neverSent,
+  parseRetryAfter,
+  throttle,
+  withRetry
+};
@@ -0,0 +1,406 @@
+/**
+ * Local HTTP bridge (node cli.js serve) for tools that should create drafts
+ * or publish without holding the API key, such as CI jobs and chat bots.
+ *
+ * Callers send a bridge token (see lib/tokens.js) as `Authorization: Bearer`,
+ * and each route needs one scope. The bridge runs the same local checks as
+ * the CLI commands (content validation, approval, time parsing) before it
+ * calls the API with its own key, and answers in the API's envelope:
+ * {success, message, data} or {success: false, message, error: {code}}.
+ *
+ * POST /webhooks/github turns a GitHub release event into drafts through a
+ * template. GitHub cannot send a bearer token, so that route also accepts a
+ * valid X-Hub-Signature-256 when a webhook secret is configured. Each
+ * delivery's drafts are recorded per platform in
+ * ~/.clawpost/github-deliveries.json as they are created, so a redelivery,
+ * even after a restart, only creates the drafts that are still missing.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { ClawPostError } = require('./errors');
+const { readJsonFile, statePath, writeJsonFile } = require('./config');
+const { PLATFORMS } = require('./endpoints');
+const { parsePlatforms } = require('./crosspost');
+const { validateContent } = require('./validate');
+const { checkApproval, checkDirect, recordGoLive } = require('./approvals');
+const { parseFutureTime } = require('./time');
+const { rememberPosts } = require('./cache');
+const { finishContent, generationRequest, loadTemplateAndVoice, renderTemplate } = require('./templates');
+const { verifyToken } = require('./tokens');
+
+const DEFAULT_PORT = 4747;
+const MAX_BODY = 1024 * 1024;
+const HTTP_STATUS = {
+  USAGE_ERROR: 400,
+  VALIDATION_ERROR: 400,
+  INVALID_TOKEN: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  PLATFORM_NOT_CONNECTED: 400,
+  INSUFFICIENT_CREDITS: 402,
+  RATE_LIMITED: 429
+};
+// Deliveries GitHub retries are recognised among this many recent ones
+const DELIVERY_MEMORY = 500;
+const DELIVERIES_FILE = 'github-deliveries.json';
+
+// Release announcement used when no template is configured
+const RELEASE_TEMPLATE = {
+  name: 'github-release',
+  content: '🚀 {{repo}} {{title}} is out.\n\n{{url}}'
+};
+
+function bridgeError(message, code, details) {
+  return new ClawPostError(message, { code, status: HTTP_STATUS[code], details });
+}
+
+function requireScope(token, scope) {
+  if (!token.scopes.includes(scope)) {
+    throw bridgeError(`Token "${token.name}" does not have the "${scope}" scope`, 'FORBIDDEN');
+  }
+}
+
+function platformOf(body) {
+  const platform = body.platform || 'linkedin';
+  if (!PLATFORMS.includes(platform)) {
+    throw bridgeError(`Invalid platform "${platform}". Expected one of: ${PLATFORMS.join(', ')}`, 'VALIDATION_ERROR');
+  }
+  return platform;
+}
+
+// Rejects content the API would refuse; warnings are passed back to the caller
+function checkContent(content, platform) {
+  const result = validateContent(content, platform);
+  if (!result.valid) {
+    throw bridgeError(`Content is not valid for ${platform}: ${result.errors.map(error => error.message).join('; ')}`, 'VALIDATION_ERROR', result.errors);
+  }
+  return result.warnings;
+}
+
+async function generateText(client, { prompt, platform, tone, template, vars, voice }) {
+  const request = generationRequest({ prompt, platform, tone, template, vars, voice });
+  const result = await client.generate({ prompt: request.prompt, platform, tone: request.tone });
+  return { ...result, content: finishContent(result.content, request) };
+}
+
+/**
+ * Text of a new post: `content` as given, or a template rendered for the
+ * platform. A template with a prompt is generated, which needs "generate".
+ */
+async function contentFor(client, body, platform, token) {
+  if (body.content) return String(body.content);
+  if (!body.template) throw bridgeError('content or template is required', 'VALIDATION_ERROR');
+
+  const { template, voice } = loadTemplateAndVoice(body.template, body.voice);
+  const rendered = renderTemplate(template, { platform, vars: body.vars || {} });
+  if (rendered.content) return rendered.content;
+  requireScope(token, 'generate');
+  return (await generateText(client, { prompt: body.prompt, platform, tone: body.tone, template, vars: body.vars || {}, voice })).content;
+}
+
+function envelope(response, status = 200, warnings = []) {
+  return { status, message: response.message, data: response.data, warnings };
+}
+
+async function createDraft({ client, body, token }) {
+  const platform = platformOf(body);
+  const content = await contentFor(client, body, platform, token);
+  const warnings = checkContent(content, platform);
+  const response = await client.call('createDraft', { content, platform });
+  rememberPosts([response.data]);
+  return envelope(response, 201, warnings);
+}
+
+async function publish({ client, body, token }) {
+  if (body.id) {
+    checkApproval(await client.getPost(body.id), { action: 'publish' });
+    const response = await client.call('publishPost', { id: body.id });
+    recordGoLive(body.id, 'publish');
+    return envelope(response);
+  }
+  checkDirect('publish');
+  const platform = platformOf(body);
+  const content = await contentFor(client, body, platform, token);
+  const warnings = checkContent(content, platform);
+  return envelope(await client.call('publish', { content, platform }), 201, warnings);
+}
+
+async function schedule({ client, body, token }) {
+  if (!body.at) throw bridgeError('at is required, e.g. "2026-06-15T10:00:00Z" or "tomorrow 9am"', 'VALIDATION_ERROR');
+  let scheduledAt;
+  try {
+    scheduledAt = parseFutureTime(body.at, { timeZone: body.tz }).date.toISOString();
+  } catch (error) {
+    throw bridgeError(error.message, 'VALIDATION_ERROR');
+  }
+
+  if (body.id) {
+    checkApproval(await client.getPost(body.id), { action: 'schedule' });
+    const response = await client.call('schedulePost', { id: body.id, scheduledAt });
+    recordGoLive(body.id, 'schedule');
+    return envelope(response);
+  }
+  checkDirect('schedule');
+  const platform = platformOf(body);
+  const content = await contentFor(client, body, platform, token);
+  const warnings = checkContent(content, platform);
+  return envelope(await client.call('schedule', { content, platform, scheduledAt }), 201, warnings);
+}
+
+async function generate({ client, body }) {
+  const platform = platformOf(body);
+  if (!body.prompt && !body.template) throw bridgeError('prompt or template is required', 'VALIDATION_ERROR');
+  const { template, voice } = loadTemplateAndVoice(body.template, body.voice);
+  const data = await generateText(client, { prompt: body.prompt, platform, tone: body.tone, template, vars: body.vars || {}, voice });
+  return { status: 200, message: 'Content generated', data, warnings: [] };
+}
+
+// Template variables from a GitHub release event
+function releaseVars({ release, repository }) {
+  const tag = release.tag_name || '';
+  return {
+    repo: repository.full_name || repository.name,
+    repoName: repository.name,
+    tag,
+    version: tag.replace(/^v(?=\d)/, ''),
+    title: release.name || tag,
+    url: release.html_url || '',
+    notes: String(release.body || '').trim(),
+    author: release.author?.login || ''
+  };
+}
+
+function loadDeliveries() {
+  return readJsonFile(statePath(DELIVERIES_FILE), { deliveries: {} });
+}
+
+// Saves one delivery's progress, forgetting the oldest beyond DELIVERY_MEMORY
+function saveDelivery(id, record) {
+  const store = loadDeliveries();
+  store.deliveries[id] = record;
+  const ids = Object.keys(store.deliveries)
+    .sort((a, b) => store.deliveries[a].receivedAt.localeCompare(store.deliveries[b].receivedAt));
+  ids.slice(0, Math.max(0, ids.length - DELIVERY_MEMORY)).forEach(old => delete store.deliveries[old]);
+  writeJsonFile(statePath(DELIVERIES_FILE), store);
+}
+
+/**
+ * A published GitHub release becomes one draft per configured platform.
+ * Other events and actions are acknowledged and ignored. A delivery that is
+ * still being handled is refused with CONFLICT, so GitHub retries it later.
+ */
+async function githubRelease({ client, body, headers, query, settings, handling }) {
+  const event = headers['x-github-event'];
+  if (event === 'ping') return { status: 200, message: 'pong', data: { zen: body.zen || null }, warnings: [] };
+  if (event && event !== 'release') return { status: 202, message: `Ignored "${event}" event`, data: { ignored: true }, warnings: [] };
+  if (!body.release || !body.repository) {
+    throw bridgeError('Expected a GitHub release event with "release" and "repository"', 'VALIDATION_ERROR');
+  }
+
+  const github = settings.github || {};
+  const ignored = body.action !== 'published' ? `action "${body.action}"`
+    : body.release.draft ? 'a draft release'
+      : body.release.prerelease && !github.prereleases ? 'a pre-release' : null;
+  if (ignored) return { status: 202, message: `Ignored ${ignored}`, data: { ignored: true }, warnings: [] };
+
+  const delivery = headers['x-github-delivery'];
+  const record = (delivery && loadDeliveries().deliveries[delivery]) || { receivedAt: new Date().toISOString(), drafts: {}, done: false };
+  if (record.done) {
+    return { status: 200, message: `Delivery ${delivery} was already handled`, data: { ignored: true, earlier: record.drafts }, warnings: [] };
+  }
+  if (delivery && handling.has(delivery)) throw bridgeError(`Delivery ${delivery} is still being handled`, 'CONFLICT');
+
+  if (delivery) handling.add(delivery);
+  try {
+    return await releaseDrafts({ client, body, query, settings, delivery, record });
+  } finally {
+    if (delivery) handling.delete(delivery);
+  }
+}
+
+// Creates the drafts a delivery still needs, recording each one as it is made
+async function releaseDrafts({ client, body, query, settings, delivery, record }) {
+  const github = settings.github || {};
+  const platforms = parsePlatforms(query.platform || [].concat(github.platforms || 'linkedin').join(','));
+  const templateName = query.template || github.template;
+  const { template, voice } = templateName ? loadTemplateAndVoice(templateName, github.voice) : { template: RELEASE_TEMPLATE, voice: null };
+  const vars = releaseVars(body);
+
+  const drafts = [];
+  const warnings = [];
+  const earlier = {};
+  for (const platform of platforms) {
+    if (record.drafts[platform]) {
+      earlier[platform] = record.drafts[platform];
+      continue;
+    }
+    const rendered = renderTemplate(template, { platform, vars });
+    const content = rendered.content || (await generateText(client, { platform, template, vars, voice })).content;
+    checkContent(content, platform).forEach(warning => warnings.push({ platform, ...warning }));
+    const draft = await client.createDraft({ content, platform });
+    rememberPosts([draft]);
+    drafts.push(draft);
+    record.drafts[platform] = draft.id;
+    if (delivery) saveDelivery(delivery, record);
+  }
+
+  record.done = true;
+  if (delivery) saveDelivery(delivery, record);
+  const data = Object.keys(earlier).length > 0 ? { drafts, earlier } : { drafts };
+  return { status: 201, message: `${drafts.length} draft${drafts.length === 1 ? '' : 's'} created for ${vars.repo} ${vars.title}`, data, warnings };
+}
+
+const ROUTES = [
+  { method: 'GET', path: '/posts', scope: 'read', handle: async ({ client, query }) => envelope(await client.call('listPosts', {
+    status: query.status, platform: query.platform, limit: query.limit ? Number(query.limit) : undefined
+  })) },
+  { method: 'GET', path: '/posts/:id', scope: 'read', handle: async ({ client, params }) => envelope(await client.call('getPost', params)) },
+  { method: 'POST', path: '/drafts', scope: 'draft', handle: createDraft },
+  { method: 'POST', path: '/publish', scope: 'publish', handle: publish },
+  { method: 'POST', path: '/schedule', scope: 'schedule', handle: schedule },
+  { method: 'POST', path: '/generate', scope: 'generate', handle: generate },
+  { method: 'POST', path: '/webhooks/github', scope: 'webhook', signed: true, handle: githubRelease }
+].map(route => {
+  const keys = [];
+  const pattern = route.path.replace(/:(\w+)/g, (match, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+  return { ...route, keys, pattern: new RegExp(`^${pattern}/?$`) };
+});
+
+function matchRoute(method, pathname) {
+  const candidates = ROUTES.filter(route => route.pattern.test(pathname));
+  if (candidates.length === 0) throw bridgeError(`No route ${pathname}`, 'NOT_FOUND');
+  const route = candidates.find(candidate => candidate.method === method);
+  if (!route) throw bridgeError(`${method} is not allowed on ${pathname}`, 'METHOD_NOT_ALLOWED');
+
+  const match = pathname.match(route.pattern);
+  const params = {};
+  route.keys.forEach((key, index) => { params[key] = decodeURIComponent(match[index + 1]); });
+  return { route, params };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(bridgeError(`Request body is over ${MAX_BODY / 1024} KB`, 'PAYLOAD_TOO_LARGE'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function parseBody(raw) {
+  if (raw.length === 0) return {};
+  let body;
+  try {
+    body = JSON.parse(raw.toString('utf8'));
+  } catch (error) {
+    throw bridgeError(`Request body is not valid JSON: ${error.message}`, 'VALIDATION_ERROR');
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw bridgeError('Request body must be a JSON object', 'VALIDATION_ERROR');
+  return body;
+}
+
+function validSignature(secret, raw, signature) {
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(raw).digest('hex')}`);
+  const given = Buffer.from(String(signature));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * The token a request was made with. Signed routes also accept a GitHub
+ * signature, which grants only the "webhook" scope.
+ */
+function authenticate(req, raw, route, secret) {
+  const bearer = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (bearer) {
+    const token = verifyToken(bearer);
+    if (!token) throw bridgeError('Unknown or revoked bridge token', 'INVALID_TOKEN');
+    return token;
+  }
+  const signature = req.headers['x-hub-signature-256'];
+  if (route.signed && secret && signature) {
+    if (!validSignature(secret, raw, signature)) throw bridgeError('X-Hub-Signature-256 does not match the webhook secret', 'INVALID_TOKEN');
+    return { name: 'github-signature', scopes: ['webhook'] };
+  }
+  throw bridgeError('Authorization: Bearer <token> is required (create one with "node cli.js token add")', 'INVALID_TOKEN');
+}
+
+// The bridge's own API key being refused is a gateway problem, not the caller's
+function statusFor(error) {
+  if (error.code === 'UNAUTHORIZED' || error.code === 'MISSING_API_KEY') return 502;
+  if (error.code === 'FORBIDDEN' && error.response) return 502;
+  return HTTP_STATUS[error.code] || error.status || 500;
+}
+
+/**
+ * Creates the bridge server; call `listen` on it.
+ *
+ * @param {ClawPostClient} client - makes the API calls, with the bridge's key
+ * @param {object} [options]
+ * @param {object} [options.settings] - the "serve" key of ~/.clawpost/config.json
+ * @param {string} [options.secret] - GitHub webhook secret
+ * @param {Function} [options.onRequest] - called with {method, path, status, token, code, ms} after each request
+ * @returns {http.Server}
+ */
+function createBridge(client, { settings = {}, secret = null, onRequest } = {}) {
+  // GitHub deliveries being handled right now
+  const handling = new Set();
+
+  return http.createServer(async (req, res) => {
+    const started = Date.now();
+    const url = new URL(req.url, 'http://localhost');
+    let token = null;
+    let status;
+    let payload;
+
+    try {
+      if (req.method === 'GET' && url.pathname === '/health') {
+        status = 200;
+        payload = { success: true, message: 'OK', data: { ok: true } };
+      } else {
+        const { route, params } = matchRoute(req.method, url.pathname);
+        const raw = await readBody(req);
+        token = authenticate(req, raw, route, secret);
+        requireScope(token, route.scope);
+        const result = await route.handle({
+          client, body: parseBody(raw), params, query: Object.fromEntries(url.searchParams), headers: req.headers, token, settings, handling
+        });
+        status = result.status;
+        payload = { success: true, message: result.message, data: result.data };
+        if (result.warnings.length > 0) payload.warnings = result.warnings;
+      }
+    } catch (error) {
+      const known = error instanceof ClawPostError;
+      status = known ? statusFor(error) : 500;
+      payload = { success: false, message: known ? error.message : `Unexpected error: ${error.message}`, error: { code: known ? error.code : 'INTERNAL_ERROR' } };
+      if (known && error.details !== undefined) payload.error.details = error.details;
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(payload));
+    if (onRequest) {
+      onRequest({ method: req.method, path: url.pathname, status, token: token?.name || null, code: payload.error?.code || null, ms: Date.now() - started });
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  ROUTES,
+  createBridge
+};
@@ -0,0 +1,274 @@
+/**
+ * Post templates and brand voice profiles, stored as JSON files in
+ * ~/.clawpost/templates/<name>.json and ~/.clawpost/voices/<name>.json.
+ *
+ * A template has a `prompt` for AI generation and/or fixed `content`, with
+ * {{variables}}, default `variables`, `hashtags`, a `signOff`, an optional
+ * `tone`, `voice` and default `platform`, and per-platform overrides under
+ * `platforms`. A voice profile has `guidelines`, words to `avoid`, example
+ * posts and an optional `tone`; it is folded into the prompt (or refine
+ * instructions) as plain text.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ClawPostError } = require('./errors');
+const { PLATFORMS, TONES } = require('./endpoints');
+const { readJsonFile, statePath } = require('./config');
+const { findHashtags } = require('./validate');
+
+const NAME_PATTERN = /^[\w-]+$/;
+const VARIABLE_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+// Fields that may contain {{variables}}
+const TEXT_FIELDS = ['prompt', 'content', 'signOff'];
+// Filled in automatically unless given with --var
+const BUILTIN_VARIABLES = ['date', 'platform'];
+
+function templatesDir() {
+  return statePath('templates');
+}
+
+function voicesDir() {
+  return statePath('voices');
+}
+
+function invalid(message) {
+  return new ClawPostError(message, { code: 'VALIDATION_ERROR' });
+}
+
+function loadNamed(dir, kind, name) {
+  if (!NAME_PATTERN.test(name || '')) {
+    throw new ClawPostError(`Invalid ${kind} name "${name}". Use letters, digits, "-" and "_"`, { code: 'USAGE_ERROR' });
+  }
+  const file = path.join(dir, `${name}.json`);
+  let data;
+  try {
+    data = readJsonFile(file);
+  } catch (error) {
+    throw invalid(error.message);
+  }
+  if (!data) {
+    throw new ClawPostError(`No ${kind} "${name}" (looked for ${file})`, { code: 'NOT_FOUND', status: 404 });
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) throw invalid(`${file} must contain a JSON object`);
+  if (data.tone && !TONES.includes(data.tone)) {
+    throw invalid(`Invalid tone "${data.tone}" in ${file}. Expected one of: ${TONES.join(', ')}`);
+  }
+  return { ...data, name, file };
+}
+
+function listNamed(dir, load) {
+  let files;
+  try {
+    files = fs.readdirSync(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return files
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const name = file.slice(0, -'.json'.length);
+      try {
+        return load(name);
+      } catch (error) {
+        return { name, error: error.message };
+      }
+    });
+}
+
+function loadTemplate(name) {
+  const template = loadNamed(templatesDir(), 'template', name);
+  const unknown = Object.keys(template.platforms || {}).filter(platform => !PLATFORMS.includes(platform));
+  if (unknown.length > 0) {
+    throw invalid(`Unknown platform "${unknown[0]}" in ${template.file}. Expected one of: ${PLATFORMS.join(', ')}`);
+  }
+  Object.entries(template.platforms || {}).forEach(([platform, variant]) => {
+    if (variant.tone && !TONES.includes(variant.tone)) {
+      throw invalid(`Invalid tone "${variant.tone}" for ${platform} in ${template.file}. Expected one of: ${TONES.join(', ')}`);
+    }
+  });
+  return template;
+}
+
+function loadVoice(name) {
+  return loadNamed(voicesDir(), 'voice profile', name);
+}
+
+function listTemplates() {
+  return listNamed(templatesDir(), loadTemplate);
+}
+
+function listVoices() {
+  return listNamed(voicesDir(), loadVoice);
+}
+
+/**
+ * Loads a template and the voice profile to use with it: `voiceName` when
+ * given, otherwise the template's own `voice`.
+ * @returns {{template: object|null, voice: object|null}}
+ */
+function loadTemplateAndVoice(templateName, voiceName) {
+  const template = templateName ? loadTemplate(templateName) : null;
+  const voice = voiceName || template?.voice;
+  return { template, voice: voice ? loadVoice(voice) : null };
+}
+
+/**
+ * Parses repeated `--var name=value` options.
+ * @param {string[]|string} [list]
+ * @returns {object}
+ */
+function parseVars(list = []) {
+  const vars = {};
+  [].concat(list).forEach(item => {
+    const eq = item.indexOf('=');
+    const name = eq === -1 ? '' : item.slice(0, eq).trim();
+    if (!NAME_PATTERN.test(name)) {
+      throw new ClawPostError(`Invalid --var "${item}". Expected name=value`, { code: 'USAGE_ERROR' });
+    }
+    vars[name] = item.slice(eq + 1);
+  });
+  return vars;
+}
+
+// The template merged with its variant for one platform
+function variantOf(template, platform) {
+  return { ...template, ...(template.platforms?.[platform] || {}) };
+}
+
+/**
+ * Names of the {{variables}} a template uses on any platform, built-ins excluded.
+ */
+function templateVariables(template) {
+  const names = new Set();
+  [template, ...Object.values(template.platforms || {})].forEach(source => {
+    TEXT_FIELDS.forEach(field => {
+      for (const match of String(source[field] || '').matchAll(VARIABLE_PATTERN)) names.add(match[1]);
+    });
+  });
+  BUILTIN_VARIABLES.forEach(name => names.delete(name));
+  return [...names];
+}
+
+/**
+ * Fills a template for one platform.
+ *
+ * @param {object} template - from loadTemplate
+ * @param {object} options
+ * @param {string} options.platform
+ * @param {object} [options.vars] - from parseVars; override the template's defaults
+ * @returns {{name: string, platform: string, prompt: string|null, content: string|null,
+ *   tone: string|null, hashtags: string[], signOff: string}}
+ */
+function renderTemplate(template, { platform, vars = {} }) {
+  const variant = variantOf(template, platform);
+  const values = {
+    date: new Date().toISOString().slice(0, 10),
+    platform,
+    ...(template.variables || {}),
+    ...(variant.variables || {}),
+    ...vars
+  };
+
+  const missing = new Set();
+  const fill = text => (text ? String(text).replace(VARIABLE_PATTERN, (match, name) => {
+    if (values[name] === undefined || values[name] === null) {
+      missing.add(name);
+      return match;
+    }
+    return String(values[name]);
+  }) : null);
+
+  const rendered = {
+    name: template.name,
+    platform,
+    prompt: fill(variant.prompt),
+    content: fill(variant.content),
+    tone: variant.tone || null,
+    hashtags: [].concat(variant.hashtags || []).map(tag => `#${String(tag).replace(/^#/, '')}`),
+    signOff: fill(variant.signOff) || ''
+  };
+
+  if (missing.size > 0) {
+    const flags = [...missing].map(name => `--var ${name}=…`).join(' ');
+    throw new ClawPostError(`Template "${template.name}" needs ${flags}`, { code: 'USAGE_ERROR', details: [...missing] });
+  }
+  if (!rendered.prompt && !rendered.content) {
+    throw invalid(`Template "${template.name}" has neither a prompt nor content for ${platform}`);
+  }
+  if (rendered.content) rendered.content = finishContent(rendered.content, rendered);
+  return rendered;
+}
+
+/**
+ * Appends a voice profile to a prompt or refine instructions.
+ */
+function applyVoice(text, voice) {
+  if (!voice) return text;
+  const lines = [text, '', `Write in our "${voice.name}" voice.`];
+  if (voice.guidelines) lines.push(String(voice.guidelines));
+  if (voice.avoid?.length > 0) lines.push(`Never use: ${[].concat(voice.avoid).join(', ')}.`);
+  if (voice.examples?.length > 0) {
+    lines.push('Examples of posts in this voice:');
+    [].concat(voice.examples).forEach(example => lines.push(`- ${example}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Adds the sign-off and any hashtags the text does not already have.
+ */
+function finishContent(content, { hashtags = [], signOff = '' } = {}) {
+  let text = String(content).trimEnd();
+  if (signOff && !text.includes(signOff.trim())) text += `\n\n${signOff.trim()}`;
+  const present = new Set(findHashtags(text));
+  const missing = hashtags.filter(tag => !present.has(tag.slice(1).toLowerCase()));
+  if (missing.length > 0) text += `\n\n${missing.join(' ')}`;
+  return text;
+}
+
+/**
+ * The /ai/generate request for one platform, from a prompt and/or template
+ * and voice. An explicit tone wins over the template's, then the voice's.
+ * A prompt given with a template is added as extra context.
+ *
+ * @returns {{prompt: string, tone: string|null, hashtags: string[], signOff: string}}
+ */
+function generationRequest({ prompt, platform, tone, template, vars, voice }) {
+  let request = { prompt, tone: tone || null, hashtags: [], signOff: '' };
+
+  if (template) {
+    const rendered = renderTemplate(template, { platform, vars });
+    if (!rendered.prompt) {
+      throw new ClawPostError(`Template "${template.name}" has fixed content and no prompt; use "template render ${template.name}" instead`, {
+        code: 'USAGE_ERROR'
+      });
+    }
+    const lines = [rendered.prompt];
+    if (prompt) lines.push('', `Also: ${prompt}`);
+    if (rendered.hashtags.length > 0 || rendered.signOff) {
+      lines.push('', 'Do not add hashtags or a sign-off; they are appended afterwards.');
+    }
+    request = { prompt: lines.join('\n'), tone: tone || rendered.tone, hashtags: rendered.hashtags, signOff: rendered.signOff };
+  }
+
+  return { ...request, prompt: applyVoice(request.prompt, voice), tone: request.tone || voice?.tone || null };
+}
+
+module.exports = {
+  applyVoice,
+  finishContent,
+  generationRequest,
+  listTemplates,
+  listVoices,
+  loadTemplate,
+  loadTemplateAndVoice,
+  loadVoice,
+  parseVars,
+  renderTemplate,
+  templateVariables,
+  templatesDir,
+  voicesDir
+};
@@ -0,0 +1,293 @@
+/**
+ * X threads: splitting long content into tweets and publishing them as a
+ * reply chain.
+ *
+ * Splitting prefers paragraph, then sentence, then word boundaries, measured
+ * with X's weighted length. A line containing only `---` forces a split.
+ *
+ * Each tweet after the first is sent with postType "reply" and a `reference`
+ * of {tweetId, text} for the previous tweet. The tweet ID is taken from the
+ * publish response when it has one; the API does not document one, so
+ * otherwise it is looked up in /history/x by the tweet's text once the tweet
+ * is live. A scheduled tweet has no ID yet, which is why threads cannot be
+ * scheduled. Progress is stored in ~/.clawpost/threads/<key>.json until the
+ * thread is complete, and an unfinished thread is only continued with
+ * `resume`.
+ */
+
+const { ClawPostError } = require('./errors');
+const { hashOf, readJsonFile, removeJsonFile, statePath, writeJsonFile } = require('./config');
+const { LIMITS, findUrls, weightedLength } = require('./validate');
+
+const SPLIT_MARKER = /^[ \t]*---[ \t]*$/m;
+const SENTENCE_PATTERN = /[^.!?…]+(?:[.!?…]+["'”’)\]]*|$)\s*/gu;
+
+// How often, and how far apart, X history is checked for a tweet just published
+const LOOKUP_ATTEMPTS = 5;
+const LOOKUP_DELAY_MS = 3000;
+// A history entry this much older than the publish call is a different tweet
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function splitLongUnit(unit, budget) {
+  const pieces = [];
+  let current = '';
+  unit.split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (weightedLength(candidate) <= budget) {
+      current = candidate;
+      return;
+    }
+    if (current) pieces.push(current);
+    current = word;
+    // A single word longer than a tweet is cut by code points
+    while (weightedLength(current) > budget) {
+      const chars = [...current];
+      let cut = chars.length;
+      while (cut > 1 && weightedLength(chars.slice(0, cut).join('')) > budget) cut--;
+      pieces.push(chars.slice(0, cut).join(''));
+      current = chars.slice(cut).join('');
+    }
+  });
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// Greedily packs paragraphs/sentences into chunks of at most `budget`
+function pack(text, budget) {
+  const chunks = [];
+  let current = '';
+
+  const add = (unit, separator) => {
+    const candidate = current ? `${current}${separator}${unit}` : unit;
+    if (weightedLength(candidate) <= budget) {
+      current = candidate;
+      return;
+    }
+    if (current) chunks.push(current);
+    current = '';
+    if (weightedLength(unit) <= budget) {
+      current = unit;
+      return;
+    }
+    const pieces = splitLongUnit(unit, budget);
+    current = pieces.pop() || '';
+    chunks.push(...pieces);
+  };
+
+  text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean).forEach(paragraph => {
+    if (weightedLength(paragraph) <= budget) {
+      add(paragraph, '\n\n');
+      return;
+    }
+    const sentences = (paragraph.match(SENTENCE_PATTERN) || [paragraph]).map(s => s.trim()).filter(Boolean);
+    sentences.forEach((sentence, i) => add(sentence, i === 0 ? '\n\n' : ' '));
+  });
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function numberSuffix(index, total) {
+  return ` ${index + 1}/${total}`;
+}
+
+/**
+ * Splits content into tweets.
+ *
+ * @param {string} content
+ * @param {object} [options]
+ * @param {boolean} [options.numbering=false] - append " 1/n" to each tweet
+ * @param {number} [options.limit=280]
+ * @returns {string[]}
+ */
+function splitThread(content, { numbering = false, limit = LIMITS.twitter } = {}) {
+  const sections = content.split(SPLIT_MARKER).map(section => section.trim()).filter(Boolean);
+  if (sections.length === 0) return [];
+  if (sections.length === 1 && weightedLength(sections[0]) <= limit) return sections;
+
+  // The suffix width depends on the tweet count, so re-split until it is stable
+  let estimate = 1;
+  for (;;) {
+    const budget = numbering ? limit - weightedLength(numberSuffix(estimate - 1, estimate)) : limit;
+    const chunks = sections.flatMap(section => pack(section, budget));
+    if (!numbering) return chunks;
+    if (String(chunks.length).length <= String(estimate).length) {
+      return chunks.map((chunk, i) => `${chunk}${numberSuffix(i, chunks.length)}`);
+    }
+    estimate = chunks.length;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// X rewrites links to t.co and escapes a few characters, so those are compared loosely
+function comparable(text) {
+  let normalized = String(text || '').normalize('NFC');
+  findUrls(normalized).reverse().forEach(url => {
+    normalized = `${normalized.slice(0, url.start)}<url>${normalized.slice(url.end)}`;
+  });
+  return normalized.replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/\s+/g, ' ').trim();
+}
+
+// The tweet ID in a publish response, as a field or in the tweet's status URL
+function tweetIdFrom(post) {
+  const id = String(post?.tweetId || post?.platformPostId || '');
+  if (/^\d+$/.test(id)) return id;
+  const url = String(post?.url || '').match(/\/status\/(\d+)/);
+  return url ? url[1] : null;
+}
+
+/**
+ * The tweet ID of a tweet published at or after `since`, found in X history
+ * by its text. Null when it is not there (yet).
+ */
+async function findTweetId(client, content, since) {
+  const history = await client.xHistory({ type: 'all', period: '7d', limit: 100 });
+  const wanted = comparable(content);
+  const tweet = (history.posts || []).find(item => item.id && comparable(item.text) === wanted &&
+    !(Date.parse(item.createdAt) < since - CLOCK_SKEW_MS));
+  return tweet ? String(tweet.id) : null;
+}
+
+async function waitForTweetId(client, content, since, { attempts, delay }) {
+  for (let attempt = 1; ; attempt++) {
+    const tweetId = await findTweetId(client, content, since);
+    if (tweetId || attempt >= attempts) return tweetId;
+    await sleep(delay);
+  }
+}
+
+function unfinished(file, state) {
+  const done = state.tweets.filter(tweet => tweet?.success).length;
+  return new ClawPostError(`An earlier run of this thread did not finish (${done} tweet${done === 1 ? '' : 's'} already published). ` +
+    `Pass --resume to continue it, or delete ${file} to start over`, {
+    code: 'CONFLICT',
+    details: { file, tweets: state.tweets }
+  });
+}
+
+/**
+ * Fails unless replies can be chained: X history has to be readable, since
+ * that is where the tweet IDs come from when a publish response has none.
+ * Called before anything is published.
+ */
+async function checkChaining(client) {
+  let history;
+  try {
+    history = await client.xHistory({ type: 'all', period: '7d', limit: 1 });
+  } catch (error) {
+    throw new ClawPostError(`A thread needs your X history to find the ID of each tweet it replies to, and it could not be read: ${error.message}`, {
+      code: error.code,
+      status: error.status,
+      cause: error
+    });
+  }
+  if ((history.posts || []).some(item => !item.id)) {
+    throw new ClawPostError('X history does not list tweet IDs, so the tweets of a thread cannot be chained as replies', {
+      code: 'VALIDATION_ERROR'
+    });
+  }
+}
+
+/**
+ * Publishes tweets as a reply chain. Nothing is published unless the chain
+ * can be built, and a thread that stopped part-way is continued with
+ * `resume`.
+ *
+ * @param {ClawPostClient} client
+ * @param {string[]} chunks
+ * @param {object} [options]
+ * @param {boolean} [options.resume=false] - continue an earlier run; without it an unfinished record is a CONFLICT
+ * @param {(result: object) => void} [options.onProgress]
+ * @param {{attempts: number, delay: number}} [options.lookup] - how long to wait for each tweet to show up in X history
+ * @returns {Promise<{key: string, complete: boolean, results: object[]}>}
+ */
+async function publishThread(client, chunks, { resume = false, onProgress, lookup = { attempts: LOOKUP_ATTEMPTS, delay: LOOKUP_DELAY_MS } } = {}) {
+  const key = hashOf('thread', chunks).slice(0, 16);
+  const file = statePath('threads', `${key}.json`);
+  const saved = readJsonFile(file, null);
+  if (saved && !resume) throw unfinished(file, saved);
+  const state = saved || { startedAt: new Date().toISOString(), tweets: [] };
+  const results = [];
+  const report = result => {
+    results.push(result);
+    if (onProgress) onProgress(result);
+  };
+  const stop = (i, error) => {
+    const failed = { index: i, success: false, content: chunks[i], error: { code: error.code || 'UNKNOWN_ERROR', message: error.message, status: error.status ?? null } };
+    // Only a thread that is partly live needs to be continued rather than started again
+    if (state.tweets.some(tweet => tweet?.success)) writeJsonFile(file, state);
+    else removeJsonFile(file);
+    report(failed);
+    return { key, complete: false, results };
+  };
+
+  if (chunks.length > 1 && !state.tweets.some(tweet => tweet?.success)) await checkChaining(client);
+
+  for (let i = 0; i < chunks.length; i++) {
+    const previous = state.tweets[i];
+    if (previous?.success) {
+      // Looked up again when an earlier run published it without finding its ID
+      if (!previous.tweetId && i < chunks.length - 1) {
+        try {
+          previous.tweetId = await waitForTweetId(client, chunks[i], Date.parse(previous.publishedAt), lookup);
+        } catch (error) {
+          return stop(i + 1, error);
+        }
+      }
+      report({ ...previous, skipped: true });
+      continue;
+    }
+
+    const params = { content: chunks[i], platform: 'twitter' };
+    if (i > 0) {
+      const parent = state.tweets[i - 1];
+      if (!parent.tweetId) {
+        return stop(i, new ClawPostError(`Tweet ${i} is published, but its ID is not in your X history yet, so tweet ${i + 1} cannot reply to it. ` +
+          'Run the same command again with --resume in a minute', { code: 'NOT_FOUND' }));
+      }
+      params.postType = 'reply';
+      params.reference = { tweetId: parent.tweetId, text: parent.content };
+    }
+
+    const since = Date.now();
+    let response;
+    try {
+      response = await client.call('publish', params);
+    } catch (error) {
+      return stop(i, error);
+    }
+
+    const result = {
+      index: i,
+      success: true,
+      post: response.data,
+      tweetId: tweetIdFrom(response.data),
+      content: chunks[i],
+      publishedAt: new Date(since).toISOString()
+    };
+    state.tweets[i] = result;
+    writeJsonFile(file, state);
+    // The last tweet has nothing replying to it
+    if (i < chunks.length - 1 && !result.tweetId) {
+      try {
+        result.tweetId = await waitForTweetId(client, chunks[i], since, lookup);
+      } catch (_) {
+        // Looked up again before the next tweet, or on --resume
+      }
+      writeJsonFile(file, state);
+    }
+    report(result);
+  }
+
+  removeJsonFile(file);
+  return { key, complete: true, results };
+}
+
+module.exports = {
+  checkChaining,
+  publishThread,
+  splitThread
+};
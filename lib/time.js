@@ -0,0 +1,315 @@
+/**
+ * Parsing of scheduling times and display in a chosen IANA time zone.
+ *
+ * Accepted forms:
+ *   2026-03-01T09:00:00Z, 2026-03-01T10:00+01:00  exact instants
+ *   2026-03-01 09:00, 2026-03-01                   wall-clock time in the target zone
+ *   +2h, +1d3h, in 30 minutes                      relative to now
+ *   tomorrow 9am, next monday 08:30, friday noon   calendar words in the target zone
+ *   9:30pm, noon, midnight                         the next time the clock shows it
+ * A trailing zone name ("... Europe/London", "... UTC") overrides --tz.
+ * A day without a time means DEFAULT_HOUR. A date or time that does not exist
+ * (2026-02-30, 25:00) is a usage error, and a wall-clock time the zone skips
+ * when its clocks go forward is rejected rather than moved.
+ *
+ * The target zone is --tz, then CLAW_TZ, then "timezone" in
+ * ~/.clawpost/config.json, then the machine's zone.
+ */
+
+const { ClawPostError } = require('./errors');
+const { readConfig } = require('./config');
+
+const DEFAULT_HOUR = 9;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_ALIASES = {
+  sun: 0, mon: 1, tue: 2, tues: 2, wed: 3, thu: 4, thur: 4, thurs: 4, fri: 5, sat: 6
+};
+
+const MINUTE_MS = 60 * 1000;
+const UNIT_MS = {
+  m: MINUTE_MS, min: MINUTE_MS, mins: MINUTE_MS, minute: MINUTE_MS, minutes: MINUTE_MS,
+  h: 60 * MINUTE_MS, hr: 60 * MINUTE_MS, hrs: 60 * MINUTE_MS, hour: 60 * MINUTE_MS, hours: 60 * MINUTE_MS,
+  d: 24 * 60 * MINUTE_MS, day: 24 * 60 * MINUTE_MS, days: 24 * 60 * MINUTE_MS,
+  w: 7 * 24 * 60 * MINUTE_MS, week: 7 * 24 * 60 * MINUTE_MS, weeks: 7 * 24 * 60 * MINUTE_MS
+};
+
+const EXACT_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/i;
+const LOCAL_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/i;
+const RELATIVE_PATTERN = /^(?:\+\s*|in\s+)((?:\d+\s*[a-z]+\s*(?:and\s+)?)+)$/i;
+const RELATIVE_PART = /(\d+)\s*([a-z]+)/gi;
+const CALENDAR_PATTERN = /^(?:(today|tomorrow)|(?:(next|this)\s+)?(?!(?:noon|midnight)$|at\s)([a-z]+))?\s*(?:at\s+)?(?:(\d{1,2})(?::(\d{2}))?\s*(am|pm)?|(noon|midnight))?$/i;
+const ZONE_SUFFIX = /\s+([A-Za-z_]+(?:\/[A-Za-z0-9_+-]+)+|UTC|GMT)$/i;
+
+const EXAMPLES = '2026-03-01T09:00:00Z, "2026-03-01 09:00", "tomorrow 9am", "+2h" or "next monday 08:30 Europe/London"';
+
+function timeError(message) {
+  return new ClawPostError(message, { code: 'VALIDATION_ERROR' });
+}
+
+function localTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Checks an IANA zone name; throws VALIDATION_ERROR for unknown ones.
+ * The name is returned as given, since ICU canonicalises some to legacy
+ * forms (Asia/Kolkata → Asia/Calcutta).
+ */
+function resolveTimeZone(name) {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: name });
+    return name;
+  } catch (err) {
+    throw timeError(`Unknown time zone "${name}". Use an IANA name such as Europe/London or America/New_York`);
+  }
+}
+
+/**
+ * The zone times are read and shown in when no --tz is given.
+ */
+function defaultTimeZone() {
+  const configured = process.env.CLAW_TZ || readConfig().timezone;
+  return configured ? resolveTimeZone(configured) : localTimeZone();
+}
+
+// Wall-clock fields of an instant in a zone
+function zoneParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour12: false,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'long'
+  }).formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    // Some ICU versions print midnight as 24 with hour12: false
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+// Minutes the zone is ahead of UTC at an instant
+function zoneOffset(date, timeZone) {
+  const p = zoneParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * The instant at which a zone's clock shows the given wall-clock time.
+ * Month is 1-based; day overflow rolls into the next month.
+ */
+function zonedTime({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const first = wall - zoneOffset(new Date(wall), timeZone) * 60000;
+  // Near a DST change the offset at the result can differ from the first guess
+  return new Date(wall - zoneOffset(new Date(first), timeZone) * 60000);
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+// Date.UTC would roll 2026-02-30 into March and 25:00 into the next day
+function checkRange({ year, month, day, hour = 0, minute = 0, second = 0 }) {
+  const lastDay = month >= 1 && month <= 12 ? new Date(Date.UTC(year, month, 0)).getUTCDate() : 0;
+  if (day >= 1 && day <= lastDay && hour <= 23 && minute <= 59 && second <= 59) return;
+  throw new ClawPostError(`${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)} is not a real date and time. ` +
+    'Months run 01-12, days to the end of the month, hours 00-23 and minutes 00-59', { code: 'USAGE_ERROR' });
+}
+
+// Like zonedTime, but out-of-range fields and a time inside the spring-forward gap are errors rather than silently moved
+function wallTime(fields, timeZone) {
+  checkRange(fields);
+  const date = zonedTime(fields, timeZone);
+  const wanted = new Date(Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour || 0, fields.minute || 0));
+  const shown = zoneParts(date, timeZone);
+  if (shown.day !== wanted.getUTCDate() || shown.hour !== wanted.getUTCHours() || shown.minute !== wanted.getUTCMinutes()) {
+    const day = `${wanted.getUTCFullYear()}-${pad(wanted.getUTCMonth() + 1)}-${pad(wanted.getUTCDate())}`;
+    throw timeError(`${pad(wanted.getUTCHours())}:${pad(wanted.getUTCMinutes())} on ${day} does not exist in ${timeZone}: ` +
+      'the clocks go forward past it. Pick a time outside the gap');
+  }
+  return date;
+}
+
+function parseRelative(amounts, now) {
+  let total = 0;
+  for (const [, count, unit] of amounts.matchAll(RELATIVE_PART)) {
+    const ms = UNIT_MS[unit.toLowerCase()];
+    if (!ms) throw timeError(`Unknown time unit "${unit}" — use m, h, d or w`);
+    total += Number(count) * ms;
+  }
+  return new Date(now + total);
+}
+
+function parseClock(hourText, minuteText, meridiem, word) {
+  if (word) return { hour: word.toLowerCase() === 'noon' ? 12 : 0, minute: 0 };
+  let hour = Number(hourText);
+  const minute = minuteText ? Number(minuteText) : 0;
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+  } else if (!minuteText) {
+    return null; // a bare "9" is ambiguous
+  }
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+}
+
+// Wall-clock fields for a calendar phrase, or null when it is not one
+function parseCalendar(text, timeZone, now) {
+  const match = text.match(CALENDAR_PATTERN);
+  if (!match) return null;
+  const [, dayWord, modifier, weekdayWord, hourText, minuteText, meridiem, clockWord] = match;
+  if (!dayWord && !weekdayWord && !hourText && !clockWord) return null;
+
+  let weekday = null;
+  if (weekdayWord) {
+    const name = weekdayWord.toLowerCase();
+    weekday = WEEKDAYS.includes(name) ? WEEKDAYS.indexOf(name) : WEEKDAY_ALIASES[name];
+    if (weekday === undefined) return null;
+  }
+
+  let clock = { hour: DEFAULT_HOUR, minute: 0 };
+  if (hourText || clockWord) {
+    clock = parseClock(hourText, minuteText, meridiem, clockWord);
+    if (!clock) return null;
+  }
+
+  const today = zoneParts(new Date(now), timeZone);
+  const fieldsAt = offset => {
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    return { year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate(), ...clock };
+  };
+  const passed = () => zonedTime(fieldsAt(0), timeZone).getTime() <= now;
+
+  if (dayWord) return fieldsAt(dayWord.toLowerCase() === 'tomorrow' ? 1 : 0);
+
+  if (weekday !== null) {
+    let offset = (weekday - today.weekday + 7) % 7;
+    if (modifier?.toLowerCase() === 'next' && offset === 0) offset = 7;
+    // A bare weekday that already passed today means next week's
+    if (!modifier && offset === 0 && passed()) offset = 7;
+    return fieldsAt(offset);
+  }
+
+  // A time alone is its next occurrence
+  return fieldsAt(passed() ? 1 : 0);
+}
+
+/**
+ * Resolves a scheduling time to an instant.
+ *
+ * @param {string} input
+ * @param {object} [options]
+ * @param {string} [options.timeZone] - zone for wall-clock and calendar forms (default: defaultTimeZone())
+ * @param {number} [options.now]
+ * @returns {{date: Date, timeZone: string, exact: boolean}} `exact` when the input named an instant
+ */
+function parseTime(input, { timeZone, now = Date.now() } = {}) {
+  let text = String(input || '').trim().replace(/\s+/g, ' ');
+  if (!text) throw timeError(`A time is required, e.g. ${EXAMPLES}`);
+
+  let zone = timeZone ? resolveTimeZone(timeZone) : defaultTimeZone();
+  const suffix = text.match(ZONE_SUFFIX);
+  if (suffix) {
+    zone = resolveTimeZone(suffix[1]);
+    text = text.slice(0, suffix.index);
+  }
+
+  let date = null;
+  let exact = false;
+  if (EXACT_PATTERN.test(text)) {
+    const [year, month, day, hour, minute] = text.match(/\d+/g).map(Number);
+    checkRange({ year, month, day, hour, minute });
+    date = new Date(text);
+    exact = true;
+  } else if (LOCAL_PATTERN.test(text)) {
+    const [, year, month, day, hour, minute, second] = text.match(LOCAL_PATTERN);
+    date = wallTime({
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hour: hour === undefined ? DEFAULT_HOUR : Number(hour),
+      minute: Number(minute || 0),
+      second: Number(second || 0)
+    }, zone);
+  } else if (RELATIVE_PATTERN.test(text)) {
+    date = parseRelative(text.match(RELATIVE_PATTERN)[1], now);
+    exact = true;
+  } else {
+    const fields = parseCalendar(text, zone, now);
+    if (fields) date = wallTime(fields, zone);
+  }
+
+  if (!date || Number.isNaN(date.getTime())) {
+    throw timeError(`Could not understand the time "${input}". Try ${EXAMPLES}`);
+  }
+  return { date, timeZone: zone, exact };
+}
+
+/**
+ * Like parseTime, but rejects instants that are not in the future.
+ */
+function parseFutureTime(input, options = {}) {
+  const now = options.now === undefined ? Date.now() : options.now;
+  const result = parseTime(input, { ...options, now });
+  if (result.date.getTime() <= now) {
+    throw timeError(`"${input}" is in the past (${formatInZone(result.date, result.timeZone)})`);
+  }
+  return result;
+}
+
+/**
+ * "Mon, 2 Mar 2026, 09:00 GMT" in the given zone.
+ */
+function formatInZone(date, timeZone) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+    timeZoneName: 'short'
+  }).format(date);
+}
+
+/**
+ * An instant in the target zone, followed by the machine's local time when
+ * the two differ: "Mon, 2 Mar 2026, 09:00 GMT (Europe/London) · 10:00 CET local".
+ */
+function describeTime(date, timeZone = defaultTimeZone()) {
+  const target = `${formatInZone(date, timeZone)} (${timeZone})`;
+  const local = localTimeZone();
+  if (zoneOffset(date, local) === zoneOffset(date, timeZone)) return target;
+  return `${target} · ${formatInZone(date, local)} local`;
+}
+
+module.exports = {
+  DEFAULT_HOUR,
+  defaultTimeZone,
+  describeTime,
+  formatInZone,
+  localTimeZone,
+  parseFutureTime,
+  parseTime,
+  resolveTimeZone,
+  zoneOffset,
+  zoneParts,
+  zonedTime
+};
@@ -0,0 +1,118 @@
+/**
+ * Access tokens for the local HTTP bridge (node cli.js serve), kept in
+ * ~/.clawpost/tokens.json with mode 0600.
+ *
+ * Only a SHA-256 hash of each token is stored; the token itself is shown once,
+ * when it is created. Each token has scopes that limit which bridge endpoints
+ * it can call, so a CI job can be given "draft" and nothing that goes live.
+ */
+
+const crypto = require('crypto');
+const { ClawPostError } = require('./errors');
+const { readJsonFile, statePath, writeJsonFile } = require('./config');
+
+const NAME_PATTERN = /^[\w-]+$/;
+const TOKEN_PREFIX = 'cpb_';
+// What each scope allows; "all" grants every one
+const SCOPES = {
+  read: 'List and show posts',
+  draft: 'Create drafts',
+  publish: 'Publish drafts or new posts',
+  schedule: 'Schedule drafts or new posts',
+  generate: 'Generate content with AI (uses credits)',
+  webhook: 'Send incoming webhooks, such as GitHub releases'
+};
+
+function tokensFile() {
+  return statePath('tokens.json');
+}
+
+function loadStore() {
+  return readJsonFile(tokensFile(), { tokens: {} });
+}
+
+function saveStore(store) {
+  writeJsonFile(tokensFile(), store);
+}
+
+function checkName(name) {
+  if (!NAME_PATTERN.test(name || '')) {
+    throw new ClawPostError(`Invalid token name "${name}". Use letters, digits, "-" and "_"`, { code: 'USAGE_ERROR' });
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Parses "draft,schedule" or "all" into a list of scopes.
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+function parseScopes(value) {
+  const scopes = [].concat(value || []).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+  if (scopes.includes('all')) return Object.keys(SCOPES);
+  const unknown = scopes.filter(scope => !SCOPES[scope]);
+  if (scopes.length === 0 || unknown.length > 0) {
+    const given = unknown.length > 0 ? `Unknown scope "${unknown[0]}". ` : 'At least one scope is required. ';
+    throw new ClawPostError(`${given}Expected a comma-separated list of: ${Object.keys(SCOPES).join(', ')}, or all`, { code: 'USAGE_ERROR' });
+  }
+  return [...new Set(scopes)];
+}
+
+/**
+ * Creates a token, replacing any token with the same name.
+ * @returns {{name: string, token: string, scopes: string[], createdAt: string}} the only time `token` is available
+ */
+function createToken(name, scopes) {
+  checkName(name);
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64').replace(/\+/g, '-').replace(/\//g, '_')}`;
+  const entry = { hash: hashToken(token), hint: `${token.slice(0, 8)}…`, scopes: parseScopes(scopes), createdAt: new Date().toISOString() };
+  const store = loadStore();
+  store.tokens[name] = entry;
+  saveStore(store);
+  return { name, token, scopes: entry.scopes, createdAt: entry.createdAt };
+}
+
+function listTokens() {
+  return Object.entries(loadStore().tokens).sort(([a], [b]) => a.localeCompare(b)).map(([name, entry]) => ({
+    name,
+    scopes: entry.scopes,
+    hint: entry.hint,
+    createdAt: entry.createdAt
+  }));
+}
+
+function removeToken(name) {
+  checkName(name);
+  const store = loadStore();
+  if (!store.tokens[name]) {
+    throw new ClawPostError(`No token "${name}". See "node cli.js token list"`, { code: 'NOT_FOUND', status: 404 });
+  }
+  delete store.tokens[name];
+  saveStore(store);
+  return { name };
+}
+
+/**
+ * The token a bearer value belongs to, or null.
+ * @returns {{name: string, scopes: string[]}|null}
+ */
+function verifyToken(token) {
+  if (!token || !String(token).startsWith(TOKEN_PREFIX)) return null;
+  const hash = Buffer.from(hashToken(token), 'hex');
+  const match = Object.entries(loadStore().tokens)
+    .find(([, entry]) => crypto.timingSafeEqual(Buffer.from(entry.hash, 'hex'), hash));
+  return match ? { name: match[0], scopes: match[1].scopes } : null;
+}
+
+module.exports = {
+  SCOPES,
+  createToken,
+  listTokens,
+  parseScopes,
+  removeToken,
+  tokensFile,
+  verifyToken
+};
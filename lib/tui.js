@@ -0,0 +1,412 @@
+/**
+ * Full-screen terminal UI for browsing posts and acting on them.
+ *
+ * Left: posts for the selected status tab and platform filter. Right: the
+ * selected post in full, with the quoted or replied-to tweet. Keys run the
+ * post's availableActions through the same ClawPostClient the CLI uses;
+ * drafts are edited in $EDITOR. Built on readline keypress events and ANSI
+ * escapes, without dependencies.
+ */
+
+const readline = require('readline');
+const { PLATFORMS, POST_STATUSES } = require('./endpoints');
+const { checkApproval, recordGoLive } = require('./approvals');
+const { forgetPost, rememberPosts } = require('./cache');
+const { editText } = require('./editor');
+const { describeTime, parseFutureTime } = require('./time');
+const { validateContent } = require('./validate');
+
+const CSI = '\x1b[';
+const STYLE = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  dim: '\x1b[2m',
+  inverse: '\x1b[7m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+const TABS = [null, ...POST_STATUSES];
+const PLATFORM_FILTERS = [null, ...PLATFORMS];
+const STATUS_MARKS = { draft: '○', scheduled: '◷', published: '●', failed: '✗' };
+const PLATFORM_LABELS = { linkedin: 'in', twitter: 'X ' };
+
+// Keys for availableActions, in footer order
+const ACTION_KEYS = [
+  { key: 'p', action: 'publish', label: 'publish' },
+  { key: 's', action: 'schedule', label: 'schedule' },
+  { key: 'e', action: 'update', label: 'edit' },
+  { key: 'd', action: 'delete', label: 'delete' }
+];
+
+const LIST_LIMIT = 100;
+
+function chars(text) {
+  return [...String(text ?? '')];
+}
+
+function fit(text, width) {
+  const list = chars(text);
+  if (list.length > width) return `${list.slice(0, Math.max(0, width - 1)).join('')}…`;
+  return list.join('') + ' '.repeat(width - list.length);
+}
+
+function wrap(text, width) {
+  const lines = [];
+  String(text ?? '').split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/(\s+)/).forEach(part => {
+      if (chars(line + part).length <= width) {
+        line += part;
+        return;
+      }
+      if (line.trim()) lines.push(line.trimEnd());
+      line = part.trimStart();
+      while (chars(line).length > width) {
+        lines.push(chars(line).slice(0, width).join(''));
+        line = chars(line).slice(width).join('');
+      }
+    });
+    lines.push(line.trimEnd());
+  });
+  return lines;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function firstLine(content) {
+  return String(content || '').split('\n').find(line => line.trim()) || '(empty)';
+}
+
+/**
+ * Runs the UI until the user quits.
+ *
+ * @param {ClawPostClient} client
+ * @param {object} [options]
+ * @param {NodeJS.ReadStream} [options.input=process.stdin] - must be a TTY
+ * @param {NodeJS.WriteStream} [options.output=process.stdout]
+ * @returns {Promise<void>}
+ */
+function runTui(client, { input = process.stdin, output = process.stdout } = {}) {
+  const state = {
+    tab: 0,
+    platform: 0,
+    posts: [],
+    selected: 0,
+    listTop: 0,
+    previewTop: 0,
+    message: '',
+    busy: false,
+    prompt: null,
+    confirm: null
+  };
+
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+
+  const write = text => output.write(text);
+  const selectedPost = () => state.posts[state.selected] || null;
+  const canDo = (post, action) => Boolean(post?.availableActions?.includes(action));
+
+  function enterScreen() {
+    write(`${CSI}?1049h${CSI}?25l`);
+    input.setRawMode(true);
+    input.resume();
+  }
+
+  function leaveScreen() {
+    input.setRawMode(false);
+    write(`${CSI}?25h${CSI}?1049l`);
+  }
+
+  function previewLines(post, width) {
+    if (!post) return [];
+    const lines = [
+      `${STYLE.bold}${post.id}${STYLE.reset}`,
+      `${post.platform} · ${post.status}${post.postType && post.postType !== 'original' ? ` · ${post.postType}` : ''}`
+    ];
+    if (post.scheduledAt) lines.push(`Scheduled: ${describeTime(new Date(post.scheduledAt))}`);
+    if (post.publishedAt) lines.push(`Published: ${new Date(post.publishedAt).toLocaleString()}`);
+    lines.push(`Actions: ${(post.availableActions || []).join(', ') || 'none'}`);
+
+    if (post.reference) {
+      lines.push('', `${STYLE.cyan}↪ ${post.postType} of @${post.reference.author || '?'} (${post.reference.tweetId || '?'})${STYLE.reset}`);
+      wrap(post.reference.text || '', width - 2).forEach(line => lines.push(`${STYLE.dim}│ ${line}${STYLE.reset}`));
+    }
+
+    lines.push('', ...wrap(post.content, width));
+    return lines;
+  }
+
+  function footer() {
+    if (state.prompt) return `${state.prompt.label}${state.prompt.value}█`;
+    if (state.confirm) return `${state.confirm.label} (y/N)`;
+    const post = selectedPost();
+    const actions = ACTION_KEYS.filter(({ action }) => canDo(post, action)).map(({ key, label }) => `${key} ${label}`);
+    return ['↑↓ move', '←→ tab', 'f platform', ...actions, 'PgUp/PgDn scroll', 'r refresh', 'q quit'].join('  ');
+  }
+
+  function render() {
+    const width = output.columns || 80;
+    const height = output.rows || 24;
+    const listWidth = Math.max(24, Math.min(50, Math.floor(width * 0.4)));
+    const previewWidth = Math.max(10, width - listWidth - 3);
+    const bodyHeight = Math.max(3, height - 5);
+
+    // Keep the selection visible
+    if (state.selected < state.listTop) state.listTop = state.selected;
+    if (state.selected >= state.listTop + bodyHeight) state.listTop = state.selected - bodyHeight + 1;
+
+    const tabs = TABS.map((status, i) => {
+      const label = ` ${status ? capitalize(status) : 'All'} `;
+      return i === state.tab ? `${STYLE.inverse}${label}${STYLE.reset}` : label;
+    }).join('');
+    const platform = PLATFORM_FILTERS[state.platform] || 'all platforms';
+    const frame = [
+      `${STYLE.bold} ClawPost ${STYLE.reset} ${tabs}   ${STYLE.dim}[${platform}] ${state.posts.length} posts${STYLE.reset}`,
+      '─'.repeat(width)
+    ];
+
+    const preview = previewLines(selectedPost(), previewWidth);
+    state.previewTop = Math.max(0, Math.min(state.previewTop, preview.length - bodyHeight));
+    for (let row = 0; row < bodyHeight; row++) {
+      const index = state.listTop + row;
+      const post = state.posts[index];
+      let item = ' '.repeat(listWidth);
+      if (post) {
+        const text = fit(`${STATUS_MARKS[post.status] || '?'} ${PLATFORM_LABELS[post.platform] || '  '} ${firstLine(post.content)}`, listWidth);
+        item = index === state.selected ? `${STYLE.inverse}${text}${STYLE.reset}` : text;
+      }
+      frame.push(`${item} │ ${preview[state.previewTop + row] || ''}`);
+    }
+
+    frame.push('─'.repeat(width));
+    frame.push(state.message);
+    frame.push(`${STYLE.dim}${footer()}${STYLE.reset}`);
+
+    write(`${CSI}H${frame.map(line => `${line}${CSI}K`).join('\r\n')}${CSI}J`);
+  }
+
+  function setMessage(text, color) {
+    state.message = color ? `${STYLE[color]}${text}${STYLE.reset}` : text;
+  }
+
+  async function run(label, task) {
+    state.busy = true;
+    setMessage(`${label}…`, 'yellow');
+    render();
+    try {
+      await task();
+    } catch (error) {
+      setMessage(`✗ ${error.message}`, 'red');
+    } finally {
+      state.busy = false;
+      render();
+    }
+  }
+
+  async function load(keepId) {
+    const filters = { limit: LIST_LIMIT };
+    if (TABS[state.tab]) filters.status = TABS[state.tab];
+    if (PLATFORM_FILTERS[state.platform]) filters.platform = PLATFORM_FILTERS[state.platform];
+    const data = await client.listPosts(filters);
+    state.posts = data.posts || [];
+    rememberPosts(state.posts);
+    const keep = keepId ? state.posts.findIndex(post => post.id === keepId) : -1;
+    state.selected = keep >= 0 ? keep : Math.min(state.selected, Math.max(0, state.posts.length - 1));
+    state.previewTop = 0;
+  }
+
+  function reload(message) {
+    const id = selectedPost()?.id;
+    return run('Loading', async () => {
+      await load(id);
+      setMessage(message || '', message ? 'green' : null);
+    });
+  }
+
+  function edit(post) {
+    leaveScreen();
+    let content;
+    try {
+      content = editText(post.content, { name: post.id });
+    } finally {
+      enterScreen();
+    }
+    if (content === post.content) {
+      setMessage('No changes.');
+      return null;
+    }
+    const { errors } = validateContent(content, post.platform);
+    if (errors.length > 0) {
+      setMessage(`✗ Not saved: ${errors.map(error => error.message).join('; ')}`, 'red');
+      return null;
+    }
+    return content;
+  }
+
+  // Same review gate as the publish and schedule commands, without --force
+  function approved(post, action) {
+    try {
+      checkApproval(post, { action });
+      return true;
+    } catch (error) {
+      setMessage(`✗ ${error.message}`, 'red');
+      render();
+      return false;
+    }
+  }
+
+  const ACTIONS = {
+    publish: post => {
+      if (!approved(post, 'publish')) return;
+      state.confirm = {
+        label: `Publish ${post.id} to ${post.platform} now?`,
+        onYes: () => run('Publishing', async () => {
+          await client.publishPost(post.id);
+          recordGoLive(post.id, 'publish');
+          await load(post.id);
+          setMessage(`✓ Published ${post.id}`, 'green');
+        })
+      };
+    },
+    schedule: post => {
+      if (!approved(post, 'schedule')) return;
+      state.prompt = {
+        label: 'Schedule at (e.g. tomorrow 9am, +2h, 2026-03-01 09:00): ',
+        value: '',
+        onSubmit: value => run('Scheduling', async () => {
+          const { date, timeZone } = parseFutureTime(value);
+          await client.schedulePost(post.id, date.toISOString());
+          recordGoLive(post.id, 'schedule');
+          await load(post.id);
+          setMessage(`✓ Scheduled ${post.id} for ${describeTime(date, timeZone)}`, 'green');
+        })
+      };
+    },
+    update: post => run('Editing', async () => {
+      const content = edit(post);
+      if (content === null) return;
+      await client.updatePost(post.id, { content });
+      await load(post.id);
+      setMessage(`✓ Saved ${post.id}`, 'green');
+    }),
+    delete: post => {
+      state.confirm = {
+        label: `Delete ${post.id}?`,
+        onYes: () => run('Deleting', async () => {
+          await client.deletePost(post.id);
+          forgetPost(post.id);
+          await load();
+          setMessage(`✓ Deleted ${post.id}`, 'green');
+        })
+      };
+    }
+  };
+
+  function quit() {
+    client.onRetry = onRetry;
+    input.removeListener('keypress', onKeypress);
+    output.removeListener('resize', render);
+    leaveScreen();
+    input.pause();
+    finish();
+  }
+
+  function onPromptKey(str, key) {
+    const current = state.prompt;
+    if (key.name === 'return') {
+      state.prompt = null;
+      current.onSubmit(current.value.trim());
+      return;
+    }
+    if (key.name === 'escape') state.prompt = null;
+    else if (key.name === 'backspace') current.value = chars(current.value).slice(0, -1).join('');
+    else if (str && !key.ctrl && !key.meta && str >= ' ') current.value += str;
+    render();
+  }
+
+  function onKeypress(str, key = {}) {
+    if (key.ctrl && key.name === 'c') return quit();
+    if (state.busy) return undefined;
+    if (state.prompt) return onPromptKey(str, key);
+    if (state.confirm) {
+      const { onYes } = state.confirm;
+      state.confirm = null;
+      if (str === 'y' || str === 'Y') return onYes();
+      setMessage('Cancelled.');
+      return render();
+    }
+
+    const post = selectedPost();
+    const bodyHeight = Math.max(3, (output.rows || 24) - 5);
+    switch (key.name || str) {
+      case 'q':
+      case 'escape':
+        return quit();
+      case 'up':
+      case 'k':
+        state.selected = Math.max(0, state.selected - 1);
+        state.previewTop = 0;
+        break;
+      case 'down':
+      case 'j':
+        state.selected = Math.min(state.posts.length - 1, state.selected + 1);
+        state.previewTop = 0;
+        break;
+      case 'pageup':
+        state.previewTop = Math.max(0, state.previewTop - bodyHeight);
+        break;
+      case 'pagedown':
+        state.previewTop += bodyHeight;
+        break;
+      case 'left':
+      case 'right':
+      case 'tab':
+        state.tab = (state.tab + (key.name === 'left' ? TABS.length - 1 : 1)) % TABS.length;
+        state.selected = 0;
+        return reload();
+      case 'f':
+        state.platform = (state.platform + 1) % PLATFORM_FILTERS.length;
+        state.selected = 0;
+        return reload();
+      case 'r':
+        return reload('Refreshed');
+      default: {
+        const binding = ACTION_KEYS.find(({ key: letter }) => letter === str);
+        if (!binding) break;
+        if (!canDo(post, binding.action)) {
+          setMessage(post ? `"${binding.label}" is not available for this ${post.status} post` : 'No post selected');
+          break;
+        }
+        ACTIONS[binding.action](post);
+        break;
+      }
+    }
+    state.selected = Math.max(0, state.selected);
+    return render();
+  }
+
+  // Retry notices go to the message line instead of over the screen
+  const { onRetry } = client;
+  client.onRetry = ({ attempt, retries, delay, error }) => {
+    setMessage(`${error.message} — retrying in ${(delay / 1000).toFixed(1)}s (${attempt}/${retries})`, 'yellow');
+    render();
+  };
+
+  readline.emitKeypressEvents(input);
+  input.on('keypress', onKeypress);
+  output.on('resize', render);
+  enterScreen();
+  reload();
+
+  return done;
+}
+
+module.exports = {
+  runTui
+};
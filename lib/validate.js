@@ -0,0 +1,173 @@
+/**
+ * Client-side content validation, run before anything is sent to the API.
+ *
+ * X (Twitter) length uses the weighted counting of twitter-text v3: most
+ * Latin/Cyrillic/etc. characters weigh 1, everything else (CJK, most symbols)
+ * weighs 2, every emoji sequence weighs 2 and every URL counts as 23
+ * regardless of its length. Text is NFC-normalised first, as X does.
+ */
+
+const LIMITS = {
+  twitter: 280,
+  linkedin: 3000
+};
+
+// Above these counts a post still goes out, but we warn
+const HASHTAG_WARN = { twitter: 2, linkedin: 5 };
+const MENTION_WARN = { twitter: 5, linkedin: 10 };
+
+const URL_WEIGHT = 23;
+
+// twitter-text v3 ranges of code points weighing 1; everything else weighs 2
+const LIGHT_RANGES = [
+  [0x0000, 0x10FF],
+  [0x2000, 0x200D],
+  [0x2010, 0x201F],
+  [0x2032, 0x2037]
+];
+
+const URL_PATTERN = /(?:https?:\/\/|www\.)[^\s<>"]+|\b(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+(?:com|org|net|io|dev|ai|co|app|me|ly|gg|xyz|info|tech|uk|de|eu)\b(?:\/[^\s<>"]*)?/giu;
+const EMOJI_PATTERN = /(?:\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3|\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})*(?:\u200D\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})*)*)/gu;
+const HASHTAG_PATTERN = /(?:^|[^\p{L}\p{N}_&])#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu;
+const MENTION_PATTERN = /(?:^|[^\p{L}\p{N}_@])@([A-Za-z0-9_]{1,15})\b/gu;
+
+function codePointWeight(codePoint) {
+  return LIGHT_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end) ? 1 : 2;
+}
+
+// [start, end) spans of a pattern's matches
+function spans(pattern, text, filter = () => true) {
+  const found = [];
+  for (const match of text.matchAll(pattern)) {
+    if (!filter(match[0])) continue;
+    found.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
+  }
+  return found;
+}
+
+function findUrls(text) {
+  // Trailing punctuation belongs to the sentence, not the link
+  return spans(URL_PATTERN, text).map(span => {
+    const trimmed = span.text.replace(/[.,;:!?)\]'"]+$/u, '');
+    return { ...span, end: span.start + trimmed.length, text: trimmed };
+  });
+}
+
+// Hashtags without the #, lower-cased
+function findHashtags(text) {
+  return [...text.matchAll(HASHTAG_PATTERN)].map(match => match[1].toLowerCase());
+}
+
+function findEmoji(text) {
+  // A lone pictographic code point in the light ranges (©, ®, ‼) without an
+  // emoji presentation selector is counted as ordinary text by X
+  return spans(EMOJI_PATTERN, text, emoji => {
+    const first = emoji.codePointAt(0);
+    return emoji.length > 1 || codePointWeight(first) === 2;
+  });
+}
+
+/**
+ * Weighted length of a post as X counts it.
+ * @param {string} text
+ * @returns {number}
+ */
+function weightedLength(text) {
+  const normalized = text.normalize('NFC');
+  const entities = [
+    ...findUrls(normalized).map(span => ({ ...span, weight: URL_WEIGHT })),
+    ...findEmoji(normalized).map(span => ({ ...span, weight: 2 }))
+  ].sort((a, b) => a.start - b.start);
+
+  let total = 0;
+  let index = 0;
+  let next = 0;
+  while (index < normalized.length) {
+    while (next < entities.length && entities[next].end <= index) next++;
+    const entity = entities[next];
+    if (entity && entity.start === index) {
+      total += entity.weight;
+      index = entity.end;
+      continue;
+    }
+    const codePoint = normalized.codePointAt(index);
+    total += codePointWeight(codePoint);
+    index += codePoint > 0xFFFF ? 2 : 1;
+  }
+  return total;
+}
+
+/**
+ * Length of `text` as the platform counts it (weighted for X, code points otherwise).
+ */
+function contentLength(text, platform) {
+  if (platform === 'twitter') return weightedLength(text);
+  return [...text.normalize('NFC')].length;
+}
+
+/**
+ * Checks content against a platform's rules.
+ *
+ * @param {string} content
+ * @param {string} [platform='linkedin']
+ * @returns {{platform: string, valid: boolean, length: number, limit: number,
+ *   errors: {code: string, message: string}[], warnings: {code: string, message: string}[],
+ *   stats: {hashtags: number, mentions: number, urls: number}}}
+ */
+function validateContent(content, platform = 'linkedin') {
+  const text = content || '';
+  const errors = [];
+  const warnings = [];
+  const limit = LIMITS[platform];
+  const length = contentLength(text, platform);
+  const stats = {
+    hashtags: findHashtags(text).length,
+    mentions: [...text.matchAll(MENTION_PATTERN)].length,
+    urls: findUrls(text).length
+  };
+
+  if (text.trim() === '') {
+    errors.push({ code: 'EMPTY', message: 'Content is empty' });
+  }
+
+  if (length > limit) {
+    const unit = platform === 'twitter' ? 'weighted characters' : 'characters';
+    errors.push({
+      code: 'TOO_LONG',
+      message: `${length}/${limit} ${unit} — ${length - limit} over the ${platform} limit`
+    });
+  }
+
+  if (stats.hashtags > HASHTAG_WARN[platform]) {
+    warnings.push({
+      code: 'MANY_HASHTAGS',
+      message: `${stats.hashtags} hashtags — more than ${HASHTAG_WARN[platform]} tends to reduce reach on ${platform}`
+    });
+  }
+
+  if (stats.mentions > MENTION_WARN[platform]) {
+    warnings.push({
+      code: 'MANY_MENTIONS',
+      message: `${stats.mentions} mentions — posts with more than ${MENTION_WARN[platform]} can be flagged as spam`
+    });
+  }
+
+  if (platform === 'twitter' && length > limit * 0.95 && length <= limit) {
+    warnings.push({ code: 'NEAR_LIMIT', message: `${limit - length} characters left` });
+  }
+
+  if (text.trim() !== '' && text !== text.trim()) {
+    warnings.push({ code: 'WHITESPACE', message: 'Content has leading or trailing whitespace' });
+  }
+
+  return { platform, valid: errors.length === 0, length, limit, errors, warnings, stats };
+}
+
+module.exports = {
+  LIMITS,
+  contentLength,
+  findHashtags,
+  findUrls,
+  validateContent,
+  weightedLength
+};
@@ -0,0 +1,252 @@
+/**
+ * Watching scheduled and failed posts, and bringing failed ones back.
+ *
+ * Each poll lists scheduled and failed posts and compares them with the
+ * previous poll, which is kept in ~/.clawpost/watch.json (watch-<profile>.json
+ * with a profile) so that a restart still reports what changed in between. A
+ * post that drops out of both lists is fetched to see whether it was
+ * published or deleted. The first poll only records a baseline.
+ *
+ * Events can be delivered as a desktop notification, to a hook command (the
+ * event as JSON on stdin) and as a webhook POST.
+ */
+
+const { execFile, spawn } = require('child_process');
+const { ClawPostError } = require('./errors');
+const { readJsonFile, statePath, writeJsonFile } = require('./config');
+const { request } = require('./http');
+
+const WATCHED_STATUSES = ['scheduled', 'failed'];
+const DEFAULT_INTERVAL = 60 * 1000;
+const MAX_BACKOFF = 15 * 60 * 1000;
+const HOOK_TIMEOUT = 30 * 1000;
+const WEBHOOK_TIMEOUT = 10 * 1000;
+// Errors that waiting will not fix
+const FATAL_CODES = ['UNAUTHORIZED', 'MISSING_API_KEY', 'FORBIDDEN'];
+
+// One file per profile, so switching accounts does not report the other's posts as deleted
+function watchFile(profile = null) {
+  return statePath(profile ? `watch-${profile}.json` : 'watch.json');
+}
+
+// What is kept per post between polls
+function summaryOf(post) {
+  const summary = { status: post.status, platform: post.platform, content: post.content };
+  if (post.scheduledAt) summary.scheduledAt = post.scheduledAt;
+  if (post.publishedAt) summary.publishedAt = post.publishedAt;
+  if (post.error) summary.error = post.error;
+  return summary;
+}
+
+function event(type, from, post) {
+  return { type, from, at: new Date().toISOString(), post };
+}
+
+/**
+ * Polls once and compares with `previous`.
+ *
+ * @param {ClawPostClient} client
+ * @param {{checkedAt: string|null, posts: object|null}} previous - from watch.json; posts is null before the first poll
+ * @returns {Promise<{events: object[], state: object}>} events are {type, from, at, post}, where type is the new status
+ *   (published, failed, scheduled, draft) or "deleted"
+ */
+async function pollOnce(client, previous) {
+  const current = {};
+  for (const status of WATCHED_STATUSES) {
+    const { posts } = await client.listPosts({ status, limit: 100 });
+    posts.forEach(post => { current[post.id] = { id: post.id, ...summaryOf(post) }; });
+  }
+
+  const events = [];
+  const known = previous.posts;
+  if (known) {
+    Object.values(current).forEach(post => {
+      const before = known[post.id];
+      if (before ? before.status !== post.status : post.status === 'failed') {
+        events.push(event(post.status, before?.status || null, post));
+      }
+    });
+
+    for (const [id, before] of Object.entries(known)) {
+      if (current[id]) continue;
+      try {
+        const post = await client.getPost(id);
+        if (post.status !== before.status) events.push(event(post.status, before.status, { id, ...summaryOf(post) }));
+        // Still in a watched status but beyond the listing limit; keep tracking it
+        if (WATCHED_STATUSES.includes(post.status)) current[id] = { id, ...summaryOf(post) };
+      } catch (error) {
+        if (error.code !== 'NOT_FOUND') throw error;
+        events.push(event('deleted', before.status, { id, ...before, status: 'deleted' }));
+      }
+    }
+  }
+
+  return { events, state: { checkedAt: new Date().toISOString(), posts: current } };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Polls until the process ends. After a failed poll the wait doubles, up to
+ * 15 minutes, and is reset by the next good one. Authentication errors end
+ * the loop.
+ *
+ * @param {ClawPostClient} client
+ * @param {object} options
+ * @param {string|null} [options.profile] - account profile, for the state file
+ * @param {number} [options.interval=60000] - ms between polls
+ * @param {boolean} [options.once=false] - poll once and return
+ * @param {Function} options.onEvent - awaited for each event
+ * @param {Function} [options.onPoll] - called with ({checkedAt, posts}, events) after each poll
+ * @param {Function} [options.onError] - called with (error, delay) before backing off
+ */
+async function watchPosts(client, { profile = null, interval = DEFAULT_INTERVAL, once = false, onEvent, onPoll, onError }) {
+  let failures = 0;
+  for (;;) {
+    let delay = interval;
+    try {
+      const file = watchFile(profile);
+      const { events, state } = await pollOnce(client, readJsonFile(file, { checkedAt: null, posts: null }));
+      writeJsonFile(file, state);
+      failures = 0;
+      for (const item of events) await onEvent(item);
+      if (onPoll) onPoll(state, events);
+    } catch (error) {
+      if (once || FATAL_CODES.includes(error.code)) throw error;
+      failures++;
+      delay = Math.min(MAX_BACKOFF, interval * 2 ** failures);
+      if (onError) onError(error, delay);
+    }
+    if (once) return;
+    await sleep(delay);
+  }
+}
+
+/**
+ * Shows a desktop notification with osascript (macOS) or notify-send
+ * (Linux). Resolves false when there is no notifier.
+ */
+function desktopNotify(title, message) {
+  let command;
+  let args;
+  if (process.platform === 'darwin') {
+    const quote = text => `"${String(text).replace(/[\\"]/g, '\\$&')}"`;
+    command = 'osascript';
+    args = ['-e', `display notification ${quote(message)} with title ${quote(title)}`];
+  } else if (process.platform === 'linux') {
+    command = 'notify-send';
+    args = ['--app-name=ClawPost', title, message];
+  } else {
+    return Promise.resolve(false);
+  }
+  return new Promise(resolve => {
+    execFile(command, args, { timeout: 5000 }, error => resolve(!error));
+  });
+}
+
+/**
+ * Runs a hook command through the shell with the event as JSON on stdin and
+ * CLAW_EVENT, CLAW_POST_ID, CLAW_POST_STATUS and CLAW_PLATFORM set.
+ * @returns {Promise<void>} rejects when the command fails or times out
+ */
+function runHook(command, item) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', 'inherit', 'inherit'],
+      env: {
+        ...process.env,
+        CLAW_EVENT: item.type,
+        CLAW_POST_ID: item.post.id,
+        CLAW_POST_STATUS: item.post.status || item.type,
+        CLAW_PLATFORM: item.post.platform || ''
+      }
+    });
+    const timer = setTimeout(() => child.kill(), HOOK_TIMEOUT);
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) resolve();
+      else reject(new Error(`Hook "${command}" ${signal ? `was stopped (${signal})` : `exited with code ${code}`}`));
+    });
+    // A hook that does not read stdin must not fail the write
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(item) + '\n');
+  });
+}
+
+/**
+ * POSTs the event as JSON to a webhook URL.
+ */
+async function postWebhook(url, item) {
+  const res = await request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'User-Agent': 'clawpost-watch' },
+    body: JSON.stringify(item),
+    timeout: WEBHOOK_TIMEOUT
+  });
+  if (res.status >= 400) {
+    throw new ClawPostError(`Webhook ${url} answered HTTP ${res.status}`, { code: 'WEBHOOK_ERROR', status: res.status });
+  }
+}
+
+// Fields that make a copy of a post the same post
+function copyParams(post) {
+  const params = { content: post.content, platform: post.platform };
+  if (post.postType && post.postType !== 'original') params.postType = post.postType;
+  if (post.reference) params.reference = post.reference;
+  return params;
+}
+
+/**
+ * Brings a failed post back: as a new draft, or by publishing it again. The
+ * same post is re-published when the API allows it; otherwise a copy is
+ * made. The failed post is deleted, when it can be, only once the copy is
+ * confirmed as a draft or published post; a copy that failed as well is an
+ * error and leaves the original in place.
+ *
+ * @param {ClawPostClient} client
+ * @param {object} post - a post with status "failed"
+ * @param {object} [options]
+ * @param {boolean} [options.publish=false]
+ * @returns {Promise<{id: string, action: 'draft'|'republish'|'publish', post: object, deleted: boolean}>}
+ */
+async function retryFailed(client, post, { publish = false } = {}) {
+  if (post.status !== 'failed') {
+    throw new ClawPostError(`Post ${post.id} is ${post.status}, not failed`, { code: 'CONFLICT', status: 409 });
+  }
+  const actions = post.availableActions || [];
+
+  if (publish && actions.includes('publish')) {
+    return { id: post.id, action: 'republish', post: await client.publishPost(post.id), deleted: false };
+  }
+
+  const copy = publish ? await client.publish(copyParams(post)) : await client.createDraft(copyParams(post));
+  if (copy?.status === 'failed') {
+    const reason = copy.error?.message ? `: ${copy.error.message}` : '';
+    throw new ClawPostError(`The copy of ${post.id} (${copy.id}) failed too${reason}. The original was kept`, {
+      code: 'CONFLICT',
+      details: { copy }
+    });
+  }
+  const confirmed = Boolean(copy?.id) && copy.status === (publish ? 'published' : 'draft');
+  const deleted = confirmed && actions.includes('delete');
+  if (deleted) await client.deletePost(post.id);
+  return { id: post.id, action: publish ? 'publish' : 'draft', post: copy, deleted };
+}
+
+module.exports = {
+  DEFAULT_INTERVAL,
+  desktopNotify,
+  pollOnce,
+  postWebhook,
+  retryFailed,
+  runHook,
+  watchFile,
+  watchPosts
+};
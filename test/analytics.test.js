@@ -0,0 +1,93 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { test } = require('./helpers');
+const { analyzeHistory, correlation, historyPosts, toHtml } = require('../lib/analytics');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const FIXTURE = path.join(__dirname, 'fixtures', 'history.json');
+
+// Five tweets: four with impressions (rates 5%, 2%, 6% and 1%, oldest first) and one without
+function fixtureReport(options) {
+  return analyzeHistory(historyPosts(JSON.parse(fs.readFileSync(FIXTURE, 'utf8'))), options);
+}
+
+function close(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+function runCli(args) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, [CLI, ...args], { timeout: 20000 }, (error, stdout, stderr) => {
+      if (error) reject(Object.assign(error, { stdout, stderr }));
+      else resolve(stdout);
+    });
+  });
+}
+
+test('engagement rate is engagements over impressions, overall and per post', () => {
+  const { overview, posts } = fixtureReport();
+  assert.strictEqual(overview.posts, 5);
+  assert.strictEqual(overview.replies, 1);
+  assert.strictEqual(overview.engagements, 22);
+  assert.strictEqual(overview.impressions, 500);
+  close(overview.engagementRate, 22 / 500);
+  close(overview.averageRate, (0.05 + 0.02 + 0.06 + 0.01) / 4);
+  assert.deepStrictEqual(posts.map(post => post.rate), [0.05, 0.02, 0.06, 0.01, null]);
+});
+
+test('the moving average trails over the window and skips posts without a rate', () => {
+  const { posts } = fixtureReport({ window: 2 });
+  [0.05, 0.035, 0.04, 0.035, 0.01].forEach((expected, i) => close(posts[i].movingAverage, expected));
+});
+
+test('top and bottom posts are ranked by rate', () => {
+  const { top, bottom } = fixtureReport();
+  assert.deepStrictEqual(top.map(post => post.rate), [0.06, 0.05, 0.02, 0.01]);
+  assert.strictEqual(bottom[0].rate, 0.01);
+});
+
+test('hashtag lift compares tagged posts with the average, ignoring case', () => {
+  const { hashtags } = fixtureReport();
+  assert.strictEqual(hashtags.tags.length, 1);
+  const [devtools] = hashtags.tags;
+  assert.strictEqual(devtools.tag, '#devtools');
+  assert.strictEqual(devtools.posts, 2);
+  close(devtools.averageRate, 0.055);
+  close(devtools.lift, 0.055 / 0.035 - 1);
+  assert.strictEqual(hashtags.withHashtags.posts, 2);
+  assert.strictEqual(hashtags.withoutHashtags.posts, 3);
+});
+
+test('length correlates with rate over the posts that have one', () => {
+  const { length } = fixtureReport();
+  // Pearson r of lengths 148, 24, 5, 29 against rates 1%, 5%, 2%, 6%
+  close(length.correlation, -0.5780883867655043);
+  assert.deepStrictEqual(length.bands.map(band => [band.band, band.posts]), [['0-70', 4], ['141-210', 1]]);
+  assert.strictEqual(correlation([1, 2], [3, 4]), null);
+  assert.strictEqual(correlation([1, 2, 3], [5, 5, 5]), null);
+  close(correlation([1, 2, 3], [2, 4, 6]), 1);
+});
+
+test('the HTML report shows the figures and escapes tweet text', () => {
+  const html = toHtml(fixtureReport(), { title: 'Q3 <report>' });
+  assert.match(html, /<title>Q3 &lt;report&gt;<\/title>/);
+  assert.match(html, /Engagement rate<b>4\.40%<\/b>/);
+  assert.match(html, /r = -0\.58/);
+  assert.match(html, /#devtools \(2\)/);
+  assert.match(html, /a &lt; b/);
+  assert.ok(!html.includes('a < b'));
+  assert.strictEqual((html.match(/<svg /g) || []).length, 4);
+});
+
+test('analytics --from-file writes CSV rows and an HTML file without an API key', async () => {
+  const csv = (await runCli(['analytics', '--from-file', FIXTURE, '-o', 'csv'])).trim().split('\n');
+  assert.strictEqual(csv[0], 'id,createdAt,type,length,hashtags,likes,retweets,replies,impressions,engagements,rate,movingAverage,text');
+  assert.strictEqual(csv.length, 6);
+  assert.match(csv[1], /^1840000000000000001,2026-09-01T09:00:00\.000Z,original,24,devtools,8,1,1,200,10,0\.05,0\.05,/);
+
+  const html = path.join(process.env.CLAWPOST_HOME, 'report.html');
+  await runCli(['analytics', '--from-file', FIXTURE, '--html', html, '--json']);
+  assert.match(fs.readFileSync(html, 'utf8'), /^<!DOCTYPE html>/);
+});
@@ -0,0 +1,79 @@
+const assert = require('assert');
+const { test } = require('./helpers');
+const {
+  approvalProblem,
+  checkApproval,
+  checkDirect,
+  recordGoLive,
+  reviewLog,
+  reviewOf,
+  reviewPost,
+  submitPost
+} = require('../lib/approvals');
+
+const draft = { id: 'post_1', status: 'draft', platform: 'linkedin', content: 'Launch day' };
+
+// Runs `fn` as CLAW_USER `user`, with approval required
+function as(user, fn) {
+  Object.assign(process.env, { CLAW_USER: user, CLAW_REQUIRE_APPROVAL: '1' });
+  try {
+    return fn();
+  } finally {
+    delete process.env.CLAW_USER;
+    delete process.env.CLAW_REQUIRE_APPROVAL;
+  }
+}
+
+test('another reviewer approves a submitted draft, and it may then go live', () => {
+  as('ana', () => submitPost(draft, { comment: 'For Monday' }));
+  assert.throws(() => as('ana', () => checkApproval(draft, { action: 'publish' })), { code: 'CONFLICT', message: /waiting for review/ });
+  assert.throws(() => as('ana', () => reviewPost(draft, 'approve')), { code: 'CONFLICT', message: /another reviewer/ });
+
+  const approved = as('ben', () => reviewPost(draft, 'approve'));
+  assert.strictEqual(approved.state, 'approved');
+  assert.strictEqual(approved.reviewedBy, 'ben');
+  as('ana', () => checkApproval(draft, { action: 'publish' }));
+
+  as('ana', () => recordGoLive(draft.id, 'publish'));
+  assert.strictEqual(reviewOf(draft.id).state, 'published');
+  assert.deepStrictEqual(reviewLog(draft.id).map(event => [event.action, event.by]), [['submit', 'ana'], ['approve', 'ben'], ['publish', 'ana']]);
+});
+
+test('an edit after approval needs a new review', () => {
+  as('ana', () => submitPost(draft));
+  as('ben', () => reviewPost(draft, 'approve'));
+  const edited = { ...draft, content: 'Launch day!' };
+  assert.match(approvalProblem(edited), /changed after it was approved/);
+  assert.throws(() => as('ana', () => checkApproval(edited, { action: 'schedule' })), { code: 'CONFLICT' });
+});
+
+test('a rejection needs a comment and blocks the draft until it is submitted again', () => {
+  as('ana', () => submitPost(draft));
+  assert.throws(() => as('ben', () => reviewPost(draft, 'reject')), { code: 'USAGE_ERROR' });
+  as('ben', () => reviewPost(draft, 'reject', { comment: 'Add the link' }));
+  assert.strictEqual(approvalProblem(draft), 'Post post_1 was rejected by ben: Add the link');
+  assert.throws(() => as('ben', () => reviewPost(draft, 'approve')), { code: 'CONFLICT', message: /already rejected/ });
+
+  as('ana', () => submitPost(draft));
+  assert.strictEqual(reviewOf(draft.id).state, 'pending');
+});
+
+test('--force goes ahead and logs the override', () => {
+  as('ana', () => submitPost(draft));
+  assert.strictEqual(as('ana', () => reviewPost(draft, 'approve', { force: true })).state, 'approved');
+
+  const other = { ...draft, id: 'post_2' };
+  as('ana', () => checkApproval(other, { action: 'schedule', force: true }));
+  assert.throws(() => as('ana', () => checkDirect('publish')), { code: 'CONFLICT' });
+  as('ana', () => checkDirect('publish', { force: true }));
+
+  const forced = reviewLog().filter(event => event.action.startsWith('force-'));
+  assert.deepStrictEqual(forced.map(event => [event.action, event.postId]), [['force-schedule', 'post_2'], ['force-publish', null]]);
+  assert.match(forced[0].comment, /has not been approved/);
+});
+
+test('nothing is gated unless approval is required', () => {
+  checkApproval(draft, { action: 'publish' });
+  checkDirect('publish');
+  assert.deepStrictEqual(reviewLog(), []);
+});
@@ -0,0 +1,47 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { test } = require('./helpers');
+const { parseArgs, readContent, readStdin } = require('../lib/args');
+
+const DEFINITIONS = {
+  file: { alias: 'f' },
+  yes: { alias: 'y', boolean: true },
+  var: { multiple: true },
+  at: {}
+};
+
+test('long, inline, short, boolean and repeated options', () => {
+  const { positionals, options } = parseArgs(
+    ['draft', '--at=tomorrow 9am', '-f', 'post.md', 'twitter', '-y', '--var', 'a=1', '--var', 'b=2'],
+    DEFINITIONS
+  );
+  assert.deepStrictEqual(positionals, ['draft', 'twitter']);
+  assert.deepStrictEqual(options, { at: 'tomorrow 9am', file: 'post.md', yes: true, var: ['a=1', 'b=2'] });
+});
+
+test('a lone dash is a positional and a double dash ends the options', () => {
+  const { positionals, options } = parseArgs(['-', '--', '--yes', '-f'], DEFINITIONS);
+  assert.deepStrictEqual(positionals, ['-', '--yes', '-f']);
+  assert.deepStrictEqual(options, {});
+});
+
+test('unknown options, missing values and valued booleans are usage errors', () => {
+  assert.throws(() => parseArgs(['--nope'], DEFINITIONS), { code: 'USAGE_ERROR', message: 'Unknown option: --nope' });
+  assert.throws(() => parseArgs(['-x'], DEFINITIONS), { code: 'USAGE_ERROR', message: 'Unknown option: -x' });
+  assert.throws(() => parseArgs(['--at'], DEFINITIONS), { code: 'USAGE_ERROR', message: 'Option --at requires a value' });
+  assert.throws(() => parseArgs(['--yes=no'], DEFINITIONS), { code: 'USAGE_ERROR', message: 'Option --yes does not take a value' });
+});
+
+test('content is read from a file without its trailing newline', async () => {
+  const file = path.join(process.env.CLAWPOST_HOME, 'post.md');
+  fs.writeFileSync(file, 'Line one\nline two\r\n');
+  assert.strictEqual(await readContent(file), 'Line one\nline two');
+  await assert.rejects(readContent(path.join(process.env.CLAWPOST_HOME, 'missing.md')), { code: 'USAGE_ERROR', message: /^Could not read / });
+});
+
+test('stdin is read to the end, but not from a terminal', async () => {
+  assert.strictEqual(await readStdin(Readable.from([Buffer.from('Hello '), Buffer.from('world')])), 'Hello world');
+  await assert.rejects(readStdin({ isTTY: true }), { code: 'USAGE_ERROR' });
+});
@@ -0,0 +1,80 @@
+const assert = require('assert');
+const { test } = require('./helpers');
+const { mockApi } = require('./mock-server');
+const { ClawPostClient } = require('../lib/client');
+const { rememberPosts } = require('../lib/cache');
+const { findUndoable, readLog, recordRequest, undoEntry } = require('../lib/audit');
+
+const draft = { id: 'post_1', status: 'draft', platform: 'twitter', content: 'Launch day' };
+
+// A client that logs every call, as the CLI's does
+function clientFor(api, profile = null) {
+  return new ClawPostClient({
+    apiKey: 'claw_test',
+    baseUrl: api.url,
+    proxy: null,
+    retries: 0,
+    onResponse: request => recordRequest(request, { profile })
+  });
+}
+
+test('a deleted draft is recreated from its snapshot, once', async () => {
+  const api = await mockApi({ posts: [draft] });
+  try {
+    const client = clientFor(api);
+    rememberPosts([draft]);
+    await client.deletePost('post_1');
+    assert.deepStrictEqual(readLog().map(entry => entry.action), ['delete']);
+
+    const entry = findUndoable();
+    assert.deepStrictEqual(entry.snapshot, { content: 'Launch day', platform: 'twitter', status: 'draft' });
+    const { undo, draft: recreated, removed } = await undoEntry(client, entry);
+    assert.strictEqual(removed, null);
+    assert.strictEqual(api.posts.get(recreated.id).content, 'Launch day');
+    assert.strictEqual(api.posts.get(recreated.id).platform, 'twitter');
+
+    const log = readLog();
+    assert.deepStrictEqual(log.map(item => item.action), ['undo', 'create', 'delete']);
+    assert.strictEqual(log[1].undo, undo.id);
+    assert.strictEqual(log[2].undoneBy, undo.id);
+    assert.throws(() => findUndoable(entry.id), { code: 'CONFLICT', message: /already undone/ });
+    assert.throws(() => findUndoable(), { code: 'NOT_FOUND' });
+  } finally {
+    await api.close();
+  }
+});
+
+test('undoing a schedule leaves a draft copy and deletes the scheduled post', async () => {
+  const api = await mockApi({ posts: [draft] });
+  try {
+    const client = clientFor(api);
+    await client.schedulePost('post_1', '2026-11-02T09:00:00Z');
+    const { draft: copy, removed } = await undoEntry(client, findUndoable());
+    assert.strictEqual(removed, 'post_1');
+    assert.ok(!api.posts.has('post_1'));
+    assert.strictEqual(api.posts.get(copy.id).status, 'draft');
+    assert.deepStrictEqual(api.requests.slice(1).map(item => item.route), ['GET /posts/post_1', 'POST /drafts', 'DELETE /posts/post_1']);
+  } finally {
+    await api.close();
+  }
+});
+
+test('undo refuses a post that already went out, another account and failed calls', async () => {
+  const api = await mockApi({ posts: [draft, { ...draft, id: 'post_2' }] });
+  try {
+    const client = clientFor(api, 'work');
+    await client.schedulePost('post_1', '2026-11-02T09:00:00Z');
+    const entry = findUndoable();
+
+    await assert.rejects(undoEntry(client, entry, { profile: null }), { code: 'CONFLICT', message: /undo it with --profile work/ });
+    api.posts.get('post_1').status = 'published';
+    await assert.rejects(undoEntry(client, entry, { profile: 'work' }), { code: 'CONFLICT', message: /is published now/ });
+    assert.ok(api.posts.has('post_1'));
+
+    api.failNext(500, 'INTERNAL_ERROR');
+    await assert.rejects(client.deletePost('post_2'), { code: 'INTERNAL_ERROR' });
+    assert.throws(() => findUndoable(readLog()[0].id), { code: 'CONFLICT', message: /failed, so there is nothing to undo/ });
+  } finally {
+    await api.close();
+  }
+});
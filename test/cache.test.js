@@ -0,0 +1,77 @@
+const assert = require('assert');
+const { test } = require('./helpers');
+const { mockApi } = require('./mock-server');
+const { ClawPostClient, isFullListing } = require('../lib/client');
+const { ClawPostError } = require('../lib/errors');
+const { createLocalDraft, getCachedPost, listCachedPosts, rememberPosts, syncPosts } = require('../lib/cache');
+
+const post = (id, content = 'Hello') => ({ id, status: 'draft', platform: 'linkedin', content });
+
+// Only the listing matters for these tests; nothing is pending
+function listingClient(posts, complete) {
+  return { listAllPosts: async () => ({ posts, complete }) };
+}
+
+test('a listing without a total is not a full listing', () => {
+  assert.strictEqual(isFullListing({ posts: [post('a')] }), false);
+  assert.strictEqual(isFullListing({ posts: [post('a')], total: 2 }), false);
+  assert.strictEqual(isFullListing({ posts: [post('a')], total: 1 }), true);
+});
+
+test('sync keeps cached posts missing from an unconfirmed listing', async () => {
+  rememberPosts([post('post_1'), post('post_2')]);
+  await syncPosts(listingClient([post('post_1')], false));
+  assert.strictEqual(getCachedPost('post_2').id, 'post_2');
+});
+
+test('sync forgets cached posts missing from a complete listing', async () => {
+  rememberPosts([post('post_1'), post('post_2')]);
+  await syncPosts(listingClient([post('post_1')], true));
+  assert.throws(() => getCachedPost('post_2'), { code: 'NOT_FOUND' });
+});
+
+// The first create reaches the server but its response is lost
+function timingOutClient(api) {
+  const client = new ClawPostClient({ apiKey: 'claw_test', baseUrl: api.url, proxy: null, retries: 0 });
+  const call = client.call.bind(client);
+  let timeouts = 1;
+  client.call = async (name, params, options) => {
+    const response = await call(name, params, options);
+    if (name === 'createDraft' && timeouts-- > 0) throw new ClawPostError('Request timed out', { code: 'TIMEOUT' });
+    return response;
+  };
+  return client;
+}
+
+test('a create that timed out is found on the server rather than sent again', async () => {
+  const api = await mockApi();
+  try {
+    const client = timingOutClient(api);
+    const local = createLocalDraft({ content: 'Written offline', platform: 'linkedin' });
+
+    const first = await syncPosts(client);
+    assert.deepStrictEqual(first.failed.map(item => [item.id, item.error.code]), [[local.id, 'TIMEOUT']]);
+
+    const second = await syncPosts(client);
+    assert.deepStrictEqual(second.pushed.map(item => [item.localId, item.action]), [[local.id, 'create']]);
+    assert.strictEqual(api.requests.filter(item => item.route === 'POST /drafts').length, 1);
+    assert.deepStrictEqual(listCachedPosts().posts.map(post => post.id), [second.pushed[0].id]);
+  } finally {
+    await api.close();
+  }
+});
+
+test('a create rejected by the API is simply sent again', async () => {
+  const api = await mockApi();
+  try {
+    const client = new ClawPostClient({ apiKey: 'claw_test', baseUrl: api.url, proxy: null, retries: 0 });
+    createLocalDraft({ content: 'Written offline', platform: 'linkedin' });
+    api.failNext(400, 'VALIDATION_ERROR');
+    assert.strictEqual((await syncPosts(client)).failed.length, 1);
+    assert.strictEqual((await syncPosts(client)).pushed.length, 1);
+    // No listing before the second create, only the pulls after each sync
+    assert.deepStrictEqual(api.requests.map(item => item.route), ['POST /drafts', 'GET /posts', 'POST /drafts', 'GET /posts']);
+  } finally {
+    await api.close();
+  }
+});
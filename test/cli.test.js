@@ -0,0 +1,26 @@
+const assert = require('assert');
+const path = require('path');
+const { execFile } = require('child_process');
+const { test } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+function runCli(args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { timeout: 20000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('an unknown command prints the help to stderr and exits with the usage code', async () => {
+  const { code, stdout, stderr } = await runCli(['frobnicate']);
+  assert.strictEqual(code, 2);
+  assert.match(stderr, /Social Media Publisher CLI/);
+  assert.ok(!stdout.includes('Social Media Publisher CLI'));
+  assert.match(stdout, /Unknown command "frobnicate"/);
+
+  const help = await runCli(['--help']);
+  assert.strictEqual(help.code, 0);
+  assert.match(help.stdout, /Social Media Publisher CLI/);
+});
@@ -0,0 +1,68 @@
+const assert = require('assert');
+const { listen, sendJson, test } = require('./helpers');
+const { ClawPostClient } = require('../lib/client');
+const { nextFreeSlot } = require('../lib/engagement');
+
+// A /posts endpoint over `count` posts that returns at most `cap` of them
+function postsServer(count, { cap = Infinity, withTotal = true } = {}) {
+  const limits = [];
+  const posts = Array.from({ length: count }, (_, index) => ({ id: `post_${index}`, status: 'scheduled' }));
+  return listen((req, res) => {
+    const limit = Number(new URL(req.url, 'http://localhost').searchParams.get('limit'));
+    limits.push(limit);
+    const data = { posts: posts.slice(0, Math.min(limit, cap)) };
+    if (withTotal) data.total = count;
+    sendJson(res, 200, { success: true, data });
+  }).then(server => ({ ...server, limits }));
+}
+
+function clientFor(server) {
+  return new ClawPostClient({ apiKey: 'claw_test', baseUrl: server.url, proxy: null });
+}
+
+test('listAllPosts raises the limit until every post is listed', async () => {
+  const server = await postsServer(250);
+  try {
+    const { posts, complete } = await clientFor(server).listAllPosts({ status: 'scheduled' });
+    assert.strictEqual(posts.length, 250);
+    assert.strictEqual(complete, true);
+    assert.deepStrictEqual(server.limits, [100, 200, 400]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('listAllPosts without a total stops at a short page but cannot call it complete', async () => {
+  const server = await postsServer(150, { withTotal: false });
+  try {
+    const { posts, complete } = await clientFor(server).listAllPosts();
+    assert.strictEqual(posts.length, 150);
+    assert.strictEqual(complete, false);
+  } finally {
+    await server.close();
+  }
+});
+
+test('listAllPosts reports a server-side cap as incomplete', async () => {
+  const server = await postsServer(250, { cap: 100 });
+  try {
+    const { posts, complete } = await clientFor(server).listAllPosts();
+    assert.strictEqual(posts.length, 100);
+    assert.strictEqual(complete, false);
+    assert.deepStrictEqual(server.limits, [100, 200]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('nextFreeSlot skips a slot within an hour of a scheduled post', () => {
+  // Monday 2026-10-19 08:00 UTC; slots on Monday 10:00 and Tuesday 10:00
+  const now = Date.parse('2026-10-19T08:00:00Z');
+  const slots = [{ weekday: 1, hour: 10 }, { weekday: 2, hour: 10 }];
+  const free = nextFreeSlot(slots, { timeZone: 'UTC', now });
+  assert.strictEqual(free.date.toISOString(), '2026-10-19T10:00:00.000Z');
+
+  const busy = [new Date('2026-10-19T10:30:00Z')];
+  const next = nextFreeSlot(slots, { timeZone: 'UTC', now, busy });
+  assert.strictEqual(next.date.toISOString(), '2026-10-20T10:00:00.000Z');
+});
@@ -0,0 +1,78 @@
+const assert = require('assert');
+const fs = require('fs');
+const { test } = require('./helpers');
+const { statePath } = require('../lib/config');
+const { crossPost } = require('../lib/crosspost');
+
+const LONG = `${'Shipping the new release today. '.repeat(12)}#launch`;
+
+// Records calls; `failures` makes a platform fail once
+function fakeClient({ shortened = 'Short version #launch', failures = {} } = {}) {
+  const calls = [];
+  let next = 1;
+  return {
+    calls,
+    async refine(params) {
+      calls.push({ name: 'refine', params });
+      return { content: shortened };
+    },
+    async call(name, params) {
+      calls.push({ name, params });
+      if (failures[params.platform]) {
+        failures[params.platform]--;
+        throw Object.assign(new Error('Platform down'), { code: 'INTERNAL_ERROR', status: 500 });
+      }
+      return { message: 'ok', data: { id: `post_${next++}`, platform: params.platform, content: params.content } };
+    }
+  };
+}
+
+const posts = client => client.calls.filter(call => call.name === 'publish');
+
+test('a finished cross-post leaves no record, so the same text can be posted again', async () => {
+  const client = fakeClient();
+  const first = await crossPost(client, { action: 'publish', content: 'Hello', platforms: ['linkedin', 'twitter'] });
+  assert.ok(first.results.every(result => result.success && !result.skipped));
+  assert.deepStrictEqual(fs.readdirSync(statePath('crosspost')), []);
+
+  const second = await crossPost(client, { action: 'publish', content: 'Hello', platforms: ['linkedin', 'twitter'] });
+  assert.ok(second.results.every(result => result.success && !result.skipped));
+  assert.strictEqual(posts(client).length, 4);
+});
+
+test('an unfinished cross-post needs --resume and then retries only the failed platform', async () => {
+  const client = fakeClient({ failures: { twitter: 1 } });
+  const options = { action: 'publish', content: 'Hello', platforms: ['linkedin', 'twitter'] };
+  const first = await crossPost(client, options);
+  assert.deepStrictEqual(first.results.map(result => result.success), [true, false]);
+
+  await assert.rejects(crossPost(client, options), { code: 'CONFLICT', message: /linkedin already done.*--resume/ });
+
+  const resumed = await crossPost(client, { ...options, resume: true });
+  assert.deepStrictEqual(resumed.results.map(result => [result.platform, result.success, Boolean(result.skipped)]),
+    [['linkedin', true, true], ['twitter', true, false]]);
+  assert.deepStrictEqual(posts(client).map(call => call.params.platform), ['linkedin', 'twitter', 'twitter']);
+  assert.deepStrictEqual(fs.readdirSync(statePath('crosspost')), []);
+});
+
+test('shortened X text is confirmed before anything is posted', async () => {
+  const client = fakeClient();
+  const shown = [];
+  const result = await crossPost(client, {
+    action: 'publish',
+    content: LONG,
+    platforms: ['linkedin', 'twitter'],
+    confirm: async shortened => { shown.push(...shortened); return false; }
+  });
+  assert.strictEqual(result.declined, true);
+  assert.deepStrictEqual(shown, [{ platform: 'twitter', content: 'Short version #launch' }]);
+  assert.strictEqual(posts(client).length, 0);
+});
+
+test('shortened text that is still too long is not posted', async () => {
+  const client = fakeClient({ shortened: 'x'.repeat(300) });
+  const { results } = await crossPost(client, { action: 'publish', content: LONG, platforms: ['linkedin', 'twitter'], confirm: async () => true });
+  assert.deepStrictEqual(results.map(result => result.success), [true, false]);
+  assert.strictEqual(results[1].error.code, 'VALIDATION_ERROR');
+  assert.deepStrictEqual(posts(client).map(call => call.params.platform), ['linkedin']);
+});
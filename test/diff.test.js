@@ -0,0 +1,28 @@
+const assert = require('assert');
+const { test } = require('./helpers');
+const { diffStats, diffWords } = require('../lib/diff');
+
+const join = (parts, skip) => parts.filter(part => part.type !== skip).map(part => part.text).join('');
+
+test('a changed word shows as removed then added', () => {
+  assert.deepStrictEqual(diffWords('Ship it today', 'Ship it tomorrow'), [
+    { type: 'same', text: 'Ship it ' },
+    { type: 'removed', text: 'today' },
+    { type: 'added', text: 'tomorrow' }
+  ]);
+});
+
+test('either side can be rebuilt from the parts', () => {
+  const before = 'The quick brown fox\njumps over the dog';
+  const after = 'The slow brown fox  leaps over the lazy dog!';
+  const parts = diffWords(before, after);
+  assert.strictEqual(join(parts, 'added'), before);
+  assert.strictEqual(join(parts, 'removed'), after);
+  parts.slice(1).forEach((part, i) => assert.notStrictEqual(part.type, parts[i].type));
+});
+
+test('stats count words, not whitespace', () => {
+  assert.deepStrictEqual(diffStats(diffWords('one two three', 'one  two four five')), { added: 2, removed: 1 });
+  assert.deepStrictEqual(diffStats(diffWords('same text', 'same text')), { added: 0, removed: 0 });
+  assert.deepStrictEqual(diffWords('', 'new'), [{ type: 'added', text: 'new' }]);
+});
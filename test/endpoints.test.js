@@ -0,0 +1,31 @@
+const assert = require('assert');
+const { test } = require('./helpers');
+const { buildRequest, matchEndpoint } = require('../lib/endpoints');
+
+test('builds path, query and body from declared params', () => {
+  assert.deepStrictEqual(buildRequest('listPosts', { status: 'draft', limit: 5 }), {
+    method: 'GET', endpoint: '/posts?status=draft&limit=5', data: null
+  });
+  assert.deepStrictEqual(buildRequest('updatePost', { id: 'post_1', content: 'Hi' }), {
+    method: 'PUT', endpoint: '/posts/post_1', data: { content: 'Hi' }
+  });
+});
+
+test('an undeclared param is rejected instead of sent', () => {
+  assert.throws(() => buildRequest('createDraft', { content: 'Hi', platfrom: 'twitter' }), {
+    code: 'VALIDATION_ERROR',
+    message: /Unknown parameter "platfrom" for createDraft/
+  });
+  assert.throws(() => buildRequest('listPosts', { stauts: 'draft' }), { code: 'VALIDATION_ERROR' });
+  assert.deepStrictEqual(buildRequest('listPosts', { status: undefined }).endpoint, '/posts');
+});
+
+test('enum and required params are checked', () => {
+  assert.throws(() => buildRequest('publish', { platform: 'linkedin' }), /content is required/);
+  assert.throws(() => buildRequest('publish', { content: 'Hi', platform: 'myspace' }), /Invalid platform/);
+});
+
+test('matches a request back to its endpoint', () => {
+  assert.deepStrictEqual(matchEndpoint('POST', '/posts/post_9/publish'), { name: 'publishPost', params: { id: 'post_9' } });
+  assert.strictEqual(matchEndpoint('GET', '/nope'), null);
+});
@@ -0,0 +1,59 @@
+/**
+ * Shared pieces for the offline tests: test registration, a throwaway
+ * CLAWPOST_HOME per test and a local HTTP server to point requests at.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const tests = [];
+
+/**
+ * Registers a test. `fn` may return a promise.
+ * @param {string} name
+ * @param {Function} fn
+ */
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+// A fresh, empty state directory so tests never see each other's files
+function freshHome() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clawpost-test-'));
+  process.env.CLAWPOST_HOME = dir;
+  return dir;
+}
+
+/**
+ * Starts an HTTP server on a free local port.
+ * @param {Function} handler - (req, res, body) with the request body as a string
+ * @returns {Promise<{url: string, close: Function}>}
+ */
+function listen(handler) {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => handler(req, res, Buffer.concat(chunks).toString('utf8')));
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+function sendJson(res, status, payload, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+module.exports = {
+  freshHome,
+  listen,
+  sendJson,
+  test,
+  tests
+};
@@ -0,0 +1,48 @@
+const assert = require('assert');
+const { listen, sendJson, test } = require('./helpers');
+const { request } = require('../lib/http');
+const { apiRequest } = require('../lib/api');
+const { codeFromStatus, exitCodeFor } = require('../lib/errors');
+
+test('the timeout covers a response that keeps trickling in', async () => {
+  let timer;
+  const server = await listen((req, res) => {
+    res.writeHead(200);
+    timer = setInterval(() => res.write('.'), 20);
+  });
+  try {
+    const started = Date.now();
+    await assert.rejects(request(server.url, { timeout: 150, proxy: null }), { code: 'TIMEOUT' });
+    assert.ok(Date.now() - started < 1000);
+  } finally {
+    clearInterval(timer);
+    await server.close();
+  }
+});
+
+test('a response within the timeout resolves', async () => {
+  const server = await listen((req, res) => sendJson(res, 200, { ok: true }));
+  try {
+    const res = await request(server.url, { timeout: 1000, proxy: null });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(JSON.parse(res.body), { ok: true });
+  } finally {
+    await server.close();
+  }
+});
+
+test('403 is FORBIDDEN, not UNAUTHORIZED', async () => {
+  assert.strictEqual(codeFromStatus(401), 'UNAUTHORIZED');
+  assert.strictEqual(codeFromStatus(403), 'FORBIDDEN');
+  assert.notStrictEqual(exitCodeFor('FORBIDDEN'), exitCodeFor('UNKNOWN_ERROR'));
+
+  const server = await listen((req, res) => sendJson(res, 403, { success: false, message: 'Not allowed' }));
+  try {
+    await assert.rejects(
+      apiRequest({ baseUrl: server.url, apiKey: 'claw_test', endpoint: '/status', proxy: null }),
+      { code: 'FORBIDDEN', status: 403 }
+    );
+  } finally {
+    await server.close();
+  }
+});
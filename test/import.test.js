@@ -0,0 +1,85 @@
+const assert = require('assert');
+const path = require('path');
+const { test } = require('./helpers');
+const { mockApi } = require('./mock-server');
+const { ClawPostClient } = require('../lib/client');
+const { parseCsv, prepareRows, runImport } = require('../lib/import');
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+function clientFor(api) {
+  return new ClawPostClient({ apiKey: 'claw_test', baseUrl: api.url, proxy: null, retries: 0 });
+}
+
+test('parses quoted CSV fields with commas and newlines', () => {
+  assert.deepStrictEqual(parseCsv('content,platform\n"Hello, world\nagain",twitter\n'), [
+    ['content', 'platform'],
+    ['Hello, world\nagain', 'twitter']
+  ]);
+});
+
+test('an invalid platform keeps the row content and reports the real error', () => {
+  const [entry] = prepareRows([{ source: 'row 2', fields: { content: 'Hello world', platform: 'myspace' } }], { now: NOW });
+  assert.strictEqual(entry.content, 'Hello world');
+  assert.deepStrictEqual(entry.errors, ['Invalid platform "myspace". Expected one of: linkedin, twitter or all']);
+});
+
+test('rows are checked for length, missing content and past times', () => {
+  const entries = prepareRows([
+    { source: 'row 2', fields: { content: 'x'.repeat(300), platform: 'twitter' } },
+    { source: 'row 3', fields: { platform: 'linkedin' } },
+    { source: 'row 4', fields: { content: 'Old news', scheduledAt: '2026-02-01T09:00:00Z' } },
+    { source: 'row 5', fields: { content: 'Both', platform: 'all', scheduledAt: '2026-03-02T09:00:00Z' } }
+  ], { now: NOW, timeZone: 'UTC' });
+
+  assert.match(entries[0].errors[0], /20 over the twitter limit/);
+  assert.deepStrictEqual(entries[1].errors, ['Row has neither content nor prompt']);
+  assert.deepStrictEqual(entries[2].errors, ['Scheduled time 2026-02-01T09:00:00Z is in the past']);
+  assert.deepStrictEqual(entries.slice(3).map(entry => [entry.platform, entry.scheduledAt, entry.errors.length]), [
+    ['linkedin', '2026-03-02T09:00:00.000Z', 0],
+    ['twitter', '2026-03-02T09:00:00.000Z', 0]
+  ]);
+});
+
+test('a relative time keeps its row key from one run to the next', () => {
+  const row = { source: 'row 2', fields: { content: 'Weekly tip', scheduledAt: 'tomorrow 09:00' } };
+  const [today] = prepareRows([row], { now: NOW, timeZone: 'UTC' });
+  const [nextWeek] = prepareRows([row], { now: NOW + 7 * 86400000, timeZone: 'UTC' });
+  assert.notStrictEqual(today.scheduledAt, nextWeek.scheduledAt);
+  assert.strictEqual(today.key, nextWeek.key);
+});
+
+test('a rerun skips a row imported earlier even once its time has passed', async () => {
+  const api = await mockApi();
+  const resultsPath = path.join(process.env.CLAWPOST_HOME, 'calendar.results.json');
+  const row = { source: 'row 2', fields: { content: 'Launch day', scheduledAt: '2026-03-02T09:00:00Z' } };
+  try {
+    const [first] = await runImport(clientFor(api), prepareRows([row], { now: NOW }), { resultsPath });
+    assert.strictEqual(first.status, 'imported');
+
+    const later = prepareRows([row], { now: Date.parse('2026-03-03T00:00:00Z') });
+    assert.strictEqual(later[0].errors.length, 1);
+    const [second] = await runImport(clientFor(api), later, { resultsPath });
+    assert.strictEqual(second.status, 'skipped');
+    assert.strictEqual(second.postId, first.postId);
+    assert.strictEqual(api.requests.filter(item => item.route === 'POST /drafts').length, 1);
+  } finally {
+    await api.close();
+  }
+});
+
+test('generated content is validated before a draft is created', async () => {
+  const api = await mockApi({ generated: 'x'.repeat(300) });
+  const resultsPath = path.join(process.env.CLAWPOST_HOME, 'prompts.results.json');
+  try {
+    const entries = prepareRows([{ source: 'row 2', fields: { prompt: 'Our launch', platform: 'twitter' } }], { now: NOW });
+    const [record] = await runImport(clientFor(api), entries, { resultsPath });
+    assert.strictEqual(record.status, 'failed');
+    assert.strictEqual(record.error.code, 'VALIDATION_ERROR');
+    assert.match(record.error.message, /^Generated content: .*20 over the twitter limit/);
+    assert.strictEqual(record.content, undefined);
+    assert.deepStrictEqual(api.requests.map(item => item.route), ['POST /ai/generate']);
+  } finally {
+    await api.close();
+  }
+});
@@ -0,0 +1,114 @@
+const assert = require('assert');
+const { test } = require('./helpers');
+const { mockApi } = require('./mock-server');
+const { ClawPostClient } = require('../lib/client');
+const { reviewLog, reviewPost, submitPost } = require('../lib/approvals');
+const { handleMessage } = require('../lib/mcp');
+
+const draft = { id: 'post_1', status: 'draft', platform: 'linkedin', content: 'Launch day' };
+
+function clientFor(api) {
+  return new ClawPostClient({ apiKey: 'claw_test', baseUrl: api.url, proxy: null, retries: 0 });
+}
+
+function callTool(client, name, args, id = 1) {
+  return handleMessage(client, { jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args } });
+}
+
+// Runs `fn` with approval required; it may set CLAW_USER to act as a reviewer
+async function withApproval(fn) {
+  process.env.CLAW_REQUIRE_APPROVAL = '1';
+  try {
+    return await fn();
+  } finally {
+    delete process.env.CLAW_REQUIRE_APPROVAL;
+    delete process.env.CLAW_USER;
+  }
+}
+
+test('initialize agrees on a protocol version and tools/list describes each tool', async () => {
+  const init = await handleMessage(null, { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26' } });
+  assert.strictEqual(init.result.protocolVersion, '2025-03-26');
+  assert.deepStrictEqual(init.result.capabilities, { tools: {} });
+  assert.strictEqual(init.result.serverInfo.name, 'clawpost');
+  const unknownVersion = await handleMessage(null, { jsonrpc: '2.0', id: 2, method: 'initialize', params: { protocolVersion: '1999-01-01' } });
+  assert.strictEqual(unknownVersion.result.protocolVersion, '2025-06-18');
+  assert.strictEqual(await handleMessage(null, { jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+
+  const { tools } = (await handleMessage(null, { jsonrpc: '2.0', id: 3, method: 'tools/list' })).result;
+  const byName = Object.fromEntries(tools.map(tool => [tool.name, tool]));
+  assert.deepStrictEqual(Object.keys(byName), ['status', 'list_posts', 'create_draft', 'update_post', 'publish', 'schedule', 'generate', 'refine', 'x_history']);
+  assert.deepStrictEqual(byName.create_draft.inputSchema.required, ['content']);
+  assert.strictEqual(byName.create_draft.inputSchema.additionalProperties, false);
+  // id picks the endpoint, so neither id nor content is required on its own
+  assert.strictEqual(byName.publish.inputSchema.required, undefined);
+  assert.strictEqual(byName.list_posts.annotations.readOnlyHint, true);
+  assert.strictEqual(byName.publish.annotations.readOnlyHint, false);
+});
+
+test('an unknown argument, tool or method is refused before any API call', async () => {
+  const api = await mockApi();
+  try {
+    const client = clientFor(api);
+    const reply = await callTool(client, 'create_draft', { content: 'Hi', platfrom: 'twitter' });
+    assert.strictEqual(reply.result.isError, true);
+    assert.strictEqual(reply.result.structuredContent.error.code, 'VALIDATION_ERROR');
+    assert.match(reply.result.structuredContent.message, /^Unknown argument "platfrom" for create_draft/);
+
+    assert.strictEqual((await callTool(client, 'delete_everything', {})).error.code, -32602);
+    assert.strictEqual((await handleMessage(client, { jsonrpc: '2.0', id: 5, method: 'resources/list' })).error.code, -32601);
+    assert.strictEqual((await handleMessage(client, { id: 6, method: 'ping' })).error.code, -32600);
+    assert.deepStrictEqual(api.requests, []);
+  } finally {
+    await api.close();
+  }
+});
+
+test('publish and schedule of a draft wait for its approval', async () => {
+  const api = await mockApi({ posts: [draft] });
+  try {
+    const client = clientFor(api);
+    await withApproval(async () => {
+      const refused = await callTool(client, 'publish', { id: 'post_1' });
+      assert.strictEqual(refused.result.isError, true);
+      assert.strictEqual(refused.result.structuredContent.error.code, 'CONFLICT');
+      assert.match(refused.result.structuredContent.message, /Approval is required to publish/);
+
+      const scheduleRefused = await callTool(client, 'schedule', { id: 'post_1', scheduledAt: '2099-01-01T09:00:00Z' });
+      assert.strictEqual(scheduleRefused.result.structuredContent.error.code, 'CONFLICT');
+      assert.deepStrictEqual(api.requests.map(item => item.route), ['GET /posts/post_1', 'GET /posts/post_1']);
+
+      process.env.CLAW_USER = 'ana';
+      submitPost(draft);
+      process.env.CLAW_USER = 'ben';
+      reviewPost(draft, 'approve');
+
+      const published = await callTool(client, 'publish', { id: 'post_1' });
+      assert.strictEqual(published.result.isError, false);
+      assert.strictEqual(api.posts.get('post_1').status, 'published');
+      assert.strictEqual(reviewLog('post_1').pop().action, 'publish');
+    });
+  } finally {
+    await api.close();
+  }
+});
+
+test('publish and schedule without a draft are refused while approval is required', async () => {
+  const api = await mockApi();
+  try {
+    const client = clientFor(api);
+    await withApproval(async () => {
+      const publish = await callTool(client, 'publish', { content: 'Straight out', platform: 'twitter' });
+      const schedule = await callTool(client, 'schedule', { content: 'Later', platform: 'twitter', scheduledAt: '2099-01-01T09:00:00Z' });
+      assert.strictEqual(publish.result.structuredContent.error.code, 'CONFLICT');
+      assert.strictEqual(schedule.result.structuredContent.error.code, 'CONFLICT');
+      assert.deepStrictEqual(api.requests, []);
+    });
+
+    const published = await callTool(client, 'publish', { content: 'Straight out', platform: 'twitter' });
+    assert.strictEqual(published.result.isError, false);
+    assert.strictEqual(published.result.structuredContent.data.status, 'published');
+  } finally {
+    await api.close();
+  }
+});
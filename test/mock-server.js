@@ -0,0 +1,85 @@
+/**
+ * An in-memory stand-in for the ClawPost API, for tests that need more than
+ * one canned response: it keeps posts, answers the post endpoints the CLI
+ * uses (and AI generate), records every request and can be told to fail the
+ * next ones.
+ */
+
+const { listen, sendJson } = require('./helpers');
+const { API_PATH } = require('../lib/api');
+
+/**
+ * Starts the mock API.
+ *
+ * @param {object} [options]
+ * @param {object[]} [options.posts] - posts to start with; each needs an id
+ * @param {string} [options.publishAs='published'] - status of posts created by POST /publish
+ * @param {string} [options.generated='Generated post'] - content returned by POST /ai/generate
+ * @returns {Promise<{url: string, posts: Map, requests: object[], failNext: Function, close: Function}>}
+ *   `failNext(status, code)` makes the next request fail; calls queue up
+ */
+async function mockApi({ posts = [], publishAs = 'published', generated = 'Generated post' } = {}) {
+  const store = new Map(posts.map(post => [post.id, { platform: 'linkedin', ...post }]));
+  const requests = [];
+  const failures = [];
+  let nextId = 1;
+
+  const ok = (res, data, message = 'OK') => sendJson(res, 200, { success: true, message, data });
+  const error = (res, status, code, message) => sendJson(res, status, { success: false, message, error: { code } });
+  const create = (fields, status) => {
+    const post = { id: `post_new_${nextId++}`, platform: 'linkedin', postType: 'original', ...fields, status };
+    store.set(post.id, post);
+    return post;
+  };
+
+  const server = await listen((req, res, body) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = `${req.method} ${url.pathname.slice(API_PATH.length)}`;
+    const data = body ? JSON.parse(body) : null;
+    requests.push({ route, query: Object.fromEntries(url.searchParams), data });
+
+    if (failures.length > 0) {
+      const { status, code } = failures.shift();
+      return error(res, status, code, `Mock failure (${code})`);
+    }
+
+    const [, id, action] = route.match(/^\w+ \/posts\/([^/]+)(?:\/(\w+))?$/) || [];
+    const post = id && store.get(id);
+    if (id && !post) return error(res, 404, 'NOT_FOUND', `Post ${id} not found`);
+
+    if (route === 'GET /posts') {
+      const { status, platform, limit } = Object.fromEntries(url.searchParams);
+      const matching = [...store.values()].filter(item => (!status || item.status === status) && (!platform || item.platform === platform));
+      return ok(res, { posts: matching.slice(0, Number(limit) || 20), total: matching.length });
+    }
+    if (route.startsWith('GET /posts/') && !action) return ok(res, post);
+    if (route.startsWith('DELETE /posts/')) {
+      store.delete(id);
+      return ok(res, { id }, 'Post deleted');
+    }
+    if (action === 'publish') {
+      post.status = 'published';
+      return ok(res, post, 'Post published');
+    }
+    if (action === 'schedule') {
+      Object.assign(post, { status: 'scheduled', scheduledAt: data.scheduledAt });
+      return ok(res, post, 'Post scheduled');
+    }
+    if (route === 'POST /drafts') return ok(res, create(data, 'draft'), 'Draft created');
+    if (route === 'POST /publish') return ok(res, create(data, publishAs), 'Post published');
+    if (route === 'POST /ai/generate') return ok(res, { content: generated, platform: data.platform }, 'Content generated');
+    return error(res, 404, 'NOT_FOUND', `No mock for ${route}`);
+  });
+
+  return {
+    url: server.url,
+    posts: store,
+    requests,
+    failNext: (status, code) => failures.push({ status, code }),
+    close: server.close
+  };
+}
+
+module.exports = {
+  mockApi
+};
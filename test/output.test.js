@@ -0,0 +1,64 @@
+const assert = require('assert');
+const { test } = require('./helpers');
+const { toCsv, toJson, toTable, toYaml } = require('../lib/output');
+
+const rows = [
+  { id: 'post_1', status: 'draft', content: 'Hello, "world"' },
+  { id: 'post_2', status: 'published', content: 'Line one\nline two', tags: ['a', 'b'] }
+];
+
+test('JSON is pretty-printed', () => {
+  assert.strictEqual(toJson({ a: [1] }), '{\n  "a": [\n    1\n  ]\n}');
+});
+
+test('YAML quotes strings that would read as another type', () => {
+  assert.strictEqual(toYaml({
+    id: 'post_1',
+    count: 3,
+    flag: 'yes',
+    number: '42',
+    empty: '',
+    time: '09:00 UTC',
+    note: 'key: value',
+    nothing: null
+  }), [
+    'id: post_1',
+    'count: 3',
+    'flag: "yes"',
+    'number: "42"',
+    'empty: ""',
+    'time: 09:00 UTC',
+    'note: "key: value"',
+    'nothing: null'
+  ].join('\n'));
+});
+
+test('YAML nests objects and lists of objects', () => {
+  assert.strictEqual(toYaml({ posts: [{ id: 'post_1', tags: ['a'] }], meta: {}, list: [] }), [
+    'posts:',
+    '  - id: post_1',
+    '    tags:',
+    '      - a',
+    'meta: {}',
+    'list: []'
+  ].join('\n'));
+});
+
+test('CSV escapes quotes, commas and newlines, and joins arrays', () => {
+  assert.strictEqual(toCsv(rows), [
+    'id,status,content,tags',
+    'post_1,draft,"Hello, ""world""",',
+    'post_2,published,"Line one\nline two","a, b"'
+  ].join('\n'));
+  assert.strictEqual(toCsv(rows, ['status', 'id']).split('\n')[0], 'status,id');
+});
+
+test('tables pad columns, flatten whitespace and truncate long cells', () => {
+  const lines = toTable(rows, ['id', 'content'], { maxWidth: 10 }).split('\n');
+  assert.deepStrictEqual(lines, [
+    'ID      CONTENT',
+    '──────  ──────────',
+    'post_1  Hello, "w…',
+    'post_2  Line one …'
+  ]);
+});
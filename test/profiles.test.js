@@ -0,0 +1,51 @@
+const assert = require('assert');
+const fs = require('fs');
+const { test } = require('./helpers');
+const { getProfile, listProfiles, profileKey, profilesFile, saveProfile } = require('../lib/profiles');
+
+const API_KEY = 'claw_live_0123456789abcdef';
+
+test('an encrypted key round-trips and only its hint is stored in the clear', () => {
+  saveProfile('work', { apiKey: API_KEY, passphrase: 'correct horse' });
+  const profile = getProfile('work');
+  assert.strictEqual(profile.apiKey, undefined);
+  assert.strictEqual(profile.keyHint, 'claw_…cdef');
+  assert.ok(!fs.readFileSync(profilesFile(), 'utf8').includes(API_KEY));
+  assert.strictEqual(profileKey(profile, 'correct horse'), API_KEY);
+  assert.strictEqual(listProfiles()[0].key, 'claw_…cdef');
+});
+
+test('a wrong or missing passphrase is refused', () => {
+  saveProfile('work', { apiKey: API_KEY, passphrase: 'correct horse' });
+  const profile = getProfile('work');
+  assert.throws(() => profileKey(profile, 'battery staple'), {
+    code: 'UNAUTHORIZED',
+    message: 'Wrong passphrase for profile "work"'
+  });
+  assert.throws(() => profileKey(profile), { code: 'USAGE_ERROR' });
+});
+
+test('a tampered ciphertext or tag fails authentication', () => {
+  saveProfile('work', { apiKey: API_KEY, passphrase: 'correct horse' });
+  const { encrypted } = getProfile('work');
+  const flip = text => {
+    const bytes = Buffer.from(text, 'base64');
+    bytes[0] ^= 1;
+    return bytes.toString('base64');
+  };
+  const tamperedData = { ...getProfile('work'), encrypted: { ...encrypted, data: flip(encrypted.data) } };
+  const tamperedTag = { ...getProfile('work'), encrypted: { ...encrypted, tag: flip(encrypted.tag) } };
+  assert.throws(() => profileKey(tamperedData, 'correct horse'), { code: 'UNAUTHORIZED' });
+  assert.throws(() => profileKey(tamperedTag, 'correct horse'), { code: 'UNAUTHORIZED' });
+});
+
+test('the profiles file is written owner-only and tightened when it is not', () => {
+  if (process.platform === 'win32') return;
+  saveProfile('work', { apiKey: API_KEY });
+  const mode = () => fs.statSync(profilesFile()).mode & 0o777;
+  assert.strictEqual(mode(), 0o600);
+
+  fs.chmodSync(profilesFile(), 0o644);
+  assert.strictEqual(getProfile('work').apiKey, API_KEY);
+  assert.strictEqual(mode(), 0o600);
+});
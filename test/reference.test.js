@@ -0,0 +1,49 @@
+const assert = require('assert');
+const { test } = require('./helpers');
+const { parseTweetRef, referencePrompt, resolveReference, tweetUrl } = require('../lib/reference');
+
+test('tweet IDs and x.com or twitter.com URLs are accepted', () => {
+  assert.deepStrictEqual(parseTweetRef(' 1234567890 '), { tweetId: '1234567890', author: null });
+  assert.deepStrictEqual(parseTweetRef('https://x.com/jack/status/20?s=20'), { tweetId: '20', author: 'jack' });
+  assert.deepStrictEqual(parseTweetRef('mobile.twitter.com/jack/statuses/20'), { tweetId: '20', author: 'jack' });
+  assert.deepStrictEqual(parseTweetRef('https://x.com/i/web/status/20'), { tweetId: '20', author: null });
+  assert.throws(() => parseTweetRef('https://example.com/jack/status/20'), { code: 'USAGE_ERROR' });
+  assert.throws(() => parseTweetRef(''), { code: 'USAGE_ERROR' });
+});
+
+test('a URL is rebuilt with or without the author', () => {
+  assert.strictEqual(tweetUrl({ tweetId: '20', author: 'jack' }), 'https://x.com/jack/status/20');
+  assert.strictEqual(tweetUrl({ tweetId: '20', author: null }), 'https://x.com/i/web/status/20');
+});
+
+test('missing text is looked up in X history, and left null when the tweet is not there', async () => {
+  const calls = [];
+  const client = {
+    async xHistory(filters) {
+      calls.push(filters);
+      return { posts: [{ id: 20, text: 'just setting up my twttr', author: 'jack' }] };
+    }
+  };
+  assert.deepStrictEqual(await resolveReference(client, { tweetId: '20', author: null }), {
+    tweetId: '20',
+    author: 'jack',
+    text: 'just setting up my twttr'
+  });
+  assert.strictEqual((await resolveReference(client, { tweetId: '21', author: null })).text, null);
+
+  const given = { tweetId: '22', author: null, text: 'Given' };
+  assert.strictEqual(await resolveReference(client, given), given);
+  assert.strictEqual(calls.length, 2);
+});
+
+test('the prompt quotes the tweet and adds the user guidance', () => {
+  assert.strictEqual(referencePrompt('quote', { text: 'Ship it', author: 'ana' }, 'Agree, with a caveat'), [
+    'Write a quote tweet commenting on this tweet. The quoted tweet is shown below it, so do not repeat it; add your own take.',
+    '',
+    'Tweet by @ana:',
+    '"Ship it"',
+    '',
+    'Also: Agree, with a caveat'
+  ].join('\n'));
+  assert.match(referencePrompt('reply', { text: 'Ship it', author: null }), /^Write a reply[^\n]*\n\nTweet:\n"Ship it"$/);
+});
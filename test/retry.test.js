@@ -0,0 +1,79 @@
+const assert = require('assert');
+const { listen, sendJson, test } = require('./helpers');
+const { ClawPostError } = require('../lib/errors');
+const { isRetryable, neverSent, withRetry } = require('../lib/retry');
+const { ClawPostClient } = require('../lib/client');
+
+const networkError = errno => new ClawPostError('Network error', { code: 'NETWORK_ERROR', cause: Object.assign(new Error(errno), { code: errno }) });
+const timeout = new ClawPostError('Timed out', { code: 'TIMEOUT' });
+
+test('GET is retried on transient failures', () => {
+  assert.strictEqual(isRetryable(timeout, { method: 'GET' }), true);
+  assert.strictEqual(isRetryable(networkError('ECONNRESET'), { method: 'GET' }), true);
+  assert.strictEqual(isRetryable(new ClawPostError('x', { code: 'INTERNAL_ERROR', status: 500 }), { method: 'DELETE' }), true);
+  assert.strictEqual(isRetryable(new ClawPostError('x', { code: 'VALIDATION_ERROR', status: 400 }), { method: 'GET' }), false);
+});
+
+test('POST is retried only when rate limited or never sent', () => {
+  assert.strictEqual(isRetryable(timeout, { method: 'POST' }), false);
+  assert.strictEqual(isRetryable(networkError('ECONNRESET'), { method: 'POST' }), false);
+  assert.strictEqual(isRetryable(new ClawPostError('x', { code: 'INTERNAL_ERROR', status: 500 }), { method: 'POST' }), false);
+  assert.strictEqual(isRetryable(new ClawPostError('x', { code: 'RATE_LIMITED', status: 429 }), { method: 'POST' }), true);
+  assert.strictEqual(isRetryable(networkError('ECONNREFUSED'), { method: 'POST' }), true);
+  assert.strictEqual(isRetryable(networkError('ENOTFOUND'), { method: 'POST' }), true);
+  assert.strictEqual(isRetryable(new ClawPostError('tunnel', { code: 'PROXY_ERROR', cause: new Error('reset') }), { method: 'POST' }), true);
+  assert.strictEqual(isRetryable(new ClawPostError('refused', { code: 'PROXY_ERROR', status: 407 }), { method: 'POST' }), false);
+});
+
+test('only connect-phase failures count as never sent', () => {
+  assert.strictEqual(neverSent(networkError('EAI_AGAIN')), true);
+  assert.strictEqual(neverSent(networkError('ECONNRESET')), false);
+  assert.strictEqual(neverSent(timeout), false);
+});
+
+test('withRetry gives up after the first POST timeout', async () => {
+  let calls = 0;
+  await assert.rejects(withRetry(async () => { calls++; throw timeout; }, { method: 'POST', retries: 3, sleep: async () => {} }), { code: 'TIMEOUT' });
+  assert.strictEqual(calls, 1);
+});
+
+test('a publish that failed server-side is sent once and no Idempotency-Key is invented', async () => {
+  const seen = [];
+  const server = await listen((req, res) => {
+    seen.push(req.headers['idempotency-key']);
+    sendJson(res, 500, { success: false, message: 'boom', error: { code: 'INTERNAL_ERROR' } });
+  });
+  try {
+    const client = new ClawPostClient({ apiKey: 'claw_test', baseUrl: server.url, proxy: null });
+    await assert.rejects(client.publish({ content: 'Hello', platform: 'linkedin' }), { code: 'INTERNAL_ERROR' });
+    await assert.rejects(client.listPosts(), { code: 'INTERNAL_ERROR' });
+    assert.strictEqual(seen.length, 1 + 4);
+    assert.strictEqual(seen[0], undefined);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a 5xx page without a JSON body is a retryable server error', async () => {
+  let calls = 0;
+  const server = await listen((req, res) => {
+    calls++;
+    if (calls < 3) {
+      res.writeHead(502, { 'Content-Type': 'text/html' });
+      res.end('<html><body>502 Bad Gateway</body></html>');
+      return;
+    }
+    sendJson(res, 200, { success: true, data: { posts: [] } });
+  });
+  try {
+    const client = new ClawPostClient({ apiKey: 'claw_test', baseUrl: server.url, proxy: null });
+    assert.deepStrictEqual((await client.listPosts()).posts, []);
+    assert.strictEqual(calls, 3);
+
+    calls = 0;
+    await assert.rejects(client.publish({ content: 'Hello', platform: 'linkedin' }), { code: 'INTERNAL_ERROR', status: 502 });
+    assert.strictEqual(calls, 1);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * Offline test runner (npm test). Loads every test/*.test.js and runs the
+ * tests one at a time, each with its own empty CLAWPOST_HOME. Nothing talks
+ * to the real API, so no account or network is needed.
+ *
+ * Usage: node test/run.js [filter]   (runs tests whose name contains filter)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { freshHome, tests } = require('./helpers');
+
+// Requests in tests go to local servers, never through a proxy
+['HTTP_PROXY', 'HTTPS_PROXY', 'http_proxy', 'https_proxy', 'CLAW_API_KEY', 'CLAW_API_URL', 'CLAW_TZ', 'CLAW_REQUIRE_APPROVAL', 'CLAW_USER']
+  .forEach(name => delete process.env[name]);
+// No waiting on client-side rate limits or retry backoff
+Object.assign(process.env, { CLAW_RATE_LIMIT: '0', CLAW_PUBLISH_RATE_LIMIT: '0', CLAW_RETRY_BASE_MS: '1' });
+
+const filter = process.argv[2] || '';
+
+fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.test.js'))
+  .sort()
+  .forEach(file => {
+    const before = tests.length;
+    require(path.join(__dirname, file));
+    tests.slice(before).forEach(item => { item.file = file; });
+  });
+
+async function main() {
+  const selected = tests.filter(item => `${item.file} ${item.name}`.includes(filter));
+  let failed = 0;
+
+  for (const item of selected) {
+    const home = freshHome();
+    try {
+      await item.fn();
+      console.log(`  ok   ${item.file} › ${item.name}`);
+    } catch (error) {
+      failed++;
+      console.log(`  FAIL ${item.file} › ${item.name}`);
+      console.log(String(error.stack || error).replace(/^/gm, '       '));
+    } finally {
+      fs.rmSync(home, { recursive: true, force: true });
+    }
+  }
+
+  console.log(`\n${selected.length - failed} passed, ${failed} failed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main();
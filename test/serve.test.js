@@ -0,0 +1,82 @@
+const assert = require('assert');
+const { test } = require('./helpers');
+const { mockApi } = require('./mock-server');
+const { ClawPostClient } = require('../lib/client');
+const { ClawPostError } = require('../lib/errors');
+const { request } = require('../lib/http');
+const { createBridge } = require('../lib/serve');
+const { createToken } = require('../lib/tokens');
+
+const RELEASE = {
+  action: 'published',
+  release: { tag_name: 'v2.1.0', name: 'v2.1.0', html_url: 'https://github.com/acme/widgets/releases/v2.1.0', body: 'Faster sync' },
+  repository: { full_name: 'acme/widgets', name: 'widgets' }
+};
+const SETTINGS = { github: { platforms: ['linkedin', 'twitter'] } };
+
+function startBridge(client) {
+  const server = createBridge(client, { settings: SETTINGS });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(done => server.close(done))
+  })));
+}
+
+async function deliver(bridge, token, delivery) {
+  const res = await request(`${bridge.url}/webhooks/github`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json',
+      'X-GitHub-Event': 'release',
+      'X-GitHub-Delivery': delivery
+    },
+    body: JSON.stringify(RELEASE),
+    proxy: null
+  });
+  return { status: res.status, body: JSON.parse(res.body) };
+}
+
+test('a redelivered release only creates the drafts that failed, even after a restart', async () => {
+  const api = await mockApi();
+  const client = new ClawPostClient({ apiKey: 'claw_test', baseUrl: api.url, proxy: null, retries: 0 });
+  const createDraft = client.createDraft.bind(client);
+  let failTwitter = true;
+  client.createDraft = params => {
+    if (params.platform === 'twitter' && failTwitter) {
+      failTwitter = false;
+      return Promise.reject(new ClawPostError('X is down', { code: 'INTERNAL_ERROR', status: 500 }));
+    }
+    return createDraft(params);
+  };
+  const { token } = createToken('github', 'webhook');
+  const drafts = () => [...api.posts.values()].map(post => post.platform);
+
+  let bridge = await startBridge(client);
+  try {
+    const first = await deliver(bridge, token, 'delivery-1');
+    assert.strictEqual(first.status, 500);
+    assert.deepStrictEqual(drafts(), ['linkedin']);
+
+    // A restarted bridge still knows what the first attempt created
+    await bridge.close();
+    bridge = await startBridge(client);
+    const second = await deliver(bridge, token, 'delivery-1');
+    assert.strictEqual(second.status, 201);
+    assert.deepStrictEqual(second.body.data.drafts.map(post => post.platform), ['twitter']);
+    assert.deepStrictEqual(Object.keys(second.body.data.earlier), ['linkedin']);
+    assert.deepStrictEqual(drafts(), ['linkedin', 'twitter']);
+
+    const third = await deliver(bridge, token, 'delivery-1');
+    assert.strictEqual(third.status, 200);
+    assert.strictEqual(third.body.data.ignored, true);
+    assert.deepStrictEqual(drafts(), ['linkedin', 'twitter']);
+
+    const other = await deliver(bridge, token, 'delivery-2');
+    assert.strictEqual(other.status, 201);
+    assert.strictEqual(api.posts.size, 4);
+  } finally {
+    await bridge.close();
+    await api.close();
+  }
+});
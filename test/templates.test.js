@@ -0,0 +1,98 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('./helpers');
+const {
+  finishContent,
+  generationRequest,
+  listTemplates,
+  loadTemplate,
+  loadTemplateAndVoice,
+  parseVars,
+  renderTemplate,
+  templateVariables,
+  templatesDir,
+  voicesDir
+} = require('../lib/templates');
+
+function save(dir, name, data) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${name}.json`), typeof data === 'string' ? data : JSON.stringify(data));
+}
+
+const RELEASE = {
+  prompt: 'Announce {{product}} {{version}}',
+  content: '{{product}} {{version}} is out',
+  variables: { product: 'Widgets' },
+  hashtags: ['release', '#devtools'],
+  signOff: '— the {{product}} team',
+  voice: 'brand',
+  platforms: { twitter: { content: '{{product}} {{version}} ships today', hashtags: ['release'], tone: 'casual' } }
+};
+
+test('variables come from --var, then the variant, then the template defaults', () => {
+  save(templatesDir(), 'release', RELEASE);
+  const template = loadTemplate('release');
+  assert.deepStrictEqual(templateVariables(template).sort(), ['product', 'version']);
+
+  const linkedin = renderTemplate(template, { platform: 'linkedin', vars: parseVars(['version=2.1']) });
+  assert.strictEqual(linkedin.content, 'Widgets 2.1 is out\n\n— the Widgets team\n\n#release #devtools');
+
+  const twitter = renderTemplate(template, { platform: 'twitter', vars: parseVars(['version=2.1', 'product=Gadgets']) });
+  assert.strictEqual(twitter.content, 'Gadgets 2.1 ships today\n\n— the Gadgets team\n\n#release');
+  assert.strictEqual(twitter.tone, 'casual');
+});
+
+test('a missing variable names the --var it needs', () => {
+  save(templatesDir(), 'release', RELEASE);
+  assert.throws(() => renderTemplate(loadTemplate('release'), { platform: 'linkedin' }), {
+    code: 'USAGE_ERROR',
+    message: 'Template "release" needs --var version=…'
+  });
+  assert.throws(() => parseVars(['version']), { code: 'USAGE_ERROR' });
+});
+
+test('hashtags and a sign-off already in the text are not added again', () => {
+  assert.strictEqual(finishContent('Out now #Release', { hashtags: ['#release', '#news'], signOff: 'Bye' }), 'Out now #Release\n\nBye\n\n#news');
+  assert.strictEqual(finishContent('Out now\n\nBye', { signOff: 'Bye' }), 'Out now\n\nBye');
+});
+
+test('bad names, tones and platforms are refused and listed with their error', () => {
+  assert.throws(() => loadTemplate('../secrets'), { code: 'USAGE_ERROR' });
+  assert.throws(() => loadTemplate('nope'), { code: 'NOT_FOUND' });
+  save(templatesDir(), 'loud', { content: 'Hi', tone: 'shouty' });
+  save(templatesDir(), 'myspace', { content: 'Hi', platforms: { myspace: {} } });
+  save(templatesDir(), 'broken', '{ not json');
+  assert.throws(() => loadTemplate('loud'), { code: 'VALIDATION_ERROR', message: /Invalid tone "shouty"/ });
+  assert.throws(() => loadTemplate('myspace'), { code: 'VALIDATION_ERROR', message: /Unknown platform "myspace"/ });
+  assert.deepStrictEqual(listTemplates().map(item => [item.name, Boolean(item.error)]), [
+    ['broken', true],
+    ['loud', true],
+    ['myspace', true]
+  ]);
+});
+
+test('the generate request folds in the template prompt and the voice', () => {
+  save(templatesDir(), 'release', RELEASE);
+  save(voicesDir(), 'brand', { guidelines: 'Short and warm.', avoid: ['synergy'], examples: ['We shipped it.'], tone: 'professional' });
+  const { template, voice } = loadTemplateAndVoice('release');
+  assert.strictEqual(voice.name, 'brand');
+
+  const request = generationRequest({ prompt: 'Mention the faster sync', platform: 'linkedin', template, vars: { version: '2.1' }, voice });
+  assert.strictEqual(request.prompt, [
+    'Announce Widgets 2.1',
+    '',
+    'Also: Mention the faster sync',
+    '',
+    'Do not add hashtags or a sign-off; they are appended afterwards.',
+    '',
+    'Write in our "brand" voice.',
+    'Short and warm.',
+    'Never use: synergy.',
+    'Examples of posts in this voice:',
+    '- We shipped it.'
+  ].join('\n'));
+  assert.strictEqual(request.tone, 'professional');
+  assert.deepStrictEqual(request.hashtags, ['#release', '#devtools']);
+  assert.strictEqual(generationRequest({ prompt: 'x', platform: 'twitter', template, vars: { version: '2' }, voice, tone: 'technical' }).tone, 'technical');
+});
@@ -0,0 +1,110 @@
+const assert = require('assert');
+const fs = require('fs');
+const { test } = require('./helpers');
+const { statePath } = require('../lib/config');
+const { publishThread, splitThread } = require('../lib/thread');
+
+const LOOKUP = { attempts: 2, delay: 1 };
+
+// Published tweets show up in X history with an ID, unless `hidden` says otherwise
+function fakeClient({ hidden = 0, historyError = null, failAt = null } = {}) {
+  const published = [];
+  const calls = [];
+  return {
+    calls,
+    published,
+    hidden,
+    async xHistory() {
+      if (historyError) throw historyError;
+      return {
+        posts: published.slice(this.hidden).map(tweet => ({ id: tweet.tweetId, text: tweet.content, createdAt: new Date().toISOString() }))
+      };
+    },
+    async call(name, params) {
+      calls.push({ name, params });
+      if (failAt === published.length) {
+        failAt = null;
+        throw Object.assign(new Error('Over capacity'), { code: 'INTERNAL_ERROR', status: 500 });
+      }
+      const tweet = { content: params.content, tweetId: String(1000 + published.length) };
+      published.push(tweet);
+      return { message: 'ok', data: { id: `post_${published.length}`, status: 'published', ...params } };
+    }
+  };
+}
+
+test('splits at sentences and numbers the tweets', () => {
+  const chunks = splitThread(`${'A sentence that is fairly long. '.repeat(15)}`, { numbering: true });
+  assert.ok(chunks.length > 1);
+  chunks.forEach((chunk, i) => assert.ok(chunk.endsWith(` ${i + 1}/${chunks.length}`)));
+});
+
+test('each reply references the previous tweet by its documented tweetId', async () => {
+  const client = fakeClient();
+  const { complete } = await publishThread(client, ['one', 'two', 'three'], { lookup: LOOKUP });
+  assert.strictEqual(complete, true);
+  assert.deepStrictEqual(client.calls.map(call => call.params.reference), [
+    undefined,
+    { tweetId: '1000', text: 'one' },
+    { tweetId: '1001', text: 'two' }
+  ]);
+  assert.ok(client.calls.slice(1).every(call => call.params.postType === 'reply'));
+  assert.deepStrictEqual(fs.readdirSync(statePath('threads')), []);
+});
+
+test('nothing is published when X history cannot be read', async () => {
+  const client = fakeClient({ historyError: Object.assign(new Error('X is not connected'), { code: 'PLATFORM_NOT_CONNECTED' }) });
+  await assert.rejects(publishThread(client, ['one', 'two'], { lookup: LOOKUP }), { code: 'PLATFORM_NOT_CONNECTED' });
+  assert.strictEqual(client.calls.length, 0);
+});
+
+test('a tweet missing from history stops the chain, and --resume picks it up', async () => {
+  const client = fakeClient({ hidden: 1 });
+  const first = await publishThread(client, ['one', 'two'], { lookup: LOOKUP });
+  assert.strictEqual(first.complete, false);
+  assert.strictEqual(client.published.length, 1);
+  assert.match(first.results[1].error.message, /not in your X history yet/);
+
+  await assert.rejects(publishThread(client, ['one', 'two'], { lookup: LOOKUP }), { code: 'CONFLICT' });
+
+  client.hidden = 0;
+  const resumed = await publishThread(client, ['one', 'two'], { resume: true, lookup: LOOKUP });
+  assert.strictEqual(resumed.complete, true);
+  assert.deepStrictEqual(resumed.results.map(result => Boolean(result.skipped)), [true, false]);
+  assert.deepStrictEqual(client.calls[client.calls.length - 1].params.reference, { tweetId: '1000', text: 'one' });
+});
+
+test('a thread that failed before anything went out can simply be run again', async () => {
+  const client = fakeClient({ failAt: 0 });
+  assert.strictEqual((await publishThread(client, ['one', 'two'], { lookup: LOOKUP })).complete, false);
+  assert.strictEqual((await publishThread(client, ['one', 'two'], { lookup: LOOKUP })).complete, true);
+});
+
+test('the same thread can be posted again once it is complete', async () => {
+  const client = fakeClient();
+  await publishThread(client, ['one', 'two'], { lookup: LOOKUP });
+  const again = await publishThread(client, ['one', 'two'], { lookup: LOOKUP });
+  assert.ok(again.results.every(result => result.success && !result.skipped));
+});
+
+test('a tweet ID in the publish response is used without reading X history for it', async () => {
+  const client = fakeClient();
+  const call = client.call.bind(client);
+  client.call = async (name, params) => {
+    const response = await call(name, params);
+    return { ...response, data: { ...response.data, tweetId: client.published[client.published.length - 1].tweetId } };
+  };
+  let lookups = 0;
+  const xHistory = client.xHistory.bind(client);
+  client.xHistory = filters => {
+    lookups++;
+    return xHistory(filters);
+  };
+
+  const { complete, results } = await publishThread(client, ['one', 'two', 'three'], { lookup: LOOKUP });
+  assert.strictEqual(complete, true);
+  assert.deepStrictEqual(results.map(result => result.tweetId), ['1000', '1001', '1002']);
+  assert.deepStrictEqual(client.calls[2].params.reference, { tweetId: '1001', text: 'two' });
+  // Only the check that X history is readable
+  assert.strictEqual(lookups, 1);
+});
@@ -0,0 +1,76 @@
+const assert = require('assert');
+const path = require('path');
+const { execFile } = require('child_process');
+const { test } = require('./helpers');
+const { mockApi } = require('./mock-server');
+const { parseFutureTime, parseTime } = require('../lib/time');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+// Wednesday 2026-03-04 15:00 in London (GMT)
+const NOW = Date.parse('2026-03-04T15:00:00Z');
+const iso = (input, timeZone = 'Europe/London', now = NOW) => parseTime(input, { timeZone, now }).date.toISOString();
+
+test('exact, wall-clock and relative forms', () => {
+  assert.strictEqual(iso('2026-03-05T10:00:00+01:00'), '2026-03-05T09:00:00.000Z');
+  assert.strictEqual(iso('2026-07-01 09:00'), '2026-07-01T08:00:00.000Z');
+  assert.strictEqual(iso('+1d2h'), '2026-03-05T17:00:00.000Z');
+  assert.strictEqual(iso('tomorrow 9am America/New_York'), '2026-03-05T14:00:00.000Z');
+  assert.strictEqual(iso('next wednesday 08:30'), '2026-03-11T08:30:00.000Z');
+});
+
+test('bare noon and midnight are their next occurrence', () => {
+  assert.strictEqual(iso('noon'), '2026-03-05T12:00:00.000Z');
+  assert.strictEqual(iso('midnight'), '2026-03-05T00:00:00.000Z');
+  assert.strictEqual(iso('at noon', 'Europe/London', Date.parse('2026-03-04T09:00:00Z')), '2026-03-04T12:00:00.000Z');
+  assert.strictEqual(iso('friday noon'), '2026-03-06T12:00:00.000Z');
+  assert.strictEqual(iso('at 9:15pm'), '2026-03-04T21:15:00.000Z');
+});
+
+test('a time the clocks skip is rejected', () => {
+  // London moves from 01:00 to 02:00 on 2026-03-29
+  assert.throws(() => parseTime('2026-03-29 01:30', { timeZone: 'Europe/London' }), {
+    code: 'VALIDATION_ERROR',
+    message: /01:30 on 2026-03-29 does not exist in Europe\/London/
+  });
+  assert.throws(() => parseTime('sunday 1:30am', { timeZone: 'Europe/London', now: Date.parse('2026-03-27T12:00:00Z') }), /does not exist/);
+  assert.strictEqual(iso('2026-03-29 02:30'), '2026-03-29T01:30:00.000Z');
+  // The repeated hour in autumn is still accepted
+  assert.strictEqual(iso('2026-10-25 01:30'), '2026-10-25T01:30:00.000Z');
+});
+
+test('past times are refused for scheduling', () => {
+  assert.throws(() => parseFutureTime('2026-03-04 09:00', { timeZone: 'Europe/London', now: NOW }), /is in the past/);
+  assert.throws(() => parseTime('someday'), /Could not understand/);
+});
+
+test('a date or time that does not exist is a usage error, not rolled over', () => {
+  assert.throws(() => parseTime('2026-02-30', { timeZone: 'UTC' }), {
+    code: 'USAGE_ERROR',
+    message: /^2026-02-30 09:00 is not a real date and time/
+  });
+  assert.throws(() => parseTime('2026-03-01 25:00', { timeZone: 'UTC' }), {
+    code: 'USAGE_ERROR',
+    message: /^2026-03-01 25:00 is not a real date and time/
+  });
+  assert.throws(() => parseTime('2026-13-01 09:00', { timeZone: 'UTC' }), { code: 'USAGE_ERROR' });
+  assert.throws(() => parseTime('2026-03-01 09:60', { timeZone: 'UTC' }), { code: 'USAGE_ERROR' });
+  assert.throws(() => parseTime('2026-02-30T09:00:00Z'), { code: 'USAGE_ERROR' });
+  assert.strictEqual(iso('2028-02-29 09:00', 'UTC'), '2028-02-29T09:00:00.000Z');
+  // Calendar words still cross month ends
+  assert.strictEqual(iso('tomorrow 10:00', 'UTC', Date.parse('2026-02-28T12:00:00Z')), '2026-03-01T10:00:00.000Z');
+});
+
+test('schedule rejects a bad time before calling the API', async () => {
+  const api = await mockApi({ posts: [{ id: 'post_1', status: 'draft', content: 'Launch day' }] });
+  const env = { ...process.env, CLAW_API_KEY: 'claw_test', CLAW_API_URL: api.url };
+  try {
+    const error = await new Promise(resolve => {
+      execFile(process.execPath, [CLI, 'schedule', 'post_1', '2026-02-30 09:00', '--tz', 'UTC'], { env, timeout: 20000 }, resolve);
+    });
+    assert.strictEqual(error.code, 2);
+    assert.deepStrictEqual(api.requests, []);
+  } finally {
+    await api.close();
+  }
+});
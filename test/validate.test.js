@@ -0,0 +1,22 @@
+const assert = require('assert');
+const { test } = require('./helpers');
+const { validateContent, weightedLength } = require('../lib/validate');
+
+test('URLs weigh 23 and emoji 2 on X', () => {
+  assert.strictEqual(weightedLength('see https://example.com/a/very/long/path/indeed'), 4 + 23);
+  assert.strictEqual(weightedLength('hi 👋🏽'), 5);
+  assert.strictEqual(weightedLength('日本'), 4);
+});
+
+test('content over the X limit is an error', () => {
+  const result = validateContent('a'.repeat(281), 'twitter');
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors.map(error => error.code), ['TOO_LONG']);
+});
+
+test('empty content is an error and many hashtags a warning', () => {
+  assert.deepStrictEqual(validateContent('  ', 'linkedin').errors.map(error => error.code), ['EMPTY']);
+  const result = validateContent('Launch #a #b #c', 'twitter');
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.warnings.map(warning => warning.code), ['MANY_HASHTAGS']);
+});
@@ -0,0 +1,144 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { test } = require('./helpers');
+const { mockApi } = require('./mock-server');
+const { ClawPostClient } = require('../lib/client');
+const { pollOnce, retryFailed, runHook, watchPosts } = require('../lib/watch');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+const scheduled = { id: 'post_1', status: 'scheduled', content: 'Launch day', scheduledAt: '2026-11-02T09:00:00Z' };
+const failedPost = {
+  id: 'post_2',
+  status: 'failed',
+  content: 'Try again',
+  error: { message: 'Token expired' },
+  availableActions: ['update', 'delete']
+};
+
+function clientFor(api) {
+  return new ClawPostClient({ apiKey: 'claw_test', baseUrl: api.url, proxy: null, retries: 0 });
+}
+
+function runCli(args, api) {
+  const env = { ...process.env, CLAW_API_KEY: 'claw_test', CLAW_API_URL: api.url };
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, [CLI, ...args], { env, timeout: 20000 }, (error, stdout, stderr) => {
+      if (error) reject(Object.assign(error, { stdout, stderr }));
+      else resolve(stdout);
+    });
+  });
+}
+
+test('a scheduled post that gets published is reported after the baseline poll', async () => {
+  const api = await mockApi({ posts: [scheduled] });
+  try {
+    const client = clientFor(api);
+    const first = await pollOnce(client, { checkedAt: null, posts: null });
+    assert.deepStrictEqual(first.events, []);
+
+    api.posts.get('post_1').status = 'published';
+    const second = await pollOnce(client, first.state);
+    assert.strictEqual(second.events.length, 1);
+    assert.strictEqual(second.events[0].type, 'published');
+    assert.strictEqual(second.events[0].from, 'scheduled');
+    assert.strictEqual(second.events[0].post.id, 'post_1');
+  } finally {
+    await api.close();
+  }
+});
+
+test('failed polls back off exponentially and a good poll resets the wait', async () => {
+  const api = await mockApi({ posts: [scheduled] });
+  // Two bad polls, one good (two list requests), one bad, then one that ends the loop
+  api.failNext(500, 'INTERNAL_ERROR');
+  api.failNext(500, 'INTERNAL_ERROR');
+  const delays = [];
+  let polls = 0;
+  try {
+    await assert.rejects(watchPosts(clientFor(api), {
+      interval: 5,
+      onEvent: () => {},
+      onPoll: () => {
+        polls++;
+        api.failNext(500, 'INTERNAL_ERROR');
+        api.failNext(401, 'UNAUTHORIZED');
+      },
+      onError: (error, delay) => delays.push(delay)
+    }), { code: 'UNAUTHORIZED' });
+    assert.strictEqual(polls, 1);
+    assert.deepStrictEqual(delays, [10, 20, 10]);
+  } finally {
+    await api.close();
+  }
+});
+
+test('a hook gets the event on stdin and in the environment', async () => {
+  const home = process.env.CLAWPOST_HOME;
+  const script = path.join(home, 'hook.js');
+  const out = path.join(home, 'hook-output.json');
+  fs.writeFileSync(script, `
+    let input = '';
+    process.stdin.on('data', chunk => { input += chunk; });
+    process.stdin.on('end', () => {
+      require('fs').writeFileSync(${JSON.stringify(out)}, JSON.stringify({
+        event: JSON.parse(input),
+        env: { type: process.env.CLAW_EVENT, id: process.env.CLAW_POST_ID, status: process.env.CLAW_POST_STATUS }
+      }));
+    });
+  `);
+  const event = { type: 'failed', from: 'scheduled', at: '2026-10-19T09:00:00.000Z', post: { ...failedPost, platform: 'twitter' } };
+
+  await runHook(`"${process.execPath}" "${script}"`, event);
+  const received = JSON.parse(fs.readFileSync(out, 'utf8'));
+  assert.deepStrictEqual(received.event, event);
+  assert.deepStrictEqual(received.env, { type: 'failed', id: 'post_2', status: 'failed' });
+
+  await assert.rejects(runHook(`"${process.execPath}" -e "process.exit(3)"`, event), /exited with code 3/);
+});
+
+test('watch --once records a baseline, then prints what changed and exits', async () => {
+  const api = await mockApi({ posts: [scheduled] });
+  try {
+    assert.strictEqual((await runCli(['watch', '--once', '--json'], api)).trim(), '');
+
+    api.posts.get('post_1').status = 'failed';
+    const lines = (await runCli(['watch', '--once', '--json'], api)).trim().split('\n');
+    assert.strictEqual(lines.length, 1);
+    const event = JSON.parse(lines[0]);
+    assert.strictEqual(event.type, 'failed');
+    assert.strictEqual(event.post.id, 'post_1');
+  } finally {
+    await api.close();
+  }
+});
+
+test('retry-failed deletes the original only after the draft copy is confirmed', async () => {
+  const api = await mockApi({ posts: [failedPost] });
+  try {
+    const result = await retryFailed(clientFor(api), failedPost);
+    assert.strictEqual(result.deleted, true);
+    assert.strictEqual(result.post.status, 'draft');
+    assert.deepStrictEqual(api.requests.map(item => item.route), ['POST /drafts', 'DELETE /posts/post_2']);
+  } finally {
+    await api.close();
+  }
+});
+
+test('retry-failed keeps the original when the copy fails to be created or published', async () => {
+  const api = await mockApi({ posts: [failedPost], publishAs: 'failed' });
+  try {
+    const client = clientFor(api);
+    await assert.rejects(retryFailed(client, failedPost, { publish: true }), /failed too/);
+
+    api.failNext(500, 'INTERNAL_ERROR');
+    await assert.rejects(retryFailed(client, failedPost), { code: 'INTERNAL_ERROR' });
+
+    assert.ok(api.posts.has('post_2'));
+    assert.ok(!api.requests.some(item => item.route.startsWith('DELETE')));
+  } finally {
+    await api.close();
+  }
+});